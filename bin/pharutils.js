@@ -0,0 +1,670 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool for working with Phar archives
+ * https://github.com/FaigerSYS/PharUtils.js
+ * @license PharUtils.js [The MIT License]
+ * @copyright FaigerSYS 2018
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var PharUtils = require('../lib/pharutils.js');
+
+var USAGE = [
+	'Usage: pharutils <command> [arguments] [options]',
+	'',
+	'Commands:',
+	'  list <archive>                       list files (permissions, size, compressed size, timestamp, CRC32, name)',
+	'  extract <archive> [dir] [files...]   extract all or given files to dir (default: current directory)',
+	'  create <archive> <dir>               create archive from directory contents',
+	'  add <archive> <file...>              add (or replace) files, --as <name> sets the name of a single file',
+	'  remove <archive> <name...>           remove files',
+	'  compress <archive> <none|gz|bz2>     change compression of all (or --include) files and print sizes',
+	'  stub get <archive>                   print stub',
+	'  stub set <archive> <file>            set stub from file ("-" reads stdin)',
+	'  stub default <archive> [index] [web] set PHP\'s default loader stub (index.php by default, web "-" disables web support)',
+	'  stub info <archive>                  print shebang, alias and index files of the stub as JSON',
+	'  meta get <archive>                   print metadata as JSON',
+	'  meta set <archive> <json>            set metadata from JSON ("null" removes metadata)',
+	'  verify <archive>                     check signature and CRCs of all files',
+	'  sign <archive> <type>                change signature type (' + Object.keys(signatureTypes()).join(', ') + ')',
+	'  convert <input> <output>             convert between formats (by output extension: .phar, .phar.gz, .phar.bz2, .zip, .tar, .tar.gz, .tar.bz2)',
+	'  diff <old> <new>                     show changed archive properties and entries with unified diffs of text files',
+	'  inspect <archive>                    report security problems of an untrusted archive (exit code 1 for high severity)',
+	'  autoload <archive> [index]           add a classmap autoloader of PHP files and a stub that registers it (and includes index)',
+	'  plugin check <archive>               validate plugin.yml, main class and metadata of a PocketMine-MP plugin (exit code 1 for errors)',
+	'  plugin sync <archive>                check the plugin and write plugin.yml fields into the metadata (as DevTools does)',
+	'  plugin info <archive>                print plugin.yml as JSON',
+	'',
+	'Options:',
+	'  -o, --output <file>       write the result to another file instead of changing the archive in place',
+	'  --entry <name>            (meta) work with metadata of a file instead of the archive',
+	'  --overwrite               (extract) overwrite existing files',
+	'  --unsafe <mode>           (extract) unsafe entry names: error (default), skip or sanitize',
+	'  --raw                     (meta) print/set metadata as PHP serialized string',
+	'  --json                    (diff, inspect, autoload, plugin check) print the result as JSON',
+	'  --public-key <file>       PEM public key for archives with OpenSSL signature (default: <archive>.pubkey)',
+	'  --private-key <file>      PEM private key for OpenSSL signature (create, sign and saving signed archives)',
+	'  --signature <type>        signature type of the saved archive (for create default is sha1, otherwise it is kept)',
+	'  --compress <none|gz|bz2>  (create, add) compression of added files',
+	'  --stub <file>             (create) stub file',
+	'  --alias <alias>           (create) archive alias',
+	'  --include <glob>          (create, compress, autoload) only add/compress/scan matching files (can be repeated)',
+	'  --exclude <glob>          (create, autoload) skip matching files and directories (can be repeated)',
+	'  --autoloader <name>       (autoload) name of the autoloader file (autoload.php by default)',
+	'  --keep-stub               (autoload) do not replace the stub',
+	'  --level <1-9>             (compress) compression level',
+	'  --min-size <bytes>        (compress) do not compress smaller files',
+	'  --skip-larger             (compress) keep files uncompressed when compression does not make them smaller',
+	'  --reproducible            sort entries, clamp timestamps to SOURCE_DATE_EPOCH and normalize permissions on save',
+	'  -h, --help                show this help'
+].join('\n');
+
+var VALUE_OPTIONS = ['output', 'entry', 'public-key', 'private-key', 'signature', 'compress', 'stub', 'alias', 'as', 'include', 'exclude', 'unsafe', 'level', 'min-size', 'autoloader'];
+var LIST_OPTIONS = ['include', 'exclude']; // can be given multiple times
+
+function signatureTypes() {
+	return {
+		none: PharUtils.SIGNATURE_NONE,
+		md5: PharUtils.SIGNATURE_MD5,
+		sha1: PharUtils.SIGNATURE_SHA1,
+		sha256: PharUtils.SIGNATURE_SHA256,
+		sha512: PharUtils.SIGNATURE_SHA512,
+		openssl: PharUtils.SIGNATURE_OPENSSL,
+		openssl_sha256: PharUtils.SIGNATURE_OPENSSL_SHA256,
+		openssl_sha512: PharUtils.SIGNATURE_OPENSSL_SHA512
+	};
+}
+
+function compressionTypes() {
+	return {
+		none: PharUtils.COMPRESSION_NONE,
+		gz: PharUtils.COMPRESSION_GZ,
+		bz2: PharUtils.COMPRESSION_BZIP2
+	};
+}
+
+function parseArgs(argv) {
+	var args = [];
+	var options = { };
+	for (var i = 0; i < argv.length; i++) {
+		var arg = argv[i];
+		if (arg == '-o') {
+			arg = '--output';
+		} else if (arg == '-h') {
+			arg = '--help';
+		}
+		
+		if (arg.indexOf('--') != 0 || arg == '--') {
+			args.push(arg);
+			continue;
+		}
+		
+		var name = arg.substring(2);
+		var value = true;
+		var eq = name.indexOf('=');
+		if (eq != -1) {
+			value = name.substring(eq + 1);
+			name = name.substring(0, eq);
+		} else if (VALUE_OPTIONS.indexOf(name) != -1) {
+			if (i + 1 >= argv.length) {
+				throw Error('Option --' + name + ' requires a value!');
+			}
+			value = argv[++i];
+		}
+		if (LIST_OPTIONS.indexOf(name) != -1) {
+			options[name] = (options[name] || []).concat(value);
+		} else {
+			options[name] = value;
+		}
+	}
+	return { args: args, options: options };
+}
+
+function lookup(map, name, what) {
+	if (!map.hasOwnProperty(name)) {
+		throw Error('Unknown ' + what + ' "' + name + '" (expected: ' + Object.keys(map).join(', ') + ')');
+	}
+	return map[name];
+}
+
+function readKey(file) {
+	return file ? fs.readFileSync(file, 'utf8') : undefined;
+}
+
+// like PHP, the public key of an OpenSSL signed archive is read from "<archive>.pubkey" by default
+function readPublicKey(archive, options) {
+	if (options['public-key']) {
+		return readKey(options['public-key']);
+	}
+	return fs.existsSync(archive + '.pubkey') ? readKey(archive + '.pubkey') : undefined;
+}
+
+// archive format by file name (used for new and converted archives)
+function formatByName(file) {
+	var name = file.toLowerCase();
+	if (/\.zip$/.test(name)) {
+		return { type: 'zip' };
+	} else if (/\.(tar\.gz|tgz)$/.test(name)) {
+		return { type: 'tar', compression: PharUtils.COMPRESSION_GZ };
+	} else if (/\.(tar\.bz2|tbz2?)$/.test(name)) {
+		return { type: 'tar', compression: PharUtils.COMPRESSION_BZIP2 };
+	} else if (/\.tar$/.test(name)) {
+		return { type: 'tar', compression: PharUtils.COMPRESSION_NONE };
+	} else if (/\.phar\.gz$/.test(name)) {
+		return { type: 'phar', compression: PharUtils.COMPRESSION_GZ };
+	} else if (/\.phar\.bz2$/.test(name)) {
+		return { type: 'phar', compression: PharUtils.COMPRESSION_BZIP2 };
+	}
+	return { type: 'phar', compression: PharUtils.COMPRESSION_NONE };
+}
+
+// archive format by contents
+function formatByContents(data, file) {
+	if (data[0] == 0x50 && data[1] == 0x4b && data[2] == 0x03 && data[3] == 0x04) {
+		return { type: 'zip' };
+	}
+	var magic = String.fromCharCode.apply(null, data.subarray(data.length - 4));
+	if (magic == PharUtils.END_MAGIC) {
+		return { type: 'phar', compression: PharUtils.COMPRESSION_NONE };
+	}
+	// compressed phars and tars are told apart by name (.phar.gz, .phar.bz2)
+	var type = /\.phar\.(gz|bz2)$/i.test(file) ? 'phar' : 'tar';
+	if (data[0] == 0x1f && data[1] == 0x8b) {
+		return { type: type, compression: PharUtils.COMPRESSION_GZ };
+	}
+	if (data[0] == 0x42 && data[1] == 0x5a && data[2] == 0x68) {
+		return { type: type, compression: PharUtils.COMPRESSION_BZIP2 };
+	}
+	if (String.fromCharCode.apply(null, data.subarray(257, 262)) == 'ustar') {
+		return { type: 'tar', compression: PharUtils.COMPRESSION_NONE };
+	}
+	return formatByName(file);
+}
+
+function loadArchive(file, options, load_options) {
+	var data = new Uint8Array(fs.readFileSync(file));
+	var format = formatByContents(data, file);
+	
+	load_options = load_options || { };
+	load_options.public_key = readPublicKey(file, options);
+	
+	var phar = new PharUtils.Phar();
+	switch (format.type) {
+		case 'zip':
+			phar.loadZipData(data, load_options);
+			break;
+		
+		case 'tar':
+			phar.loadTarData(data, load_options);
+			break;
+		
+		default:
+			phar.loadPharData(data, load_options);
+	}
+	
+	if (options.signature || options['private-key']) {
+		var signature_type = options.signature ? lookup(signatureTypes(), options.signature, 'signature type') : phar.getSignatureType();
+		phar.setSignatureType(signature_type, readKey(options['private-key']));
+	}
+	phar.setReproducible(!!options.reproducible);
+	
+	return { phar: phar, format: format };
+}
+
+function saveArchive(phar, file, format) {
+	switch (format.type) {
+		case 'zip':
+			var data = phar.saveZipData(true);
+			break;
+		
+		case 'tar':
+			var data = phar.saveTarData(true, format.compression);
+			break;
+		
+		default:
+			var data = phar.savePharData(true, { compression: format.compression });
+	}
+	fs.writeFileSync(file, data);
+}
+
+function archiveName(file) {
+	return file.split(path.sep).join('/').replace(/^(\.\/)+/, '').replace(/^\/+/, '');
+}
+
+function fileFromDisk(name, file_path, stat, compression_type) {
+	return new PharUtils.PharFile(name, new Uint8Array(fs.readFileSync(file_path)), {
+		compression_type: compression_type,
+		timestamp: stat.mtime.getTime() / 1000 | 0,
+		permission: stat.mode & 511 // 0777
+	});
+}
+
+function formatPermission(permission) {
+	var result = '-';
+	var chars = 'rwx';
+	for (var i = 8; i >= 0; i--) {
+		result += (permission >> i) & 1 ? chars.charAt((8 - i) % 3) : '-';
+	}
+	return result;
+}
+
+function formatTimestamp(timestamp) {
+	return new Date(timestamp * 1000).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+function pad(str, length) {
+	str = String(str);
+	while (str.length < length) {
+		str = ' ' + str;
+	}
+	return str;
+}
+
+function hex(num) {
+	var str = num.toString(16);
+	while (str.length < 8) {
+		str = '0' + str;
+	}
+	return str;
+}
+
+function signatureName(type) {
+	var types = signatureTypes();
+	for (var name in types) {
+		if (types[name] == type) {
+			return name;
+		}
+	}
+	return String(type);
+}
+
+function toJSON(value) {
+	// Maps (PHP arrays whose key order objects would change) are written as {"__entries": [[key, value], ...]}
+	var entries = function(map) {
+		var result = [];
+		map.forEach(function(item, name) {
+			result.push([name, item]);
+		});
+		return result;
+	};
+	
+	return JSON.stringify(value, function(key, value) {
+		if (value instanceof PharUtils.PhpObject) {
+			var result = { __class: value.class_name };
+			if (value.properties instanceof Map) {
+				result.__entries = entries(value.properties);
+				return result;
+			}
+			for (var name in value.properties) {
+				result[name] = value.properties[name];
+			}
+			return result;
+		}
+		if (value instanceof Map) {
+			return { __entries: entries(value) };
+		}
+		return value;
+	}, 2);
+}
+
+function fromJSON(json) {
+	return JSON.parse(json, function(key, value) {
+		if (!value || typeof value !== 'object') {
+			return value;
+		}
+		var properties = Array.isArray(value.__entries) ? new Map(value.__entries) : value;
+		if (typeof value.__class === 'string') {
+			var class_name = value.__class;
+			delete value.__class;
+			return new PharUtils.PhpObject(class_name, properties);
+		}
+		return properties;
+	});
+}
+
+function requireArgs(args, count, usage) {
+	if (args.length < count) {
+		throw Error('Usage: pharutils ' + usage);
+	}
+}
+
+var commands = {
+	list: function(args, options) {
+		requireArgs(args, 1, 'list <archive>');
+		var files = loadArchive(args[0], options, { lazy: true }).phar.getFiles();
+		for (var i = 0; i < files.length; i++) {
+			var file = files[i];
+			console.log([
+				formatPermission(file.getPermission()),
+				pad(file.getSize(), 10),
+				pad(file.getCompressedSize(), 10),
+				formatTimestamp(file.getTimestamp()),
+				hex(file.getCRC32()),
+				file.getName()
+			].join(' '));
+		}
+	},
+	
+	extract: function(args, options) {
+		requireArgs(args, 1, 'extract <archive> [dir] [files...]');
+		var phar = loadArchive(args[0], options).phar;
+		phar.extractTo(args[1] || '.', {
+			files: args.length > 2 ? args.slice(2) : undefined,
+			overwrite: !!options.overwrite,
+			unsafe: options.unsafe
+		});
+	},
+	
+	create: function(args, options) {
+		requireArgs(args, 2, 'create <archive> <dir>');
+		var phar = new PharUtils.Phar({
+			alias: options.alias,
+			stub: options.stub ? fs.readFileSync(options.stub, 'latin1') : undefined,
+			reproducible: !!options.reproducible
+		});
+		phar.setSignatureType(lookup(signatureTypes(), options.signature || 'sha1', 'signature type'), readKey(options['private-key']));
+		
+		phar.buildFromDirectory(args[1], {
+			include: options.include,
+			exclude: options.exclude,
+			compression: lookup(compressionTypes(), options.compress || 'none', 'compression')
+		});
+		
+		saveArchive(phar, args[0], formatByName(args[0]));
+	},
+	
+	add: function(args, options) {
+		requireArgs(args, 2, 'add <archive> <file...>');
+		if (options.as && args.length != 2) {
+			throw Error('--as can be used with a single file only!');
+		}
+		var archive = loadArchive(args[0], options);
+		var compression_type = lookup(compressionTypes(), options.compress || 'none', 'compression');
+		
+		for (var i = 1; i < args.length; i++) {
+			var name = options.as || archiveName(args[i]);
+			archive.phar.removeFile(name);
+			archive.phar.addFile(fileFromDisk(name, args[i], fs.statSync(args[i]), compression_type));
+		}
+		
+		saveArchive(archive.phar, options.output || args[0], archive.format);
+	},
+	
+	remove: function(args, options) {
+		requireArgs(args, 2, 'remove <archive> <name...>');
+		var archive = loadArchive(args[0], options);
+		for (var i = 1; i < args.length; i++) {
+			if (!archive.phar.getFile(args[i])) {
+				throw Error('File "' + args[i] + '" not found in the archive!');
+			}
+			archive.phar.removeFile(args[i]);
+		}
+		saveArchive(archive.phar, options.output || args[0], archive.format);
+	},
+	
+	compress: function(args, options) {
+		requireArgs(args, 2, 'compress <archive> <none|gz|bz2>');
+		var archive = loadArchive(args[0], options);
+		var type = lookup(compressionTypes(), args[1], 'compression');
+		if (type == PharUtils.COMPRESSION_NONE) {
+			var report = archive.phar.decompressFiles({ match: options.include });
+		} else {
+			var report = archive.phar.compressFiles(type, {
+				match: options.include,
+				min_size: options['min-size'] ? Number(options['min-size']) : 0,
+				skip_if_larger: !!options['skip-larger'],
+				level: options.level ? Number(options.level) : undefined
+			});
+		}
+		saveArchive(archive.phar, options.output || args[0], archive.format);
+		
+		for (var i = 0; i < report.files.length; i++) {
+			var file = report.files[i];
+			console.log([
+				pad(file.size, 10),
+				pad(file.compressed_size, 10),
+				pad((file.ratio * 100).toFixed(1) + '%', 7),
+				file.name + (file.skipped ? ' (skipped: ' + file.skipped + ')' : '')
+			].join(' '));
+		}
+		console.log([pad(report.size, 10), pad(report.compressed_size, 10), pad((report.ratio * 100).toFixed(1) + '%', 7), 'total'].join(' '));
+	},
+	
+	stub: function(args, options) {
+		var usage = 'stub get <archive> | stub set <archive> <file> | stub default <archive> [index] [web] | stub info <archive>';
+		requireArgs(args, 2, usage);
+		var archive = loadArchive(args[1], options);
+		
+		switch (args[0]) {
+			case 'get':
+				process.stdout.write(Buffer.from(archive.phar.getStub(), 'latin1'));
+				break;
+			
+			case 'set':
+				requireArgs(args, 3, usage);
+				var stub = fs.readFileSync(args[2] == '-' ? 0 : args[2], 'latin1');
+				archive.phar.setStub(stub);
+				saveArchive(archive.phar, options.output || args[1], archive.format);
+				break;
+			
+			case 'default':
+				var web_index = args[3] == '-' ? null : args[3] || args[2];
+				archive.phar.setStub(PharUtils.PharStub.createDefault(args[2], web_index, {
+					alias: archive.phar.getAlias() || undefined,
+					shebang: PharUtils.PharStub.parse(archive.phar.getStub()).shebang || undefined
+				}));
+				saveArchive(archive.phar, options.output || args[1], archive.format);
+				break;
+			
+			case 'info':
+				console.log(JSON.stringify(PharUtils.PharStub.parse(archive.phar.getStub()), null, 2));
+				break;
+			
+			default:
+				throw Error('Usage: pharutils ' + usage);
+		}
+	},
+	
+	meta: function(args, options) {
+		var usage = 'meta get <archive> | meta set <archive> <json>';
+		requireArgs(args, 2, usage);
+		var archive = loadArchive(args[1], options);
+		
+		var target = archive.phar;
+		if (options.entry) {
+			target = archive.phar.getFile(options.entry);
+			if (!target) {
+				throw Error('File "' + options.entry + '" not found in the archive!');
+			}
+		}
+		
+		switch (args[0]) {
+			case 'get':
+				if (options.raw) {
+					process.stdout.write(Buffer.from(target.getMetadata(), 'latin1'));
+				} else {
+					console.log(toJSON(target.getMetadataValue()));
+				}
+				break;
+			
+			case 'set':
+				requireArgs(args, 3, usage);
+				if (options.raw) {
+					var raw = Buffer.from(args[2]).toString('latin1'); // lengths of serialized strings count UTF-8 bytes
+					PharUtils.PhpSerializer.unserialize(raw); // validate
+					target.setMetadata(raw);
+				} else {
+					target.setMetadataValue(fromJSON(args[2]));
+				}
+				saveArchive(archive.phar, options.output || args[1], archive.format);
+				break;
+			
+			default:
+				throw Error('Usage: pharutils ' + usage);
+		}
+	},
+	
+	verify: function(args, options) {
+		requireArgs(args, 1, 'verify <archive>');
+		var data = new Uint8Array(fs.readFileSync(args[0]));
+		var format = formatByContents(data, args[0]);
+		var phar = new PharUtils.Phar();
+		
+		try {
+			if (format.type == 'phar') {
+				phar.loadPharData(data, { public_key: readPublicKey(args[0], options), lenient: true });
+				var errors = phar.getDiagnostics().errors;
+			} else {
+				// tar and zip loaders stop at the first problem
+				phar = loadArchive(args[0], options).phar;
+				var errors = [];
+			}
+		} catch (error) {
+			var errors = [error];
+		}
+		
+		if (!errors.length) {
+			var signature = phar.getSignature();
+			console.log('OK: ' + (signature ? signatureName(phar.getSignatureType()) + ' signature ' + signature.hash : 'unsigned') + ', ' + phar.getFilesCount() + ' files');
+			return;
+		}
+		for (var i = 0; i < errors.length; i++) {
+			console.log((errors[i].code ? errors[i].code + ': ' : '') + errors[i].message);
+		}
+		process.exitCode = 1;
+	},
+	
+	sign: function(args, options) {
+		requireArgs(args, 2, 'sign <archive> <type>');
+		var archive = loadArchive(args[0], options);
+		archive.phar.setSignatureType(lookup(signatureTypes(), args[1], 'signature type'), readKey(options['private-key']));
+		saveArchive(archive.phar, options.output || args[0], archive.format);
+	},
+	
+	convert: function(args, options) {
+		requireArgs(args, 2, 'convert <input> <output>');
+		var archive = loadArchive(args[0], options);
+		saveArchive(archive.phar, args[1], formatByName(args[1]));
+	},
+	
+	diff: function(args, options) {
+		requireArgs(args, 2, 'diff <old> <new>');
+		var diff = PharUtils.diff(loadArchive(args[0], options).phar, loadArchive(args[1], options).phar);
+		if (options.json) {
+			console.log(JSON.stringify(diff, null, 2));
+		} else {
+			process.stdout.write(Buffer.from(PharUtils.formatDiff(diff), 'latin1'));
+		}
+		if (!diff.identical) {
+			process.exitCode = 1; // like diff(1)
+		}
+	},
+	
+	inspect: function(args, options) {
+		requireArgs(args, 1, 'inspect <archive>');
+		var report = PharUtils.inspect(new Uint8Array(fs.readFileSync(args[0])), { public_key: readPublicKey(args[0], options) });
+		if (options.json) {
+			console.log(JSON.stringify(report, null, 2));
+		} else {
+			console.log(args[0] + ': ' + (report.format || 'unknown format') + (report.compressed ? ' (' + report.compressed + ')' : '') +
+				', ' + report.entries + ' entries' + (report.signature_type ? ', ' + signatureName(report.signature_type) + ' signature' : ''));
+			for (var i = 0; i < report.findings.length; i++) {
+				var finding = report.findings[i];
+				console.log('[' + finding.severity + '] ' + finding.code + ': ' + finding.message);
+			}
+			if (!report.findings.length) {
+				console.log('No problems found');
+			}
+		}
+		if (report.severity == 'high') {
+			process.exitCode = 1;
+		}
+	},
+	
+	autoload: function(args, options) {
+		requireArgs(args, 1, 'autoload <archive> [index]');
+		var archive = loadArchive(args[0], options);
+		var report = archive.phar.generateAutoloader({
+			match: options.include,
+			exclude: options.exclude,
+			path: options.autoloader,
+			stub: !options['keep-stub'],
+			index: args[1]
+		});
+		saveArchive(archive.phar, options.output || args[0], archive.format);
+		
+		if (options.json) {
+			console.log(JSON.stringify(report, null, 2));
+			return;
+		}
+		console.log(report.path + ': ' + Object.keys(report.classmap).length + ' classes');
+		for (var i = 0; i < report.duplicates.length; i++) {
+			var duplicate = report.duplicates[i];
+			console.error('warning: ' + duplicate.name + ' is defined in ' + duplicate.files.join(', ') + ' (' + duplicate.files[0] + ' is used)');
+		}
+	},
+	
+	plugin: function(args, options) {
+		var usage = 'plugin check <archive> | plugin sync <archive> | plugin info <archive>';
+		requireArgs(args, 2, usage);
+		var archive = loadArchive(args[1], options);
+		
+		switch (args[0]) {
+			case 'check':
+				var report = archive.phar.checkPlugin();
+				if (options.json) {
+					console.log(JSON.stringify(report, null, 2));
+				} else {
+					if (report.description) {
+						console.log(report.description.name + ' v' + report.description.version + ' (API ' + report.description.api.join(', ') + ')');
+					}
+					report.errors.concat(report.warnings).forEach(function(problem) {
+						var type = report.errors.indexOf(problem) != -1 ? 'error' : 'warning';
+						console.log(type + (problem.field ? ' (' + problem.field + ')' : '') + ': ' + problem.message);
+					});
+					if (report.valid && !report.warnings.length) {
+						console.log('No problems found');
+					}
+				}
+				if (!report.valid) {
+					process.exitCode = 1;
+				}
+				break;
+			
+			case 'sync':
+				archive.phar.syncPluginMetadata();
+				saveArchive(archive.phar, options.output || args[1], archive.format);
+				break;
+			
+			case 'info':
+				console.log(JSON.stringify(archive.phar.getPluginDescription(), null, 2));
+				break;
+			
+			default:
+				throw Error('Usage: pharutils ' + usage);
+		}
+	}
+};
+
+function main(argv) {
+	var parsed = parseArgs(argv);
+	var command = parsed.args.shift();
+	if (!command || parsed.options.help) {
+		console.log(USAGE);
+		return;
+	}
+	if (!commands.hasOwnProperty(command)) {
+		throw Error('Unknown command "' + command + '"! See "pharutils --help".');
+	}
+	commands[command](parsed.args, parsed.options);
+}
+
+try {
+	main(process.argv.slice(2));
+} catch (error) {
+	console.error('pharutils: ' + error.message);
+	process.exitCode = 1;
+}
@@ -5,17 +5,40 @@
  * @copyright FaigerSYS 2018
  */
 
-(function() {
+(function(root, factory) {
+	if (typeof define === 'function' && define.amd) {
+		define([], function() {
+			return factory();
+		});
+	} else if (typeof module === 'object' && module.exports) {
+		var worker_threads = null;
+		try {
+			worker_threads = require('worker_threads'); // Node.js 10.5+ (behind a flag before 11.7)
+		} catch (error) {
+			// workers are not available
+		}
+		module.exports = factory(require('zlib'), require('crypto'), require('fs'), require('path'), worker_threads, module.filename);
+	} else {
+		root.PharUtils = factory();
+	}
+}(typeof self !== 'undefined' ? self : this, function(node_zlib, node_crypto, node_fs, node_path, node_worker_threads, module_filename) {
+	// Node.js built-ins are used when available (bundlers may replace them with empty modules)
+	node_zlib = node_zlib && node_zlib.inflateRawSync ? node_zlib : null;
+	node_crypto = node_crypto && node_crypto.createHash ? node_crypto : null;
+	node_fs = node_fs && node_fs.readFileSync ? node_fs : null;
+	node_path = node_path && node_path.resolve ? node_path : null;
+	node_worker_threads = node_worker_threads && node_worker_threads.Worker && module_filename ? node_worker_threads : null;
+	
 	var error = false;
-	if (typeof Zlib.RawInflate === 'undefined') {
+	if (!node_zlib && (typeof Zlib === 'undefined' || typeof Zlib.RawInflate === 'undefined')) {
 		error = true;
 		console.error('Zlib.RawInflate not found!');
 	}
-	if (typeof Zlib.RawDeflate === 'undefined') {
+	if (!node_zlib && (typeof Zlib === 'undefined' || typeof Zlib.RawDeflate === 'undefined')) {
 		error = true;
 		console.error('Zlib.RawDeflate not found!');
 	}
-	if (typeof Hashes === 'undefined') {
+	if (!node_crypto && typeof Hashes === 'undefined') {
 		error = true;
 		console.error('Hashes not found!');
 	}
@@ -23,7 +46,50 @@
 		throw Error('Required libraries are not installed!');
 	}
 	
-	function crc32(str) {
+	function rawInflate(data) {
+		if (node_zlib) {
+			var result = node_zlib.inflateRawSync(data);
+			return new Uint8Array(result.buffer, result.byteOffset, result.length);
+		}
+		return (new Zlib.RawInflate(data)).decompress();
+	}
+	
+	function rawDeflate(data, level) {
+		// level (1-9) is used only with Node.js zlib, zlib.js has no levels
+		if (node_zlib) {
+			var result = node_zlib.deflateRawSync(data, level ? { level: level } : { });
+			return new Uint8Array(result.buffer, result.byteOffset, result.length);
+		}
+		return (new Zlib.RawDeflate(data)).compress();
+	}
+	
+	function hashData(algorithm, data) {
+		if (node_crypto) {
+			if (typeof data === 'string') {
+				return node_crypto.createHash(algorithm).update(toBinaryString(data), 'binary').digest('binary');
+			}
+			return node_crypto.createHash(algorithm).update(data).digest('binary');
+		}
+		
+		var str = fromUint8Array(data);
+		switch (algorithm) {
+			case 'md5':
+				return (new Hashes.MD5({utf8: false})).raw(str);
+			
+			case 'sha1':
+				return (new Hashes.SHA1({utf8: false})).raw(str);
+			
+			case 'sha256':
+				return (new Hashes.SHA256({utf8: false})).raw(str);
+			
+			case 'sha512':
+				return (new Hashes.SHA512({utf8: false})).raw(str);
+		}
+	}
+	
+	var crcTable = null;
+	
+	function crc32(data) {
 		var makeCRCTable = function() {
 			var c;
 			var crcTable = [];
@@ -36,536 +102,6586 @@
 			}
 			return crcTable;
 		}
-		var crcTable = window.PharUtils_crcTable || (window.PharUtils_crcTable = makeCRCTable());
+		crcTable = crcTable || makeCRCTable();
 		
 		var crc = 0 ^ (-1);
-		for (var i = 0; i < str.length; i++ ) {
-			crc = (crc >>> 8) ^ crcTable[(crc ^ str.charCodeAt(i)) & 0xFF];
+		if (typeof data === 'string') {
+			data = toBinaryString(data);
+			for (var i = 0; i < data.length; i++ ) {
+				crc = (crc >>> 8) ^ crcTable[(crc ^ data.charCodeAt(i)) & 0xFF];
+			}
+		} else {
+			for (var i = 0; i < data.length; i++ ) {
+				crc = (crc >>> 8) ^ crcTable[(crc ^ data[i]) & 0xFF];
+			}
 		}
 		return (crc ^ (-1)) >>> 0;
 	}
 	
-	function toUint8Array(str) {
-		var u8a = new Uint8Array(str.length);
-		for (var i = 0; i < str.length; i++){
-			u8a[i] = str.charCodeAt(i);
+	function toUint8Array(data) {
+		// Uint8Array (and Node.js Buffer) is used as is
+		if (data instanceof Uint8Array) {
+			return data;
+		}
+		if (typeof ArrayBuffer !== 'undefined') {
+			if (data instanceof ArrayBuffer) {
+				return new Uint8Array(data);
+			}
+			if (ArrayBuffer.isView(data)) {
+				return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+			}
+		}
+		if (isBlob(data)) {
+			throw Error('Blob can be read only asynchronously!');
+		}
+		if (typeof data !== 'string') {
+			throw Error('Binary data must be a string, Uint8Array, ArrayBuffer or Blob!');
+		}
+		if (hasUnicode(data)) {
+			return encodeUTF8(data);
+		}
+		
+		var u8a = new Uint8Array(data.length);
+		for (var i = 0; i < data.length; i++){
+			u8a[i] = data.charCodeAt(i);
 		}
 		return u8a;
 	}
 	
+	function toBinaryString(data) {
+		// strings with characters above U+00FF are text, they are encoded as UTF-8
+		if (typeof data === 'string' && !hasUnicode(data)) {
+			return data;
+		}
+		return fromUint8Array(toUint8Array(data));
+	}
+	
+	function hasUnicode(str) {
+		return /[^\x00-\xff]/.test(str);
+	}
+	
+	function binaryToText(str) {
+		// reverse of toBinaryString(): only UTF-8 that decodes to characters above U+00FF was text
+		if (!/[\x80-\xff]/.test(str)) {
+			return str;
+		}
+		var text = decodeUTF8(toUint8Array(str));
+		return hasUnicode(text) && toBinaryString(text) === str ? text : str;
+	}
+	
+	function isBlob(data) {
+		return typeof Blob !== 'undefined' && data instanceof Blob;
+	}
+	
+	function readBlob(blob) {
+		if (typeof blob.arrayBuffer === 'function') {
+			return blob.arrayBuffer().then(function(buffer) {
+				return new Uint8Array(buffer);
+			});
+		}
+		return new Promise(function(resolve, reject) {
+			var reader = new FileReader();
+			reader.onload = function() {
+				resolve(new Uint8Array(reader.result));
+			};
+			reader.onerror = function() {
+				reject(reader.error);
+			};
+			reader.readAsArrayBuffer(blob);
+		});
+	}
+	
+	function encodeUTF8(str) {
+		if (typeof TextEncoder !== 'undefined') {
+			return (new TextEncoder()).encode(str);
+		}
+		
+		var bytes = [];
+		for (var i = 0; i < str.length; i++) {
+			var code = str.charCodeAt(i);
+			if (code >= 0xd800 && code < 0xdc00 && i + 1 < str.length) {
+				var low = str.charCodeAt(i + 1);
+				if (low >= 0xdc00 && low < 0xe000) {
+					code = 0x10000 + ((code - 0xd800) << 10) + (low - 0xdc00);
+					i++;
+				}
+			}
+			if (code >= 0xd800 && code < 0xe000) {
+				code = 0xfffd; // lone surrogate
+			}
+			
+			if (code < 0x80) {
+				bytes.push(code);
+			} else if (code < 0x800) {
+				bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+			} else if (code < 0x10000) {
+				bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+			} else {
+				bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+			}
+		}
+		return new Uint8Array(bytes);
+	}
+	
+	function decodeUTF8(u8a) {
+		if (typeof TextDecoder !== 'undefined') {
+			return (new TextDecoder('utf-8')).decode(u8a);
+		}
+		
+		// WHATWG decoder: invalid sequences become U+FFFD, like in TextDecoder
+		var chars = [];
+		var code = 0, needed = 0, seen = 0, lower = 0x80, upper = 0xbf;
+		for (var i = 0; i < u8a.length; i++) {
+			var value = u8a[i];
+			if (needed == 0) {
+				if (value < 0x80) {
+					chars.push(value);
+				} else if (value >= 0xc2 && value <= 0xdf) {
+					needed = 1;
+					code = value & 0x1f;
+				} else if (value >= 0xe0 && value <= 0xef) {
+					lower = value == 0xe0 ? 0xa0 : 0x80;
+					upper = value == 0xed ? 0x9f : 0xbf;
+					needed = 2;
+					code = value & 0x0f;
+				} else if (value >= 0xf0 && value <= 0xf4) {
+					lower = value == 0xf0 ? 0x90 : 0x80;
+					upper = value == 0xf4 ? 0x8f : 0xbf;
+					needed = 3;
+					code = value & 0x07;
+				} else {
+					chars.push(0xfffd);
+				}
+				continue;
+			}
+			
+			if (value < lower || value > upper) {
+				code = needed = seen = 0;
+				lower = 0x80;
+				upper = 0xbf;
+				chars.push(0xfffd);
+				i--; // the byte starts a new sequence
+				continue;
+			}
+			lower = 0x80;
+			upper = 0xbf;
+			code = (code << 6) | (value & 0x3f);
+			if (++seen == needed) {
+				if (code >= 0x10000) {
+					code -= 0x10000;
+					chars.push(0xd800 + (code >> 10), 0xdc00 + (code & 0x3ff));
+				} else {
+					chars.push(code);
+				}
+				code = needed = seen = 0;
+			}
+		}
+		if (needed) {
+			chars.push(0xfffd);
+		}
+		
+		var result = '';
+		for (var i = 0; i < chars.length; i += 0x8000) {
+			result += String.fromCharCode.apply(null, chars.slice(i, i + 0x8000));
+		}
+		return result;
+	}
+	
+	function indexOfBytes(u8a, str) {
+		var first = str.charCodeAt(0);
+		for (var i = 0; i <= u8a.length - str.length; i++) {
+			if (u8a[i] != first) {
+				continue;
+			}
+			for (var j = 1; j < str.length && u8a[i + j] == str.charCodeAt(j); j++);
+			if (j == str.length) {
+				return i;
+			}
+		}
+		return -1;
+	}
+	
 	function fromUint8Array(u8a) {
-		var str = '';
-		for (var i = 0; i < u8a.length; i++){
-			str += String.fromCharCode(u8a[i]);
+		if (typeof u8a === 'string') {
+			return u8a;
 		}
-		return str;
+		
+		// String.fromCharCode has an argument count limit, so convert by chunks
+		var chunks = [];
+		for (var i = 0; i < u8a.length; i += 0x8000) {
+			chunks.push(String.fromCharCode.apply(null, u8a.subarray(i, i + 0x8000)));
+		}
+		return chunks.join('');
 	}
 	
-	var PharUtils = {
-		/**
-		 * Compression flags
-		 * @property {number} COMPRESSION_NONE
-		 * @property {number} COMPRESSION_GZ
-		 * @property {number} COMPRESSION_BZIP2
-		 * @readonly
-		 */
-		COMPRESSION_NONE: 0x0000,
-		COMPRESSION_GZ: 0x1000,
-		COMPRESSION_BZIP2: 0x2000,
-		SUPPORTED_COMPRESSION: [0x0000, 0x1000], // COMPRESSION_NONE and COMPRESSION_GZ
+	function isMap(data) {
+		return typeof Map !== 'undefined' && data instanceof Map;
+	}
+	
+	// web server fallback (serves files extracted by Extract_Phar)
+	var DEFAULT_STUB_WEB = [
+		'if (@(isset($_SERVER[\'REQUEST_URI\']) && isset($_SERVER[\'REQUEST_METHOD\']) && ($_SERVER[\'REQUEST_METHOD\'] == \'GET\' || $_SERVER[\'REQUEST_METHOD\'] == \'POST\'))) {',
+		'Extract_Phar::go(true);',
+		'$mimes = array(',
+		'\'phps\' => 2,',
+		'\'c\' => \'text/plain\',',
+		'\'cc\' => \'text/plain\',',
+		'\'cpp\' => \'text/plain\',',
+		'\'c++\' => \'text/plain\',',
+		'\'dtd\' => \'text/plain\',',
+		'\'h\' => \'text/plain\',',
+		'\'log\' => \'text/plain\',',
+		'\'rng\' => \'text/plain\',',
+		'\'txt\' => \'text/plain\',',
+		'\'xsd\' => \'text/plain\',',
+		'\'php\' => 1,',
+		'\'inc\' => 1,',
+		'\'avi\' => \'video/avi\',',
+		'\'bmp\' => \'image/bmp\',',
+		'\'css\' => \'text/css\',',
+		'\'gif\' => \'image/gif\',',
+		'\'htm\' => \'text/html\',',
+		'\'html\' => \'text/html\',',
+		'\'htmls\' => \'text/html\',',
+		'\'ico\' => \'image/x-ico\',',
+		'\'jpe\' => \'image/jpeg\',',
+		'\'jpg\' => \'image/jpeg\',',
+		'\'jpeg\' => \'image/jpeg\',',
+		'\'js\' => \'application/x-javascript\',',
+		'\'midi\' => \'audio/midi\',',
+		'\'mid\' => \'audio/midi\',',
+		'\'mod\' => \'audio/mod\',',
+		'\'mov\' => \'movie/quicktime\',',
+		'\'mp3\' => \'audio/mp3\',',
+		'\'mpg\' => \'video/mpeg\',',
+		'\'mpeg\' => \'video/mpeg\',',
+		'\'pdf\' => \'application/pdf\',',
+		'\'png\' => \'image/png\',',
+		'\'swf\' => \'application/shockwave-flash\',',
+		'\'tif\' => \'image/tiff\',',
+		'\'tiff\' => \'image/tiff\',',
+		'\'wav\' => \'audio/wav\',',
+		'\'xbm\' => \'image/xbm\',',
+		'\'xml\' => \'text/xml\',',
+		');',
+		'',
+		'header("Cache-Control: no-cache, must-revalidate");',
+		'header("Pragma: no-cache");',
+		'',
+		'$basename = basename(__FILE__);',
+		'if (!strpos($_SERVER[\'REQUEST_URI\'], $basename)) {',
+		'chdir(Extract_Phar::$temp);',
+		'include $web;',
+		'return;',
+		'}',
+		'$pt = substr($_SERVER[\'REQUEST_URI\'], strpos($_SERVER[\'REQUEST_URI\'], $basename) + strlen($basename));',
+		'if (!$pt || $pt == \'/\') {',
+		'$pt = $web;',
+		'header(\'HTTP/1.1 301 Moved Permanently\');',
+		'header(\'Location: \' . $_SERVER[\'REQUEST_URI\'] . \'/\' . $pt);',
+		'exit;',
+		'}',
+		'$a = realpath(Extract_Phar::$temp . DIRECTORY_SEPARATOR . $pt);',
+		'if (!$a || strlen(dirname($a)) < strlen(Extract_Phar::$temp)) {',
+		'header(\'HTTP/1.0 404 Not Found\');',
+		'echo "<html>\\n <head>\\n  <title>File Not Found<title>\\n </head>\\n <body>\\n  <h1>404 - File Not Found</h1>\\n </body>\\n</html>";',
+		'exit;',
+		'}',
+		'$b = pathinfo($a);',
+		'if (!isset($b[\'extension\'])) {',
+		'header(\'Content-Type: text/plain\');',
+		'header(\'Content-Length: \' . filesize($a));',
+		'readfile($a);',
+		'exit;',
+		'}',
+		'if (isset($mimes[$b[\'extension\']])) {',
+		'if ($mimes[$b[\'extension\']] === 1) {',
+		'include $a;',
+		'exit;',
+		'}',
+		'if ($mimes[$b[\'extension\']] === 2) {',
+		'highlight_file($a);',
+		'exit;',
+		'}',
+		'header(\'Content-Type: \' .$mimes[$b[\'extension\']]);',
+		'header(\'Content-Length: \' . filesize($a));',
+		'readfile($a);',
+		'exit;',
+		'}',
+		'}'
+	].join('\n');
+	
+	// extracts the phar to a temporary directory when the phar extension is not available
+	var DEFAULT_STUB_EXTRACT = [
+		'class Extract_Phar',
+		'{',
+		'static $temp;',
+		'static $origdir;',
+		'const GZ = 0x1000;',
+		'const BZ2 = 0x2000;',
+		'const MASK = 0x3000;',
+		'const START = \'@INDEX@\';',
+		'const LEN = @LEN@;',
+		'',
+		'static function go($return = false)',
+		'{',
+		'$fp = fopen(__FILE__, \'rb\');',
+		'fseek($fp, self::LEN);',
+		'$L = unpack(\'V\', $a = fread($fp, 4));',
+		'$m = \'\';',
+		'',
+		'do {',
+		'$read = 8192;',
+		'if ($L[1] - strlen($m) < 8192) {',
+		'$read = $L[1] - strlen($m);',
+		'}',
+		'$last = fread($fp, $read);',
+		'$m .= $last;',
+		'} while (strlen($last) && strlen($m) < $L[1]);',
+		'',
+		'if (strlen($m) < $L[1]) {',
+		'die(\'ERROR: manifest length read was "\' .',
+		'strlen($m) .\'" should be "\' .',
+		'$L[1] . \'"\');',
+		'}',
+		'',
+		'$info = self::_unpack($m);',
+		'$f = $info[\'c\'];',
+		'',
+		'if ($f & self::GZ) {',
+		'if (!function_exists(\'gzinflate\')) {',
+		'die(\'Error: zlib extension is not enabled -\' .',
+		'\' gzinflate() function needed for zlib-compressed .phars\');',
+		'}',
+		'}',
+		'',
+		'if ($f & self::BZ2) {',
+		'if (!function_exists(\'bzdecompress\')) {',
+		'die(\'Error: bzip2 extension is not enabled -\' .',
+		'\' bzdecompress() function needed for bz2-compressed .phars\');',
+		'}',
+		'}',
+		'',
+		'$temp = self::tmpdir();',
+		'',
+		'if (!$temp || !is_writable($temp)) {',
+		'$sessionpath = session_save_path();',
+		'if (strpos ($sessionpath, ";") !== false)',
+		'$sessionpath = substr ($sessionpath, strpos ($sessionpath, ";")+1);',
+		'if (!file_exists($sessionpath) || !is_dir($sessionpath)) {',
+		'die(\'Could not locate temporary directory to extract phar\');',
+		'}',
+		'$temp = $sessionpath;',
+		'}',
+		'',
+		'$temp .= \'/pharextract/\'.basename(__FILE__, \'.phar\');',
+		'self::$temp = $temp;',
+		'self::$origdir = getcwd();',
+		'@mkdir($temp, 0777, true);',
+		'$temp = realpath($temp);',
+		'',
+		'if (!file_exists($temp . DIRECTORY_SEPARATOR . md5_file(__FILE__))) {',
+		'self::_removeTmpFiles($temp, getcwd());',
+		'@mkdir($temp, 0777, true);',
+		'@file_put_contents($temp . \'/\' . md5_file(__FILE__), \'\');',
+		'',
+		'foreach ($info[\'m\'] as $path => $file) {',
+		'$a = !file_exists(dirname($temp . \'/\' . $path));',
+		'@mkdir(dirname($temp . \'/\' . $path), 0777, true);',
+		'clearstatcache();',
+		'',
+		'if ($path[strlen($path) - 1] == \'/\') {',
+		'@mkdir($temp . \'/\' . $path, 0777);',
+		'} else {',
+		'file_put_contents($temp . \'/\' . $path, self::extractFile($path, $file, $fp));',
+		'@chmod($temp . \'/\' . $path, 0666);',
+		'}',
+		'}',
+		'}',
+		'',
+		'chdir($temp);',
+		'',
+		'if (!$return) {',
+		'include self::START;',
+		'}',
+		'}',
+		'',
+		'static function tmpdir()',
+		'{',
+		'if (strpos(PHP_OS, \'WIN\') !== false) {',
+		'if ($var = getenv(\'TMP\') ? getenv(\'TMP\') : getenv(\'TEMP\')) {',
+		'return $var;',
+		'}',
+		'if (is_dir(\'/temp\') || mkdir(\'/temp\')) {',
+		'return realpath(\'/temp\');',
+		'}',
+		'return false;',
+		'}',
+		'if ($var = getenv(\'TMPDIR\')) {',
+		'return $var;',
+		'}',
+		'return realpath(\'/tmp\');',
+		'}',
+		'',
+		'static function _unpack($m)',
+		'{',
+		'$info = unpack(\'V\', substr($m, 0, 4));',
+		'$l = unpack(\'V\', substr($m, 10, 4));',
+		'$m = substr($m, 14 + $l[1]);',
+		'$s = unpack(\'V\', substr($m, 0, 4));',
+		'$o = 0;',
+		'$start = 4 + $s[1];',
+		'$ret[\'c\'] = 0;',
+		'',
+		'for ($i = 0; $i < $info[1]; $i++) {',
+		'$len = unpack(\'V\', substr($m, $start, 4));',
+		'$start += 4;',
+		'$savepath = substr($m, $start, $len[1]);',
+		'$start += $len[1];',
+		'$ret[\'m\'][$savepath] = array_values(unpack(\'Va/Vb/Vc/Vd/Ve/Vf\', substr($m, $start, 24)));',
+		'$ret[\'m\'][$savepath][3] = sprintf(\'%u\', $ret[\'m\'][$savepath][3]',
+		'& 0xffffffff);',
+		'$ret[\'m\'][$savepath][7] = $o;',
+		'$o += $ret[\'m\'][$savepath][2];',
+		'$start += 24 + $ret[\'m\'][$savepath][5];',
+		'$ret[\'c\'] |= $ret[\'m\'][$savepath][4] & self::MASK;',
+		'}',
+		'return $ret;',
+		'}',
+		'',
+		'static function extractFile($path, $entry, $fp)',
+		'{',
+		'$data = \'\';',
+		'$c = $entry[2];',
+		'',
+		'while ($c) {',
+		'if ($c < 8192) {',
+		'$data .= @fread($fp, $c);',
+		'$c = 0;',
+		'} else {',
+		'$c -= 8192;',
+		'$data .= @fread($fp, 8192);',
+		'}',
+		'}',
+		'',
+		'if ($entry[4] & self::GZ) {',
+		'$data = gzinflate($data);',
+		'} elseif ($entry[4] & self::BZ2) {',
+		'$data = bzdecompress($data);',
+		'}',
+		'',
+		'if (strlen($data) != $entry[0]) {',
+		'die("Invalid internal .phar file (size error " . strlen($data) . " != " .',
+		'$entry[0] . ")");',
+		'}',
+		'',
+		'if ($entry[3] != sprintf("%u", crc32($data) & 0xffffffff)) {',
+		'die("Invalid internal .phar file (checksum error)");',
+		'}',
+		'',
+		'return $data;',
+		'}',
+		'',
+		'static function _removeTmpFiles($temp, $origdir)',
+		'{',
+		'chdir($temp);',
+		'',
+		'foreach (glob(\'*\') as $f) {',
+		'if (file_exists($f)) {',
+		'is_dir($f) ? @rmdir($f) : @unlink($f);',
+		'if (file_exists($f) && is_dir($f)) {',
+		'self::_removeTmpFiles($f, getcwd());',
+		'}',
+		'}',
+		'}',
+		'',
+		'@rmdir($temp);',
+		'clearstatcache();',
+		'chdir($origdir);',
+		'}',
+		'}',
+		'',
+		'Extract_Phar::go();'
+	].join('\n');
+	
+	// paths and directories
+	
+	var file_renames = 0; // names changed by PharFile.setName(), indexes of phars are rebuilt after them
+	
+	function normalizePath(path) {
+		var parts = toBinaryString(String(path)).split('/');
+		var result = [];
+		for (var i = 0; i < parts.length; i++) {
+			if (parts[i] === '' || parts[i] == '.') {
+				continue;
+			}
+			if (parts[i] == '..') {
+				result.pop();
+			} else {
+				result.push(parts[i]);
+			}
+		}
+		return result.join('/');
+	}
+	
+	function buildDirectoryTree(files, directories) {
+		// directory path => { child name => entry }
+		var tree = Object.create(null);
+		tree[''] = Object.create(null);
 		
-		/**
-		 * Signature types
-		 * @property {number} SIGNATURE_MD5
-		 * @property {number} SIGNATURE_SHA1
-		 * @property {number} SIGNATURE_SHA256
-		 * @property {number} SIGNATURE_SHA512
-		 * @readonly
-		 */
-		SIGNATURE_MD5: 0x01,
-		SIGNATURE_SHA1: 0x02,
-		SIGNATURE_SHA256: 0x04,
-		SIGNATURE_SHA512: 0x08,
+		var addEntry = function(path, file, is_directory) {
+			var parts = path.split('/');
+			var parent = '';
+			for (var i = 0; i < parts.length; i++) {
+				var current = parent === '' ? parts[i] : parent + '/' + parts[i];
+				var is_last = i == parts.length - 1;
+				var children = tree[parent];
+				if (is_last && !is_directory) {
+					children[parts[i]] = { name: parts[i], path: current, is_directory: false, file: file };
+				} else {
+					if (!tree[current]) {
+						tree[current] = Object.create(null);
+					}
+					if (!children[parts[i]] || is_last) {
+						children[parts[i]] = { name: parts[i], path: current, is_directory: true, file: is_last ? file : null };
+					}
+				}
+				parent = current;
+			}
+		};
 		
-		/**
-		 * End of the phar file (magic)
-		 * @property {string} END_MAGIC
-		 * @readonly
-		 */
-		END_MAGIC: 'GBMB',
+		for (var name in directories) {
+			addEntry(normalizePath(name), directories[name], true);
+		}
+		for (var i = 0; i < files.length; i++) {
+			addEntry(normalizePath(files[i].getName()), files[i], false);
+		}
+		return tree;
+	}
+	
+	function indexFile(index, file) {
+		// the first of the files with the same name is found by getFile(),
+		// loaded files with names like "./a.php" are found by their normalized path too
+		var name = file.getName();
+		var path = normalizePath(name);
+		if (!(name in index)) {
+			index[name] = file;
+		}
+		if (!(path in index)) {
+			index[path] = file;
+		}
+	}
+	
+	function indexFiles(phar) {
+		phar.index = Object.create(null);
+		for (var i = 0; i < phar.files.length; i++) {
+			indexFile(phar.index, phar.files[i]);
+		}
+		phar.indexed_renames = file_renames;
+		phar.tree = null;
+	}
+	
+	function addLoadedEntry(phar, entry, is_directory, paths) {
+		// names read from archives are kept as stored, entries with the same path are all kept and reported
+		var name = entry.getName();
+		var path = normalizePath(name);
+		if (path in paths) {
+			phar.diagnostics.errors.push(new PharUtils.PharEntryError('Entry "' + name + '" has the same path as "' + paths[path] + '"', PharUtils.ERROR_DUPLICATE_ENTRY, name));
+		} else {
+			paths[path] = name;
+		}
 		
-		/**
-		 * End of the stub
-		 * @property {string} STUB_END
-		 * @readonly
-		 */
-		STUB_END: '__HALT_COMPILER(); ?>\r\n',
+		if (is_directory) {
+			if (!(name in phar.directories)) {
+				phar.directories[name] = entry;
+			}
+		} else {
+			phar.files.push(entry);
+			indexFile(phar.index, entry);
+		}
+		phar.tree = null;
+	}
+	
+	function loadedDirectory(name, options) {
+		return new PharUtils.PharFile(name.replace(/\/+$/, ''), '', {
+			timestamp: options.timestamp,
+			permission: options.permission || 493, // 0755
+			metadata: options.metadata
+		});
+	}
+	
+	function globToRegExp(pattern) {
+		var regex = '';
+		for (var i = 0; i < pattern.length; i++) {
+			var c = pattern.charAt(i);
+			switch (c) {
+				case '*':
+					if (pattern.charAt(i + 1) != '*') {
+						regex += '[^/]*';
+					} else if (pattern.charAt(i + 2) == '/') {
+						regex += '(?:.*/)?'; // "**/" - any (or no) directories
+						i += 2;
+					} else {
+						regex += '.*';
+						i++;
+					}
+					break;
+				
+				case '?':
+					regex += '[^/]';
+					break;
+				
+				case '[':
+					var end = pattern.indexOf(']', i + 2);
+					if (end == -1) {
+						regex += '\\[';
+						break;
+					}
+					var set = pattern.substring(i + 1, end).replace(/\\/g, '\\\\');
+					regex += '[' + (set.charAt(0) == '!' ? '^' + set.substring(1) : set) + ']';
+					i = end;
+					break;
+				
+				case '{':
+					var end = pattern.indexOf('}', i);
+					if (end == -1) {
+						regex += '\\{';
+						break;
+					}
+					var options = pattern.substring(i + 1, end).split(',');
+					for (var j = 0; j < options.length; j++) {
+						options[j] = globToRegExp(options[j]).source.slice(1, -1);
+					}
+					regex += '(?:' + options.join('|') + ')';
+					i = end;
+					break;
+				
+				default:
+					regex += c.replace(/[.+^$()|\\\]]/g, '\\$&');
+			}
+		}
+		return new RegExp('^' + regex + '$');
+	}
+	
+	// file system (Node.js only)
+	
+	function toMatchers(patterns) {
+		// glob strings and RegExps, matched against paths relative to the base directory
+		if (patterns === undefined || patterns === null) {
+			return null;
+		}
+		patterns = Array.isArray(patterns) ? patterns : [patterns];
+		return patterns.map(function(pattern) {
+			return pattern instanceof RegExp ? pattern : globToRegExp(normalizePath(pattern));
+		});
+	}
+	
+	function matchesAny(matchers, path) {
+		for (var i = 0; i < matchers.length; i++) {
+			matchers[i].lastIndex = 0;
+			if (matchers[i].test(path)) {
+				return true;
+			}
+		}
+		return false;
+	}
+	
+	function createBuildFilter(options) {
+		var include = toMatchers(options.include);
+		var exclude = toMatchers(options.exclude) || [];
+		var pattern = typeof options.pattern === 'string' ? new RegExp(options.pattern) : options.pattern;
 		
-		/**
-		 * Binary utils
-		 * @member PharUtils
-		 * @class Binary
-		 */
-		Binary: {
-			/**
-			 * Reads little-endian 32-bit number
-			 * @property {string} buffer
-			 * @returns {number}
-			 */
-			readLInt: function(buffer) {
-				var num = 0;
-				for (var i = 0; i < 4; i++) {
-					num |= buffer.charCodeAt(i) << (8 * i);
+		return {
+			// excluded directories are not walked at all
+			directory: function(relative) {
+				return !matchesAny(exclude, relative) && !matchesAny(exclude, relative + '/');
+			},
+			file: function(relative, full_path) {
+				if (pattern) {
+					pattern.lastIndex = 0;
+					if (!pattern.test(full_path)) {
+						return false;
+					}
+				}
+				return (!include || matchesAny(include, relative)) && !matchesAny(exclude, relative);
+			}
+		};
+	}
+	
+	function buildCompressionType(compression, name) {
+		// number, or { extension: type, '*': default type }
+		if (typeof compression === 'number') {
+			return compression;
+		}
+		if (!compression) {
+			return PharUtils.COMPRESSION_NONE;
+		}
+		var dot = name.lastIndexOf('.');
+		var extension = dot > name.lastIndexOf('/') ? name.substring(dot + 1).toLowerCase() : '';
+		if (extension in compression) {
+			return compression[extension];
+		}
+		return compression['*'] || PharUtils.COMPRESSION_NONE;
+	}
+	
+	function buildFile(phar, name, file_path, options) {
+		var stat = node_fs.statSync(file_path);
+		if (!stat.isFile()) {
+			throw Error('"' + file_path + '" is not a file!');
+		}
+		
+		name = normalizePath((options.prefix || '') + '/' + name);
+		var contents = node_fs.readFileSync(file_path);
+		phar.addFile(new PharUtils.PharFile(name, new Uint8Array(contents.buffer, contents.byteOffset, contents.length), {
+			compression_type: buildCompressionType(options.compression, name),
+			timestamp: stat.mtime.getTime() / 1000 | 0,
+			permission: stat.mode & 511 // 0777
+		}));
+		return name;
+	}
+	
+	function unsafePathReason(name) {
+		if (name === '') {
+			return 'empty name';
+		}
+		if (name.indexOf('\0') != -1) {
+			return 'NUL character';
+		}
+		if (/^[\/\\]/.test(name) || /^[a-zA-Z]:/.test(name)) {
+			return 'absolute path';
+		}
+		if (name.split(/[\/\\]/).indexOf('..') != -1) {
+			return 'path traversal';
+		}
+		return null;
+	}
+	
+	function sanitizePath(name) {
+		// "..", drive letters and leading slashes are dropped, backslashes become separators
+		return normalizePath(name.replace(/\0/g, '').replace(/\\/g, '/').replace(/^[a-zA-Z]:/, '').split('/').filter(function(part) {
+			return part != '..';
+		}).join('/'));
+	}
+	
+	function isInside(root, path) {
+		return path == root || path.indexOf(root.charAt(root.length - 1) == node_path.sep ? root : root + node_path.sep) == 0;
+	}
+	
+	function lstatOrNull(path) {
+		try {
+			return node_fs.lstatSync(path);
+		} catch (error) {
+			if (error.code == 'ENOENT') {
+				return null;
+			}
+			throw error;
+		}
+	}
+	
+	function requireFileSystem(method) {
+		if (!node_fs || !node_path) {
+			throw Error(method + '() is available only in Node.js!');
+		}
+	}
+	
+	// bzip2 codec (used by COMPRESSION_BZIP2)
+	
+	var BZIP2_BLOCK_MAGIC = [0x314159, 0x265359];
+	var BZIP2_END_MAGIC = [0x177245, 0x385090];
+	var BZIP2_GROUP_SIZE = 50;
+	var BZIP2_MAX_CODE_LEN = 17;
+	
+	var bzip2CRCTable = null;
+	
+	function bzip2CRC(crc, byte) {
+		if (!bzip2CRCTable) {
+			bzip2CRCTable = new Uint32Array(256);
+			for (var n = 0; n < 256; n++) {
+				var c = n << 24;
+				for (var k = 0; k < 8; k++) {
+					c = (c & 0x80000000) ? ((c << 1) ^ 0x04c11db7) : (c << 1);
+				}
+				bzip2CRCTable[n] = c >>> 0;
+			}
+		}
+		return ((crc << 8) ^ bzip2CRCTable[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+	}
+	
+	function bzip2Decompress(data) {
+		var byte_pos = 0, bit_buffer = 0, bit_count = 0;
+		var readBits = function(n) {
+			while (bit_count < n) {
+				if (byte_pos >= data.length) {
+					throw Error('unexpected end of data');
+				}
+				bit_buffer = ((bit_buffer & ((1 << bit_count) - 1)) << 8) | data[byte_pos++];
+				bit_count += 8;
+			}
+			bit_count -= n;
+			return (bit_buffer >>> bit_count) & ((1 << n) - 1);
+		};
+		
+		var output = new Uint8Array(Math.max(1024, data.length * 4));
+		var output_len = 0;
+		var putByte = function(byte) {
+			if (output_len == output.length) {
+				var grown = new Uint8Array(output.length * 2);
+				grown.set(output);
+				output = grown;
+			}
+			output[output_len++] = byte;
+		};
+		
+		// concatenated streams are decoded one after another
+		for (var stream = 0; byte_pos < data.length || bit_count >= 8; stream++) {
+			if (readBits(8) != 0x42 || readBits(8) != 0x5a || readBits(8) != 0x68) {
+				if (stream) {
+					break;
+				}
+				throw Error('bad stream header');
+			}
+			var level = readBits(8) - 0x30;
+			if (level < 1 || level > 9) {
+				throw Error('bad block size');
+			}
+			var block_size = level * 100000;
+			var tt = new Uint32Array(block_size);
+			var combined_crc = 0;
+			
+			while (true) {
+				var magic_hi = readBits(24), magic_lo = readBits(24);
+				var stored_crc = ((readBits(16) << 16) | readBits(16)) >>> 0;
+				
+				if (magic_hi == BZIP2_END_MAGIC[0] && magic_lo == BZIP2_END_MAGIC[1]) {
+					if (stored_crc != combined_crc) {
+						throw Error('stream CRC mismatch');
+					}
+					bit_count -= bit_count % 8;
+					break;
+				}
+				if (magic_hi != BZIP2_BLOCK_MAGIC[0] || magic_lo != BZIP2_BLOCK_MAGIC[1]) {
+					throw Error('bad block header');
+				}
+				if (readBits(1)) {
+					throw Error('randomised blocks are not supported');
+				}
+				var orig_ptr = readBits(24);
+				
+				// symbol map
+				var seq_to_unseq = [];
+				var used_groups = readBits(16);
+				for (var i = 0; i < 16; i++) {
+					if (used_groups & (0x8000 >> i)) {
+						var used = readBits(16);
+						for (var j = 0; j < 16; j++) {
+							if (used & (0x8000 >> j)) {
+								seq_to_unseq.push(i * 16 + j);
+							}
+						}
+					}
+				}
+				if (!seq_to_unseq.length) {
+					throw Error('no symbols in use');
+				}
+				var alpha_size = seq_to_unseq.length + 2;
+				
+				// selectors
+				var groups_count = readBits(3);
+				var selectors_count = readBits(15);
+				if (groups_count < 2 || groups_count > 6 || !selectors_count) {
+					throw Error('bad huffman groups');
+				}
+				var selector_mtf = [];
+				for (var i = 0; i < groups_count; i++) {
+					selector_mtf.push(i);
+				}
+				var selectors = new Uint8Array(selectors_count);
+				for (var i = 0; i < selectors_count; i++) {
+					var j = 0;
+					while (readBits(1)) {
+						if (++j >= groups_count) {
+							throw Error('bad selector');
+						}
+					}
+					var value = selector_mtf[j];
+					selector_mtf.splice(j, 1);
+					selector_mtf.unshift(value);
+					selectors[i] = value;
+				}
+				
+				// huffman tables
+				var tables = [];
+				for (var t = 0; t < groups_count; t++) {
+					var lengths = new Uint8Array(alpha_size);
+					var len = readBits(5);
+					for (var i = 0; i < alpha_size; i++) {
+						while (true) {
+							if (len < 1 || len > 20) {
+								throw Error('bad code length');
+							}
+							if (!readBits(1)) {
+								break;
+							}
+							len += readBits(1) ? -1 : 1;
+						}
+						lengths[i] = len;
+					}
+					
+					var min_len = 32, max_len = 0;
+					for (var i = 0; i < alpha_size; i++) {
+						min_len = Math.min(min_len, lengths[i]);
+						max_len = Math.max(max_len, lengths[i]);
+					}
+					var table = { min_len: min_len, perm: [], limit: [], base: [] };
+					var code = 0;
+					for (var l = min_len; l <= max_len; l++) {
+						table.base[l] = code - table.perm.length;
+						for (var i = 0; i < alpha_size; i++) {
+							if (lengths[i] == l) {
+								table.perm.push(i);
+								code++;
+							}
+						}
+						table.limit[l] = code - 1;
+						code <<= 1;
+					}
+					table.max_len = max_len;
+					tables.push(table);
+				}
+				
+				// huffman + MTF + RLE2 decoding
+				var mtf = new Uint8Array(seq_to_unseq);
+				var counts = new Uint32Array(256);
+				var eob = alpha_size - 1;
+				var selector_pos = 0, group_left = 0, table = null;
+				var run = 0, run_bit = 1;
+				var count = 0;
+				while (true) {
+					if (!group_left--) {
+						if (selector_pos >= selectors_count) {
+							throw Error('selectors overflow');
+						}
+						table = tables[selectors[selector_pos++]];
+						group_left = BZIP2_GROUP_SIZE - 1;
+					}
+					var len = table.min_len;
+					var code = readBits(len);
+					while (code > table.limit[len]) {
+						if (++len > table.max_len) {
+							throw Error('bad huffman code');
+						}
+						code = (code << 1) | readBits(1);
+					}
+					var sym = table.perm[code - table.base[len]];
+					
+					if (sym <= 1) {
+						run += (sym + 1) * run_bit;
+						run_bit <<= 1;
+						if (run > block_size) {
+							throw Error('run overflow');
+						}
+						continue;
+					}
+					if (run) {
+						if (count + run > block_size) {
+							throw Error('block overflow');
+						}
+						var byte = mtf[0];
+						counts[byte] += run;
+						while (run--) {
+							tt[count++] = byte;
+						}
+						run = 0;
+						run_bit = 1;
+					}
+					if (sym == eob) {
+						break;
+					}
+					if (count >= block_size) {
+						throw Error('block overflow');
+					}
+					var byte = mtf[sym - 1];
+					for (var j = sym - 1; j > 0; j--) {
+						mtf[j] = mtf[j - 1];
+					}
+					mtf[0] = byte;
+					counts[byte]++;
+					tt[count++] = byte;
+				}
+				if (orig_ptr >= count) {
+					throw Error('bad origin pointer');
+				}
+				
+				// inverse BWT
+				var sum = 0;
+				for (var i = 0; i < 256; i++) {
+					var c = counts[i];
+					counts[i] = sum;
+					sum += c;
+				}
+				for (var i = 0; i < count; i++) {
+					var byte = tt[i] & 0xff;
+					tt[counts[byte]++] |= i << 8;
+				}
+				
+				// RLE1 decoding
+				var block_crc = 0xffffffff;
+				var pos = tt[orig_ptr] >>> 8;
+				var last = -1, repeat = 0;
+				for (var i = 0; i < count; i++) {
+					pos = tt[pos];
+					var byte = pos & 0xff;
+					pos >>>= 8;
+					
+					if (repeat == 4) {
+						for (var j = 0; j < byte; j++) {
+							putByte(last);
+							block_crc = bzip2CRC(block_crc, last);
+						}
+						repeat = 0;
+						last = -1;
+						continue;
+					}
+					if (byte == last) {
+						repeat++;
+					} else {
+						repeat = 1;
+						last = byte;
+					}
+					putByte(byte);
+					block_crc = bzip2CRC(block_crc, byte);
+				}
+				block_crc = ~block_crc >>> 0;
+				if (block_crc != stored_crc) {
+					throw Error('block CRC mismatch');
+				}
+				combined_crc = (((combined_crc << 1) | (combined_crc >>> 31)) ^ block_crc) >>> 0;
+				
+				for (var i = 0; i < count; i++) {
+					tt[i] = 0;
+				}
+			}
+		}
+		
+		return output.subarray(0, output_len);
+	}
+	
+	function bzip2SortRotations(block, n) {
+		// prefix doubling over cyclic rotations
+		var sa = new Int32Array(n), rank = new Int32Array(n);
+		var tmp = new Int32Array(n), bucket = new Int32Array(Math.max(257, n + 1));
+		
+		for (var i = 0; i < n; i++) {
+			bucket[block[i]]++;
+		}
+		for (var i = 1; i < 256; i++) {
+			bucket[i] += bucket[i - 1];
+		}
+		for (var i = n - 1; i >= 0; i--) {
+			sa[--bucket[block[i]]] = i;
+		}
+		var classes = 0;
+		for (var i = 0; i < n; i++) {
+			if (i && block[sa[i]] != block[sa[i - 1]]) {
+				classes++;
+			}
+			rank[sa[i]] = classes;
+		}
+		classes++;
+		
+		for (var k = 1; k < n && classes < n; k <<= 1) {
+			// order by second key is given by shifting the current order
+			for (var i = 0; i < n; i++) {
+				tmp[i] = (sa[i] - k + n) % n;
+			}
+			for (var i = 0; i < classes; i++) {
+				bucket[i] = 0;
+			}
+			for (var i = 0; i < n; i++) {
+				bucket[rank[i]]++;
+			}
+			for (var i = 1; i < classes; i++) {
+				bucket[i] += bucket[i - 1];
+			}
+			for (var i = n - 1; i >= 0; i--) {
+				sa[--bucket[rank[tmp[i]]]] = tmp[i];
+			}
+			
+			tmp[sa[0]] = 0;
+			classes = 1;
+			for (var i = 1; i < n; i++) {
+				var a = sa[i], b = sa[i - 1];
+				if (rank[a] != rank[b] || rank[(a + k) % n] != rank[(b + k) % n]) {
+					classes++;
+				}
+				tmp[a] = classes - 1;
+			}
+			var swap = rank;
+			rank = tmp;
+			tmp = swap;
+		}
+		
+		return sa;
+	}
+	
+	// binary min-heap of huffman nodes, ordered by weight
+	
+	function heapPush(heap, node) {
+		var i = heap.push(node) - 1;
+		while (i > 0) {
+			var parent = (i - 1) >> 1;
+			if (heap[parent].weight <= node.weight) {
+				break;
+			}
+			heap[i] = heap[parent];
+			i = parent;
+		}
+		heap[i] = node;
+	}
+	
+	function heapPop(heap) {
+		var top = heap[0];
+		var last = heap.pop();
+		if (heap.length) {
+			var i = 0;
+			while (true) {
+				var child = 2 * i + 1;
+				if (child >= heap.length) {
+					break;
+				}
+				if (child + 1 < heap.length && heap[child + 1].weight < heap[child].weight) {
+					child++;
+				}
+				if (heap[child].weight >= last.weight) {
+					break;
+				}
+				heap[i] = heap[child];
+				i = child;
+			}
+			heap[i] = last;
+		}
+		return top;
+	}
+	
+	function bzip2CodeLengths(freqs, alpha_size) {
+		var weights = [];
+		for (var i = 0; i < alpha_size; i++) {
+			weights[i] = Math.max(1, freqs[i]);
+		}
+		
+		while (true) {
+			var heap = [];
+			for (var i = 0; i < alpha_size; i++) {
+				heapPush(heap, { weight: weights[i], symbol: i });
+			}
+			while (heap.length > 1) {
+				var a = heapPop(heap), b = heapPop(heap);
+				heapPush(heap, { weight: a.weight + b.weight, left: a, right: b });
+			}
+			
+			var lengths = new Uint8Array(alpha_size);
+			var too_long = false;
+			var stack = [[heap[0], 0]];
+			while (stack.length) {
+				var item = stack.pop();
+				if (item[0].left) {
+					stack.push([item[0].left, item[1] + 1], [item[0].right, item[1] + 1]);
+				} else {
+					lengths[item[0].symbol] = item[1];
+					too_long = too_long || item[1] > BZIP2_MAX_CODE_LEN;
+				}
+			}
+			if (!too_long) {
+				return lengths;
+			}
+			for (var i = 0; i < alpha_size; i++) {
+				weights[i] = 1 + (weights[i] >> 1);
+			}
+		}
+	}
+	
+	function bzip2Compress(data, level) {
+		level = level || 9;
+		var max_block = level * 100000 - 19;
+		
+		var output = new Uint8Array(Math.max(1024, (data.length >> 1) + 64));
+		var output_len = 0;
+		var bit_buffer = 0, bit_count = 0;
+		var writeBits = function(n, value) {
+			bit_buffer = (bit_buffer << n) | value;
+			bit_count += n;
+			while (bit_count >= 8) {
+				if (output_len == output.length) {
+					var grown = new Uint8Array(output.length * 2);
+					grown.set(output);
+					output = grown;
+				}
+				bit_count -= 8;
+				output[output_len++] = (bit_buffer >>> bit_count) & 0xff;
+			}
+			bit_buffer &= (1 << bit_count) - 1;
+		};
+		var writeInt = function(value) {
+			writeBits(16, (value >>> 16) & 0xffff);
+			writeBits(16, value & 0xffff);
+		};
+		
+		var block = new Uint8Array(max_block + 5);
+		var combined_crc = 0;
+		
+		var writeBlock = function(n, block_crc) {
+			var sa = bzip2SortRotations(block, n);
+			
+			var in_use = [], unseq_to_seq = [];
+			for (var i = 0; i < n; i++) {
+				in_use[block[i]] = true;
+			}
+			var used_count = 0;
+			for (var i = 0; i < 256; i++) {
+				if (in_use[i]) {
+					unseq_to_seq[i] = used_count++;
+				}
+			}
+			var alpha_size = used_count + 2;
+			var eob = used_count + 1;
+			
+			// BWT + MTF + RLE2
+			var mtf = new Uint8Array(used_count);
+			for (var i = 0; i < used_count; i++) {
+				mtf[i] = i;
+			}
+			var values = new Uint16Array(n + 1);
+			var values_count = 0;
+			var freqs = new Uint32Array(alpha_size);
+			var zeros = 0;
+			var flushZeros = function() {
+				zeros--;
+				while (true) {
+					var sym = zeros & 1;
+					values[values_count++] = sym;
+					freqs[sym]++;
+					if (zeros < 2) {
+						break;
+					}
+					zeros = (zeros - 2) >> 1;
+				}
+				zeros = 0;
+			};
+			var orig_ptr = 0;
+			for (var i = 0; i < n; i++) {
+				if (sa[i] == 0) {
+					orig_ptr = i;
+				}
+				var seq = unseq_to_seq[block[sa[i] ? sa[i] - 1 : n - 1]];
+				if (mtf[0] == seq) {
+					zeros++;
+					continue;
+				}
+				if (zeros) {
+					flushZeros();
+				}
+				var j = 1;
+				while (mtf[j] != seq) {
+					j++;
+				}
+				for (var k = j; k > 0; k--) {
+					mtf[k] = mtf[k - 1];
+				}
+				mtf[0] = seq;
+				values[values_count++] = j + 1;
+				freqs[j + 1]++;
+			}
+			if (zeros) {
+				flushZeros();
+			}
+			values[values_count++] = eob;
+			freqs[eob]++;
+			
+			// initial huffman tables
+			var groups_count = values_count < 200 ? 2 : values_count < 600 ? 3 : values_count < 1200 ? 4 : values_count < 2400 ? 5 : 6;
+			var lengths = [];
+			var remaining = values_count, gs = 0;
+			for (var t = groups_count; t > 0; t--) {
+				var target = remaining / t;
+				var ge = gs - 1, acc = 0;
+				while (acc < target && ge < alpha_size - 1) {
+					acc += freqs[++ge];
+				}
+				if (ge > gs && t != groups_count && t != 1 && ((groups_count - t) % 2 == 1)) {
+					acc -= freqs[ge--];
+				}
+				var table = new Uint8Array(alpha_size);
+				for (var i = 0; i < alpha_size; i++) {
+					table[i] = (i >= gs && i <= ge) ? 0 : 15;
+				}
+				lengths[groups_count - t] = table;
+				gs = ge + 1;
+				remaining -= acc;
+			}
+			
+			// refine tables
+			var selectors_count = Math.ceil(values_count / BZIP2_GROUP_SIZE);
+			var selectors = new Uint8Array(selectors_count);
+			for (var iter = 0; iter < 4; iter++) {
+				var group_freqs = [];
+				for (var t = 0; t < groups_count; t++) {
+					group_freqs[t] = new Uint32Array(alpha_size);
+				}
+				for (var s = 0; s < selectors_count; s++) {
+					var start = s * BZIP2_GROUP_SIZE;
+					var end = Math.min(start + BZIP2_GROUP_SIZE, values_count);
+					var best = 0, best_cost = Infinity;
+					for (var t = 0; t < groups_count; t++) {
+						var cost = 0;
+						for (var i = start; i < end; i++) {
+							cost += lengths[t][values[i]];
+						}
+						if (cost < best_cost) {
+							best_cost = cost;
+							best = t;
+						}
+					}
+					selectors[s] = best;
+					for (var i = start; i < end; i++) {
+						group_freqs[best][values[i]]++;
+					}
+				}
+				for (var t = 0; t < groups_count; t++) {
+					lengths[t] = bzip2CodeLengths(group_freqs[t], alpha_size);
+				}
+			}
+			
+			var codes = [];
+			for (var t = 0; t < groups_count; t++) {
+				codes[t] = new Uint32Array(alpha_size);
+				var code = 0;
+				for (var l = 1; l <= BZIP2_MAX_CODE_LEN; l++) {
+					for (var i = 0; i < alpha_size; i++) {
+						if (lengths[t][i] == l) {
+							codes[t][i] = code++;
+						}
+					}
+					code <<= 1;
+				}
+			}
+			
+			// block header
+			writeBits(24, BZIP2_BLOCK_MAGIC[0]);
+			writeBits(24, BZIP2_BLOCK_MAGIC[1]);
+			writeInt(block_crc);
+			writeBits(1, 0);
+			writeBits(24, orig_ptr);
+			
+			var used_groups = 0;
+			for (var i = 0; i < 16; i++) {
+				for (var j = 0; j < 16; j++) {
+					if (in_use[i * 16 + j]) {
+						used_groups |= 0x8000 >> i;
+					}
+				}
+			}
+			writeBits(16, used_groups);
+			for (var i = 0; i < 16; i++) {
+				if (used_groups & (0x8000 >> i)) {
+					var used = 0;
+					for (var j = 0; j < 16; j++) {
+						if (in_use[i * 16 + j]) {
+							used |= 0x8000 >> j;
+						}
+					}
+					writeBits(16, used);
+				}
+			}
+			
+			writeBits(3, groups_count);
+			writeBits(15, selectors_count);
+			var selector_mtf = [];
+			for (var t = 0; t < groups_count; t++) {
+				selector_mtf.push(t);
+			}
+			for (var s = 0; s < selectors_count; s++) {
+				var j = selector_mtf.indexOf(selectors[s]);
+				selector_mtf.splice(j, 1);
+				selector_mtf.unshift(selectors[s]);
+				while (j--) {
+					writeBits(1, 1);
+				}
+				writeBits(1, 0);
+			}
+			
+			for (var t = 0; t < groups_count; t++) {
+				var len = lengths[t][0];
+				writeBits(5, len);
+				for (var i = 0; i < alpha_size; i++) {
+					while (len < lengths[t][i]) {
+						writeBits(2, 2);
+						len++;
+					}
+					while (len > lengths[t][i]) {
+						writeBits(2, 3);
+						len--;
+					}
+					writeBits(1, 0);
+				}
+			}
+			
+			for (var i = 0; i < values_count; i++) {
+				var t = selectors[(i / BZIP2_GROUP_SIZE) | 0];
+				writeBits(lengths[t][values[i]], codes[t][values[i]]);
+			}
+			
+			combined_crc = (((combined_crc << 1) | (combined_crc >>> 31)) ^ block_crc) >>> 0;
+		};
+		
+		writeBits(8, 0x42);
+		writeBits(8, 0x5a);
+		writeBits(8, 0x68);
+		writeBits(8, 0x30 + level);
+		
+		// RLE1 with runs kept within a single block
+		var block_len = 0, block_crc = 0xffffffff;
+		var i = 0;
+		while (i < data.length) {
+			var byte = data[i];
+			var run = 1;
+			while (run < 255 && i + run < data.length && data[i + run] == byte) {
+				run++;
+			}
+			if (block_len + (run < 4 ? run : 5) > max_block) {
+				writeBlock(block_len, ~block_crc >>> 0);
+				block_len = 0;
+				block_crc = 0xffffffff;
+			}
+			for (var j = 0; j < run; j++) {
+				block_crc = bzip2CRC(block_crc, byte);
+				if (j < 4) {
+					block[block_len++] = byte;
+				}
+			}
+			if (run >= 4) {
+				block[block_len++] = run - 4;
+			}
+			i += run;
+		}
+		if (block_len) {
+			writeBlock(block_len, ~block_crc >>> 0);
+		}
+		
+		writeBits(24, BZIP2_END_MAGIC[0]);
+		writeBits(24, BZIP2_END_MAGIC[1]);
+		writeInt(combined_crc);
+		if (bit_count) {
+			writeBits(8 - bit_count, 0);
+		}
+		
+		return output.slice(0, output_len);
+	}
+	
+	// RSA (PKCS#1 v1.5) for OpenSSL signatures
+	
+	var DIGEST_INFO_PREFIX = { // by digest length
+		20: '3021300906052b0e03021a05000414', // SHA1
+		32: '3031300d060960864801650304020105000420', // SHA256
+		64: '3051300d060960864801650304020305000440' // SHA512
+	};
+	
+	function base64Decode(str) {
+		var chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+		var result = '';
+		var bits = 0, bit_count = 0;
+		for (var i = 0; i < str.length; i++) {
+			var value = chars.indexOf(str.charAt(i));
+			if (value == -1) {
+				continue;
+			}
+			bits = ((bits << 6) | value) & 0xffffff;
+			bit_count += 6;
+			if (bit_count >= 8) {
+				bit_count -= 8;
+				result += String.fromCharCode((bits >> bit_count) & 0xff);
+			}
+		}
+		return result;
+	}
+	
+	function bytesToBigInt(str) {
+		var hex = '0x0';
+		for (var i = 0; i < str.length; i++) {
+			hex += (0x100 + str.charCodeAt(i)).toString(16).substring(1);
+		}
+		return BigInt(hex);
+	}
+	
+	function bigIntToBytes(num, length) {
+		var hex = num.toString(16);
+		if (hex.length > length * 2) {
+			return null;
+		}
+		while (hex.length < length * 2) {
+			hex = '0' + hex;
+		}
+		var str = '';
+		for (var i = 0; i < hex.length; i += 2) {
+			str += String.fromCharCode(parseInt(hex.substring(i, i + 2), 16));
+		}
+		return str;
+	}
+	
+	function modPow(base, exponent, modulus) {
+		var zero = BigInt(0), one = BigInt(1), two = BigInt(2);
+		var result = one;
+		base %= modulus;
+		while (exponent > zero) {
+			if (exponent % two == one) {
+				result = (result * base) % modulus;
+			}
+			exponent /= two;
+			base = (base * base) % modulus;
+		}
+		return result;
+	}
+	
+	function derRead(str, pos) {
+		var tag = str.charCodeAt(pos);
+		var length = str.charCodeAt(pos + 1);
+		var offset = pos + 2;
+		if (length & 0x80) {
+			var bytes = length & 0x7f;
+			length = 0;
+			for (var i = 0; i < bytes; i++) {
+				length = length * 256 + str.charCodeAt(offset++);
+			}
+		}
+		if (isNaN(tag) || offset + length > str.length) {
+			throw Error('Key is corrupted!');
+		}
+		return { tag: tag, value: str.substring(offset, offset + length), end: offset + length };
+	}
+	
+	function derReadSequence(str) {
+		var item = derRead(str, 0);
+		if (item.tag != 0x30) {
+			throw Error('Key is corrupted!');
+		}
+		var items = [];
+		for (var pos = 0; pos < item.value.length; pos = items[items.length - 1].end) {
+			items.push(derRead(item.value, pos));
+		}
+		return items;
+	}
+	
+	function rsaParseKey(pem) {
+		if (typeof BigInt === 'undefined') {
+			throw Error('OpenSSL signatures require BigInt support!');
+		}
+		
+		var match = /-----BEGIN ([A-Z ]+)-----([\s\S]*?)-----END \1-----/.exec(pem);
+		if (!match) {
+			throw Error('Key is not in PEM format!');
+		}
+		if (/Proc-Type:.*ENCRYPTED/.test(match[2])) {
+			throw Error('Encrypted keys are not supported!');
+		}
+		var der = base64Decode(match[2].replace(/^[\w-]+:.*$/mg, ''));
+		
+		var items;
+		switch (match[1]) {
+			case 'PUBLIC KEY':
+				der = derReadSequence(der)[1].value.substring(1); // skip unused bits byte
+				// fallthrough
+			case 'RSA PUBLIC KEY':
+				items = derReadSequence(der);
+				return {
+					n: bytesToBigInt(items[0].value),
+					e: bytesToBigInt(items[1].value)
+				};
+			
+			case 'PRIVATE KEY':
+				der = derReadSequence(der)[2].value;
+				// fallthrough
+			case 'RSA PRIVATE KEY':
+				items = derReadSequence(der);
+				var key = { };
+				var names = ['n', 'e', 'd', 'p', 'q', 'dp', 'dq', 'qi'];
+				for (var i = 0; i < names.length; i++) {
+					key[names[i]] = bytesToBigInt(items[i + 1].value); // items[0] is version
+				}
+				return key;
+			
+			default:
+				throw Error('Unsupported key type: ' + match[1]);
+		}
+	}
+	
+	function rsaEncodeDigest(digest, length) {
+		var prefix = DIGEST_INFO_PREFIX[digest.length];
+		var info = '';
+		for (var i = 0; i < prefix.length; i += 2) {
+			info += String.fromCharCode(parseInt(prefix.substring(i, i + 2), 16));
+		}
+		info += digest;
+		
+		var padding = length - info.length - 3;
+		if (padding < 8) {
+			throw Error('Key is too short for the signature algorithm!');
+		}
+		return '\x00\x01' + new Array(padding + 1).join('\xff') + '\x00' + info;
+	}
+	
+	function rsaSign(pem, digest) {
+		var key = rsaParseKey(pem);
+		if (!key.d) {
+			throw Error('Private key is required to sign!');
+		}
+		var length = Math.ceil(key.n.toString(16).length / 2);
+		var m = bytesToBigInt(rsaEncodeDigest(digest, length));
+		
+		// CRT
+		var m1 = modPow(m, key.dp, key.p);
+		var m2 = modPow(m, key.dq, key.q);
+		var h = (key.qi * (((m1 - m2) % key.p) + key.p)) % key.p;
+		return bigIntToBytes(m2 + h * key.q, length);
+	}
+	
+	function rsaVerify(pem, digest, signature) {
+		var key = rsaParseKey(pem);
+		var length = Math.ceil(key.n.toString(16).length / 2);
+		if (signature.length != length) {
+			return false;
+		}
+		var s = bytesToBigInt(signature);
+		if (s >= key.n) {
+			return false;
+		}
+		return bigIntToBytes(modPow(s, key.e, key.n), length) === rsaEncodeDigest(digest, length);
+	}
+	
+	function initError(error, name, message, code, entry) {
+		error.name = name;
+		error.message = message;
+		error.code = code;
+		if (entry !== undefined) {
+			error.entry = entry;
+		}
+		if (Error.captureStackTrace) {
+			Error.captureStackTrace(error, error.constructor);
+		} else {
+			error.stack = Error(message).stack;
+		}
+	}
+	
+	// signatures
+	
+	var LEGACY_SIGNATURE_SHA512 = 0x08; // written for SHA-512 before the flags matched PHP
+	
+	// 0x04 was written for SHA-256, it is told apart from SHA-512 by the hash in front of the flags
+	function legacySignatureType(type, buffer, pos) {
+		if (type == LEGACY_SIGNATURE_SHA512) {
+			return PharUtils.SIGNATURE_SHA512;
+		}
+		if (type == PharUtils.SIGNATURE_SHA512 && pos >= 32) {
+			if (hashData('sha256', buffer.subarray(0, pos - 32)) == fromUint8Array(buffer.subarray(pos - 32, pos))) {
+				return PharUtils.SIGNATURE_SHA256;
+			}
+		}
+		return type;
+	}
+	
+	function signatureAlgorithm(type) {
+		switch (type) {
+			case PharUtils.SIGNATURE_MD5:
+				return 'md5';
+			
+			case PharUtils.SIGNATURE_SHA1:
+			case PharUtils.SIGNATURE_OPENSSL:
+				return 'sha1';
+			
+			case PharUtils.SIGNATURE_SHA256:
+			case PharUtils.SIGNATURE_OPENSSL_SHA256:
+				return 'sha256';
+			
+			case PharUtils.SIGNATURE_SHA512:
+			case PharUtils.SIGNATURE_OPENSSL_SHA512:
+				return 'sha512';
+			
+			default:
+				throw new PharUtils.PharSignatureError('Unknown signature type detected!', PharUtils.ERROR_UNKNOWN_SIGNATURE);
+		}
+	}
+	
+	var SIGNATURE_HASH_TYPES = { // names used by PHP's Phar::getSignature()
+		0x01: 'MD5',
+		0x02: 'SHA-1',
+		0x03: 'SHA-256',
+		0x04: 'SHA-512',
+		0x10: 'OpenSSL',
+		0x11: 'OpenSSL_SHA256',
+		0x12: 'OpenSSL_SHA512'
+	};
+	
+	function toHex(str) {
+		var hex = '';
+		for (var i = 0; i < str.length; i++) {
+			hex += (0x100 + str.charCodeAt(i)).toString(16).substring(1);
+		}
+		return hex.toUpperCase();
+	}
+	
+	function signatureInfo(type, hash) {
+		return { hash: toHex(hash), hash_type: SIGNATURE_HASH_TYPES[type] };
+	}
+	
+	function createSignature(type, data, private_key) {
+		var digest = hashData(signatureAlgorithm(type), data);
+		if (type & PharUtils.SIGNATURE_OPENSSL) {
+			if (!private_key) {
+				throw new PharUtils.PharSignatureError('Private key is required for OpenSSL signature!', PharUtils.ERROR_MISSING_KEY);
+			}
+			return rsaSign(private_key, digest);
+		}
+		return digest;
+	}
+	
+	function verifySignature(type, data, signature, public_key) {
+		var digest = hashData(signatureAlgorithm(type), data);
+		if (type & PharUtils.SIGNATURE_OPENSSL) {
+			if (!public_key) {
+				throw new PharUtils.PharSignatureError('Public key is required to verify OpenSSL signature!', PharUtils.ERROR_MISSING_KEY);
+			}
+			return rsaVerify(public_key, digest, signature);
+		}
+		return digest === signature;
+	}
+	
+	// gzip container (whole-archive compression)
+	
+	function gzipDecompress(data) {
+		if (data[0] != 0x1f || data[1] != 0x8b || data[2] != 8) {
+			throw Error('Data is not gzip compressed!');
+		}
+		var flags = data[3];
+		var pos = 10;
+		if (flags & 0x04) { // FEXTRA
+			pos += 2 + (data[pos] | (data[pos + 1] << 8));
+		}
+		if (flags & 0x08) { // FNAME
+			while (data[pos++]);
+		}
+		if (flags & 0x10) { // FCOMMENT
+			while (data[pos++]);
+		}
+		if (flags & 0x02) { // FHCRC
+			pos += 2;
+		}
+		
+		var result = rawInflate(data.subarray(pos));
+		var crc = PharUtils.Binary.readLInt(data, data.length - 8);
+		if (crc != crc32(result)) {
+			throw Error('gzip data is corrupted!');
+		}
+		return result;
+	}
+	
+	function gzipCompress(data) {
+		var deflated = rawDeflate(data);
+		var trailer = PharUtils.Binary.writeLInt(crc32(data)) + PharUtils.Binary.writeLInt(data.length);
+		
+		var result = new Uint8Array(10 + deflated.length + 8);
+		result.set([0x1f, 0x8b, 8, 0, 0, 0, 0, 0, 0, 3]);
+		result.set(deflated, 10);
+		result.set(toUint8Array(trailer), 10 + deflated.length);
+		return result;
+	}
+	
+	function archiveCompression(data) {
+		// sniffs the container by its magic bytes
+		if (data[0] == 0x1f && data[1] == 0x8b) {
+			return PharUtils.COMPRESSION_GZ;
+		} else if (data[0] == 0x42 && data[1] == 0x5a && data[2] == 0x68) { // "BZh"
+			return PharUtils.COMPRESSION_BZIP2;
+		}
+		return PharUtils.COMPRESSION_NONE;
+	}
+	
+	function decompressArchive(data) {
+		switch (archiveCompression(data)) {
+			case PharUtils.COMPRESSION_GZ:
+				try {
+					return gzipDecompress(data);
+				} catch (error) {
+					throw new PharUtils.PharFormatError('Inflate error: ' + error, PharUtils.ERROR_DECOMPRESSION_FAILED);
+				}
+			
+			case PharUtils.COMPRESSION_BZIP2:
+				try {
+					return bzip2Decompress(data);
+				} catch (error) {
+					throw new PharUtils.PharFormatError('bzip2 decompression error: ' + error, PharUtils.ERROR_DECOMPRESSION_FAILED);
+				}
+		}
+		return data;
+	}
+	
+	function compressArchive(data, compression) {
+		switch (compression) {
+			case PharUtils.COMPRESSION_GZ:
+				try {
+					return gzipCompress(data);
+				} catch (error) {
+					throw Error('Deflate error: ' + error);
+				}
+			
+			case PharUtils.COMPRESSION_BZIP2:
+				return bzip2Compress(data);
+		}
+		return data;
+	}
+	
+	// tar format
+	
+	var TAR_BLOCK_SIZE = 512;
+	
+	function tarReadString(header, offset, length) {
+		var str = header.substring(offset, offset + length);
+		var end = str.indexOf('\0');
+		return end == -1 ? str : str.substring(0, end);
+	}
+	
+	function tarReadOctal(header, offset, length) {
+		var str = tarReadString(header, offset, length).replace(/^[ ]+|[ ]+$/g, '');
+		return str.length ? parseInt(str, 8) : 0;
+	}
+	
+	function tarOctal(num, length) {
+		var str = num.toString(8);
+		while (str.length < length - 1) {
+			str = '0' + str;
+		}
+		return str + '\0';
+	}
+	
+	function tarPad(str, length) {
+		while (str.length < length) {
+			str += '\0';
+		}
+		return str;
+	}
+	
+	function tarChecksum(header) {
+		var sum = 0;
+		for (var i = 0; i < TAR_BLOCK_SIZE; i++) {
+			sum += (i >= 148 && i < 156) ? 0x20 : header.charCodeAt(i);
+		}
+		return sum;
+	}
+	
+	function tarEntry(buffer, name, contents, mode, timestamp, type) {
+		var prefix = '';
+		if (name.length > 100) {
+			var split = name.lastIndexOf('/', 155);
+			if (split > 0 && name.length - split - 1 <= 100 && name.length - split - 1 > 0) {
+				prefix = name.substring(0, split);
+				name = name.substring(split + 1);
+			} else {
+				// GNU long name
+				tarEntry(buffer, '././@LongLink', name + '\0', 0, 0, 'L');
+				name = name.substring(0, 100);
+			}
+		}
+		
+		var header = tarPad(name, 100) + tarOctal(mode, 8) + tarOctal(0, 8) + tarOctal(0, 8) +
+			tarOctal(contents.length, 12) + tarOctal(timestamp, 12) + '        ' + (type || '0') + tarPad('', 100) +
+			'ustar\0' + '00' + tarPad('', 64) + tarOctal(0, 8) + tarOctal(0, 8) + tarPad(prefix, 155);
+		header = tarPad(header, TAR_BLOCK_SIZE);
+		header = header.substring(0, 148) + tarOctal(tarChecksum(header), 7) + ' ' + header.substring(156);
+		
+		buffer.put(header);
+		buffer.put(contents);
+		if (contents.length % TAR_BLOCK_SIZE) {
+			buffer.put(tarPad('', TAR_BLOCK_SIZE - contents.length % TAR_BLOCK_SIZE));
+		}
+	}
+	
+	// zip format
+	
+	var ZIP_LOCAL_MAGIC = 'PK\x03\x04';
+	var ZIP_CENTRAL_MAGIC = 'PK\x01\x02';
+	var ZIP_END_MAGIC = 'PK\x05\x06';
+	
+	function zipWriteDosTime(timestamp, utc) {
+		// DOS time has no time zone, local time is used unless utc is set (reproducible builds)
+		var date = new Date(timestamp * 1000);
+		var parts = utc ?
+			[date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()] :
+			[date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds()];
+		if (parts[0] < 1980) {
+			parts = [1980, 0, 1, 0, 0, 0];
+		}
+		var time = (parts[3] << 11) | (parts[4] << 5) | (parts[5] >> 1);
+		var day = ((parts[0] - 1980) << 9) | ((parts[1] + 1) << 5) | parts[2];
+		return PharUtils.Binary.writeLShort(time) + PharUtils.Binary.writeLShort(day);
+	}
+	
+	function zipReadDosTime(time, day) {
+		var date = new Date((day >> 9) + 1980, ((day >> 5) & 0xf) - 1, day & 0x1f, time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2);
+		return date.getTime() / 1000 | 0;
+	}
+	
+	function zipPermissionExtra(permission) {
+		// PHP's "nu" (ASi Unix) extra field
+		var perms = PharUtils.Binary.writeLShort(permission);
+		return 'nu' + PharUtils.Binary.writeLShort(14) + PharUtils.Binary.writeLInt(crc32(perms)) + perms + tarPad('', 8);
+	}
+	
+	function zipReadPermission(extra) {
+		var buffer = new PharUtils.BinaryBuffer(extra);
+		while (buffer.offset + 4 <= extra.length) {
+			var tag = buffer.get(2);
+			var data = buffer.get(buffer.getLShort());
+			if (tag == 'nu' && data.length >= 6) {
+				return PharUtils.Binary.readLShort(data.substring(4, 6)) & 0xfff;
+			}
+		}
+		return null;
+	}
+	
+	// async API and workers
+	
+	var YIELD_INTERVAL = 16; // ms of work between yields to the event loop
+	
+	var NODE_WORKER_SOURCE = [
+		'var worker_threads = require(\'worker_threads\');',
+		'var PharUtils = require(worker_threads.workerData);',
+		'worker_threads.parentPort.on(\'message\', function(message) {',
+		'	PharUtils.handleWorkerMessage(message, function(data, transfer) {',
+		'		worker_threads.parentPort.postMessage(data, transfer);',
+		'	});',
+		'});'
+	].join('\n');
+	
+	var BROWSER_WORKER_SOURCE = [
+		'onmessage = function(event) {',
+		'	PharUtils.handleWorkerMessage(event.data, function(data, transfer) {',
+		'		postMessage(data, transfer || []);',
+		'	});',
+		'};'
+	].join('\n');
+	
+	function abortError() {
+		var error = new PharUtils.PharError('Operation was aborted!', PharUtils.ERROR_ABORTED);
+		error.name = 'AbortError';
+		return error;
+	}
+	
+	function createTaskRunner(options) {
+		// work is done in steps, the event loop gets control every YIELD_INTERVAL ms
+		var signal = options.signal;
+		var last_yield = Date.now();
+		return {
+			progress: function(event) {
+				if (options.onprogress) {
+					options.onprogress(event);
+				}
+			},
+			step: function() {
+				if (signal && signal.aborted) {
+					return Promise.reject(abortError());
+				}
+				if (Date.now() - last_yield < YIELD_INTERVAL) {
+					return Promise.resolve();
+				}
+				return new Promise(function(resolve, reject) {
+					setTimeout(function() {
+						last_yield = Date.now();
+						if (signal && signal.aborted) {
+							reject(abortError());
+						} else {
+							resolve();
+						}
+					}, 0);
+				});
+			}
+		};
+	}
+	
+	function serializePhar(phar) {
+		// plain object for postMessage(), contents which are not read yet are sent compressed (as stored in the source)
+		var entry = function(file) {
+			return {
+				name: file.getName(),
+				compression_type: file.getCompressionType(),
+				compression_level: file.getCompressionLevel(),
+				timestamp: file.getTimestamp(),
+				permission: file.getPermission(),
+				metadata: file.getMetadata()
+			};
+		};
+		return {
+			stub: phar.stub,
+			alias: phar.alias,
+			metadata: phar.metadata,
+			flags: phar.flags,
+			archive_compression: phar.archive_compression,
+			manifest_api: phar.manifest_api,
+			signature_type: phar.signature_type,
+			signature: phar.signature,
+			private_key: phar.private_key,
+			files: phar.files.map(function(file) {
+				var data = entry(file);
+				if (file.isLoaded()) {
+					data.contents = file.contents;
+					data.compressed = file.compressed; // caches, so the other side does not compress again
+					data.crc32 = file.crc;
+				} else {
+					var source = file.source;
+					data.source = {
+						buffer: source.buffer.subarray(source.offset, source.offset + source.length),
+						size: source.size,
+						crc32: source.crc32
+					};
+				}
+				return data;
+			}),
+			directories: Object.keys(phar.directories).map(function(path) {
+				return entry(phar.directories[path]);
+			})
+		};
+	}
+	
+	function deserializePhar(data, phar) {
+		var entry = function(file, data) {
+			return file.setTimestamp(data.timestamp).setPermission(data.permission).setMetadata(data.metadata);
+		};
+		
+		phar.stub = data.stub;
+		phar.alias = data.alias;
+		phar.metadata = data.metadata;
+		phar.flags = data.flags;
+		phar.archive_compression = data.archive_compression;
+		phar.manifest_api = data.manifest_api;
+		phar.signature_type = data.signature_type;
+		phar.signature = data.signature;
+		phar.private_key = data.private_key;
+		// names are kept as they are, duplicates were reported where the archive was loaded
+		phar.files = data.files.map(function(file) {
+			var result = new PharUtils.PharFile(file.name, file.source ? '' : file.contents, {
+				compression_type: file.compression_type,
+				compression_level: file.compression_level
+			});
+			if (file.source) {
+				result.setContentsSource(file.source.buffer, 0, file.source.buffer.length, file.source.size, file.source.crc32);
+			} else {
+				result.compressed = file.compressed;
+				result.crc = file.crc32;
+			}
+			return entry(result, file);
+		});
+		indexFiles(phar);
+		phar.directories = Object.create(null);
+		for (var i = 0; i < data.directories.length; i++) {
+			phar.directories[data.directories[i].name] = entry(new PharUtils.PharFile(data.directories[i].name, ''), data.directories[i]);
+		}
+		return phar;
+	}
+	
+	function serializeError(error) {
+		return { name: error.name, message: error.message, code: error.code, entry: error.entry };
+	}
+	
+	function deserializeError(data) {
+		var error_class = PharUtils[data.name];
+		if (typeof error_class === 'function' && (error_class === PharUtils.PharError || error_class.prototype instanceof PharUtils.PharError)) {
+			return new error_class(data.message, data.code, data.entry);
+		}
+		var error = Error(data.message);
+		error.name = data.name;
+		return error;
+	}
+	
+	function startWorker(options, onmessage, onerror) {
+		if (node_worker_threads) {
+			var worker = new node_worker_threads.Worker(NODE_WORKER_SOURCE, { eval: true, workerData: module_filename });
+			worker.on('message', onmessage);
+			worker.on('error', onerror);
+			return {
+				post: function(message, transfer) {
+					worker.postMessage(message, transfer);
+				},
+				terminate: function() {
+					worker.terminate();
+				}
+			};
+		}
+		
+		if (typeof Worker === 'undefined' || typeof URL === 'undefined') {
+			throw Error('Workers are not supported in this environment!');
+		}
+		var scripts = options.worker.scripts;
+		if (!scripts) {
+			throw Error('URLs of the dependencies and pharutils.js are required (options.worker.scripts)!');
+		}
+		var base = typeof location !== 'undefined' ? location.href : undefined;
+		var source = 'importScripts(' + scripts.map(function(url) {
+			return JSON.stringify(new URL(url, base).href);
+		}).join(', ') + ');\n' + BROWSER_WORKER_SOURCE;
+		var url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+		var worker = new Worker(url);
+		worker.onmessage = function(event) {
+			onmessage(event.data);
+		};
+		worker.onerror = function(event) {
+			event.preventDefault();
+			onerror(Error(event.message));
+		};
+		return {
+			post: function(message, transfer) {
+				worker.postMessage(message, transfer);
+			},
+			terminate: function() {
+				worker.terminate();
+				URL.revokeObjectURL(url);
+			}
+		};
+	}
+	
+	function callWorker(message, transfer, options) {
+		return new Promise(function(resolve, reject) {
+			var signal = options.signal;
+			if (signal && signal.aborted) {
+				reject(abortError());
+				return;
+			}
+			
+			var worker = null;
+			var done = false;
+			var finish = function(callback, value) {
+				if (done) {
+					return;
+				}
+				done = true;
+				if (signal) {
+					signal.removeEventListener('abort', onabort);
+				}
+				if (worker) {
+					worker.terminate();
+				}
+				callback(value);
+			};
+			var onabort = function() {
+				finish(reject, abortError());
+			};
+			
+			try {
+				worker = startWorker(options, function(data) {
+					if (data.type == 'progress') {
+						if (options.onprogress) {
+							options.onprogress(data.event);
+						}
+					} else if (data.type == 'error') {
+						finish(reject, deserializeError(data.error));
+					} else {
+						finish(resolve, data);
+					}
+				}, function(error) {
+					finish(reject, error);
+				});
+			} catch (error) {
+				finish(reject, error);
+				return;
+			}
+			if (signal) {
+				signal.addEventListener('abort', onabort);
+			}
+			worker.post(message, transfer);
+		});
+	}
+	
+	// phar format
+	
+	var PHAR_HDR_SIGNATURE = 0x10000; // global flag, the phar has a signature trailer
+	
+	function isSignedPhar(buffer, stub_pos) {
+		// PHP reads the signature only when the manifest has the signature flag
+		// stub_pos - position of PharUtils.STUB_END, the flags follow manifest length, files count and API version
+		var flags_pos = stub_pos + PharUtils.STUB_END.length + 10;
+		return stub_pos == -1 || flags_pos + 4 > buffer.length || !!(PharUtils.Binary.readLInt(buffer, flags_pos) & PHAR_HDR_SIGNATURE);
+	}
+	
+	function readPharSignature(buffer) {
+		// returns {type, data_end (end of signed data), hash} or {error}
+		var pos = buffer.length - 4;
+		if (pos < 0 || fromUint8Array(buffer.subarray(pos)) != PharUtils.END_MAGIC) {
+			return { error: new PharUtils.PharFormatError('Phar is corrupted! (magic corrupt)', PharUtils.ERROR_BAD_MAGIC) };
+		}
+		pos -= 4;
+		if (pos < 0) {
+			return { error: new PharUtils.PharSignatureError('Phar is corrupted! (signature corrupt)', PharUtils.ERROR_BAD_SIGNATURE) };
+		}
+		
+		var type = legacySignatureType(PharUtils.Binary.readLInt(buffer, pos), buffer, pos);
+		switch (type) {
+			case PharUtils.SIGNATURE_MD5:
+				var hash_len = 16;
+				break;
+			
+			case PharUtils.SIGNATURE_SHA1:
+				var hash_len = 20;
+				break;
+			
+			case PharUtils.SIGNATURE_SHA256:
+				var hash_len = 32;
+				break;
+			
+			case PharUtils.SIGNATURE_SHA512:
+				var hash_len = 64;
+				break;
+			
+			case PharUtils.SIGNATURE_OPENSSL:
+			case PharUtils.SIGNATURE_OPENSSL_SHA256:
+			case PharUtils.SIGNATURE_OPENSSL_SHA512:
+				pos -= 4;
+				var hash_len = pos < 0 ? pos + 1 : PharUtils.Binary.readLInt(buffer, pos);
+				break;
+			
+			default:
+				return { error: new PharUtils.PharSignatureError('Unknown signature type detected!', PharUtils.ERROR_UNKNOWN_SIGNATURE) };
+		}
+		if (hash_len > pos) {
+			return { error: new PharUtils.PharSignatureError('Phar is corrupted! (signature corrupt)', PharUtils.ERROR_BAD_SIGNATURE) };
+		}
+		return {
+			type: type,
+			data_end: pos - hash_len,
+			hash: fromUint8Array(buffer.subarray(pos - hash_len, pos))
+		};
+	}
+	
+	function writePharData(phar, entries, compressed, progress, compression) {
+		// entries - files and directories to write (see prepareSave())
+		// compressed - compressed contents of the files (in the same order)
+		// compression - whole-archive compression, its bit is set in the global flags (the caller compresses the result)
+		var manifest_buffer = new PharUtils.BinaryBuffer();
+		var directories_count = Object.keys(entries.directories).length;
+		
+		manifest_buffer.putLInt(entries.files.length + directories_count);
+		// PHP reads the API version big-endian, directory entries need 1.1.1 ("\x11\x10")
+		manifest_buffer.putLShort(directories_count ? phar.manifest_api | 0x1000 : phar.manifest_api);
+		// the signature flag always follows the signature type
+		var signed = phar.signature_type != PharUtils.SIGNATURE_NONE;
+		manifest_buffer.putLInt((signed ? phar.flags | PHAR_HDR_SIGNATURE : phar.flags & ~PHAR_HDR_SIGNATURE) | compression);
+		manifest_buffer.putString(phar.alias);
+		manifest_buffer.putString(phar.metadata);
+		
+		for (var path in entries.directories) {
+			var directory = entries.directories[path];
+			manifest_buffer.putString(path + '/');
+			manifest_buffer.putLInt(0); // uncompressed size
+			manifest_buffer.putLInt(directory.getTimestamp());
+			manifest_buffer.putLInt(0); // compressed size
+			manifest_buffer.putLInt(0); // CRC32
+			manifest_buffer.putLInt(directory.getPermission());
+			manifest_buffer.putString(directory.getMetadata());
+		}
+		
+		var all_contents = [];
+		var contents_length = 0;
+		for (var i = 0; i < entries.files.length; i++) {
+			var file = entries.files[i];
+			var contents = compressed[i];
+			
+			manifest_buffer.putString(file.getName());
+			manifest_buffer.putLInt(file.getSize());
+			manifest_buffer.putLInt(file.getTimestamp());
+			manifest_buffer.putLInt(contents.length);
+			manifest_buffer.putLInt(file.getCRC32());
+			manifest_buffer.putLInt(file.getPharFlags());
+			manifest_buffer.putString(file.getMetadata());
+			
+			all_contents.push(contents);
+			contents_length += contents.length;
+		}
+		
+		var buffer = new PharUtils.BinaryBuffer();
+		buffer.reserve(phar.stub.length + 4 + manifest_buffer.length + contents_length + 512);
+		buffer.put(phar.stub);
+		buffer.putString(manifest_buffer.toUint8Array());
+		for (var i = 0; i < all_contents.length; i++) {
+			buffer.put(all_contents[i]);
+		}
+		all_contents = null;
+		
+		if (!signed) {
+			phar.signature = null;
+			return buffer;
+		}
+		progress({ phase: 'signature', entry: null, current: 0, total: 1 });
+		var signature = createSignature(phar.signature_type, buffer.toUint8Array(), phar.private_key);
+		phar.signature = signatureInfo(phar.signature_type, signature);
+		progress({ phase: 'signature', entry: null, current: 1, total: 1 });
+		buffer.put(signature);
+		if (phar.signature_type & PharUtils.SIGNATURE_OPENSSL) {
+			buffer.putLInt(signature.length);
+		}
+		buffer.putLInt(phar.signature_type);
+		buffer.put(PharUtils.END_MAGIC);
+		
+		return buffer;
+	}
+	
+	function changeCompression(phar, match, change) {
+		// change(file) sets the new compression and returns {skipped: reason or null, compressed_size (if already known)}
+		var matchers = toMatchers(match);
+		var report = {
+			files: [],
+			size: 0,
+			compressed_size: 0,
+			ratio: 1
+		};
+		for (var i = 0; i < phar.files.length; i++) {
+			var file = phar.files[i];
+			if (matchers && !matchesAny(matchers, file.getName())) {
+				continue;
+			}
+			var result = change(file);
+			var size = file.getSize();
+			var compressed_size = result.compressed_size === undefined ? file.getCompressedSize() : result.compressed_size;
+			report.files.push({
+				name: file.getName(),
+				compression_type: file.getCompressionType(),
+				size: size,
+				compressed_size: compressed_size,
+				ratio: size ? compressed_size / size : 1,
+				skipped: result.skipped
+			});
+			report.size += size;
+			report.compressed_size += compressed_size;
+		}
+		report.ratio = report.size ? report.compressed_size / report.size : 1;
+		return report;
+	}
+	
+	// reproducible builds
+	
+	var REPRODUCIBLE_EPOCH = 315532800; // 1980-01-01T00:00:00Z, the earliest time zip can store
+	
+	function sourceDateEpoch() {
+		// https://reproducible-builds.org/specs/source-date-epoch/
+		if (typeof process === 'undefined' || !process.env || !/^\d+$/.test(process.env.SOURCE_DATE_EPOCH || '')) {
+			return null;
+		}
+		return parseInt(process.env.SOURCE_DATE_EPOCH, 10);
+	}
+	
+	function normalizeEntries(phar, options, copy) {
+		// {timestamp, files, directories} sorted by name, with clamped timestamps and normalized permissions (and compression),
+		// with copy set the entries of the phar are not changed, copies are returned
+		options = options || { };
+		var timestamp = options.timestamp;
+		if (timestamp === undefined || timestamp === null) {
+			timestamp = sourceDateEpoch();
+		}
+		if (timestamp === null) {
+			timestamp = REPRODUCIBLE_EPOCH;
+		}
+		
+		var normalize = function(entry, permission, compression_type) {
+			var result = entry;
+			if (copy) {
+				result = Object.create(entry);
+				if (compression_type === undefined || compression_type === entry.getCompressionType()) {
+					// same compressed payload, contents and caches are shared with the entry (lazily loaded ones are read once)
+					['contents', 'source', 'compressed', 'crc'].forEach(function(key) {
+						Object.defineProperty(result, key, {
+							get: function() { return entry[key]; },
+							set: function(value) { entry[key] = value; }
+						});
+					});
+				}
+			}
+			if (result.getTimestamp() > timestamp) {
+				result.setTimestamp(timestamp);
+			}
+			result.setPermission(permission);
+			if (compression_type !== undefined && result.getCompressionType() !== compression_type) {
+				result.setCompressionType(compression_type);
+			}
+			return result;
+		};
+		
+		var files = phar.files.slice(0).sort(function(a, b) {
+			return compareNames(a.getName(), b.getName());
+		}).map(function(file) {
+			var permission = options.permission !== undefined ? options.permission : (file.getPermission() & 73 ? 493 : 420); // 0111 ? 0755 : 0644
+			return normalize(file, permission, options.compression_type);
+		});
+		
+		var paths = Object.keys(phar.directories).sort(compareNames);
+		var directories = Object.create(null);
+		for (var i = 0; i < paths.length; i++) {
+			directories[paths[i]] = normalize(phar.directories[paths[i]], options.directory_permission !== undefined ? options.directory_permission : 493);
+		}
+		return { timestamp: timestamp, files: files, directories: directories };
+	}
+	
+	function prepareSave(phar) {
+		// entries to write, timestamp is for entries created on save (stub, alias, signature),
+		// reproducible builds write normalized copies and leave the phar as it is
+		var reproducible = phar.getReproducible();
+		if (!reproducible) {
+			return { timestamp: Date.now() / 1000 | 0, files: phar.files, directories: phar.directories };
+		}
+		return normalizeEntries(phar, reproducible, true);
+	}
+	
+	function compareNames(a, b) {
+		// plain code unit order, independent of locale
+		return a < b ? -1 : (a > b ? 1 : 0);
+	}
+	
+	// unified diff
+	
+	var DIFF_MAX_EDITS = 4000; // larger differences are shown as whole replacement
+	
+	function isBinaryData(data) {
+		// same heuristic as git: NUL byte within the first 8000 bytes
+		return data.substring(0, 8000).indexOf('\0') != -1;
+	}
+	
+	function splitLines(text) {
+		var lines = text.split('\n');
+		if (lines[lines.length - 1] === '') {
+			lines.pop();
+		} else {
+			lines[lines.length - 1] += '\n\\ No newline at end of file';
+		}
+		return lines;
+	}
+	
+	function diffSequences(a, b) {
+		// Myers' algorithm, returns edit script as [[' ' | '-' | '+', line], ...]
+		var start = 0;
+		while (start < a.length && start < b.length && a[start] === b[start]) {
+			start++;
+		}
+		var end_a = a.length, end_b = b.length;
+		while (end_a > start && end_b > start && a[end_a - 1] === b[end_b - 1]) {
+			end_a--;
+			end_b--;
+		}
+		
+		var n = end_a - start, m = end_b - start;
+		var offset = n + m + 1;
+		var v = new Array(2 * offset + 1);
+		v[offset + 1] = 0;
+		var trace = [];
+		var found = n + m == 0;
+		for (var d = 0; !found && d <= n + m && d <= DIFF_MAX_EDITS; d++) {
+			trace.push(v.slice(offset - d - 1, offset + d + 2));
+			for (var k = -d; k <= d; k += 2) {
+				var x = (k == -d || (k != d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+				var y = x - k;
+				while (x < n && y < m && a[start + x] === b[start + y]) {
+					x++;
+					y++;
+				}
+				v[offset + k] = x;
+				if (x >= n && y >= m) {
+					found = true;
+					break;
+				}
+			}
+		}
+		
+		var middle = [];
+		if (!found) {
+			for (var i = start; i < end_a; i++) {
+				middle.push(['-', a[i]]);
+			}
+			for (var i = start; i < end_b; i++) {
+				middle.push(['+', b[i]]);
+			}
+		} else {
+			var x = n, y = m;
+			for (var d = trace.length - 1; d >= 0; d--) {
+				var prev = trace[d]; // prev[j] is v[j - d - 1]
+				var k = x - y;
+				var prev_k = (k == -d || (k != d && prev[k - 1 + d + 1] < prev[k + 1 + d + 1])) ? k + 1 : k - 1;
+				var prev_x = prev[prev_k + d + 1];
+				var prev_y = prev_x - prev_k;
+				while (x > prev_x && y > prev_y) {
+					middle.push([' ', a[start + --x]]);
+					y--;
+				}
+				if (d > 0) {
+					if (x == prev_x) {
+						middle.push(['+', b[start + --y]]);
+					} else {
+						middle.push(['-', a[start + --x]]);
+					}
+				}
+			}
+			middle.reverse();
+		}
+		
+		var script = [];
+		for (var i = 0; i < start; i++) {
+			script.push([' ', a[i]]);
+		}
+		script = script.concat(middle);
+		for (var i = end_a; i < a.length; i++) {
+			script.push([' ', a[i]]);
+		}
+		return script;
+	}
+	
+	function unifiedDiff(old_text, new_text, old_name, new_name, context) {
+		var script = diffSequences(splitLines(old_text), splitLines(new_text));
+		var result = [];
+		var i = 0;
+		while (i < script.length) {
+			if (script[i][0] == ' ') {
+				i++;
+				continue;
+			}
+			
+			// hunk: changes with at most 2 * context unchanged lines between them
+			var hunk_start = Math.max(0, i - context);
+			var hunk_end = i;
+			while (hunk_end < script.length) {
+				var next = hunk_end;
+				while (next < script.length && script[next][0] == ' ') {
+					next++;
+				}
+				if (next == script.length || next - hunk_end > 2 * context) {
+					hunk_end = Math.min(script.length, hunk_end + context);
+					break;
+				}
+				hunk_end = next + 1;
+			}
+			
+			var old_line = 1, new_line = 1;
+			for (var j = 0; j < hunk_start; j++) {
+				old_line += script[j][0] != '+' ? 1 : 0;
+				new_line += script[j][0] != '-' ? 1 : 0;
+			}
+			var old_count = 0, new_count = 0, lines = [];
+			for (var j = hunk_start; j < hunk_end; j++) {
+				old_count += script[j][0] != '+' ? 1 : 0;
+				new_count += script[j][0] != '-' ? 1 : 0;
+				lines.push(script[j][0] + script[j][1]);
+			}
+			result.push('@@ -' + (old_count ? old_line : old_line - 1) + ',' + old_count + ' +' + (new_count ? new_line : new_line - 1) + ',' + new_count + ' @@');
+			result = result.concat(lines);
+			i = hunk_end;
+		}
+		
+		if (result.length == 0) {
+			return '';
+		}
+		return '--- ' + old_name + '\n+++ ' + new_name + '\n' + result.join('\n') + '\n';
+	}
+	
+	// security inspection
+	
+	var INSPECT_SEVERITIES = ['high', 'medium', 'low', 'info'];
+	
+	// leading bytes of file types that phars are hidden in (polyglots)
+	var INSPECT_MAGIC = [
+		['\x89PNG', 'PNG image'],
+		['\xff\xd8\xff', 'JPEG image'],
+		['GIF87a', 'GIF image'],
+		['GIF89a', 'GIF image'],
+		['BM', 'BMP image'],
+		['RIFF', 'RIFF file (WebP, WAV, AVI)'],
+		['%PDF', 'PDF document'],
+		['\x7fELF', 'ELF executable'],
+		['MZ', 'Windows executable'],
+		['\xd0\xcf\x11\xe0', 'MS Office document'],
+		['<?xml', 'XML document'],
+		['<svg', 'SVG image']
+	];
+	
+	// code that a loader stub has no reason to contain
+	var SUSPICIOUS_STUB_CODE = /\b(?:eval|assert|system|exec|shell_exec|passthru|popen|proc_open|pcntl_exec|create_function|call_user_func(?:_array)?|base64_decode|str_rot13|gzinflate|gzuncompress|gzdecode|unserialize|fsockopen|curl_exec|file_put_contents|mail)\s*\(|\$_(?:GET|POST|REQUEST|COOKIE|FILES)\b|`[^`\r\n]*`/gi;
+	
+	var INSPECT_BOMB_RATIO = 100; // declared size / compressed size
+	var INSPECT_BOMB_SIZE = 0x100000; // ratio is checked only for larger entries
+	
+	var PHAR_HALT_TOKEN = '__HALT_COMPILER();';
+	
+	function magicLabel(bytes) {
+		var head = fromUint8Array(bytes.subarray(0, 8));
+		for (var i = 0; i < INSPECT_MAGIC.length; i++) {
+			if (head.indexOf(INSPECT_MAGIC[i][0]) == 0) {
+				return INSPECT_MAGIC[i][1];
+			}
+		}
+		return null;
+	}
+	
+	function findManifestOffsets(buffer) {
+		// PHP finds the manifest after any "__HALT_COMPILER();", optionally followed by " ?>" and a line break
+		var offsets = [];
+		var pos = 0;
+		while (true) {
+			var found = indexOfBytes(buffer.subarray(pos), PHAR_HALT_TOKEN);
+			if (found == -1) {
+				return offsets;
+			}
+			pos += found + PHAR_HALT_TOKEN.length;
+			var offset = pos;
+			if (fromUint8Array(buffer.subarray(offset, offset + 3)) == ' ?>') {
+				offset += 3;
+			}
+			if (buffer[offset] == 0x0d && buffer[offset + 1] == 0x0a) {
+				offset += 2;
+			} else if (buffer[offset] == 0x0a) {
+				offset += 1;
+			}
+			offsets.push(offset);
+		}
+	}
+	
+	function readPharManifest(buffer, offset, data_end) {
+		// raw manifest with declared sizes and offsets, contents are not read (unlike loadPharData())
+		var manifest_len = offset + 4 > data_end ? -1 : PharUtils.Binary.readLInt(buffer, offset);
+		var data_pos = offset + 4 + manifest_len;
+		if (manifest_len == -1 || data_pos > data_end) {
+			throw new PharUtils.PharFormatError('Phar is corrupted! (manifest corrupt)', PharUtils.ERROR_TRUNCATED_MANIFEST);
+		}
+		
+		var manifest_buffer = new PharUtils.BinaryBuffer(buffer.subarray(offset + 4, data_pos));
+		var manifest = {
+			offset: offset,
+			length: manifest_len,
+			files_count: manifest_buffer.getLInt(),
+			manifest_api: manifest_buffer.getLShort(),
+			flags: manifest_buffer.getLInt(),
+			alias: manifest_buffer.getString(),
+			metadata: manifest_buffer.getString(),
+			entries: [],
+			unused: 0,
+			data_end: data_pos
+		};
+		if (manifest.files_count * 24 > manifest_len) {
+			throw new PharUtils.PharFormatError('Phar is corrupted! (manifest corrupt)', PharUtils.ERROR_TRUNCATED_MANIFEST);
+		}
+		
+		for (var i = 0; i < manifest.files_count; i++) {
+			var entry = {
+				name: manifest_buffer.getString(),
+				size: manifest_buffer.getLInt(),
+				timestamp: manifest_buffer.getLInt(),
+				compressed_size: manifest_buffer.getLInt(),
+				crc32: manifest_buffer.getLInt(),
+				flags: manifest_buffer.getLInt(),
+				metadata: manifest_buffer.getString(),
+				offset: manifest.data_end
+			};
+			manifest.data_end += entry.compressed_size;
+			manifest.entries.push(entry);
+		}
+		manifest.unused = manifest_len - manifest_buffer.offset;
+		return manifest;
+	}
+	
+	function tarListEntries(buffer) {
+		// raw headers, including links (loadTarData() skips them)
+		var entries = [];
+		var long_name = null;
+		var pos = 0;
+		while (pos + TAR_BLOCK_SIZE <= buffer.length) {
+			var header = fromUint8Array(buffer.subarray(pos, pos + TAR_BLOCK_SIZE));
+			if (/^\0*$/.test(header) || tarReadOctal(header, 148, 8) != tarChecksum(header)) {
+				break;
+			}
+			var size = tarReadOctal(header, 124, 12);
+			var type = header.charAt(156);
+			var name = tarReadString(header, 0, 100);
+			if (header.substring(257, 263) == 'ustar\0' && tarReadString(header, 345, 155)) {
+				name = tarReadString(header, 345, 155) + '/' + name;
+			}
+			var contents = fromUint8Array(buffer.subarray(pos + TAR_BLOCK_SIZE, pos + TAR_BLOCK_SIZE + size));
+			pos += TAR_BLOCK_SIZE + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+			
+			if (type == 'L') {
+				long_name = tarReadString(contents, 0, size);
+				continue;
+			}
+			if (type == 'x') {
+				var match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(contents);
+				long_name = match ? match[1] : null;
+				continue;
+			}
+			if (long_name !== null) {
+				name = long_name;
+				long_name = null;
+			}
+			entries.push({
+				name: name,
+				type: type,
+				link: tarReadString(header, 157, 100)
+			});
+		}
+		return entries;
+	}
+	
+	function zipListEntries(buffer) {
+		// raw central directory names, read even when loadZipData() fails
+		var entries = [];
+		var tail_pos = Math.max(0, buffer.length - 65557);
+		var end_pos = fromUint8Array(buffer.subarray(tail_pos)).lastIndexOf(ZIP_END_MAGIC);
+		if (end_pos == -1) {
+			return entries;
+		}
+		try {
+			var end = new PharUtils.BinaryBuffer(buffer.subarray(tail_pos + end_pos + 4));
+			end.offset += 6; // disk numbers and entries on this disk
+			var entries_count = end.getLShort();
+			var central_size = end.getLInt();
+			var central_pos = end.getLInt();
+			var central = new PharUtils.BinaryBuffer(buffer.subarray(central_pos, central_pos + central_size));
+			for (var i = 0; i < entries_count; i++) {
+				if (central.get(4) != ZIP_CENTRAL_MAGIC) {
+					break;
+				}
+				central.offset += 24; // versions, flags, method, time, CRC32 and sizes
+				var name_len = central.getLShort();
+				var skip_len = central.getLShort() + central.getLShort();
+				central.offset += 12; // disk number, attributes and local header offset
+				entries.push({ name: central.get(name_len) });
+				central.offset += skip_len;
+			}
+		} catch (error) {
+			// the rest of the central directory is unreadable
+		}
+		return entries;
+	}
+	
+	function inspectMetadata(metadata, entry, add) {
+		if (!metadata) {
+			return;
+		}
+		var where = entry === null ? 'Archive metadata' : 'Metadata of "' + entry + '"';
+		
+		// objects are created (and their magic methods run) when phar:// reads the metadata
+		var classes = [];
+		var pattern = /[OC]:\d+:"([^"]*)":\d+:\{/g;
+		var match;
+		while ((match = pattern.exec(metadata))) {
+			if (classes.indexOf(match[1]) == -1) {
+				classes.push(match[1]);
+			}
+		}
+		if (classes.length) {
+			add('high', 'SERIALIZED_OBJECT', where + ' contains serialized objects (' + classes.join(', ') + ')', entry);
+		}
+		
+		try {
+			PharUtils.PhpSerializer.unserialize(metadata);
+		} catch (error) {
+			add('low', 'BAD_METADATA', where + ' is not valid serialized data', entry);
+		}
+	}
+	
+	function inspectStub(stub, add) {
+		var info = PharUtils.PharStub.parse(stub);
+		if (info.is_default) {
+			// the default stub is trusted only when it is exactly what createDefault() makes
+			try {
+				var default_stub = PharUtils.PharStub.createDefault(info.index, info.web_index, {
+					alias: info.alias,
+					intercept_file_funcs: info.intercept_file_funcs,
+					shebang: info.shebang || false
+				});
+			} catch (error) {
+				var default_stub = null;
+			}
+			if (default_stub !== null && stub.substring(0, stub.indexOf(PHAR_HALT_TOKEN)) == default_stub.substring(0, default_stub.indexOf(PHAR_HALT_TOKEN))) {
+				return;
+			}
+		}
+		
+		var end = stub.indexOf(PHAR_HALT_TOKEN);
+		var code = end == -1 ? stub : stub.substring(0, end);
+		if (/^(?:#![^\n]*\n)?\s*<\?(?:php)?\s*$/i.test(code)) {
+			return; // no code at all
+		}
+		add('info', 'CUSTOM_STUB', 'Stub is not the default loader stub, it runs custom code', null);
+		var calls = [];
+		var match;
+		SUSPICIOUS_STUB_CODE.lastIndex = 0;
+		while ((match = SUSPICIOUS_STUB_CODE.exec(code))) {
+			var call = match[0].charAt(0) == '`' ? '`...`' : match[0].replace(/\s*\($/, '()');
+			if (calls.indexOf(call) == -1) {
+				calls.push(call);
+			}
+		}
+		if (calls.length) {
+			add('high', 'SUSPICIOUS_STUB', 'Stub contains suspicious code: ' + calls.join(', '), null);
+		}
+	}
+	
+	function inspectEntryNames(entries, add) {
+		var paths = Object.create(null);
+		for (var i = 0; i < entries.length; i++) {
+			var name = entries[i].name;
+			var reason = unsafePathReason(name);
+			if (reason) {
+				add('high', PharUtils.ERROR_UNSAFE_PATH, 'Entry name is unsafe (' + reason + '): "' + name + '"', name);
+				continue;
+			}
+			var path = normalizePath(name);
+			if (path != name.replace(/\/$/, '')) {
+				add('low', 'UNNORMALIZED_PATH', 'Entry name is not normalized: "' + name + '" is read as "' + path + '"', name);
+			}
+			if (path in paths) {
+				var message = paths[path] == name ? 'is listed more than once' : 'has the same path as "' + paths[path] + '"';
+				add('high', PharUtils.ERROR_DUPLICATE_ENTRY, 'Entry "' + name + '" ' + message + ', only one of them is used', name);
+			} else {
+				paths[path] = name;
+			}
+		}
+	}
+	
+	function inspectPhar(buffer, manifest, report, options, add) {
+		var stub = fromUint8Array(buffer.subarray(0, manifest.offset));
+		var code = stub.replace(/^#![^\n]*\n/, '');
+		if (!/^\s*<\?/.test(code)) {
+			var label = magicLabel(buffer);
+			add('high', 'POLYGLOT', 'Phar is hidden after ' + (label ? label + ' data' : 'non-PHP data') + ' (manifest at offset ' + manifest.offset + ')', null);
+		}
+		inspectStub(stub, add);
+		
+		var data_end = buffer.length;
+		var signature = manifest.flags & PHAR_HDR_SIGNATURE ? readPharSignature(buffer) : null;
+		if (!signature) {
+			add('low', 'UNSIGNED', 'Phar is not signed, its integrity can not be checked', null);
+		} else if (signature.error) {
+			add(signature.error.code == PharUtils.ERROR_UNKNOWN_SIGNATURE ? 'medium' : 'high', signature.error.code, signature.error.message, null);
+		} else {
+			data_end = signature.data_end;
+			report.signature_type = signature.type;
+			try {
+				if (!verifySignature(signature.type, buffer.subarray(0, data_end), signature.hash, options.public_key)) {
+					add('high', PharUtils.ERROR_BAD_SIGNATURE, 'Phar has a broken signature!', null);
+				}
+			} catch (error) {
+				add('info', error.code, error.message, null);
+			}
+			if (signatureAlgorithm(signature.type) == 'md5' || signatureAlgorithm(signature.type) == 'sha1') {
+				add('low', 'WEAK_SIGNATURE', 'Signature uses ' + signatureAlgorithm(signature.type).toUpperCase() + ', which does not protect against forgery', null);
+			}
+		}
+		
+		if (manifest.unused > 0) {
+			add('medium', 'HIDDEN_DATA', manifest.unused + ' bytes at the end of the manifest are not used', null);
+		}
+		inspectMetadata(manifest.metadata, null, add);
+		inspectEntryNames(manifest.entries, add);
+		
+		for (var i = 0; i < manifest.entries.length; i++) {
+			var entry = manifest.entries[i];
+			var compression_type = entry.flags & 0xf000;
+			inspectMetadata(entry.metadata, entry.name, add);
+			if (entry.name.charAt(entry.name.length - 1) == '/') {
+				continue; // directory
+			}
+			if (entry.offset + entry.compressed_size > data_end) {
+				add('high', 'OUT_OF_BOUNDS', 'Contents of "' + entry.name + '" are out of the archive data', entry.name);
+				continue;
+			}
+			if (PharUtils.SUPPORTED_COMPRESSION.indexOf(compression_type) == -1) {
+				add('medium', PharUtils.ERROR_UNSUPPORTED_COMPRESSION, 'Entry "' + entry.name + '" has unknown compression flags 0x' + compression_type.toString(16), entry.name);
+				continue;
+			}
+			if (compression_type == PharUtils.COMPRESSION_NONE && entry.size != entry.compressed_size) {
+				add('medium', 'SIZE_MISMATCH', 'Entry "' + entry.name + '" is stored uncompressed, but its sizes differ (' + entry.size + ' and ' + entry.compressed_size + ' bytes)', entry.name);
+				continue;
+			}
+			if (entry.size > options.max_size || (entry.size > INSPECT_BOMB_SIZE && entry.size / Math.max(entry.compressed_size, 1) > INSPECT_BOMB_RATIO)) {
+				add('medium', 'DECOMPRESSION_BOMB', 'Entry "' + entry.name + '" expands from ' + entry.compressed_size + ' to ' + entry.size + ' bytes', entry.name);
+				continue;
+			}
+			
+			var file = new PharUtils.PharFile(entry.name, '', { compression_type: compression_type });
+			file.setContentsSource(buffer, entry.offset, entry.compressed_size, entry.size, entry.crc32);
+			try {
+				var size = file.getContentsAsBytes().length;
+			} catch (error) {
+				add('medium', error.code || PharUtils.ERROR_DECOMPRESSION_FAILED, error.message, entry.name);
+				continue;
+			}
+			if (size != entry.size) {
+				add('medium', 'SIZE_MISMATCH', 'Entry "' + entry.name + '" has ' + size + ' bytes, but the manifest says ' + entry.size, entry.name);
+			}
+		}
+		
+		if (manifest.data_end < data_end) {
+			add('medium', 'HIDDEN_DATA', (data_end - manifest.data_end) + ' bytes after the last entry are not referenced by the manifest', null);
+		}
+		report.entries = manifest.entries.length;
+	}
+	
+	function inspectArchive(buffer, format, report, options, add) {
+		var entries = format == 'tar' ? tarListEntries(buffer) : zipListEntries(buffer);
+		var names = [];
+		var signed = false;
+		for (var i = 0; i < entries.length; i++) {
+			var name = entries[i].name;
+			if (name == '.phar/signature.bin') {
+				signed = true;
+			}
+			if (name.indexOf('.phar/') == 0) {
+				continue; // stub, alias, metadata and signature
+			}
+			names.push(entries[i]);
+			if (entries[i].type == '1' || entries[i].type == '2') {
+				add('medium', 'LINK', 'Entry "' + name + '" is a link to "' + entries[i].link + '"', name);
+			}
+		}
+		inspectEntryNames(names, add);
+		report.entries = names.length;
+		
+		var phar = new PharUtils.Phar();
+		try {
+			if (format == 'tar') {
+				phar.loadTarData(buffer, { public_key: options.public_key });
+			} else {
+				phar.loadZipData(buffer, { public_key: options.public_key });
+			}
+		} catch (error) {
+			var severity = error.code == PharUtils.ERROR_MISSING_KEY ? 'info' : error.code == PharUtils.ERROR_UNKNOWN_SIGNATURE ? 'medium' : 'high';
+			add(severity, error.code || PharUtils.ERROR_CORRUPTED_ARCHIVE, error.message, error.entry);
+			return;
+		}
+		
+		if (signed) {
+			report.signature_type = phar.getSignatureType();
+			var algorithm = signatureAlgorithm(report.signature_type);
+			if (algorithm == 'md5' || algorithm == 'sha1') {
+				add('low', 'WEAK_SIGNATURE', 'Signature uses ' + algorithm.toUpperCase() + ', which does not protect against forgery', null);
+			}
+		} else {
+			add('low', 'UNSIGNED', 'Phar is not signed, its integrity can not be checked', null);
+		}
+		inspectStub(phar.getStub(), add);
+		inspectMetadata(phar.getMetadata(), null, add);
+		var files = phar.getFiles();
+		for (var i = 0; i < files.length; i++) {
+			inspectMetadata(files[i].getMetadata(), files[i].getName(), add);
+		}
+	}
+	
+	// PHP classmap autoloader
+	
+	var PHP_CLASS_KEYWORDS = ['class', 'interface', 'trait', 'enum'];
+	
+	// whitespace, close tag, comment, string, heredoc/nowdoc start, variable, name, other
+	var PHP_TOKEN = new RegExp([
+		'(\\s+)',
+		'(\\?>)',
+		'((?:#(?!\\[)|\\/\\/)[^\\n]*?(?=\\?>|\\n|$)|\\/\\*[\\s\\S]*?(?:\\*\\/|$))',
+		'(\'(?:[^\'\\\\]|\\\\[\\s\\S])*\'?|"(?:[^"\\\\]|\\\\[\\s\\S])*"?|`(?:[^`\\\\]|\\\\[\\s\\S])*`?)',
+		'(<<<[ \\t]*(["\']?)([A-Za-z_\\x80-\\xff][\\w\\x80-\\xff]*)\\6\\r?\\n)',
+		'(\\$+[A-Za-z_\\x80-\\xff][\\w\\x80-\\xff]*)',
+		'(\\\\?[A-Za-z_\\x80-\\xff][\\w\\x80-\\xff]*(?:\\\\[A-Za-z_\\x80-\\xff][\\w\\x80-\\xff]*)*)',
+		'(::|\\?->|->|#\\[|[\\s\\S])'
+	].join('|'), 'g');
+	
+	function tokenizePhp(code) {
+		// only what is needed to find declarations: [{type: "string" | "variable" | "name" | "punct", value, offset}]
+		var tokens = [];
+		var pos = 0;
+		while (pos < code.length) {
+			// inline HTML
+			var open = code.indexOf('<?', pos);
+			if (open == -1) {
+				break;
+			}
+			pos = open + (code.substr(open + 2, 3).toLowerCase() == 'php' ? 5 : code.charAt(open + 2) == '=' ? 3 : 2);
+			
+			PHP_TOKEN.lastIndex = pos;
+			var match;
+			while ((match = PHP_TOKEN.exec(code))) {
+				pos = PHP_TOKEN.lastIndex;
+				if (match[2]) {
+					tokens.push({ type: 'punct', value: ';', offset: match.index }); // "?>" ends a statement
+					break;
+				} else if (match[4]) {
+					tokens.push({ type: 'string', value: match[4], offset: match.index });
+				} else if (match[5]) {
+					var terminator = new RegExp('\\n[ \\t]*' + match[7] + '(?![\\w\\x80-\\xff])', 'g');
+					terminator.lastIndex = pos - 1;
+					var end = terminator.exec(code);
+					pos = end ? terminator.lastIndex : code.length;
+					tokens.push({ type: 'string', value: code.substring(match.index, pos), offset: match.index });
+					PHP_TOKEN.lastIndex = pos;
+				} else if (match[8]) {
+					tokens.push({ type: 'variable', value: match[8], offset: match.index });
+				} else if (match[9]) {
+					tokens.push({ type: 'name', value: match[9], offset: match.index });
+				} else if (match[10]) {
+					tokens.push({ type: 'punct', value: match[10], offset: match.index });
+				}
+				if (pos >= code.length) {
+					break;
+				}
+			}
+			if (!match) {
+				break;
+			}
+		}
+		return tokens;
+	}
+	
+	function findPhpClasses(code) {
+		// [{name, type, line}] of classes, interfaces, traits and enums declared in the code
+		var tokens = tokenizePhp(code);
+		var result = [];
+		var namespace = '';
+		var depth = 0;
+		var namespace_depth = -1; // braced namespace block
+		var line = 1, line_offset = 0;
+		
+		for (var i = 0; i < tokens.length; i++) {
+			var token = tokens[i];
+			if (token.type == 'punct') {
+				if (token.value == '{') {
+					depth++;
+				} else if (token.value == '}' && --depth == namespace_depth) {
+					namespace = '';
+					namespace_depth = -1;
+				}
+				continue;
+			}
+			if (token.type != 'name') {
+				continue;
+			}
+			
+			var keyword = token.value.toLowerCase();
+			var prev = tokens[i - 1], next = tokens[i + 1];
+			if (prev && (prev.value == '::' || prev.value == '->' || prev.value == '?->')) {
+				continue; // Foo::class, $object->class
+			}
+			if (keyword == '__halt_compiler') {
+				break;
+			}
+			if (keyword == 'namespace' && next && (next.type == 'name' || next.value == '{')) {
+				namespace = next.type == 'name' ? next.value.replace(/^\\/, '') : '';
+				if (next.type == 'name') {
+					next = tokens[++i + 1];
+				}
+				if (next && next.value == '{') {
+					namespace_depth = depth;
+				}
+				continue;
+			}
+			
+			if (PHP_CLASS_KEYWORDS.indexOf(keyword) == -1 || !next || next.type != 'name' || next.value.indexOf('\\') != -1) {
+				continue;
+			}
+			if (prev && prev.type == 'name' && /^(?:new|function|const|use|insteadof)$/i.test(prev.value)) {
+				continue; // anonymous class, methods and constants named "class" etc.
+			}
+			if (keyword == 'enum') {
+				var after = tokens[i + 2];
+				if (!after || (after.value != '{' && after.value != ':' && after.value.toLowerCase() != 'implements')) {
+					continue; // "enum" is not a reserved word
+				}
+			}
+			
+			while (line_offset < token.offset) {
+				var newline = code.indexOf('\n', line_offset);
+				if (newline == -1 || newline >= token.offset) {
+					break;
+				}
+				line++;
+				line_offset = newline + 1;
+			}
+			result.push({ name: (namespace ? namespace + '\\' : '') + next.value, type: keyword, line: line });
+			i++;
+		}
+		return result;
+	}
+	
+	function phpQuote(str) {
+		return '\'' + str.replace(/\\/g, '\\\\').replace(/'/g, '\\\'') + '\'';
+	}
+	
+	// plugin.yml (PocketMine-MP)
+	
+	var PLUGIN_PERMISSION_DEFAULTS = ['op', 'isop', 'operator', 'isoperator', 'admin', 'isadmin', '!op', 'notop', '!operator', 'notoperator', '!admin', 'notadmin', 'true', 'false'];
+	
+	// fields DevTools mirrors into the archive metadata (and their defaults)
+	var PLUGIN_METADATA_FIELDS = { name: undefined, version: undefined, main: undefined, api: undefined, depend: '', description: '', authors: '', website: '' };
+	
+	function yamlStripComment(text) {
+		// "#" starts a comment at the line start or after whitespace, outside of quotes
+		var quote = null;
+		for (var i = 0; i < text.length; i++) {
+			var c = text.charAt(i);
+			if (quote) {
+				if (c == '\\' && quote == '"') {
+					i++;
+				} else if (c == quote) {
+					quote = null;
+				}
+			} else if ((c == '"' || c == '\'') && (i == 0 || /[\s\[{,:]/.test(text.charAt(i - 1)))) {
+				quote = c;
+			} else if (c == '#' && (i == 0 || /\s/.test(text.charAt(i - 1)))) {
+				return text.substring(0, i).replace(/\s+$/, '');
+			}
+		}
+		return text.replace(/\s+$/, '');
+	}
+	
+	function yamlScalar(text, fail) {
+		if (text.charAt(0) == '"') {
+			try {
+				return JSON.parse(text.replace(/\t/g, '\\t'));
+			} catch (error) {
+				fail('bad double-quoted string');
+			}
+		}
+		if (text.charAt(0) == '\'') {
+			if (!/^'(?:[^']|'')*'$/.test(text)) {
+				fail('bad single-quoted string');
+			}
+			return text.slice(1, -1).replace(/''/g, '\'');
+		}
+		
+		// YAML 1.1 plain scalars, as PHP's yaml extension reads them
+		if (/^(?:~|null|Null|NULL)?$/.test(text)) {
+			return null;
+		}
+		if (/^(?:true|True|TRUE|yes|Yes|YES|on|On|ON)$/.test(text)) {
+			return true;
+		}
+		if (/^(?:false|False|FALSE|no|No|NO|off|Off|OFF)$/.test(text)) {
+			return false;
+		}
+		if (/^[-+]?(?:0|[1-9][0-9]*)$/.test(text) || /^0x[0-9a-fA-F]+$/.test(text)) {
+			return Number(text);
+		}
+		if (/^[-+]?(?:[0-9]+\.[0-9]*|\.[0-9]+)(?:[eE][-+]?[0-9]+)?$/.test(text)) {
+			return parseFloat(text);
+		}
+		return text;
+	}
+	
+	function yamlFlow(text, fail) {
+		// [a, b] and {key: value}
+		var pos = 0;
+		var space = function() {
+			while (/\s/.test(text.charAt(pos))) {
+				pos++;
+			}
+		};
+		var parseValue = function(in_map) {
+			space();
+			var c = text.charAt(pos);
+			if (c == '[' || c == '{') {
+				var is_map = c == '{';
+				var result = is_map ? { } : [];
+				pos++;
+				space();
+				while (text.charAt(pos) != (is_map ? '}' : ']')) {
+					if (pos >= text.length) {
+						fail('unterminated flow collection');
+					}
+					if (is_map) {
+						var key = parseValue(true);
+						space();
+						if (text.charAt(pos) != ':') {
+							fail('":" expected in flow mapping');
+						}
+						pos++;
+						result[key] = parseValue(false);
+					} else {
+						result.push(parseValue(false));
+					}
+					space();
+					if (text.charAt(pos) == ',') {
+						pos++;
+						space();
+					} else if (text.charAt(pos) != (is_map ? '}' : ']')) {
+						fail(pos >= text.length ? 'unterminated flow collection' : '"," expected in flow collection');
+					}
+				}
+				pos++;
+				return result;
+			}
+			var match = (c == '"' ? /"(?:[^"\\]|\\.)*"/g : c == '\'' ? /'(?:[^']|'')*'/g : in_map ? /[^,:\[\]{}]*/g : /[^,\[\]{}]*/g);
+			match.lastIndex = pos;
+			var scalar = match.exec(text)[0];
+			pos += scalar.length;
+			return yamlScalar(scalar.replace(/\s+$/, ''), fail);
+		};
+		
+		var result = parseValue(false);
+		space();
+		if (pos != text.length) {
+			fail('unexpected "' + text.charAt(pos) + '" after flow collection');
+		}
+		return result;
+	}
+	
+	function parseYaml(text) {
+		// block mappings and sequences, flow collections, quoted, plain and block scalars (what plugin.yml files use)
+		var lines = text.replace(/^(?:\xef\xbb\xbf|\ufeff)/, '').split(/\r\n|\r|\n/);
+		var pos = 0;
+		
+		var fail = function(message) {
+			throw Error('YAML error on line ' + (pos + 1) + ': ' + message + '!');
+		};
+		var failPrevious = function(message) {
+			pos--; // values are parsed after their line is consumed
+			fail(message);
+		};
+		var indentOf = function(line) {
+			return /^ */.exec(line)[0].length;
+		};
+		var skip = function() {
+			while (pos < lines.length && (/^\s*(?:#.*)?$/.test(lines[pos]) || /^(?:---|\.\.\.)\s*$/.test(lines[pos]))) {
+				pos++;
+			}
+			if (pos < lines.length && /^ *\t/.test(lines[pos])) {
+				fail('tabs can not be used for indentation');
+			}
+		};
+		var isItem = function(content) {
+			return /^-(?:\s|$)/.test(content);
+		};
+		
+		var parseBlockScalar = function(header, indent) {
+			var block = [];
+			var block_indent = null;
+			while (pos < lines.length) {
+				if (/^\s*$/.test(lines[pos])) {
+					block.push('');
+				} else {
+					var current = indentOf(lines[pos]);
+					if (current <= indent || (block_indent !== null && current < block_indent)) {
+						break;
+					}
+					if (block_indent === null) {
+						block_indent = current;
+					}
+					block.push(lines[pos].substring(block_indent));
+				}
+				pos++;
+			}
+			var trailing = '';
+			while (block.length && block[block.length - 1] === '') {
+				block.pop();
+				trailing += '\n';
+			}
+			
+			var value = '';
+			for (var i = 0; i < block.length; i++) {
+				if (header.charAt(0) == '|') {
+					value += (i ? '\n' : '') + block[i];
+				} else if (block[i] === '') {
+					value += '\n';
+				} else {
+					value += (i && block[i - 1] !== '' ? ' ' : '') + block[i];
+				}
+			}
+			if (header.charAt(1) == '+') {
+				return value + (block.length ? '\n' : '') + trailing;
+			}
+			return value + (header.charAt(1) != '-' && block.length ? '\n' : '');
+		};
+		
+		var parseValue = function(text, indent) {
+			// value after "key:" or "- " on the line before pos
+			if (text === '') {
+				skip();
+				if (pos < lines.length) {
+					var current = indentOf(lines[pos]);
+					if (current > indent || (current == indent && isItem(lines[pos].substring(current)))) {
+						return parseNode(current);
+					}
+				}
+				return null;
+			}
+			if (/^[|>][-+]?$/.test(text)) {
+				return parseBlockScalar(text, indent);
+			}
+			if (text.charAt(0) == '[' || text.charAt(0) == '{') {
+				return yamlFlow(text, failPrevious);
+			}
+			return yamlScalar(text, failPrevious);
+		};
+		
+		var parseNode = function(indent) {
+			// mapping or sequence, lines at exactly this indentation
+			skip();
+			var is_sequence = isItem(lines[pos].substring(indent));
+			var result = is_sequence ? [] : { };
+			while (true) {
+				skip();
+				if (pos >= lines.length || indentOf(lines[pos]) < indent) {
+					break;
+				}
+				if (indentOf(lines[pos]) > indent) {
+					fail('bad indentation');
+				}
+				var content = yamlStripComment(lines[pos].substring(indent));
+				if (is_sequence) {
+					if (!isItem(content)) {
+						break; // sequence of a mapping key at the same indentation
+					}
+					var item = content.substring(1).replace(/^\s+/, '');
+					var item_indent = indent + content.length - item.length;
+					if (/^[^\s'"\[{#][^:]*:(?:\s|$)|^(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:(?:\s|$)/.test(item)) {
+						// "- key: value" starts a mapping
+						lines[pos] = new Array(item_indent + 1).join(' ') + item;
+						result.push(parseNode(item_indent));
+					} else {
+						pos++;
+						result.push(parseValue(item, indent));
+					}
+					continue;
+				}
+				
+				var match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"\[{#-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/.exec(content);
+				if (!match) {
+					fail(isItem(content) ? 'sequence item in a mapping' : 'mapping entry expected');
+				}
+				pos++;
+				var key = /^["']/.test(match[1]) ? yamlScalar(match[1], fail) : match[1];
+				result[key] = parseValue(match[2] || '', indent);
+			}
+			return result;
+		};
+		
+		skip();
+		if (pos >= lines.length) {
+			return null;
+		}
+		var result = parseNode(indentOf(lines[pos]));
+		skip();
+		if (pos < lines.length) {
+			fail('unexpected content');
+		}
+		return result;
+	}
+	
+	function toList(value) {
+		// plugin.yml allows a single value where a list is expected
+		if (value === null || value === undefined || value === '') {
+			return [];
+		}
+		return Array.isArray(value) ? value : [value];
+	}
+	
+	function pluginTextToBinary(value) {
+		// plugin.yml is read as text, PHP keeps its strings as UTF-8 bytes
+		if (typeof value == 'string') {
+			return fromUint8Array(encodeUTF8(value));
+		}
+		if (value && typeof value == 'object') {
+			var result = Array.isArray(value) ? [] : { };
+			for (var key in value) {
+				result[key] = pluginTextToBinary(value[key]);
+			}
+			return result;
+		}
+		return value;
+	}
+	
+	function validatePluginData(data) {
+		// [{field, message}] of problems PocketMine-MP refuses plugins for
+		var errors = [];
+		var error = function(field, message) {
+			errors.push({ field: field, message: message });
+		};
+		if (!data || typeof data != 'object' || Array.isArray(data)) {
+			error(null, 'plugin.yml must be a mapping');
+			return errors;
+		}
+		
+		['name', 'version', 'main', 'api'].forEach(function(field) {
+			if (data[field] === undefined || data[field] === null || data[field] === '') {
+				error(field, '"' + field + '" is missing');
+			}
+		});
+		if (typeof data.name == 'string' && !/^[A-Za-z0-9 _.-]+$/.test(data.name)) {
+			error('name', 'Name "' + data.name + '" contains characters other than A-Z, a-z, 0-9, space, "_", "." and "-"');
+		}
+		if (data.main !== undefined && data.main !== null) {
+			if (typeof data.main != 'string' || !/^\\?[A-Za-z_\x80-\uffff][\w\x80-\uffff]*(?:\\[A-Za-z_\x80-\uffff][\w\x80-\uffff]*)*$/.test(data.main)) {
+				error('main', 'Main "' + data.main + '" is not a class name');
+			} else if (data.main.toLowerCase().replace(/^\\/, '').indexOf('pocketmine\\') == 0) {
+				error('main', 'Main class can not be in the pocketmine namespace');
+			}
+		}
+		toList(data.api).forEach(function(api) {
+			if (!/^\d+\.\d+\.\d+(?:-\S+)?$/.test(String(api))) {
+				error('api', 'API version "' + api + '" is not in the "major.minor.patch" format');
+			}
+		});
+		['depend', 'softdepend', 'loadbefore', 'authors'].forEach(function(field) {
+			toList(data[field]).forEach(function(value) {
+				if (typeof value != 'string') {
+					error(field, '"' + field + '" must be a name or a list of names');
+				}
+			});
+		});
+		if (data.load !== undefined && data.load !== null && !/^(?:STARTUP|POSTWORLD)$/i.test(String(data.load))) {
+			error('load', 'Load order "' + data.load + '" is not STARTUP or POSTWORLD');
+		}
+		
+		if (data.commands !== undefined && data.commands !== null) {
+			if (typeof data.commands != 'object' || Array.isArray(data.commands)) {
+				error('commands', '"commands" must be a mapping');
+			} else {
+				for (var name in data.commands) {
+					var command = data.commands[name] || { };
+					if (name.indexOf(':') != -1) {
+						error('commands', 'Command name "' + name + '" can not contain ":"');
+					}
+					if (typeof command != 'object' || Array.isArray(command)) {
+						error('commands', 'Command "' + name + '" must be a mapping');
+						continue;
+					}
+					toList(command.aliases).forEach(function(alias) {
+						if (String(alias).indexOf(':') != -1) {
+							error('commands', 'Alias "' + alias + '" of command "' + name + '" can not contain ":"');
+						}
+					});
+				}
+			}
+		}
+		
+		var checkPermissions = function(permissions) {
+			if (typeof permissions != 'object' || Array.isArray(permissions)) {
+				error('permissions', '"permissions" must be a mapping');
+				return;
+			}
+			for (var name in permissions) {
+				var permission = permissions[name];
+				if (typeof permission == 'boolean') {
+					continue; // child permission
+				}
+				if (!permission || typeof permission != 'object' || Array.isArray(permission)) {
+					error('permissions', 'Permission "' + name + '" must be a mapping');
+					continue;
+				}
+				if (permission['default'] !== undefined && typeof permission['default'] != 'boolean' &&
+					PLUGIN_PERMISSION_DEFAULTS.indexOf(String(permission['default']).toLowerCase()) == -1) {
+					error('permissions', 'Default "' + permission['default'] + '" of permission "' + name + '" is not one of ' + PLUGIN_PERMISSION_DEFAULTS.join(', '));
+				}
+				if (permission.children !== undefined && permission.children !== null) {
+					checkPermissions(permission.children);
+				}
+			}
+		};
+		if (data.permissions !== undefined && data.permissions !== null) {
+			checkPermissions(data.permissions);
+		}
+		return errors;
+	}
+	
+	function pluginMainFile(data) {
+		// PSR-4 path of the main class under src/ ("src-namespace-prefix" is stripped from it)
+		var main = String(data.main).replace(/^\\/, '');
+		var prefix = data['src-namespace-prefix'] ? String(data['src-namespace-prefix']).replace(/^\\+|\\+$/g, '') + '\\' : '';
+		if (prefix && main.indexOf(prefix) == 0) {
+			main = main.substring(prefix.length);
+		}
+		return 'src/' + main.replace(/\\/g, '/') + '.php';
+	}
+	
+	var PharUtils = {
+		/**
+		 * Compression flags
+		 * @property {number} COMPRESSION_NONE
+		 * @property {number} COMPRESSION_GZ
+		 * @property {number} COMPRESSION_BZIP2
+		 * @readonly
+		 */
+		COMPRESSION_NONE: 0x0000,
+		COMPRESSION_GZ: 0x1000,
+		COMPRESSION_BZIP2: 0x2000,
+		SUPPORTED_COMPRESSION: [0x0000, 0x1000, 0x2000], // COMPRESSION_NONE, COMPRESSION_GZ and COMPRESSION_BZIP2
+		
+		/**
+		 * Signature types
+		 * @property {number} SIGNATURE_NONE - unsigned phar (no signature flag in the manifest)
+		 * @property {number} SIGNATURE_MD5
+		 * @property {number} SIGNATURE_SHA1
+		 * @property {number} SIGNATURE_SHA256
+		 * @property {number} SIGNATURE_SHA512
+		 * @property {number} SIGNATURE_OPENSSL
+		 * @property {number} SIGNATURE_OPENSSL_SHA256
+		 * @property {number} SIGNATURE_OPENSSL_SHA512
+		 * @readonly
+		 */
+		SIGNATURE_NONE: 0x00,
+		SIGNATURE_MD5: 0x01,
+		SIGNATURE_SHA1: 0x02,
+		SIGNATURE_SHA256: 0x03,
+		SIGNATURE_SHA512: 0x04,
+		SIGNATURE_OPENSSL: 0x10,
+		SIGNATURE_OPENSSL_SHA256: 0x11,
+		SIGNATURE_OPENSSL_SHA512: 0x12,
+		SUPPORTED_SIGNATURES: [0x01, 0x02, 0x03, 0x04, 0x10, 0x11, 0x12],
+		
+		/**
+		 * End of the phar file (magic)
+		 * @property {string} END_MAGIC
+		 * @readonly
+		 */
+		END_MAGIC: 'GBMB',
+		
+		/**
+		 * End of the stub
+		 * @property {string} STUB_END
+		 * @readonly
+		 */
+		STUB_END: '__HALT_COMPILER(); ?>\r\n',
+		
+		/**
+		 * Error codes (PharError.code)
+		 * @property {string} ERROR_BAD_MAGIC                - end of the phar is not "GBMB"
+		 * @property {string} ERROR_UNKNOWN_SIGNATURE        - signature type is not supported
+		 * @property {string} ERROR_BAD_SIGNATURE            - signature does not match
+		 * @property {string} ERROR_MISSING_KEY              - key is required for OpenSSL signature
+		 * @property {string} ERROR_STUB_NOT_FOUND           - end of the stub is not found
+		 * @property {string} ERROR_TRUNCATED_MANIFEST       - manifest is cut or has wrong length
+		 * @property {string} ERROR_TRUNCATED_DATA           - file contents are out of the archive
+		 * @property {string} ERROR_CRC_MISMATCH             - file contents do not match its CRC32
+		 * @property {string} ERROR_DECOMPRESSION_FAILED     - file contents can not be decompressed
+		 * @property {string} ERROR_UNSUPPORTED_COMPRESSION  - compression type is not supported
+		 * @property {string} ERROR_CORRUPTED_ARCHIVE        - tar/zip structure is corrupted
+		 * @property {string} ERROR_UNSAFE_PATH              - entry would be extracted outside of the target directory
+		 * @property {string} ERROR_DUPLICATE_ENTRY          - entry has (or is extracted to) the same path as another one
+		 * @property {string} ERROR_FILE_EXISTS              - extracted file already exists
+		 * @property {string} ERROR_ABORTED                  - async operation was cancelled (error name is "AbortError")
+		 * @readonly
+		 */
+		ERROR_BAD_MAGIC: 'BAD_MAGIC',
+		ERROR_UNKNOWN_SIGNATURE: 'UNKNOWN_SIGNATURE',
+		ERROR_BAD_SIGNATURE: 'BAD_SIGNATURE',
+		ERROR_MISSING_KEY: 'MISSING_KEY',
+		ERROR_STUB_NOT_FOUND: 'STUB_NOT_FOUND',
+		ERROR_TRUNCATED_MANIFEST: 'TRUNCATED_MANIFEST',
+		ERROR_TRUNCATED_DATA: 'TRUNCATED_DATA',
+		ERROR_CRC_MISMATCH: 'CRC_MISMATCH',
+		ERROR_DECOMPRESSION_FAILED: 'DECOMPRESSION_FAILED',
+		ERROR_UNSUPPORTED_COMPRESSION: 'UNSUPPORTED_COMPRESSION',
+		ERROR_CORRUPTED_ARCHIVE: 'CORRUPTED_ARCHIVE',
+		ERROR_UNSAFE_PATH: 'UNSAFE_PATH',
+		ERROR_DUPLICATE_ENTRY: 'DUPLICATE_ENTRY',
+		ERROR_FILE_EXISTS: 'FILE_EXISTS',
+		ERROR_ABORTED: 'ABORTED',
+		
+		/**
+		 * Base error of archive problems
+		 * @member PharUtils
+		 * @class PharError
+		 * @constructor
+		 * @property {string} message - error message
+		 * @property {string} code    - error code (PharUtils.ERROR_*)
+		 * @property {string} entry   - name of the broken entry (if any)
+		 */
+		PharError: function(message, code, entry) {
+			initError(this, 'PharError', message, code, entry);
+		},
+		
+		/**
+		 * Archive structure is corrupted (magic, stub, manifest, tar/zip headers)
+		 * @member PharUtils
+		 * @class PharFormatError
+		 * @extends PharError
+		 * @constructor
+		 */
+		PharFormatError: function(message, code, entry) {
+			initError(this, 'PharFormatError', message, code, entry);
+		},
+		
+		/**
+		 * Signature is unknown, broken or can not be checked
+		 * @member PharUtils
+		 * @class PharSignatureError
+		 * @extends PharError
+		 * @constructor
+		 */
+		PharSignatureError: function(message, code, entry) {
+			initError(this, 'PharSignatureError', message, code, entry);
+		},
+		
+		/**
+		 * Contents of a single entry are broken (CRC, decompression)
+		 * @member PharUtils
+		 * @class PharEntryError
+		 * @extends PharError
+		 * @constructor
+		 */
+		PharEntryError: function(message, code, entry) {
+			initError(this, 'PharEntryError', message, code, entry);
+		},
+		
+		/**
+		 * Binary utils
+		 * @member PharUtils
+		 * @class Binary
+		 */
+		Binary: {
+			/**
+			 * Reads little-endian 32-bit number
+			 * @property {(string|Uint8Array)} buffer
+			 * @property {number} offset - read offset (0 by default)
+			 * @returns {number}
+			 */
+			readLInt: function(buffer, offset) {
+				offset = offset || 0;
+				var num = 0;
+				for (var i = 0; i < 4; i++) {
+					num |= (typeof buffer === 'string' ? buffer.charCodeAt(offset + i) : buffer[offset + i]) << (8 * i);
+				}
+				return num >>> 0;
+			},
+			
+			/**
+			 * Writes little-endian 32-bit number
+			 * @property {number} num
+			 * @returns {string}
+			 */
+			writeLInt: function(num) {
+				var buffer = '';
+				for (var i = 0; i < 4; i++) {
+					buffer += String.fromCharCode((num >> (8 * i)) & 0xff);
+				}
+				return buffer;
+			},
+			
+			/**
+			 * Reads little-endian 16-bit number
+			 * @property {(string|Uint8Array)} buffer
+			 * @property {number} offset - read offset (0 by default)
+			 * @returns {number}
+			 */
+			readLShort: function(buffer, offset) {
+				offset = offset || 0;
+				var num = 0;
+				for (var i = 0; i < 2; i++) {
+					num |= (typeof buffer === 'string' ? buffer.charCodeAt(offset + i) : buffer[offset + i]) << (8 * i);
+				}
+				return num;
+			},
+			
+			/**
+			 * Writes little-endian 16-bit number
+			 * @property {number} num
+			 * @returns {string}
+			 */
+			writeLShort: function(num) {
+				var buffer = '';
+				for (var i = 0; i < 2; i++) {
+					buffer += String.fromCharCode((num >> (8 * i)) & 0xff);
+				}
+				return buffer;
+			}
+		},
+		
+		/**
+		 * Binary buffer (growable, backed by Uint8Array)
+		 * @member PharUtils
+		 * @class BinaryBuffer
+		 * @constructor
+		 * @property {(string|Uint8Array)} buffer - buffer data (Uint8Array is used without copying)
+		 */
+		BinaryBuffer: function(buffer) {
+			this.get = function(length) {
+				return fromUint8Array(this.getBytes(length));
+			};
+			
+			this.getBytes = function(length) {
+				if (length < 0) {
+					length = Math.max(0, this.length - this.offset);
+				}
+				
+				if ((this.offset += length) > this.length) {
+					throw Error('Buffer is accessed out of bounds!');
+				}
+				
+				return this.bytes.subarray(this.offset - length, this.offset);
+			};
+			
+			this.reserve = function(length) {
+				if (this.length + length > this.bytes.length) {
+					var bytes = new Uint8Array(Math.max(this.length + length, this.bytes.length * 2, 256));
+					bytes.set(this.bytes.subarray(0, this.length));
+					this.bytes = bytes;
+					this.view = new DataView(bytes.buffer);
+				}
+				return this;
+			};
+			
+			this.put = function(data) {
+				data = typeof data === 'string' ? toBinaryString(data) : data;
+				this.reserve(data.length);
+				if (typeof data === 'string') {
+					for (var i = 0; i < data.length; i++) {
+						this.bytes[this.length + i] = data.charCodeAt(i);
+					}
+				} else {
+					this.bytes.set(data, this.length);
+				}
+				this.length += data.length;
+				return this;
+			};
+			
+			this.getLInt = function() {
+				this.getBytes(4);
+				return this.view.getUint32(this.offset - 4, true);
+			};
+			
+			this.putLInt = function(number) {
+				this.reserve(4);
+				this.view.setUint32(this.length, number, true);
+				this.length += 4;
+				return this;
+			};
+			
+			this.getLShort = function() {
+				this.getBytes(2);
+				return this.view.getUint16(this.offset - 2, true);
+			};
+			
+			this.putLShort = function(number) {
+				this.reserve(2);
+				this.view.setUint16(this.length, number, true);
+				this.length += 2;
+				return this;
+			};
+			
+			this.getString = function() {
+				return this.get(this.getLInt());
+			};
+			
+			this.putString = function(data) {
+				data = typeof data === 'string' ? toBinaryString(data) : data;
+				this.putLInt(data.length);
+				return this.put(data);
+			};
+			
+			/**
+			 * Get buffer data without copying
+			 * @returns {Uint8Array}
+			 */
+			this.toUint8Array = function() {
+				return this.bytes.subarray(0, this.length);
+			};
+			
+			// binary string access is kept for compatibility
+			Object.defineProperty(this, 'buffer', {
+				get: function() {
+					return fromUint8Array(this.toUint8Array());
+				},
+				set: function(buffer) {
+					this.bytes = toUint8Array(buffer || '');
+					this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+					this.length = this.bytes.length;
+				}
+			});
+			
+			this.buffer = buffer;
+			this.offset = 0;
+			
+			return this;
+		},
+		
+		/**
+		 * PHP object descriptor (used by PhpSerializer)
+		 * @member PharUtils
+		 * @class PhpObject
+		 * @constructor
+		 * @property {string} class_name - class name
+		 * @property {object} properties - object properties (private and protected names keep PHP's "\0" markers)
+		 * @property {string} serialized - custom serialized data ("C:" format), if any
+		 */
+		PhpObject: function(class_name, properties, serialized) {
+			this.class_name = class_name;
+			this.properties = properties || { };
+			if (serialized !== undefined) {
+				this.serialized = serialized;
+			}
+			
+			return this;
+		},
+		
+		/**
+		 * PHP serialize()/unserialize() implementation
+		 * Strings are binary strings, PHP arrays are mapped to JS arrays (when keys are 0..n-1) or objects
+		 * (or Maps, when integer keys are not first in ascending order, as objects would reorder them),
+		 * PHP objects are mapped to PharUtils.PhpObject
+		 * @member PharUtils
+		 * @class PhpSerializer
+		 */
+		PhpSerializer: {
+			/**
+			 * Serializes value
+			 * @static
+			 * @property {*} value
+			 * @returns {string}
+			 */
+			serialize: function(value) {
+				var serializeKey = function(key) {
+					if (/^(0|-?[1-9][0-9]{0,15})$/.test(key)) {
+						return 'i:' + key + ';';
+					}
+					key = toBinaryString(key);
+					return 's:' + key.length + ':"' + key + '";';
+				};
+				
+				var serializeMap = function(map) {
+					var entries = [];
+					if (isMap(map)) {
+						map.forEach(function(value, key) {
+							entries.push([String(key), value]);
+						});
+					} else {
+						Object.keys(map).forEach(function(key) {
+							entries.push([key, map[key]]);
+						});
+					}
+					
+					var result = entries.length + ':{';
+					for (var i = 0; i < entries.length; i++) {
+						result += serializeKey(entries[i][0]) + PharUtils.PhpSerializer.serialize(entries[i][1]);
+					}
+					return result + '}';
+				};
+				
+				if (value === null || value === undefined) {
+					return 'N;';
+				}
+				
+				switch (typeof value) {
+					case 'boolean':
+						return 'b:' + (value ? 1 : 0) + ';';
+					
+					case 'number':
+						if (value % 1 === 0 && Math.abs(value) <= 9007199254740991) {
+							return 'i:' + value + ';';
+						}
+						if (isNaN(value)) {
+							return 'd:NAN;';
+						}
+						if (!isFinite(value)) {
+							return 'd:' + (value < 0 ? '-' : '') + 'INF;';
+						}
+						var parts = String(value).split('e');
+						if (parts.length == 2) {
+							return 'd:' + (parts[0].indexOf('.') == -1 ? parts[0] + '.0' : parts[0]) + 'E' + parts[1] + ';';
+						}
+						return 'd:' + parts[0] + ';';
+					
+					case 'string':
+						value = toBinaryString(value);
+						return 's:' + value.length + ':"' + value + '";';
+					
+					case 'object':
+						if (value instanceof PharUtils.PhpObject) {
+							var name = toBinaryString(value.class_name);
+							if (value.serialized !== undefined) {
+								return 'C:' + name.length + ':"' + name + '":' + value.serialized.length + ':{' + value.serialized + '}';
+							}
+							return 'O:' + name.length + ':"' + name + '":' + serializeMap(value.properties);
+						}
+						return 'a:' + serializeMap(value);
+				}
+				
+				throw Error('Value of type "' + typeof value + '" can not be serialized!');
+			},
+			
+			/**
+			 * Unserializes value
+			 * @static
+			 * @property {string} data
+			 * @property {boolean} text - decode UTF-8 strings with characters above U+00FF (as serialize() encodes them)
+			 * @returns {*}
+			 */
+			unserialize: function(data, text) {
+				var pos = 0;
+				var values = [];
+				
+				var fail = function() {
+					throw Error('Unserialization failed at offset ' + pos + '!');
+				};
+				
+				var expect = function(str) {
+					if (data.substring(pos, pos + str.length) !== str) {
+						fail();
+					}
+					pos += str.length;
+				};
+				
+				var readUntil = function(delimiter) {
+					var end = data.indexOf(delimiter, pos);
+					if (end == -1) {
+						fail();
+					}
+					var result = data.substring(pos, end);
+					pos = end + 1;
+					return result;
+				};
+				
+				var readLength = function(delimiter) {
+					var str = readUntil(delimiter);
+					if (!/^[0-9]+$/.test(str)) {
+						fail();
+					}
+					return parseInt(str, 10);
+				};
+				
+				var readString = function() {
+					var length = readLength(':');
+					expect('"');
+					var str = data.substring(pos, pos + length);
+					if (str.length != length) {
+						fail();
+					}
+					pos += length;
+					expect('"');
+					return text ? binaryToText(str) : str;
+				};
+				
+				var readMap = function() {
+					var count = readLength(':');
+					expect('{');
+					var entries = [];
+					for (var i = 0; i < count; i++) {
+						var key = readValue(true);
+						if (typeof key != 'string' && typeof key != 'number') {
+							fail();
+						}
+						entries.push([key, readValue()]);
+					}
+					expect('}');
+					
+					// objects list integer keys first, in ascending order, so other orders are kept in a Map
+					var last_index = -1;
+					var ordered = true;
+					for (var i = 0; i < entries.length && ordered; i++) {
+						var key = String(entries[i][0]);
+						if (/^(0|[1-9][0-9]*)$/.test(key) && +key < 4294967295) {
+							ordered = i == 0 || (last_index == i - 1 && +key > +entries[last_index][0]);
+							last_index = i;
+						}
+					}
+					
+					var map = ordered || typeof Map === 'undefined' ? { } : new Map();
+					for (var i = 0; i < entries.length; i++) {
+						if (ordered) {
+							map[entries[i][0]] = entries[i][1];
+						} else {
+							map.set(entries[i][0], entries[i][1]);
+						}
+					}
+					return map;
+				};
+				
+				var readValue = function(is_key) {
+					var type = data.charAt(pos);
+					if (type != 'N') {
+						expect(type + ':');
+					}
+					
+					if (!is_key && type != 'R') {
+						var index = values.length;
+						values.push(null);
+					}
+					
+					switch (type) {
+						case 'N':
+							expect('N;');
+							var value = null;
+							break;
+						
+						case 'b':
+							var value = readUntil(';');
+							if (value !== '0' && value !== '1') {
+								fail();
+							}
+							value = value === '1';
+							break;
+						
+						case 'i':
+							var value = readUntil(';');
+							if (!/^[+-]?[0-9]+$/.test(value)) {
+								fail();
+							}
+							value = parseInt(value, 10);
+							break;
+						
+						case 'd':
+							var value = readUntil(';');
+							if (value == 'NAN') {
+								value = NaN;
+							} else if (value == 'INF' || value == '-INF') {
+								value = value == 'INF' ? Infinity : -Infinity;
+							} else if (isNaN(value = parseFloat(value))) {
+								fail();
+							}
+							break;
+						
+						case 's':
+							var value = readString();
+							expect(';');
+							break;
+						
+						case 'a':
+							var value = readMap();
+							if (isMap(value)) {
+								break;
+							}
+							var keys = Object.keys(value);
+							var is_list = true;
+							for (var i = 0; i < keys.length; i++) {
+								if (keys[i] !== String(i)) {
+									is_list = false;
+									break;
+								}
+							}
+							if (is_list) {
+								var list = [];
+								for (var i = 0; i < keys.length; i++) {
+									list.push(value[i]);
+								}
+								value = list;
+							}
+							break;
+						
+						case 'O':
+							var value = new PharUtils.PhpObject(readString());
+							expect(':');
+							values[index] = value;
+							value.properties = readMap();
+							break;
+						
+						case 'C':
+							var class_name = readString();
+							expect(':');
+							var length = readLength(':');
+							expect('{');
+							var value = new PharUtils.PhpObject(class_name, { }, data.substring(pos, pos + length));
+							pos += length;
+							expect('}');
+							break;
+						
+						case 'r':
+						case 'R':
+							var ref = readUntil(';');
+							if (!/^[0-9]+$/.test(ref) || ref < 1 || ref > values.length) {
+								fail();
+							}
+							var value = values[ref - 1];
+							break;
+						
+						default:
+							fail();
+					}
+					
+					if (index !== undefined) {
+						values[index] = value;
+					}
+					return value;
+				};
+				
+				var result = readValue();
+				if (pos != data.length) {
+					fail();
+				}
+				return result;
+			}
+		},
+		
+		/**
+		 * Stub generator (like PHP's Phar::createDefaultStub()) and parser
+		 * @member PharUtils
+		 * @class PharStub
+		 */
+		PharStub: {
+			/**
+			 * Create loader stub: with the phar extension the index file is included from the archive,
+			 * without it the archive is extracted to a temporary directory (as PHP's default stub does)
+			 * @static
+			 * @property {string} index - CLI index file ("index.php" by default)
+			 * @property {?string} web_index - web index file (same as index by default, null disables web support)
+			 * @property {object} options - stub options
+			 * @property {string} options.alias - call Phar::mapPhar() with this alias
+			 * @property {boolean} options.intercept_file_funcs - call Phar::interceptFileFuncs() (true by default)
+			 * @property {(string|boolean)} options.shebang - shebang line (true means "#!/usr/bin/env php")
+			 * @returns {string}
+			 */
+			createDefault: function(index, web_index, options) {
+				var quote = function(str) {
+					return '\'' + str.replace(/\\/g, '\\\\').replace(/'/g, '\\\'') + '\'';
+				};
+				
+				options = options || { };
+				index = index || 'index.php';
+				if (web_index === undefined) {
+					web_index = index;
+				}
+				if (index.length > 400 || (web_index && web_index.length > 400)) {
+					throw Error('Index file name is too long (400 characters at most)!');
+				}
+				
+				var stub = '';
+				if (options.shebang) {
+					stub += (options.shebang === true ? '#!/usr/bin/env php' : options.shebang) + '\n';
+				}
+				stub += '<?php\n\n';
+				if (web_index) {
+					stub += '$web = ' + quote(web_index) + ';\n\n';
+				}
+				
+				stub += 'if (in_array(\'phar\', stream_get_wrappers()) && class_exists(\'Phar\', 0)) {\n';
+				if (options.alias) {
+					stub += 'Phar::mapPhar(' + quote(options.alias) + ');\n';
+				}
+				if (options.intercept_file_funcs !== false) {
+					stub += 'Phar::interceptFileFuncs();\n';
+				}
+				stub += 'set_include_path(\'phar://\' . __FILE__ . PATH_SEPARATOR . get_include_path());\n';
+				if (web_index) {
+					stub += 'Phar::webPhar(null, $web);\n';
+				}
+				stub += 'include \'phar://\' . __FILE__ . \'/\' . Extract_Phar::START;\n';
+				stub += 'return;\n';
+				stub += '}\n\n';
+				
+				if (web_index) {
+					stub += DEFAULT_STUB_WEB + '\n\n';
+				}
+				stub += DEFAULT_STUB_EXTRACT.replace('@INDEX@', function() {
+					return quote(index).slice(1, -1); // a function, so that "$&" and alike in the name are not expanded
+				}) + '\n' + PharUtils.STUB_END;
+				
+				// LEN is the offset of the manifest, i.e. length of the whole stub (including its own digits)
+				var length = stub.length - '@LEN@'.length;
+				var len = String(length);
+				while (String(length + len.length) != len) {
+					len = String(length + len.length);
+				}
+				return stub.replace('@LEN@', len);
+			},
+			
+			/**
+			 * Inspect stub
+			 * @static
+			 * @property {string} stub
+			 * @returns {object} - {shebang, alias, is_default, index, web_index, intercept_file_funcs, index_files}
+			 */
+			parse: function(stub) {
+				var unquote = function(str) {
+					return str.charAt(0) == '"' ? str.slice(1, -1).replace(/\\(["\\$])/g, '$1') : str.slice(1, -1).replace(/\\(['\\])/g, '$1');
+				};
+				var STRING = '(\'(?:[^\'\\\\]|\\\\.)*\'|"(?:[^"\\\\]|\\\\.)*")';
+				
+				var end = stub.toLowerCase().indexOf('__halt_compiler');
+				var code = end == -1 ? stub : stub.substring(0, end);
+				
+				var info = {
+					shebang: null,
+					alias: null,
+					is_default: false,
+					index: null,
+					web_index: null,
+					intercept_file_funcs: /Phar::interceptFileFuncs\s*\(/i.test(code),
+					index_files: []
+				};
+				
+				var match = /^#![^\r\n]*/.exec(code);
+				if (match) {
+					info.shebang = match[0];
+				}
+				
+				match = new RegExp('Phar::mapPhar\\s*\\(\\s*' + STRING, 'i').exec(code);
+				if (match) {
+					info.alias = unquote(match[1]);
+				}
+				
+				var start = new RegExp('const\\s+START\\s*=\\s*' + STRING).exec(code);
+				var web = new RegExp('\\$web\\s*=\\s*' + STRING).exec(code);
+				info.is_default = !!start && /class\s+Extract_Phar\b/.test(code) && /Extract_Phar::go\s*\(\s*\)/.test(code);
+				if (start) {
+					info.index = unquote(start[1]);
+				}
+				if (web && /Phar::webPhar\s*\(/i.test(code)) {
+					info.web_index = unquote(web[1]);
+				}
+				
+				// include 'phar://' . __FILE__ . '/file.php' and include 'phar://alias/file.php'
+				var includes = new RegExp('(?:include|require)(?:_once)?\\s*\\(?\\s*(?:' + STRING + '\\s*\\.\\s*__FILE__\\s*\\.\\s*' + STRING + '|' + STRING + ')', 'gi');
+				while ((match = includes.exec(code))) {
+					if (match[1] !== undefined) {
+						if (!/^phar:\/\/$/i.test(unquote(match[1]))) {
+							continue;
+						}
+						var file = unquote(match[2]).replace(/^\/+/, '');
+					} else {
+						var path = /^phar:\/\/[^\/]*\/(.+)$/i.exec(unquote(match[3]));
+						if (!path) {
+							continue;
+						}
+						var file = path[1];
+					}
+					if (!file) {
+						continue; // include of the default stub (file name is in a constant)
+					}
+					info.index = info.index || file;
+					if (info.index_files.indexOf(file) == -1) {
+						info.index_files.push(file);
+					}
+				}
+				
+				match = new RegExp('Phar::webPhar\\s*\\(\\s*[^,]*,\\s*' + STRING, 'i').exec(code);
+				if (match) {
+					info.web_index = unquote(match[1]);
+				}
+				
+				var names = [info.index, info.web_index];
+				for (var i = 0; i < names.length; i++) {
+					if (names[i] && info.index_files.indexOf(names[i]) == -1) {
+						info.index_files.push(names[i]);
+					}
+				}
+				
+				return info;
+			}
+		},
+		
+		/**
+		 * Classmap autoloader generator (PHP files are scanned with a tokenizer, nothing is executed)
+		 * @member PharUtils
+		 * @class PharAutoloader
+		 */
+		PharAutoloader: {
+			/**
+			 * Find classes, interfaces, traits and enums declared in PHP code
+			 * @static
+			 * @property {string} code - PHP file contents
+			 * @returns {object[]} - [{name, type: "class" | "interface" | "trait" | "enum", line}], names are fully qualified
+			 */
+			findClasses: function(code) {
+				return findPhpClasses(toBinaryString(code));
+			},
+			
+			/**
+			 * Build a classmap of PHP files in the archive
+			 * @static
+			 * @property {PharUtils.Phar} phar
+			 * @property {object} options - scan options
+			 * @property {(string|RegExp|Array)} options.match - files to scan ("**\/*.php" by default)
+			 * @property {(string|RegExp|Array)} options.exclude - files not to scan
+			 * @returns {object} - {classmap: {class name: file name}, classes: [{name, type, file, line}], duplicates: [{name, files}]}
+			 */
+			createClassmap: function(phar, options) {
+				options = options || { };
+				var match = toMatchers(options.match === undefined ? '**/*.php' : options.match);
+				var exclude = toMatchers(options.exclude) || [];
+				var result = {
+					classmap: { },
+					classes: [],
+					duplicates: []
+				};
+				
+				// PHP class names are case-insensitive
+				var defined = Object.create(null);
+				var files = phar.getFiles();
+				for (var i = 0; i < files.length; i++) {
+					var name = files[i].getName();
+					if (!matchesAny(match, name) || matchesAny(exclude, name)) {
+						continue;
+					}
+					var classes = findPhpClasses(files[i].getContents());
+					for (var j = 0; j < classes.length; j++) {
+						var key = classes[j].name.toLowerCase();
+						result.classes.push({ name: classes[j].name, type: classes[j].type, file: name, line: classes[j].line });
+						if (!defined[key]) {
+							defined[key] = { name: classes[j].name, files: [name] };
+							result.classmap[classes[j].name] = name;
+						} else if (defined[key].files.indexOf(name) == -1) {
+							defined[key].files.push(name); // the first definition stays in the classmap
+							if (defined[key].files.length == 2) {
+								result.duplicates.push(defined[key]);
+							}
+						}
+					}
+				}
+				return result;
+			},
+			
+			/**
+			 * Create autoloader code for a classmap
+			 * @static
+			 * @property {object} classmap - {class name: file name}, file names are relative to the archive root
+			 * @property {object} options - autoloader options
+			 * @property {string} options.path - name of the autoloader entry ("autoload.php" by default), files are loaded relative to it
+			 * @property {boolean} options.prepend - prepend the autoloader to the autoload queue
+			 * @returns {string}
+			 */
+			createAutoloader: function(classmap, options) {
+				options = options || { };
+				var depth = normalizePath(options.path || 'autoload.php').split('/').length - 1;
+				var base = '__DIR__';
+				for (var i = 0; i < depth; i++) {
+					base = 'dirname(' + base + ')';
+				}
+				
+				var names = Object.keys(classmap).sort();
+				var code = '<?php\n\n';
+				code += '// classmap autoloader generated by PharUtils.js (' + names.length + ' classes)\n\n';
+				code += 'spl_autoload_register(function ($class) {\n';
+				code += '\tstatic $classmap = array(\n';
+				for (var i = 0; i < names.length; i++) {
+					code += '\t\t' + phpQuote(names[i].toLowerCase()) + ' => ' + phpQuote('/' + normalizePath(classmap[names[i]])) + ',\n';
+				}
+				code += '\t);\n';
+				code += '\t$class = strtolower(ltrim($class, \'\\\\\'));\n';
+				code += '\tif (isset($classmap[$class])) {\n';
+				code += '\t\trequire ' + base + ' . $classmap[$class];\n';
+				code += '\t}\n';
+				code += '}, true, ' + (options.prepend ? 'true' : 'false') + ');\n';
+				return code;
+			},
+			
+			/**
+			 * Create stub that registers the autoloader through a phar:// path (needs the phar extension)
+			 * @static
+			 * @property {string} path - name of the autoloader entry ("autoload.php" by default)
+			 * @property {object} options - stub options
+			 * @property {string} options.index - file to include after registering the autoloader
+			 * @property {string} options.alias - call Phar::mapPhar() with this alias
+			 * @property {(string|boolean)} options.shebang - shebang line (true means "#!/usr/bin/env php")
+			 * @returns {string}
+			 */
+			createStub: function(path, options) {
+				options = options || { };
+				var stub = '';
+				if (options.shebang) {
+					stub += (options.shebang === true ? '#!/usr/bin/env php' : options.shebang) + '\n';
+				}
+				stub += '<?php\n\n';
+				if (options.alias) {
+					stub += 'Phar::mapPhar(' + phpQuote(options.alias) + ');\n';
+				}
+				stub += 'require \'phar://\' . __FILE__ . ' + phpQuote('/' + normalizePath(path || 'autoload.php')) + ';\n';
+				if (options.index) {
+					stub += 'require \'phar://\' . __FILE__ . ' + phpQuote('/' + normalizePath(options.index)) + ';\n';
+				}
+				return stub + '\n' + PharUtils.STUB_END;
+			}
+		},
+		
+		/**
+		 * PocketMine-MP plugin.yml reader and validator
+		 * @member PharUtils
+		 * @class PluginDescription
+		 */
+		PluginDescription: {
+			/**
+			 * Parse YAML (the subset plugin.yml files use, plain scalars are read as PHP's yaml extension reads them)
+			 * @static
+			 * @property {(string|Uint8Array|ArrayBuffer)} text - text or UTF-8 bytes
+			 * @returns {*}
+			 */
+			parseYaml: function(text) {
+				return parseYaml(typeof text === 'string' ? text : decodeUTF8(toUint8Array(text)));
+			},
+			
+			/**
+			 * Validate parsed plugin.yml as PocketMine-MP does on load
+			 * @static
+			 * @property {object} data - parsed plugin.yml
+			 * @returns {object[]} - [{field, message}], empty when plugin.yml is valid
+			 */
+			validate: function(data) {
+				return validatePluginData(data);
+			},
+			
+			/**
+			 * Normalize parsed plugin.yml (single values become lists, defaults are filled in)
+			 * @static
+			 * @property {object} data - parsed plugin.yml
+			 * @returns {object} - {name, version, main, api, depend, softdepend, loadbefore, description, authors, website, prefix, load, src_namespace_prefix, commands, permissions}
+			 */
+			normalize: function(data) {
+				var str = function(value) {
+					return value === undefined || value === null ? '' : String(value);
+				};
+				data = data || { };
+				var name = str(data.name).replace(/ /g, '_');
+				return {
+					name: name,
+					version: str(data.version),
+					main: str(data.main).replace(/^\\/, ''),
+					api: toList(data.api).map(String),
+					depend: toList(data.depend),
+					softdepend: toList(data.softdepend),
+					loadbefore: toList(data.loadbefore),
+					description: str(data.description),
+					authors: toList(data.author).concat(toList(data.authors)),
+					website: str(data.website),
+					prefix: str(data.prefix) || name,
+					load: (str(data.load) || 'POSTWORLD').toUpperCase(),
+					src_namespace_prefix: str(data['src-namespace-prefix']),
+					commands: data.commands || { },
+					permissions: data.permissions || { }
+				};
+			},
+			
+			/**
+			 * Create archive metadata from parsed plugin.yml, as PocketMine-MP's DevTools does
+			 * @static
+			 * @property {object} data - parsed plugin.yml
+			 * @property {number} creation_date - timestamp (now by default)
+			 * @returns {object} - {name, version, main, api, depend, description, authors, website, creationDate}
+			 */
+			toMetadata: function(data, creation_date) {
+				var metadata = { };
+				for (var field in PLUGIN_METADATA_FIELDS) {
+					var value = data[field];
+					metadata[field] = value === undefined || value === null ? PLUGIN_METADATA_FIELDS[field] : value;
+				}
+				metadata.creationDate = creation_date === undefined ? Date.now() / 1000 | 0 : creation_date;
+				return metadata;
+			}
+		},
+		
+		/**
+		 * Run a task sent by loadPharDataAsync() or savePharDataAsync() (used by worker scripts)
+		 * @static
+		 * @property {object} message - task
+		 * @property {function} send - posts a message (data, transfer list) back
+		 */
+		handleWorkerMessage: function(message, send) {
+			try {
+				var progress = function(event) {
+					send({ type: 'progress', event: event });
+				};
+				var phar = new PharUtils.Phar();
+				
+				switch (message.task) {
+					case 'load':
+						var options = message.options;
+						phar.loadPharData(message.buffer, {
+							public_key: options.public_key,
+							verify_signature: options.verify_signature,
+							lenient: options.lenient,
+							allow_broken_signature: options.allow_broken_signature,
+							onprogress: progress
+						});
+						var data = serializePhar(phar);
+						data.type = 'result';
+						data.diagnostics = {
+							errors: phar.getDiagnostics().errors.map(serializeError),
+							broken_entries: phar.getDiagnostics().broken_entries
+						};
+						send(data);
+						break;
+					
+					case 'save':
+						deserializePhar(message.phar, phar);
+						phar.reproducible = message.reproducible; // entries are normalized here, not on the calling thread
+						var result = phar.savePharData(true, { onprogress: progress, compression: message.compression });
+						send({ type: 'result', result: result, signature: phar.signature }, [result.buffer]);
+						break;
+					
+					default:
+						throw Error('Unknown worker task "' + message.task + '"!');
+				}
+			} catch (error) {
+				send({ type: 'error', error: serializeError(error) });
+			}
+		},
+		
+		/**
+		 * Compare two phar archives
+		 * @static
+		 * @property {PharUtils.Phar} a - old archive
+		 * @property {PharUtils.Phar} b - new archive
+		 * @property {object} options - diff options
+		 * @property {number} options.context - unified diff context lines (3 by default)
+		 * @property {boolean} options.text_diff - make unified diffs of text entries (true by default)
+		 * @property {number} options.max_text_size - entries larger than this are not diffed (1 MiB by default)
+		 * @returns {object} - {identical, archive: [{field, old, new, diff}], added: [{name, is_directory, size, crc32}], removed: [...], modified: [{name, changes: [{field, old, new}], binary, diff}]}
+		 */
+		diff: function(a, b, options) {
+			options = options || { };
+			var context = options.context === undefined ? 3 : options.context;
+			var text_diff = options.text_diff !== false;
+			var max_text_size = options.max_text_size || 0x100000;
+			
+			var result = {
+				identical: true,
+				archive: [],
+				added: [],
+				removed: [],
+				modified: []
+			};
+			
+			var fields = {
+				stub: 'getStub',
+				alias: 'getAlias',
+				flags: 'getFlags',
+				archive_compression: 'getArchiveCompression',
+				manifest_api: 'getManifestApi',
+				signature_type: 'getSignatureType',
+				metadata: 'getMetadata'
+			};
+			for (var field in fields) {
+				var old_value = a[fields[field]](), new_value = b[fields[field]]();
+				if (old_value !== new_value) {
+					var change = { field: field, old: old_value, new: new_value };
+					if (field == 'stub' && text_diff) {
+						change.diff = unifiedDiff(old_value, new_value, 'a/.phar/stub.php', 'b/.phar/stub.php', context);
+					}
+					result.archive.push(change);
+				}
+			}
+			
+			var entries = function(phar) {
+				var list = phar.getFiles().concat(phar.getDirectories());
+				var map = Object.create(null);
+				for (var i = 0; i < list.length; i++) {
+					map[list[i].getName()] = list[i];
+				}
+				return map;
+			};
+			var summary = function(name, file, is_directory) {
+				return {
+					name: name,
+					is_directory: is_directory,
+					size: file.getSize(),
+					crc32: file.getCRC32()
+				};
+			};
+			var old_entries = entries(a), new_entries = entries(b);
+			var old_directories = a.getDirectories().map(function(dir) { return dir.getName(); });
+			var new_directories = b.getDirectories().map(function(dir) { return dir.getName(); });
+			
+			for (var name in old_entries) {
+				if (!(name in new_entries)) {
+					result.removed.push(summary(name, old_entries[name], old_directories.indexOf(name) != -1));
+				}
+			}
+			for (var name in new_entries) {
+				if (!(name in old_entries)) {
+					result.added.push(summary(name, new_entries[name], new_directories.indexOf(name) != -1));
+					continue;
+				}
+				
+				var old_file = old_entries[name], new_file = new_entries[name];
+				var changes = [];
+				var entry_fields = {
+					size: 'getSize',
+					crc32: 'getCRC32',
+					permission: 'getPermission',
+					compression_type: 'getCompressionType',
+					timestamp: 'getTimestamp',
+					metadata: 'getMetadata'
+				};
+				for (var field in entry_fields) {
+					var old_value = old_file[entry_fields[field]](), new_value = new_file[entry_fields[field]]();
+					if (old_value !== new_value) {
+						changes.push({ field: field, old: old_value, new: new_value });
+					}
+				}
+				if (changes.length == 0) {
+					continue;
+				}
+				
+				var entry = { name: name, changes: changes, binary: false, diff: null };
+				var contents_changed = changes.some(function(change) {
+					return change.field == 'size' || change.field == 'crc32';
+				});
+				if (contents_changed && text_diff) {
+					if (old_file.getSize() > max_text_size || new_file.getSize() > max_text_size) {
+						entry.binary = null; // not checked
+					} else {
+						var old_contents = old_file.getContents(), new_contents = new_file.getContents();
+						entry.binary = isBinaryData(old_contents) || isBinaryData(new_contents);
+						if (!entry.binary) {
+							entry.diff = unifiedDiff(old_contents, new_contents, 'a/' + name, 'b/' + name, context);
+						}
+					}
+				}
+				result.modified.push(entry);
+			}
+			
+			var sortByName = function(x, y) {
+				return x.name < y.name ? -1 : (x.name > y.name ? 1 : 0);
+			};
+			result.added.sort(sortByName);
+			result.removed.sort(sortByName);
+			result.modified.sort(sortByName);
+			result.identical = result.archive.length + result.added.length + result.removed.length + result.modified.length == 0;
+			
+			return result;
+		},
+		
+		/**
+		 * Render result of PharUtils.diff() as text
+		 * @static
+		 * @property {object} diff
+		 * @returns {string}
+		 */
+		formatDiff: function(diff) {
+			var value = function(field, value) {
+				if (typeof value == 'string') {
+					return value.length > 60 || /[\x00-\x1f]/.test(value) ? '(' + value.length + ' bytes)' : JSON.stringify(value);
+				}
+				if (field == 'permission') {
+					return '0' + value.toString(8);
+				}
+				if (field == 'flags' || field == 'compression_type' || field == 'archive_compression' || field == 'signature_type' || field == 'manifest_api') {
+					return '0x' + value.toString(16);
+				}
+				if (field == 'timestamp') {
+					return new Date(value * 1000).toISOString();
+				}
+				return String(value);
+			};
+			
+			var lines = [];
+			for (var i = 0; i < diff.archive.length; i++) {
+				var change = diff.archive[i];
+				lines.push('archive ' + change.field + ': ' + value(change.field, change.old) + ' -> ' + value(change.field, change.new));
+			}
+			for (var i = 0; i < diff.removed.length; i++) {
+				lines.push('removed: ' + diff.removed[i].name + (diff.removed[i].is_directory ? '/' : ''));
+			}
+			for (var i = 0; i < diff.added.length; i++) {
+				lines.push('added: ' + diff.added[i].name + (diff.added[i].is_directory ? '/' : ''));
+			}
+			for (var i = 0; i < diff.modified.length; i++) {
+				var entry = diff.modified[i];
+				var changes = entry.changes.map(function(change) {
+					return change.field + ' ' + value(change.field, change.old) + ' -> ' + value(change.field, change.new);
+				});
+				lines.push('modified: ' + entry.name + ' (' + changes.join(', ') + ')' + (entry.binary ? ' [binary]' : ''));
+			}
+			
+			var text = lines.join('\n') + (lines.length ? '\n' : '');
+			for (var i = 0; i < diff.archive.length; i++) {
+				text += diff.archive[i].diff ? '\n' + diff.archive[i].diff : '';
+			}
+			for (var i = 0; i < diff.modified.length; i++) {
+				text += diff.modified[i].diff ? '\n' + diff.modified[i].diff : '';
+			}
+			return text;
+		},
+		
+		/**
+		 * Inspect untrusted archive without loading it: serialized objects in metadata, custom stubs,
+		 * unsafe or duplicate entry names, manifest inconsistencies, hidden and embedded phars
+		 * @static
+		 * @property {(string|Uint8Array|ArrayBuffer)} buffer - archive contents (phar, tar or zip, optionally gzip/bzip2 compressed)
+		 * @property {object} options - inspection options
+		 * @property {string} options.public_key - PEM public key (for OpenSSL signature)
+		 * @property {number} options.max_size - entries declaring larger contents are not decompressed (64 MiB by default)
+		 * @returns {object} - {format: "phar" | "tar" | "zip" | null, compressed: "gz" | "bz2" | null, offset, signature_type, entries, severity: "high" | "medium" | "low" | "info" | "none", findings: [{severity, code, message, entry}]} (most severe findings first)
+		 */
+		inspect: function(buffer, options) {
+			options = {
+				public_key: options && options.public_key,
+				max_size: (options && options.max_size) || 0x4000000
+			};
+			
+			var report = {
+				format: null,
+				compressed: null,
+				offset: 0,
+				signature_type: null,
+				entries: 0,
+				severity: 'none',
+				findings: []
+			};
+			var add = function(severity, code, message, entry) {
+				report.findings.push({
+					severity: severity,
+					code: code,
+					message: message,
+					entry: entry === undefined ? null : entry
+				});
+			};
+			
+			buffer = toUint8Array(buffer);
+			report.compressed = { 0x0000: null, 0x1000: 'gz', 0x2000: 'bz2' }[archiveCompression(buffer)];
+			try {
+				buffer = decompressArchive(buffer);
+			} catch (error) {
+				add('high', error.code, 'Archive can not be decompressed: ' + error.message, null);
+				buffer = null;
+			}
+			
+			// formats are detected as PHP does: zip and tar by their headers, phar by the first "__HALT_COMPILER();"
+			var offsets = buffer ? findManifestOffsets(buffer) : [];
+			if (!buffer) {
+				// reported above
+			} else if (fromUint8Array(buffer.subarray(0, 4)) == ZIP_LOCAL_MAGIC) {
+				report.format = 'zip';
+				inspectArchive(buffer, 'zip', report, options, add);
+			} else if (buffer.length >= TAR_BLOCK_SIZE && tarReadOctal(fromUint8Array(buffer.subarray(0, TAR_BLOCK_SIZE)), 148, 8) == tarChecksum(fromUint8Array(buffer.subarray(0, TAR_BLOCK_SIZE)))) {
+				report.format = 'tar';
+				inspectArchive(buffer, 'tar', report, options, add);
+			} else if (offsets.length) {
+				report.format = 'phar';
+				report.offset = offsets[0];
+				try {
+					var manifest = readPharManifest(buffer, offsets[0], buffer.length);
+				} catch (error) {
+					add('high', PharUtils.ERROR_TRUNCATED_MANIFEST, 'Phar is corrupted! (manifest corrupt)', null);
+				}
+				if (manifest) {
+					inspectPhar(buffer, manifest, report, options, add);
+				}
+				offsets.shift();
+			} else {
+				add('info', 'NOT_AN_ARCHIVE', 'No phar, tar or zip structure found', null);
+			}
+			
+			// more manifests can be parsed after other "__HALT_COMPILER();" tokens
+			for (var i = 0; i < offsets.length; i++) {
+				try {
+					var embedded = readPharManifest(buffer, offsets[i], buffer.length);
+				} catch (error) {
+					continue;
+				}
+				if (!embedded.files_count) {
+					continue;
+				}
+				var container = null;
+				for (var j = 0; manifest && j < manifest.entries.length; j++) {
+					var entry = manifest.entries[j];
+					if (offsets[i] >= entry.offset && offsets[i] < entry.offset + entry.compressed_size) {
+						container = entry.name;
+						break;
+					}
+				}
+				if (container !== null) {
+					add('medium', 'EMBEDDED_PHAR', 'Entry "' + container + '" contains a phar with ' + embedded.files_count + ' entries', container);
+				} else {
+					add('high', 'EMBEDDED_PHAR', 'Phar with ' + embedded.files_count + ' entries is embedded at offset ' + offsets[i], null);
+				}
+			}
+			
+			var findings = report.findings;
+			report.findings = [];
+			for (var i = 0; i < INSPECT_SEVERITIES.length; i++) {
+				report.findings = report.findings.concat(findings.filter(function(finding) {
+					return finding.severity == INSPECT_SEVERITIES[i];
+				}));
+			}
+			if (report.findings.length) {
+				report.severity = report.findings[0].severity;
+			}
+			return report;
+		},
+		
+		/**
+		 * Phar class
+		 * @member PharUtils
+		 * @class Phar
+		 * @constructor
+		 * @property {object} options - phar options
+		 * @property {string}               options.alias               - alias for the phar
+		 * @property {string}               options.stub                - bootstrap stub
+		 * @property {number}               options.signature_type      - signature type
+		 * @property {string}               options.private_key         - PEM private key (for OpenSSL signature)
+		 * @property {string}               options.metadata            - metadata
+		 * @property {PharUtils.PharFile[]} options.files               - files
+		 * @property {number}               options.flags               - phar flags
+		 * @property {number}               options.archive_compression - whole-archive compression (see setArchiveCompression())
+		 * @property {(boolean|object)}     options.reproducible        - reproducible saves (see setReproducible())
+		 */
+		Phar: function(options) {
+			/**
+			 * Get stub
+			 * @returns {string}
+			 */
+			this.getStub = function() {
+				return this.stub;
+			};
+			
+			/**
+			 * Set stub
+			 * @property {string} stub
+			 */
+			this.setStub = function(stub) {
+				stub = toBinaryString(stub);
+				var pos = stub.toLowerCase().indexOf('__halt_compiler();');
+				if (pos == -1) {
+					throw Error('Stub is invalid!');
+				}
+				
+				this.stub = stub.substring(0, pos) + PharUtils.STUB_END;
+			};
+			
+			/**
+			 * Get alias
+			 * @returns {string}
+			 */
+			this.getAlias = function() {
+				return this.alias;
+			};
+			
+			/**
+			 * Set alias
+			 * @property {string} alias
+			 */
+			this.setAlias = function(alias) {
+				this.alias = toBinaryString(alias);
+				return this;
+			};
+			
+			/**
+			 * Get signature type
+			 * @returns {number}
+			 */
+			this.getSignatureType = function() {
+				return this.signature_type;
+			};
+			
+			/**
+			 * Set signature type
+			 * @property {number} type
+			 * @property {string} private_key - PEM private key (required for OpenSSL signature)
+			 */
+			this.setSignatureType = function(type, private_key) {
+				if (type !== PharUtils.SIGNATURE_NONE && PharUtils.SUPPORTED_SIGNATURES.indexOf(type) == -1) {
+					throw Error('Unknown signature type given!');
+				}
+				
+				if (type & PharUtils.SIGNATURE_OPENSSL) {
+					private_key = private_key || this.private_key;
+					if (!private_key) {
+						throw Error('Private key is required for OpenSSL signature!');
+					}
+					if (!rsaParseKey(private_key).d) {
+						throw Error('Given key is not a private key!');
+					}
+					this.private_key = private_key;
+				}
+				
+				this.signature_type = type;
+				this.flags = type == PharUtils.SIGNATURE_NONE ? this.flags & ~PHAR_HDR_SIGNATURE : this.flags | PHAR_HDR_SIGNATURE;
+				return this;
+			};
+			
+			/**
+			 * Get signature of the last loaded or saved contents, as PHP's Phar::getSignature()
+			 * @returns {?object} - {hash (uppercase hex), hash_type: "MD5" | "SHA-1" | "SHA-256" | "SHA-512" | "OpenSSL" | "OpenSSL_SHA256" | "OpenSSL_SHA512"}, null when unsigned
+			 */
+			this.getSignature = function() {
+				return this.signature;
+			};
+			
+			/**
+			 * Get metadata
+			 * @returns {string}
+			 */
+			this.getMetadata = function() {
+				return this.metadata;
+			};
+			
+			/**
+			 * Set metadata
+			 * @property {string} meta
+			 */
+			this.setMetadata = function(meta) {
+				this.metadata = toBinaryString(meta);
+				return this;
+			};
+			
+			/**
+			 * Get metadata as unserialized value
+			 * @property {boolean} binary - keep all strings as binary strings (UTF-8 text with characters above U+00FF is decoded by default)
+			 * @returns {*}
+			 */
+			this.getMetadataValue = function(binary) {
+				return this.metadata === '' ? null : PharUtils.PhpSerializer.unserialize(this.metadata, !binary);
+			};
+			
+			/**
+			 * Set metadata from value (null removes metadata)
+			 * @property {*} value
+			 */
+			this.setMetadataValue = function(value) {
+				this.metadata = (value === null || value === undefined) ? '' : PharUtils.PhpSerializer.serialize(value);
+				return this;
+			};
+			
+			/**
+			 * Add file (its name is normalized, e.g. "./a//b" becomes "a/b")
+			 * @property {PharUtils.PharFile} file
+			 */
+			this.addFile = function(file) {
+				if (file instanceof PharUtils.PharFile) {
+					file.name = normalizePath(file.getName()); // not a rename, the file is not indexed yet
+					this.removeFile(file.getName());
+					this.files.push(file);
+					this.index[file.getName()] = file;
+					this.tree = null;
+				}
+				return this;
+			};
+			
+			/**
+			 * Get file by name (names of loaded files are looked up as stored first)
+			 * @property {string} name
+			 * @returns {?PharUtils.PharFile}
+			 */
+			this.getFile = function(name) {
+				var key = name in this.index ? name : normalizePath(name);
+				var file = this.index[key];
+				if ((!file || (file.getName() !== key && normalizePath(file.getName()) !== key)) && this.indexed_renames !== file_renames) {
+					// renamed by PharFile.setName() instead of rename()
+					indexFiles(this);
+					key = name in this.index ? name : normalizePath(name);
+					file = this.index[key];
+				}
+				return file;
+			};
+			
+			/**
+			 * Remove file
+			 * @property {string} name
+			 */
+			this.removeFile = function(name) {
+				var file = this.getFile(name);
+				if (file) {
+					var path = normalizePath(file.getName());
+					this.files.splice(this.files.indexOf(file), 1);
+					delete this.index[file.getName()];
+					delete this.index[path];
+					for (var i = 0; i < this.files.length; i++) {
+						if (this.files[i].getName() === file.getName() || normalizePath(this.files[i].getName()) === path) {
+							indexFile(this.index, this.files[i]); // duplicate from a loaded archive
+						}
+					}
+					this.tree = null;
+				}
+				return this;
+			};
+			
+			/**
+			 * Get all files
+			 * @returns {PharUtils.PharFile[]}
+			 */
+			this.getFiles = function() {
+				return this.files.slice(0);
+			};
+			
+			/**
+			 * Set all files
+			 * @property {PharUtils.PharFile[]} files
+			 */
+			this.setFiles = function(files) {
+				files = files.slice(0);
+				this.files = [];
+				this.index = Object.create(null);
+				this.tree = null;
+				for (var n in files) {
+					this.addFile(files[n]);
+				}
+				return this;
+			};
+			
+			/**
+			 * Get files count
+			 * @returns {number}
+			 */
+			this.getFilesCount = function() {
+				return this.files.length;
+			};
+			
+			/**
+			 * Add explicit (possibly empty) directory entry
+			 * @property {string} path
+			 * @property {object} options - PharFile options (timestamp, permission, metadata)
+			 */
+			this.addDirectory = function(path, options) {
+				path = normalizePath(path);
+				if (path === '') {
+					throw Error('Directory name is empty!');
+				}
+				if (this.index[path]) {
+					throw Error('File "' + path + '" already exists!');
+				}
+				
+				options = options || { };
+				this.directories[path] = new PharUtils.PharFile(path, '', {
+					timestamp: options.timestamp,
+					permission: options.permission || 493, // 0755
+					metadata: options.metadata
+				});
+				this.tree = null;
+				return this;
+			};
+			
+			/**
+			 * Get explicit directory entries (directories which only contain files are not listed)
+			 * @returns {PharUtils.PharFile[]}
+			 */
+			this.getDirectories = function() {
+				var result = [];
+				for (var path in this.directories) {
+					result.push(this.directories[path]);
+				}
+				return result;
+			};
+			
+			/**
+			 * Check if file or directory exists
+			 * @property {string} path
+			 * @returns {boolean}
+			 */
+			this.exists = function(path) {
+				return !!this.getFile(path) || this.isDirectory(path);
+			};
+			
+			/**
+			 * Check if directory exists (explicitly or as a parent of some file)
+			 * @property {string} path
+			 * @returns {boolean}
+			 */
+			this.isDirectory = function(path) {
+				this.tree = this.tree || buildDirectoryTree(this.files, this.directories);
+				return !!this.tree[normalizePath(path)];
+			};
+			
+			/**
+			 * List directory contents
+			 * @property {string} path - directory path ("" is the root)
+			 * @returns {object[]} - entries ({name, path, is_directory, file}), sorted by name
+			 */
+			this.listDirectory = function(path) {
+				path = normalizePath(path || '');
+				if (!this.isDirectory(path)) {
+					throw Error('Directory "' + path + '" not found!');
+				}
+				
+				var children = this.tree[path];
+				var result = [];
+				for (var name in children) {
+					result.push(children[name]);
+				}
+				return result.sort(function(a, b) {
+					return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+				});
+			};
+			
+			/**
+			 * Walk through directory recursively (depth-first, sorted)
+			 * @property {string} path - directory path ("" is the root)
+			 * @property {function} callback - called with each entry ({name, path, is_directory, file}), returning false stops walking
+			 */
+			this.walk = function(path, callback) {
+				var entries = this.listDirectory(path);
+				for (var i = 0; i < entries.length; i++) {
+					if (callback(entries[i]) === false) {
+						return false;
+					}
+					if (entries[i].is_directory && this.walk(entries[i].path, callback) === false) {
+						return false;
+					}
+				}
+				return this;
+			};
+			
+			/**
+			 * Find files by glob pattern ("*", "?", "**", "[abc]", "{a,b}")
+			 * @property {string} pattern - e.g. "src/**\/*.php"
+			 * @returns {PharUtils.PharFile[]}
+			 */
+			this.glob = function(pattern) {
+				var regex = globToRegExp(normalizePath(pattern));
+				var result = [];
+				for (var i = 0; i < this.files.length; i++) {
+					if (regex.test(normalizePath(this.files[i].getName()))) {
+						result.push(this.files[i]);
+					}
+				}
+				return result;
+			};
+			
+			/**
+			 * Rename (move) file or directory with all its contents
+			 * @property {string} from
+			 * @property {string} to
+			 */
+			this.rename = function(from, to) {
+				from = normalizePath(from);
+				to = normalizePath(to);
+				if (from === to) {
+					return this;
+				}
+				if (to === '') {
+					throw Error('Target name is empty!');
+				}
+				if (this.exists(to)) {
+					throw Error('"' + to + '" already exists!');
+				}
+				
+				var file = this.getFile(from);
+				if (file) {
+					delete this.index[file.getName()];
+					file.setName(to);
+					this.index[to] = file;
+				} else if (from !== '' && this.isDirectory(from)) {
+					if (to.indexOf(from + '/') == 0) {
+						throw Error('Directory can not be moved into itself!');
+					}
+					
+					var prefix = from + '/';
+					for (var i = 0; i < this.files.length; i++) {
+						var name = normalizePath(this.files[i].getName());
+						if (name.indexOf(prefix) == 0) {
+							this.files[i].setName(to + '/' + name.substring(prefix.length));
+						}
+					}
+					indexFiles(this);
+					
+					var directories = Object.create(null);
+					for (var name in this.directories) {
+						var path = normalizePath(name);
+						if (path == from || path.indexOf(prefix) == 0) {
+							var new_path = to + path.substring(from.length);
+							directories[new_path] = this.directories[name].setName(new_path);
+						} else {
+							directories[name] = this.directories[name];
+						}
+					}
+					this.directories = directories;
+				} else {
+					throw Error('"' + from + '" not found!');
+				}
+				
+				this.tree = null;
+				return this;
+			};
+			
+			/**
+			 * Move file or directory (alias of rename)
+			 * @property {string} from
+			 * @property {string} to
+			 */
+			this.move = function(from, to) {
+				return this.rename(from, to);
+			};
+			
+			/**
+			 * Remove directory with all its contents
+			 * @property {string} path
+			 */
+			this.removeDirectory = function(path) {
+				path = normalizePath(path);
+				if (path === '' || !this.isDirectory(path)) {
+					throw Error('Directory "' + path + '" not found!');
+				}
+				
+				var prefix = path + '/';
+				var files = [];
+				for (var i = 0; i < this.files.length; i++) {
+					if (normalizePath(this.files[i].getName()).indexOf(prefix) != 0) {
+						files.push(this.files[i]);
+					}
+				}
+				this.files = files;
+				indexFiles(this);
+				
+				for (var name in this.directories) {
+					var directory_path = normalizePath(name);
+					if (directory_path == path || directory_path.indexOf(prefix) == 0) {
+						delete this.directories[name];
+					}
+				}
+				
+				this.tree = null;
+				return this;
+			};
+			
+			/**
+			 * Add files from a directory tree (like PHP's Phar::buildFromDirectory(), Node.js only),
+			 * symlinked directories are skipped
+			 * @property {string} dir - base directory
+			 * @property {(object|RegExp)} options - build options (RegExp is the same as options.pattern)
+			 * @property {(string|RegExp|Array)} options.include - only add files matching these globs/RegExps (relative paths)
+			 * @property {(string|RegExp|Array)} options.exclude - skip files and directories matching these globs/RegExps
+			 * @property {(string|RegExp)} options.pattern - only add files whose full path matches (PHP's $pattern)
+			 * @property {(number|object)} options.compression - compression type, or {extension: type, '*': default type}
+			 * @property {string} options.prefix - directory within the archive to add files to
+			 * @returns {object} - {name in archive: path on disk}
+			 */
+			this.buildFromDirectory = function(dir, options) {
+				requireFileSystem('buildFromDirectory');
+				options = options instanceof RegExp ? { pattern: options } : (options || { });
+				
+				var base = node_path.resolve(dir);
+				if (!node_fs.statSync(base).isDirectory()) {
+					throw Error('"' + dir + '" is not a directory!');
+				}
+				var filter = createBuildFilter(options);
+				var result = { };
+				var phar = this;
+				
+				var walk = function(full_dir, relative_dir) {
+					var entries = node_fs.readdirSync(full_dir).sort();
+					for (var i = 0; i < entries.length; i++) {
+						var full_path = node_path.join(full_dir, entries[i]);
+						var relative = relative_dir === '' ? entries[i] : relative_dir + '/' + entries[i];
+						var stat = node_fs.lstatSync(full_path);
+						if (stat.isSymbolicLink()) {
+							// linked files are added, linked directories are skipped (a link to a parent would loop)
+							try {
+								stat = node_fs.statSync(full_path);
+							} catch (error) {
+								continue; // dangling link
+							}
+							if (stat.isDirectory()) {
+								continue;
+							}
+						}
+						if (stat.isDirectory()) {
+							if (filter.directory(relative)) {
+								walk(full_path, relative);
+							}
+						} else if (stat.isFile() && filter.file(relative, full_path)) {
+							result[buildFile(phar, relative, full_path, options)] = full_path;
+						}
+					}
+				};
+				walk(base, '');
+				
+				return result;
+			};
+			
+			/**
+			 * Add files from an iterator (like PHP's Phar::buildFromIterator(), Node.js only)
+			 * @property {(object|Array|Iterable)} iterator - {name: path} object, or paths / [name, path] pairs (e.g. Map)
+			 * @property {string} base_directory - names of plain paths are relative to it (required for them)
+			 * @property {object} options - build options (include, exclude, pattern, compression, prefix, see buildFromDirectory())
+			 * @returns {object} - {name in archive: path on disk}
+			 */
+			this.buildFromIterator = function(iterator, base_directory, options) {
+				requireFileSystem('buildFromIterator');
+				if (typeof base_directory === 'object' && base_directory !== null) {
+					options = base_directory;
+					base_directory = undefined;
+				}
+				options = options || { };
+				
+				var entries = [];
+				if (Array.isArray(iterator) || (typeof Symbol !== 'undefined' && iterator && typeof iterator[Symbol.iterator] === 'function')) {
+					var items = Array.isArray(iterator) ? iterator : Array.from(iterator);
+					for (var i = 0; i < items.length; i++) {
+						entries.push(Array.isArray(items[i]) ? items[i] : [null, items[i]]);
+					}
+				} else {
+					for (var name in iterator) {
+						entries.push([name, iterator[name]]);
+					}
+				}
+				
+				var base = base_directory === undefined ? null : node_path.resolve(base_directory);
+				var filter = createBuildFilter(options);
+				var result = { };
+				for (var i = 0; i < entries.length; i++) {
+					var full_path = node_path.resolve(String(entries[i][1]));
+					var name = entries[i][0];
+					if (name === null) {
+						if (base === null) {
+							throw Error('Base directory is required for "' + entries[i][1] + '"!');
+						}
+						name = node_path.relative(base, full_path);
+						if (name === '' || name.split(node_path.sep)[0] == '..' || node_path.isAbsolute(name)) {
+							throw Error('File "' + full_path + '" is not in the base directory!');
+						}
+						name = name.split(node_path.sep).join('/');
+					}
+					
+					if (filter.file(normalizePath(name), full_path)) {
+						result[buildFile(this, name, full_path, options)] = full_path;
+					}
+				}
+				
+				return result;
+			};
+			
+			/**
+			 * Extract files to a directory (like PHP's Phar::extractTo(), Node.js only)
+			 * Nothing is written when any entry fails the checks (unsafe path, duplicate, existing file, symlink escape)
+			 * @property {string} target_dir - created when missing
+			 * @property {object} options - extract options
+			 * @property {(string|string[])} options.files - files or directories to extract (all by default)
+			 * @property {boolean} options.overwrite - overwrite existing files (false by default)
+			 * @property {string} options.unsafe - what to do with unsafe entries: "error" (default), "skip" or "sanitize"
+			 * @property {boolean} options.permissions - restore permissions (true by default)
+			 * @property {boolean} options.timestamps - restore modification times (true by default)
+			 * @returns {object} - {written: [{name, path, size}], directories: [path], skipped: [{name, reason}]}
+			 */
+			this.extractTo = function(target_dir, options) {
+				requireFileSystem('extractTo');
+				options = options || { };
+				var unsafe = options.unsafe || 'error';
+				if (['error', 'skip', 'sanitize'].indexOf(unsafe) == -1) {
+					throw Error('Unknown unsafe entries mode "' + unsafe + '"!');
+				}
+				
+				var entries = [];
+				for (var i = 0; i < this.files.length; i++) {
+					entries.push({ name: this.files[i].getName(), file: this.files[i], is_directory: false });
+				}
+				for (var path in this.directories) {
+					entries.push({ name: path, file: this.directories[path], is_directory: true });
+				}
+				
+				if (options.files !== undefined) {
+					var selected = [].concat(options.files).map(normalizePath);
+					for (var i = 0; i < selected.length; i++) {
+						if (!this.exists(selected[i])) {
+							throw Error('File "' + selected[i] + '" not found in the archive!');
+						}
+					}
+					entries = entries.filter(function(entry) {
+						var name = normalizePath(entry.name);
+						return selected.some(function(path) {
+							return name == path || name.indexOf(path + '/') == 0;
+						});
+					});
+				}
+				
+				var report = { written: [], directories: [], skipped: [] };
+				var reject = function(entry, reason, code) {
+					if (unsafe == 'error') {
+						throw new PharUtils.PharEntryError('Can not extract "' + entry.name + '": ' + reason + '!', code, entry.name);
+					}
+					report.skipped.push({ name: entry.name, reason: reason });
+				};
+				
+				// check everything before writing
+				var root = node_path.resolve(target_dir);
+				var root_stat = lstatOrNull(root);
+				if (root_stat && !node_fs.statSync(root).isDirectory()) {
+					throw Error('"' + target_dir + '" is not a directory!');
+				}
+				var real_root = root_stat ? node_fs.realpathSync(root) : root;
+				
+				var planned = Object.create(null);
+				var plan = [];
+				for (var i = 0; i < entries.length; i++) {
+					var entry = entries[i];
+					var relative = entry.name;
+					var reason = unsafePathReason(relative);
+					if (reason && unsafe == 'sanitize') {
+						relative = sanitizePath(relative);
+						reason = relative === '' ? 'empty name' : null;
+					}
+					if (reason) {
+						reject(entry, reason, PharUtils.ERROR_UNSAFE_PATH);
+						continue;
+					}
+					relative = normalizePath(relative);
+					
+					if (relative in planned) {
+						if (!entry.is_directory || !planned[relative].is_directory) {
+							reject(entry, 'duplicate of "' + planned[relative].name + '"', PharUtils.ERROR_DUPLICATE_ENTRY);
+						}
+						continue;
+					}
+					planned[relative] = entry;
+					plan.push({ entry: entry, relative: relative, target: node_path.join(root, relative) });
+				}
+				
+				plan = plan.filter(function(item) {
+					// file "a" conflicts with "a/b"
+					var parts = item.relative.split('/');
+					for (var i = 1; i < parts.length; i++) {
+						var parent = planned[parts.slice(0, i).join('/')];
+						if (parent && !parent.is_directory) {
+							reject(item.entry, 'parent "' + parent.name + '" is a file', PharUtils.ERROR_DUPLICATE_ENTRY);
+							return false;
+						}
+					}
+					
+					// existing paths must not lead outside of the target directory
+					var current = root;
+					for (var i = 0; i < parts.length; i++) {
+						current = node_path.join(current, parts[i]);
+						var stat = lstatOrNull(current);
+						if (!stat) {
+							return true;
+						}
+						var is_last = i == parts.length - 1;
+						if (stat.isSymbolicLink() && (!is_last || item.entry.is_directory)) {
+							var real = null;
+							try {
+								real = node_fs.realpathSync(current);
+							} catch (error) {
+								// dangling link
+							}
+							if (real === null || !isInside(real_root, real)) {
+								reject(item.entry, 'symlink "' + current + '" points outside of the target directory', PharUtils.ERROR_UNSAFE_PATH);
+								return false;
+							}
+							stat = node_fs.statSync(current);
+						}
+						if (!is_last && !stat.isDirectory()) {
+							reject(item.entry, '"' + current + '" is not a directory', PharUtils.ERROR_FILE_EXISTS);
+							return false;
+						}
+					}
+					
+					if (item.entry.is_directory) {
+						if (!stat.isDirectory()) {
+							reject(item.entry, '"' + item.target + '" already exists and is not a directory', PharUtils.ERROR_FILE_EXISTS);
+							return false;
+						}
+					} else if (stat.isDirectory()) {
+						reject(item.entry, '"' + item.target + '" is a directory', PharUtils.ERROR_FILE_EXISTS);
+						return false;
+					} else if (!options.overwrite) {
+						reject(item.entry, '"' + item.target + '" already exists', PharUtils.ERROR_FILE_EXISTS);
+						return false;
+					}
+					return true;
+				});
+				
+				var ensureDirectory = function(relative) {
+					var current = root;
+					var parts = relative === '' ? [] : relative.split('/');
+					if (!lstatOrNull(root)) {
+						node_fs.mkdirSync(root, { recursive: true });
+						report.directories.push(root);
+					}
+					for (var i = 0; i < parts.length; i++) {
+						current = node_path.join(current, parts[i]);
+						if (!lstatOrNull(current)) {
+							node_fs.mkdirSync(current, 493); // 0755, real permission is set after all files are written
+							report.directories.push(current);
+						}
+					}
+				};
+				
+				var restore = function(target, file) {
+					if (options.permissions !== false) {
+						node_fs.chmodSync(target, file.getPermission() & 511); // no setuid, setgid and sticky bits
+					}
+					if (options.timestamps !== false) {
+						node_fs.utimesSync(target, file.getTimestamp(), file.getTimestamp());
+					}
+				};
+				
+				var directories = [];
+				for (var i = 0; i < plan.length; i++) {
+					var item = plan[i];
+					if (item.entry.is_directory) {
+						ensureDirectory(item.relative);
+						directories.push(item);
+						continue;
+					}
+					
+					ensureDirectory(item.relative.split('/').slice(0, -1).join('/'));
+					if (lstatOrNull(item.target)) {
+						node_fs.unlinkSync(item.target); // never write through an existing symlink
+					}
+					var contents = item.entry.file.getContentsAsBytes();
+					node_fs.writeFileSync(item.target, contents, { flag: 'wx' });
+					restore(item.target, item.entry.file);
+					report.written.push({ name: item.entry.name, path: item.target, size: contents.length });
 				}
-				return num >>> 0;
-			},
-			
-			/**
-			 * Writes little-endian 32-bit number
-			 * @property {number} num
-			 * @returns {string}
-			 */
-			writeLInt: function(num) {
-				var buffer = '';
-				for (var i = 0; i < 4; i++) {
-					buffer += String.fromCharCode((num >> (8 * i)) & 0xff);
+				
+				// deepest first, so read-only directories do not block their parents
+				directories.sort(function(a, b) {
+					return b.relative.split('/').length - a.relative.split('/').length;
+				});
+				for (var i = 0; i < directories.length; i++) {
+					restore(directories[i].target, directories[i].entry.file);
 				}
-				return buffer;
-			},
+				
+				return report;
+			};
 			
 			/**
-			 * Reads little-endian 16-bit number
-			 * @property {string} buffer
-			 * @returns {number}
+			 * Get reproducible save settings
+			 * @returns {?object} - null when disabled
 			 */
-			readLShort: function(buffer) {
-				var num = 0;
-				for (var i = 0; i < 2; i++) {
-					num |= buffer.charCodeAt(i) << (8 * i);
-				}
-				return num;
-			},
+			this.getReproducible = function() {
+				return this.reproducible;
+			};
 			
 			/**
-			 * Writes little-endian 16-bit number
-			 * @property {number} num
-			 * @returns {string}
+			 * Enable reproducible saves: every save writes normalized copies of the entries (see normalize()),
+			 * so the same inputs always give byte-identical output and signature, the archive itself is not changed
+			 * @property {(boolean|object)} options - true, false (disable) or normalize() options
 			 */
-			writeLShort: function(num) {
-				var buffer = '';
-				for (var i = 0; i < 2; i++) {
-					buffer += String.fromCharCode((num >> (8 * i)) & 0xff);
-				}
-				return buffer;
-			}
-		},
-		
-		/**
-		 * Binary buffer
-		 * @member PharUtils
-		 * @class BinaryBuffer
-		 * @constructor
-		 * @property {string} buffer - buffer data
-		 */
-		BinaryBuffer: function(buffer) {
-			this.get = function(length) {
-				if (length < 0) {
-					length = Math.max(0, this.buffer.length - this.offset);
-				}
-				if (length == 0) {
-					return "";
+			this.setReproducible = function(options) {
+				if (!options) {
+					this.reproducible = null;
+					return this;
 				}
 				
-				if ((this.offset += length) > this.buffer.length) {
-					throw Error('Buffer is accessed out of bounds!');
+				options = options === true ? { } : options;
+				var timestamp = options.timestamp;
+				if (timestamp === undefined || timestamp === null) {
+					timestamp = sourceDateEpoch();
 				}
-				
-				return this.buffer.substring(this.offset - length, this.offset);
-			};
-			
-			this.put = function(data) {
-				this.buffer += data;
-			};
-			
-			this.getLInt = function() {
-				return PharUtils.Binary.readLInt(this.get(4));
-			};
-			
-			this.putLInt = function(number) {
-				this.put(PharUtils.Binary.writeLInt(number));
-			};
-			
-			this.getLShort = function() {
-				return PharUtils.Binary.readLShort(this.get(2));
-			};
-			
-			this.putLShort = function(number) {
-				this.put(PharUtils.Binary.writeLShort(number));
-			};
-			
-			this.getString = function() {
-				return this.get(this.getLInt());
+				this.reproducible = {
+					timestamp: timestamp === null ? REPRODUCIBLE_EPOCH : timestamp,
+					permission: options.permission,
+					directory_permission: options.directory_permission,
+					compression_type: options.compression_type
+				};
+				return this;
 			};
 			
-			this.putString = function(data) {
-				this.putLInt(data.length);
-				this.put(data);
+			/**
+			 * Normalize the archive for reproducible builds: sort entries by name, clamp timestamps
+			 * and normalize permissions (and optionally compression)
+			 * @property {object} options - normalize options
+			 * @property {number} options.timestamp - newer timestamps are clamped to it (SOURCE_DATE_EPOCH or 1980-01-01 by default)
+			 * @property {number} options.permission - permission of files (0644, or 0755 for executable files by default)
+			 * @property {number} options.directory_permission - permission of directories (0755 by default)
+			 * @property {number} options.compression_type - compression of all files (kept by default)
+			 */
+			this.normalize = function(options) {
+				var entries = normalizeEntries(this, options, false);
+				this.files = entries.files;
+				this.directories = entries.directories;
+				indexFiles(this);
+				return this;
 			};
 			
-			this.buffer = buffer || '';
-			this.offset = 0;
-			
-			return this;
-		},
-		
-		/**
-		 * Phar class
-		 * @member PharUtils
-		 * @class Phar
-		 * @constructor
-		 * @property {object} options - phar options
-		 * @property {string}               options.alias          - alias for the phar
-		 * @property {string}               options.stub           - bootstrap stub
-		 * @property {number}               options.signature_type - signature type
-		 * @property {string}               options.metadata       - metadata
-		 * @property {PharUtils.PharFile[]} options.files          - files
-		 * @property {number}               options.flags          - phar flags
-		 */
-		Phar: function(options) {
 			/**
-			 * Get stub
-			 * @returns {string}
+			 * Get phar flags
+			 * @returns {number}
 			 */
-			this.getStub = function() {
-				return this.stub;
+			this.getFlags = function() {
+				return this.flags;
 			};
 			
 			/**
-			 * Set stub
-			 * @property {string} stub
+			 * Set phar flags
+			 * @property {number} flags
 			 */
-			this.setStub = function(stub) {
-				var pos = stub.toLowerCase().indexOf('__halt_compiler();');
-				if (pos == -1) {
-					throw Error('Stub is invalid!');
-				}
-				
-				this.stub = stub.substring(0, pos) + PharUtils.STUB_END;
+			this.setFlags = function(flags) {
+				this.flags = flags;
+				return this;
 			};
 			
 			/**
-			 * Get alias
-			 * @returns {string}
+			 * Get whole-archive compression (detected on load, used by savePharData())
+			 * @returns {number} - PharUtils.COMPRESSION_NONE, PharUtils.COMPRESSION_GZ (.phar.gz) or PharUtils.COMPRESSION_BZIP2 (.phar.bz2)
 			 */
-			this.getAlias = function() {
-				return this.alias;
+			this.getArchiveCompression = function() {
+				return this.archive_compression;
 			};
 			
 			/**
-			 * Set alias
-			 * @property {string} alias
+			 * Set whole-archive compression, as PHP's Phar::compress() does
+			 * @property {number} compression - PharUtils.COMPRESSION_NONE, PharUtils.COMPRESSION_GZ or PharUtils.COMPRESSION_BZIP2
 			 */
-			this.setAlias = function(alias) {
-				this.alias = alias;
+			this.setArchiveCompression = function(compression) {
+				if (PharUtils.SUPPORTED_COMPRESSION.indexOf(compression) == -1) {
+					throw Error('(' + compression + ') compression type is not supported!');
+				}
+				this.archive_compression = compression;
 				return this;
 			};
 			
 			/**
-			 * Get signature type
-			 * @returns {number}
+			 * Compress files, as PHP's Phar::compressFiles() does
+			 * @property {number} type - PharUtils.COMPRESSION_GZ or PharUtils.COMPRESSION_BZIP2
+			 * @property {object} options - compression options
+			 * @property {(string|RegExp|Array)} options.match - only compress files matching glob patterns or RegExps (all files by default)
+			 * @property {number} options.min_size - files smaller than this are not compressed
+			 * @property {boolean} options.skip_if_larger - store files uncompressed when compression does not make them smaller (PNG, zip, ...)
+			 * @property {number} options.level - compression level (see PharFile.setCompressionLevel())
+			 * @returns {object} - {files: [{name, compression_type, size, compressed_size, ratio, skipped: null | "min_size" | "larger"}], size, compressed_size, ratio}
 			 */
-			this.getSignatureType = function() {
-				return this.signature_type;
+			this.compressFiles = function(type, options) {
+				if (type != PharUtils.COMPRESSION_GZ && type != PharUtils.COMPRESSION_BZIP2) {
+					throw Error('(' + type + ') compression type is not supported!');
+				}
+				options = options || { };
+				var min_size = options.min_size || 0;
+				var level = options.level === undefined ? null : options.level;
+				
+				return changeCompression(this, options.match, function(file) {
+					if (file.getSize() < min_size) {
+						return { skipped: 'min_size' };
+					}
+					file.setCompressionType(type).setCompressionLevel(level);
+					var compressed_size = file.getCompressedSize();
+					if (options.skip_if_larger && compressed_size >= file.getSize()) {
+						file.setCompressionType(PharUtils.COMPRESSION_NONE);
+						return { skipped: 'larger' };
+					}
+					return { skipped: null, compressed_size: compressed_size };
+				});
 			};
 			
 			/**
-			 * Set signature type
-			 * @property {number} type
+			 * Store files uncompressed, as PHP's Phar::decompressFiles() does
+			 * @property {object} options - decompression options
+			 * @property {(string|RegExp|Array)} options.match - only decompress files matching glob patterns or RegExps (all files by default)
+			 * @returns {object} - report as in compressFiles()
 			 */
-			this.setSignatureType = function(type) {
-				if (type != PharUtils.SIGNATURE_MD5 && type != PharUtils.SIGNATURE_SHA1 && type != PharUtils.SIGNATURE_SHA256 && type != PharUtils.SIGNATURE_SHA512) {
-					throw Error('Unknown signature type given!');
-				}
-				
-				this.signature_type = type;
-				return this;
+			this.decompressFiles = function(options) {
+				return changeCompression(this, (options || { }).match, function(file) {
+					file.setCompressionType(PharUtils.COMPRESSION_NONE);
+					return { skipped: null };
+				});
 			};
 			
 			/**
-			 * Get metadata
-			 * @returns {string}
+			 * Add a classmap autoloader of the PHP files and a stub that registers it
+			 * @property {object} options - match and exclude options as in PharAutoloader.createClassmap()
+			 * @property {string} options.path - name of the autoloader entry ("autoload.php" by default)
+			 * @property {boolean} options.prepend - prepend the autoloader to the autoload queue
+			 * @property {boolean} options.stub - replace the stub (true by default, shebang and alias are kept)
+			 * @property {string} options.index - file the stub includes after registering the autoloader
+			 * @returns {object} - {path, classmap, classes: [{name, type, file, line}], duplicates: [{name, files}]}
 			 */
-			this.getMetadata = function() {
-				return this.metadata;
+			this.generateAutoloader = function(options) {
+				options = options || { };
+				var path = normalizePath(options.path || 'autoload.php');
+				var exclude = toMatchers(options.exclude) || [];
+				var report = PharUtils.PharAutoloader.createClassmap(this, {
+					match: options.match,
+					exclude: exclude.concat(globToRegExp(path)) // a previously generated autoloader
+				});
+				report.path = path;
+				
+				this.addFile(new PharUtils.PharFile(path, PharUtils.PharAutoloader.createAutoloader(report.classmap, {
+					path: path,
+					prepend: options.prepend
+				})));
+				if (options.stub !== false) {
+					this.setStub(PharUtils.PharAutoloader.createStub(path, {
+						index: options.index,
+						alias: this.alias || undefined,
+						shebang: PharUtils.PharStub.parse(this.stub).shebang || undefined
+					}));
+				}
+				return report;
 			};
 			
 			/**
-			 * Set metadata
-			 * @property {string} meta
+			 * Get description of the PocketMine-MP plugin
+			 * @returns {?object} - plugin.yml as in PluginDescription.normalize(), null when there is no plugin.yml
 			 */
-			this.setMetadata = function(meta) {
-				this.metadata = meta;
-				return this;
+			this.getPluginDescription = function() {
+				var file = this.getFile('plugin.yml');
+				return file ? PharUtils.PluginDescription.normalize(parseYaml(file.getContentsAsText())) : null;
 			};
 			
 			/**
-			 * Add file
-			 * @property {PharUtils.PharFile} file
+			 * Get plugin fields of the metadata (as DevTools and syncPluginMetadata() write them)
+			 * @returns {?object} - {name, version, main, api, depend, description, authors, website, creationDate}, null when metadata is not a plugin description
 			 */
-			this.addFile = function(file) {
-				if (file instanceof PharUtils.PharFile) {
-					this.removeFile(file.getName());
-					this.files.push(file);
+			this.getPluginMetadata = function() {
+				var value = this.getMetadataValue();
+				if (!value || typeof value != 'object' || Array.isArray(value) || value instanceof PharUtils.PhpObject || value.name === undefined || value.main === undefined) {
+					return null;
 				}
-				return this;
+				return value;
 			};
 			
 			/**
-			 * Get file by name
-			 * @property {string} name
-			 * @returns {?PharUtils.PharFile}
+			 * Check the PocketMine-MP plugin: plugin.yml fields, main class under src/ and metadata
+			 * @returns {object} - {valid, description, errors: [{field, message}], warnings: [{field, message}]}
 			 */
-			this.getFile = function(name) {
-				for (var i in this.files) {
-					if (this.files[i].getName() == name) {
-						return this.files[i];
+			this.checkPlugin = function() {
+				var report = {
+					valid: false,
+					description: null,
+					errors: [],
+					warnings: []
+				};
+				var file = this.getFile('plugin.yml');
+				if (!file) {
+					report.errors.push({ field: null, message: 'plugin.yml is missing' });
+					return report;
+				}
+				try {
+					var data = parseYaml(file.getContentsAsText());
+				} catch (error) {
+					report.errors.push({ field: null, message: error.message });
+					return report;
+				}
+				report.errors = validatePluginData(data);
+				if (report.errors.length && report.errors[0].field === null) {
+					return report; // not a mapping
+				}
+				report.description = PharUtils.PluginDescription.normalize(data);
+				
+				var main_errors = report.errors.filter(function(error) { return error.field == 'main'; });
+				if (!main_errors.length && data.main) {
+					var path = pluginMainFile(data);
+					var main = this.getFile(path);
+					var class_name = pluginTextToBinary(report.description.main).toLowerCase();
+					if (!main) {
+						report.errors.push({ field: 'main', message: 'Main class file "' + path + '" does not exist' });
+					} else if (!findPhpClasses(main.getContents()).some(function(info) { return info.name.toLowerCase() == class_name; })) {
+						report.errors.push({ field: 'main', message: 'Main class "' + report.description.main + '" is not declared in "' + path + '"' });
+					}
+				}
+				
+				try {
+					var metadata = this.getPluginMetadata();
+				} catch (error) {
+					var metadata = null;
+				}
+				if (metadata === null) {
+					report.warnings.push({ field: 'metadata', message: 'Metadata does not describe the plugin' });
+				} else {
+					var stored = this.getMetadataValue(true);
+					var expected = pluginTextToBinary(PharUtils.PluginDescription.toMetadata(data));
+					for (var field in PLUGIN_METADATA_FIELDS) {
+						if (JSON.stringify(stored[field]) !== JSON.stringify(expected[field])) {
+							report.warnings.push({ field: 'metadata', message: 'Metadata field "' + field + '" does not match plugin.yml' });
+						}
 					}
 				}
+				
+				report.valid = !report.errors.length;
+				return report;
 			};
 			
 			/**
-			 * Remove file
-			 * @property {string} name
+			 * Check the PocketMine-MP plugin and write plugin.yml fields into the metadata, as DevTools does
+			 * @property {object} options - sync options
+			 * @property {number} options.creation_date - "creationDate" timestamp (reproducible timestamp or now by default)
+			 * @returns {object} - metadata value
 			 */
-			this.removeFile = function(name) {
-				for (var i in this.files) {
-					if (this.files[i].getName() == name) {
-						delete this.files[i];
-						break;
-					}
+			this.syncPluginMetadata = function(options) {
+				options = options || { };
+				var report = this.checkPlugin();
+				if (!report.valid) {
+					throw Error('Plugin is not valid: ' + report.errors.map(function(error) { return error.message; }).join('; ') + '!');
 				}
-				return this;
+				
+				var creation_date = options.creation_date;
+				if (creation_date === undefined) {
+					creation_date = this.reproducible ? this.reproducible.timestamp : Date.now() / 1000 | 0;
+				}
+				var metadata = PharUtils.PluginDescription.toMetadata(parseYaml(this.getFile('plugin.yml').getContentsAsText()), creation_date);
+				this.setMetadataValue(pluginTextToBinary(metadata));
+				return metadata;
 			};
 			
 			/**
-			 * Get all files
-			 * @returns {PharUtils.PharFile[]}
+			 * Get manifest API version
+			 * @returns {number}
 			 */
-			this.getFiles = function() {
-				return this.files.slice(0);
+			this.getManifestApi = function() {
+				return this.manifest_api;
 			};
 			
 			/**
-			 * Set all files
-			 * @property {PharUtils.PharFile[]} files
+			 * Set manifest API version
+			 * @property {number} api
 			 */
-			this.setFiles = function(files) {
-				this.files = { };
-				for (var n in files) {
-					this.addFile(files[n]);
-				}
+			this.setManifestApi = function(api) {
+				this.manifest_api = api;
 				return this;
 			};
 			
 			/**
-			 * Get files count
-			 * @returns {number}
+			 * Load phar from contents (gzip/bzip2 compressed .phar.gz and .phar.bz2 are unwrapped)
+			 * @params {(string|Uint8Array|ArrayBuffer|Blob)} buffer - phar contents (Blob is read asynchronously, a Promise is returned then)
+			 * @params {object} options - load options
+			 * @params {string} options.public_key - PEM public key (for OpenSSL signature)
+			 * @params {boolean} options.lazy - read only the manifest, file contents are decompressed and checked on first access
+			 * @params {boolean} options.verify_signature - verify the signature (by default only when not lazy)
+			 * @params {boolean} options.lenient - load everything that is readable, problems are collected in getDiagnostics() instead of throwing
+			 * @params {boolean} options.allow_broken_signature - load even if the signature does not match (for forensics, the error is in getDiagnostics())
+			 * @params {function} options.onprogress - called with {phase: "signature" | "entry", entry, current, total}
 			 */
-			this.getFilesCount = function() {
-				return this.files.length;
+			this.loadPharData = function(buffer, options) {
+				if (isBlob(buffer)) {
+					var phar = this;
+					return readBlob(buffer).then(function(bytes) {
+						return phar.loadPharData(bytes, options);
+					});
+				}
+				options = options || { };
+				
+				var lazy = !!options.lazy;
+				var progress = options.onprogress || function() { };
+				var diagnostics = this.diagnostics = {
+					errors: [],
+					broken_entries: []
+				};
+				var fail = function(error) {
+					if (!options.lenient) {
+						throw error;
+					}
+					diagnostics.errors.push(error);
+					if (error.entry !== undefined) {
+						diagnostics.broken_entries.push(error.entry);
+					}
+				};
+				buffer = toUint8Array(buffer);
+				this.archive_compression = archiveCompression(buffer);
+				buffer = decompressArchive(buffer);
+				
+				var stub_pos = indexOfBytes(buffer, PharUtils.STUB_END);
+				var data_end = buffer.length;
+				var signature = isSignedPhar(buffer, stub_pos) ? readPharSignature(buffer) : null;
+				this.signature = null;
+				if (!signature) {
+					this.signature_type = PharUtils.SIGNATURE_NONE;
+				} else if (signature.error) {
+					fail(signature.error);
+				} else {
+					data_end = signature.data_end;
+					this.signature_type = signature.type;
+					this.signature = signatureInfo(signature.type, signature.hash);
+					if (options.verify_signature || (!lazy && options.verify_signature === undefined)) {
+						progress({ phase: 'signature', entry: null, current: 0, total: 1 });
+						try {
+							var signature_error = null;
+							if (!verifySignature(signature.type, buffer.subarray(0, data_end), signature.hash, options.public_key)) {
+								signature_error = new PharUtils.PharSignatureError('Phar has a broken signature!', PharUtils.ERROR_BAD_SIGNATURE);
+							}
+						} catch (error) {
+							signature_error = error;
+						}
+						if (signature_error && options.allow_broken_signature && signature_error.code == PharUtils.ERROR_BAD_SIGNATURE) {
+							diagnostics.errors.push(signature_error); // loaded anyway
+						} else if (signature_error) {
+							fail(signature_error);
+						}
+						progress({ phase: 'signature', entry: null, current: 1, total: 1 });
+					}
+				}
+				
+				if (stub_pos == -1 || stub_pos > data_end) {
+					throw new PharUtils.PharFormatError('Stub not found!', PharUtils.ERROR_STUB_NOT_FOUND);
+				}
+				var stub_len = stub_pos + PharUtils.STUB_END.length;
+				
+				this.stub = fromUint8Array(buffer.subarray(0, stub_len));
+				this.setFiles([]);
+				this.directories = Object.create(null);
+				var paths = Object.create(null);
+				
+				var manifest_len = stub_len + 4 > data_end ? -1 : PharUtils.Binary.readLInt(buffer, stub_len);
+				var offset = stub_len + 4 + manifest_len;
+				if (manifest_len == -1 || offset > data_end) {
+					fail(new PharUtils.PharFormatError('Phar is corrupted! (manifest corrupt)', PharUtils.ERROR_TRUNCATED_MANIFEST));
+					offset = data_end;
+				}
+				var manifest_buffer = new PharUtils.BinaryBuffer(buffer.subarray(stub_len + 4, offset));
+				try {
+					var files_count = manifest_buffer.getLInt();
+					this.manifest_api = manifest_buffer.getLShort();
+					this.flags = manifest_buffer.getLInt() & ~this.archive_compression; // set again on save
+					this.alias = manifest_buffer.getString();
+					this.metadata = manifest_buffer.getString();
+				} catch (error) {
+					fail(new PharUtils.PharFormatError('Phar is corrupted! (manifest corrupt)', PharUtils.ERROR_TRUNCATED_MANIFEST));
+					return this; // nothing else can be read
+				}
+				
+				for (var i = 0; i < files_count; i++) {
+					var file_options = { };
+					
+					try {
+						var filename = manifest_buffer.getString();
+						var uncompressed_size = manifest_buffer.getLInt();
+						file_options.timestamp = manifest_buffer.getLInt();
+						var size = manifest_buffer.getLInt();
+						var readed_crc32 = manifest_buffer.getLInt();
+						var flags = manifest_buffer.getLInt();
+						file_options.permission = flags & 0xfff;
+						file_options.compression_type = flags & 0xf000;
+						file_options.metadata = manifest_buffer.getString();
+					} catch (error) {
+						fail(new PharUtils.PharFormatError('Phar is corrupted! (manifest corrupt)', PharUtils.ERROR_TRUNCATED_MANIFEST));
+						break;
+					}
+					
+					var file_offset = offset;
+					offset += size;
+					if (filename.charAt(filename.length - 1) == '/') {
+						addLoadedEntry(this, loadedDirectory(filename, file_options), true, paths);
+						if (!lazy) {
+							progress({ phase: 'entry', entry: filename, current: i + 1, total: files_count });
+						}
+						continue;
+					}
+					if (offset > data_end) {
+						fail(new PharUtils.PharEntryError('Phar is corrupted! (unexpected end of file in "' + filename + '")', PharUtils.ERROR_TRUNCATED_DATA, filename));
+						continue;
+					}
+					if (PharUtils.SUPPORTED_COMPRESSION.indexOf(file_options.compression_type) == -1) {
+						fail(new PharUtils.PharEntryError('Unsupported compression type detected! ("' + filename + '")', PharUtils.ERROR_UNSUPPORTED_COMPRESSION, filename));
+						continue;
+					}
+					var file = new PharUtils.PharFile(filename, '', file_options);
+					file.setContentsSource(buffer, file_offset, size, uncompressed_size, readed_crc32);
+					
+					if (!lazy) {
+						try {
+							file.getContentsAsBytes();
+						} catch (error) {
+							fail(error);
+							continue;
+						} finally {
+							progress({ phase: 'entry', entry: filename, current: i + 1, total: files_count });
+						}
+					}
+					
+					addLoadedEntry(this, file, false, paths);
+				}
+				
+				return this;
 			};
 			
 			/**
-			 * Get phar flags
-			 * @returns {number}
+			 * Load phar from contents without blocking: work is split into steps or done in a worker
+			 * @params {(string|Uint8Array|ArrayBuffer|Blob)} buffer - phar contents
+			 * @params {object} options - load options (public_key, lazy, verify_signature, lenient and allow_broken_signature as in loadPharData())
+			 * @params {(boolean|object)} options.worker - use a worker (worker_threads in Node.js, in the browser {scripts: [URLs of the dependencies and pharutils.js]})
+			 * @params {function} options.onprogress - called with {phase: "signature" | "entry", entry, current, total}
+			 * @params {AbortSignal} options.signal - cancels loading (the Promise is rejected with "AbortError")
+			 * @returns {Promise} - resolved with this phar
 			 */
-			this.getFlags = function() {
-				return this.flags;
+			this.loadPharDataAsync = function(buffer, options) {
+				options = options || { };
+				var phar = this;
+				var lazy = !!options.lazy;
+				
+				return (isBlob(buffer) ? readBlob(buffer) : Promise.resolve(buffer)).then(function(buffer) {
+					if (options.worker && !lazy) {
+						var message = {
+							task: 'load',
+							buffer: toUint8Array(buffer),
+							options: {
+								public_key: options.public_key,
+								verify_signature: options.verify_signature,
+								lenient: options.lenient,
+								allow_broken_signature: options.allow_broken_signature
+							}
+						};
+						return callWorker(message, [], options).then(function(data) {
+							deserializePhar(data, phar);
+							phar.diagnostics = {
+								errors: data.diagnostics.errors.map(deserializeError),
+								broken_entries: data.diagnostics.broken_entries
+							};
+							return phar;
+						});
+					}
+					
+					var runner = createTaskRunner(options);
+					return runner.step().then(function() {
+						// manifest and signature in one step, then file contents one by one
+						phar.loadPharData(buffer, {
+							lazy: true,
+							verify_signature: options.verify_signature === undefined ? !lazy : options.verify_signature,
+							public_key: options.public_key,
+							lenient: options.lenient,
+							allow_broken_signature: options.allow_broken_signature,
+							onprogress: runner.progress
+						});
+						if (lazy) {
+							return phar;
+						}
+						
+						// directories need no work, they are reported first
+						var files = phar.getFiles();
+						var directories = Object.keys(phar.directories);
+						var total = directories.length + files.length;
+						for (var i = 0; i < directories.length; i++) {
+							runner.progress({ phase: 'entry', entry: directories[i] + '/', current: i + 1, total: total });
+						}
+						
+						var i = 0;
+						var next = function() {
+							if (i >= files.length) {
+								return phar;
+							}
+							return runner.step().then(function() {
+								var file = files[i++];
+								try {
+									file.getContentsAsBytes();
+								} catch (error) {
+									if (!options.lenient) {
+										throw error;
+									}
+									phar.files.splice(phar.files.indexOf(file), 1);
+									indexFiles(phar);
+									phar.diagnostics.errors.push(error);
+									phar.diagnostics.broken_entries.push(file.getName());
+								}
+								runner.progress({ phase: 'entry', entry: file.getName(), current: directories.length + i, total: total });
+								return next();
+							});
+						};
+						return next();
+					});
+				});
 			};
 			
 			/**
-			 * Set phar flags
-			 * @property {number} flags
+			 * Save phar contents without blocking: work is split into steps or done in a worker
+			 * (the phar must not be changed until the Promise is settled)
+			 * @params {object} options - save options
+			 * @params {boolean} options.as_u8a - resolve with Uint8Array instead of binary string
+			 * @params {(boolean|object)} options.worker - use a worker (see loadPharDataAsync())
+			 * @params {function} options.onprogress - called with {phase: "entry" | "signature", entry, current, total}
+			 * @params {number} options.compression - whole-archive compression (see savePharData())
+			 * @params {AbortSignal} options.signal - cancels saving (the Promise is rejected with "AbortError")
+			 * @returns {Promise} - resolved with phar contents
 			 */
-			this.setFlags = function(flags) {
-				this.flags = flags;
-				return this;
+			this.savePharDataAsync = function(options) {
+				options = options || { };
+				var phar = this;
+				var compression = options.compression === undefined ? this.archive_compression : options.compression;
+				var result = function(bytes) {
+					return options.as_u8a ? bytes : fromUint8Array(bytes);
+				};
+				
+				return Promise.resolve().then(function() {
+					if (!phar.getFilesCount()) {
+						throw Error('Phar must have at least one file!');
+					}
+					if (options.worker) {
+						// lazily loaded contents are decompressed by the worker
+						return callWorker({ task: 'save', phar: serializePhar(phar), reproducible: phar.getReproducible(), compression: compression }, [], options).then(function(data) {
+							phar.signature = data.signature;
+							return result(data.result);
+						});
+					}
+					
+					var entries = prepareSave(phar);
+					var runner = createTaskRunner(options);
+					var compressed = [];
+					var next = function() {
+						return runner.step().then(function() {
+							if (compressed.length == entries.files.length) {
+								var bytes = writePharData(phar, entries, compressed, runner.progress, compression).toUint8Array();
+								if (compression == PharUtils.COMPRESSION_NONE) {
+									return result(bytes);
+								}
+								return runner.step().then(function() {
+									return result(compressArchive(bytes, compression));
+								});
+							}
+							var file = entries.files[compressed.length];
+							compressed.push(file.getCompressedContentsAsBytes());
+							runner.progress({ phase: 'entry', entry: file.getName(), current: compressed.length, total: entries.files.length });
+							return next();
+						});
+					};
+					return next();
+				});
 			};
 			
 			/**
-			 * Get manifest API version
-			 * @returns {number}
+			 * Get problems found by the last load (duplicate entries, in lenient mode also everything that could not be read)
+			 * @returns {object} - {errors: PharError[], broken_entries: string[]}
 			 */
-			this.getManifestApi = function() {
-				return this.manifest_api;
+			this.getDiagnostics = function() {
+				return this.diagnostics;
 			};
 			
 			/**
-			 * Set manifest API version
-			 * @property {number} api
+			 * Save phar file contents
+			 * @params {boolean} as_u8a - save result as Uint8Array
+			 * @params {object} options - save options
+			 * @params {function} options.onprogress - called with {phase: "entry" | "signature", entry, current, total}
+			 * @params {number} options.compression - whole-archive compression (.phar.gz, .phar.bz2), getArchiveCompression() by default
+			 * @returns {(string|Uint8Array)} - phar contents
 			 */
-			this.setManifestApi = function(api) {
-				this.manifest_api = api;
-				return this;
+			this.savePharData = function(as_u8a, options) {
+				if (!this.getFilesCount()) {
+					throw Error('Phar must have at least one file!');
+				}
+				var entries = prepareSave(this);
+				
+				options = options || { };
+				var compression = options.compression === undefined ? this.archive_compression : options.compression;
+				var progress = options.onprogress || function() { };
+				var compressed = [];
+				for (var i = 0; i < entries.files.length; i++) {
+					compressed.push(entries.files[i].getCompressedContentsAsBytes());
+					progress({ phase: 'entry', entry: entries.files[i].getName(), current: i + 1, total: entries.files.length });
+				}
+				
+				var buffer = writePharData(this, entries, compressed, progress, compression);
+				if (compression != PharUtils.COMPRESSION_NONE) {
+					var result = compressArchive(buffer.toUint8Array(), compression);
+					return as_u8a ? result : fromUint8Array(result);
+				}
+				if (as_u8a) {
+					return buffer.toUint8Array();
+				} else {
+					return buffer.buffer;
+				}
 			};
 			
 			/**
-			 * Load phar from contents
-			 * @params {(string|Uint8Array)} buffer - phar contents
+			 * Load phar from tar-based contents (.tar, .tar.gz, .tar.bz2)
+			 * @params {(string|Uint8Array|ArrayBuffer|Blob)} buffer - tar contents (Blob is read asynchronously, a Promise is returned then)
+			 * @params {object} options - load options
+			 * @params {string} options.public_key - PEM public key (for OpenSSL signature)
 			 */
-			this.loadPharData = function(buffer) {
-				if (buffer instanceof Uint8Array) {
-					buffer = fromUint8Array(buffer);
+			this.loadTarData = function(buffer, options) {
+				if (isBlob(buffer)) {
+					var phar = this;
+					return readBlob(buffer).then(function(bytes) {
+						return phar.loadTarData(bytes, options);
+					});
 				}
+				options = options || { };
 				
-				var pos = buffer.length - 4;
-				if (buffer.substring(pos) != PharUtils.END_MAGIC) {
-					throw new Error('Phar is corrupted! (magic corrupt)');
-				}
-				pos -= 4;
+				buffer = decompressArchive(toUint8Array(buffer));
+				
+				this.stub = '<?php ' + PharUtils.STUB_END;
+				this.alias = '';
+				this.metadata = '';
 				
-				var signature_type = PharUtils.Binary.readLInt(buffer.substring(pos, pos + 4));
-				switch (signature_type) {
-					case PharUtils.SIGNATURE_MD5:
-						var hash_len = 16;
-						var hasher = new Hashes.MD5({utf8: false});
+				var files = [];
+				var directories = [];
+				var files_metadata = { };
+				var long_name = null;
+				var signature = null;
+				
+				var pos = 0;
+				while (pos + TAR_BLOCK_SIZE <= buffer.length) {
+					var header_pos = pos;
+					var header = fromUint8Array(buffer.subarray(pos, pos + TAR_BLOCK_SIZE));
+					if (/^\0*$/.test(header)) {
 						break;
+					}
+					if (tarReadOctal(header, 148, 8) != tarChecksum(header)) {
+						throw new PharUtils.PharFormatError('Tar is corrupted! (header checksum)', PharUtils.ERROR_CORRUPTED_ARCHIVE);
+					}
 					
-					case PharUtils.SIGNATURE_SHA1:
-						var hash_len = 20;
-						var hasher = new Hashes.SHA1({utf8: false});
-						break;
+					var size = tarReadOctal(header, 124, 12);
+					var type = header.charAt(156);
+					var name = tarReadString(header, 0, 100);
+					if (header.substring(257, 263) == 'ustar\0') {
+						var prefix = tarReadString(header, 345, 155);
+						if (prefix) {
+							name = prefix + '/' + name;
+						}
+					}
 					
-					case PharUtils.SIGNATURE_SHA256:
-						var hash_len = 32;
-						var hasher = new Hashes.SHA256({utf8: false});
-						break;
+					pos += TAR_BLOCK_SIZE;
+					var contents = buffer.subarray(pos, pos + size);
+					if (contents.length != size) {
+						throw new PharUtils.PharFormatError('Tar is corrupted! (unexpected end of file)', PharUtils.ERROR_CORRUPTED_ARCHIVE);
+					}
+					pos += Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
 					
-					case PharUtils.SIGNATURE_SHA512:
-						var hash_len = 64;
-						var hasher = new Hashes.SHA512({utf8: false});
-						break;
+					if (type == 'L') { // GNU long name
+						long_name = tarReadString(fromUint8Array(contents), 0, size);
+						continue;
+					}
+					if (type == 'x') { // pax extended header
+						var match = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(fromUint8Array(contents));
+						long_name = match ? match[1] : null;
+						continue;
+					}
+					if (long_name !== null) {
+						name = long_name;
+						long_name = null;
+					}
+					if (type == '5') {
+						directories.push({
+							name: name,
+							timestamp: tarReadOctal(header, 136, 12),
+							permission: tarReadOctal(header, 100, 8) & 0xfff
+						});
+						continue;
+					}
+					if (type != '0' && type != '\0' && type != '7') {
+						continue; // links and other special entries
+					}
 					
-					default:
-						throw Error('Unknown signature type detected!');
+					if (name == '.phar/signature.bin') {
+						signature = {
+							type: PharUtils.Binary.readLInt(contents, 0),
+							hash: fromUint8Array(contents.subarray(8, 8 + PharUtils.Binary.readLInt(contents, 4))),
+							data: buffer.subarray(0, header_pos)
+						};
+					} else if (name == '.phar/stub.php') {
+						this.stub = fromUint8Array(contents);
+					} else if (name == '.phar/alias.txt') {
+						this.alias = fromUint8Array(contents);
+					} else if (name == '.phar/.metadata.bin') {
+						this.metadata = fromUint8Array(contents);
+					} else if (name.indexOf('.phar/.metadata/') == 0 && name.substring(name.length - 14) == '/.metadata.bin') {
+						files_metadata[name.substring(16, name.length - 14)] = fromUint8Array(contents);
+					} else if (name.indexOf('.phar/') != 0) {
+						files.push(new PharUtils.PharFile(name, contents, {
+							timestamp: tarReadOctal(header, 136, 12),
+							permission: tarReadOctal(header, 100, 8) & 0xfff
+						}));
+					}
+				}
+				
+				if (signature) {
+					if (PharUtils.SUPPORTED_SIGNATURES.indexOf(signature.type) == -1) {
+						throw new PharUtils.PharSignatureError('Unknown signature type detected!', PharUtils.ERROR_UNKNOWN_SIGNATURE);
+					}
+					if (!verifySignature(signature.type, signature.data, signature.hash, options.public_key)) {
+						throw new PharUtils.PharSignatureError('Phar has a broken signature!', PharUtils.ERROR_BAD_SIGNATURE);
+					}
+					this.signature_type = signature.type;
+					this.signature = signatureInfo(signature.type, signature.hash);
+				} else {
+					this.signature_type = PharUtils.SIGNATURE_NONE;
+					this.signature = null;
+				}
+				
+				this.diagnostics = { errors: [], broken_entries: [] };
+				this.setFiles([]);
+				this.directories = Object.create(null);
+				var paths = Object.create(null);
+				for (var i = 0; i < files.length; i++) {
+					files[i].setMetadata(files_metadata[files[i].getName()] || '');
+					addLoadedEntry(this, files[i], false, paths);
+				}
+				for (var i = 0; i < directories.length; i++) {
+					var directory = loadedDirectory(directories[i].name, directories[i]);
+					if (directory.getName() !== '') {
+						directory.setMetadata(files_metadata[directory.getName()] || '');
+						addLoadedEntry(this, directory, true, paths);
+					}
+				}
+				
+				return this;
+			};
+			
+			/**
+			 * Save phar as tar-based contents
+			 * @params {boolean} as_u8a - save result as Uint8Array
+			 * @params {number} compression - whole archive compression (PharUtils.COMPRESSION_GZ or PharUtils.COMPRESSION_BZIP2)
+			 * @returns {(string|Uint8Array)} - tar contents
+			 */
+			this.saveTarData = function(as_u8a, compression) {
+				var entries = prepareSave(this);
+				var time = entries.timestamp;
+				var buffer = new PharUtils.BinaryBuffer();
+				
+				tarEntry(buffer, '.phar/stub.php', this.stub, 420, time); // 0644
+				if (this.alias) {
+					tarEntry(buffer, '.phar/alias.txt', this.alias, 420, time);
 				}
-				var hash = buffer.substring(pos - hash_len, pos);
-				buffer = buffer.substring(0, pos - hash_len);
-				if (hasher.raw(buffer) != hash) {
-					throw Error('Phar has a broken signature!');
+				if (this.metadata) {
+					tarEntry(buffer, '.phar/.metadata.bin', this.metadata, 420, time);
 				}
 				
-				var stub_len = buffer.indexOf(PharUtils.STUB_END);
-				if (stub_len == -1) {
-					throw Error('Stub not found!');
+				for (var path in entries.directories) {
+					var directory = entries.directories[path];
+					tarEntry(buffer, path + '/', '', directory.getPermission(), directory.getTimestamp(), '5');
+					if (directory.getMetadata()) {
+						tarEntry(buffer, '.phar/.metadata/' + path + '/.metadata.bin', directory.getMetadata(), 420, time);
+					}
 				}
-				stub_len += PharUtils.STUB_END.length;
 				
-				buffer = new PharUtils.BinaryBuffer(buffer);
+				for (var i = 0; i < entries.files.length; i++) {
+					var file = entries.files[i];
+					tarEntry(buffer, file.getName(), file.getContentsAsBytes(), file.getPermission(), file.getTimestamp());
+					if (file.getMetadata()) {
+						tarEntry(buffer, '.phar/.metadata/' + file.getName() + '/.metadata.bin', file.getMetadata(), 420, time);
+					}
+				}
 				
-				this.stub = buffer.get(stub_len);
+				this.signature = null;
+				if (this.signature_type != PharUtils.SIGNATURE_NONE) {
+					var signature = createSignature(this.signature_type, buffer.toUint8Array(), this.private_key);
+					var signature_data = PharUtils.Binary.writeLInt(this.signature_type) + PharUtils.Binary.writeLInt(signature.length) + signature;
+					tarEntry(buffer, '.phar/signature.bin', signature_data, 420, time);
+					this.signature = signatureInfo(this.signature_type, signature);
+				}
+				buffer.put(tarPad('', TAR_BLOCK_SIZE * 2));
 				
-				var manifest_buffer = new PharUtils.BinaryBuffer(buffer.getString());
-				var files_count = manifest_buffer.getLInt();
-				this.manifest_api = manifest_buffer.getLShort();
-				this.flags = manifest_buffer.getLInt();
-				this.alias = manifest_buffer.getString();
-				this.metadata = manifest_buffer.getString();
+				var result = compressArchive(buffer.toUint8Array(), compression);
 				
-				this.files = [];
-				for (var i = 0; i < files_count; i++) {
-					var options = { };
+				if (as_u8a) {
+					return result;
+				} else {
+					return fromUint8Array(result);
+				}
+			};
+			
+			/**
+			 * Load phar from zip-based contents
+			 * @params {(string|Uint8Array|ArrayBuffer|Blob)} buffer - zip contents (Blob is read asynchronously, a Promise is returned then)
+			 * @params {object} options - load options
+			 * @params {string} options.public_key - PEM public key (for OpenSSL signature)
+			 */
+			this.loadZipData = function(buffer, options) {
+				if (isBlob(buffer)) {
+					var phar = this;
+					return readBlob(buffer).then(function(bytes) {
+						return phar.loadZipData(bytes, options);
+					});
+				}
+				options = options || { };
+				
+				buffer = toUint8Array(buffer);
+				
+				// end of central directory is within the last 65557 bytes (22 + max comment length)
+				var tail_pos = Math.max(0, buffer.length - 65557);
+				var end_pos = fromUint8Array(buffer.subarray(tail_pos)).lastIndexOf(ZIP_END_MAGIC);
+				if (end_pos == -1) {
+					throw new PharUtils.PharFormatError('Zip is corrupted! (end of central directory not found)', PharUtils.ERROR_CORRUPTED_ARCHIVE);
+				}
+				end_pos += tail_pos;
+				var end = new PharUtils.BinaryBuffer(buffer.subarray(end_pos + 4));
+				end.offset += 6; // disk numbers and entries on this disk
+				var entries_count = end.getLShort();
+				var central_size = end.getLInt();
+				var central_pos = end.getLInt();
+				var comment = end.get(end.getLShort());
+				if (central_pos + central_size > end_pos) {
+					throw new PharUtils.PharFormatError('Zip is corrupted! (central directory is out of bounds)', PharUtils.ERROR_CORRUPTED_ARCHIVE);
+				}
+				
+				this.stub = '<?php ' + PharUtils.STUB_END;
+				this.alias = '';
+				this.metadata = comment;
+				
+				var files = [];
+				var directories = [];
+				var signature = null;
+				var central = new PharUtils.BinaryBuffer(buffer.subarray(central_pos, central_pos + central_size));
+				for (var i = 0; i < entries_count; i++) {
+					var entry_pos = central.offset;
+					if (central.get(4) != ZIP_CENTRAL_MAGIC) {
+						throw new PharUtils.PharFormatError('Zip is corrupted! (central directory entry)', PharUtils.ERROR_CORRUPTED_ARCHIVE);
+					}
+					central.offset += 6; // version made by, version needed and flags
+					var method = central.getLShort();
+					var time = central.getLShort();
+					var day = central.getLShort();
+					var readed_crc32 = central.getLInt();
+					var compressed_size = central.getLInt();
+					central.offset += 4; // uncompressed size
+					var name_len = central.getLShort();
+					var extra_len = central.getLShort();
+					var comment_len = central.getLShort();
+					central.offset += 8; // disk number and attributes
+					var local_pos = central.getLInt();
+					var name = central.get(name_len);
+					var extra = central.get(extra_len);
+					var file_comment = central.get(comment_len);
+					
+					var local = new PharUtils.BinaryBuffer(buffer.subarray(local_pos, local_pos + 30));
+					if (local.length != 30 || local.get(4) != ZIP_LOCAL_MAGIC) {
+						throw new PharUtils.PharFormatError('Zip is corrupted! (local file header)', PharUtils.ERROR_CORRUPTED_ARCHIVE);
+					}
+					local.offset = 26;
+					var data_pos = local_pos + 30 + local.getLShort() + local.getLShort();
+					var contents = buffer.subarray(data_pos, data_pos + compressed_size);
+					if (contents.length != compressed_size) {
+						throw new PharUtils.PharFormatError('Zip is corrupted! (unexpected end of file)', PharUtils.ERROR_CORRUPTED_ARCHIVE);
+					}
 					
-					var filename = manifest_buffer.getString();
-					manifest_buffer.offset += 4; // uncompressed file size
-					options.timestamp = manifest_buffer.getLInt();
-					var size = manifest_buffer.getLInt();
-					var readed_crc32 = manifest_buffer.getLInt();
-					var flags = manifest_buffer.getLInt();
-					options.permission = flags & 0xfff;
-					options.compression_type = flags & 0xf000;
-					options.metadata = manifest_buffer.getString();
-					options.is_compressed = true;
+					if (name == '.phar/signature.bin') {
+						var signature_type = PharUtils.Binary.readLInt(contents, 0);
+						if (PharUtils.SUPPORTED_SIGNATURES.indexOf(signature_type) == -1) {
+							throw new PharUtils.PharSignatureError('Unknown signature type detected!', PharUtils.ERROR_UNKNOWN_SIGNATURE);
+						}
+						var hash = fromUint8Array(contents.subarray(8, 8 + PharUtils.Binary.readLInt(contents, 4)));
+						var signed_data = new PharUtils.BinaryBuffer();
+						signed_data.reserve(local_pos + entry_pos);
+						signed_data.put(buffer.subarray(0, local_pos));
+						signed_data.put(buffer.subarray(central_pos, central_pos + entry_pos));
+						if (!verifySignature(signature_type, signed_data.toUint8Array(), hash, options.public_key)) {
+							throw new PharUtils.PharSignatureError('Phar has a broken signature!', PharUtils.ERROR_BAD_SIGNATURE);
+						}
+						signature = signatureInfo(signature_type, hash);
+						this.signature_type = signature_type;
+						continue;
+					}
+					if (name.charAt(name.length - 1) == '/') {
+						var permission = zipReadPermission(extra);
+						directories.push({
+							name: name,
+							timestamp: zipReadDosTime(time, day),
+							permission: permission === null ? 493 : permission, // 0755
+							metadata: file_comment
+						});
+						continue;
+					}
 					
-					var file = new PharUtils.PharFile(filename, buffer.get(size), options);
-					if (readed_crc32 != crc32(file.getContents())) {
-						throw Error('Phar is corrupted! (file corrupt)');
+					switch (method) {
+						case 0:
+							var compression_type = PharUtils.COMPRESSION_NONE;
+							break;
+						
+						case 8:
+							var compression_type = PharUtils.COMPRESSION_GZ;
+							break;
+						
+						case 12:
+							var compression_type = PharUtils.COMPRESSION_BZIP2;
+							break;
+						
+						default:
+							throw new PharUtils.PharEntryError('Unsupported compression type detected!', PharUtils.ERROR_UNSUPPORTED_COMPRESSION, name);
+					}
+					var permission = zipReadPermission(extra);
+					var file = new PharUtils.PharFile(name, contents, {
+						compression_type: compression_type,
+						is_compressed: true,
+						timestamp: zipReadDosTime(time, day),
+						permission: permission === null ? 438 : permission,
+						metadata: file_comment
+					});
+					if (readed_crc32 != crc32(file.getContentsAsBytes())) {
+						throw new PharUtils.PharEntryError('Zip is corrupted! (file corrupt: "' + name + '")', PharUtils.ERROR_CRC_MISMATCH, name);
 					}
 					
-					this.addFile(file);
+					if (name == '.phar/stub.php') {
+						this.stub = file.getContents();
+					} else if (name == '.phar/alias.txt') {
+						this.alias = file.getContents();
+					} else if (name.indexOf('.phar/') != 0) {
+						files.push(file);
+					}
+				}
+				
+				this.signature_type = signature ? this.signature_type : PharUtils.SIGNATURE_NONE;
+				this.signature = signature;
+				this.diagnostics = { errors: [], broken_entries: [] };
+				this.setFiles([]);
+				this.directories = Object.create(null);
+				var paths = Object.create(null);
+				for (var i = 0; i < files.length; i++) {
+					addLoadedEntry(this, files[i], false, paths);
+				}
+				for (var i = 0; i < directories.length; i++) {
+					var directory = loadedDirectory(directories[i].name, directories[i]);
+					if (directory.getName() !== '') {
+						addLoadedEntry(this, directory, true, paths);
+					}
 				}
 				
 				return this;
 			};
 			
 			/**
-			 * Save phar file contents
+			 * Save phar as zip-based contents
 			 * @params {boolean} as_u8a - save result as Uint8Array
-			 * @returns {(string|Uint8Array)} - phar contents
+			 * @returns {(string|Uint8Array)} - zip contents
 			 */
-			this.savePharData = function(as_u8a) {
-				if (!this.getFilesCount()) {
-					throw Error('Phar must have at least one file!');
+			this.saveZipData = function(as_u8a) {
+				if (this.metadata.length > 0xffff) {
+					throw Error('Metadata is too large for zip-based phar!');
 				}
 				
+				var entries = prepareSave(this);
+				var time = entries.timestamp;
+				var utc = !!this.reproducible;
 				var buffer = new PharUtils.BinaryBuffer();
-				var manifest_buffer = new PharUtils.BinaryBuffer();
-				
-				buffer.put(this.stub);
-				
-				manifest_buffer.putLInt(this.getFilesCount());
-				manifest_buffer.putLShort(this.manifest_api);
-				manifest_buffer.putLInt(this.flags);
-				manifest_buffer.putString(this.alias);
-				manifest_buffer.putString(this.metadata);
+				var central = new PharUtils.BinaryBuffer();
+				var entries_count = 0;
 				
-				var all_contents = '';
-				for (var i in this.files) {
-					var file = this.files[i];
-					var contents = file.getCompressedContents();
+				var addEntry = function(name, contents, options) {
+					var compressed = options.compressed === undefined ? contents : options.compressed;
+					var method = { 0x0000: 0, 0x1000: 8, 0x2000: 12 }[options.compression_type || 0];
+					var version = method == 12 ? 46 : 20;
+					var extra = zipPermissionExtra(options.permission);
+					var comment = options.metadata || '';
+					if (comment.length > 0xffff) {
+						throw Error('Metadata of "' + name + '" is too large for zip-based phar!');
+					}
+					
+					var header = PharUtils.Binary.writeLShort(version) + PharUtils.Binary.writeLShort(0) +
+						PharUtils.Binary.writeLShort(method) + zipWriteDosTime(options.timestamp, utc) +
+						PharUtils.Binary.writeLInt(options.crc32 === undefined ? crc32(contents) : options.crc32) + PharUtils.Binary.writeLInt(compressed.length) +
+						PharUtils.Binary.writeLInt(contents.length) + PharUtils.Binary.writeLShort(name.length) +
+						PharUtils.Binary.writeLShort(extra.length);
 					
-					manifest_buffer.putString(file.getName());
-					manifest_buffer.putLInt(file.getSize());
-					manifest_buffer.putLInt(file.getTimestamp());
-					manifest_buffer.putLInt(contents.length);
-					manifest_buffer.putLInt(crc32(file.getContents()));
-					manifest_buffer.putLInt(file.getPharFlags());
-					manifest_buffer.putString(file.getMetadata());
+					central.put(ZIP_CENTRAL_MAGIC);
+					central.putLShort(20); // version made by
+					central.put(header);
+					central.putLShort(comment.length);
+					central.putLShort(0); // disk number
+					central.putLShort(0); // internal attributes
+					central.putLInt(0); // external attributes
+					central.putLInt(buffer.length);
+					central.put(name + extra + comment);
 					
-					all_contents += contents;
+					buffer.put(ZIP_LOCAL_MAGIC + header + name + extra);
+					buffer.put(compressed);
+					entries_count++;
+				};
+				
+				addEntry('.phar/stub.php', this.stub, { timestamp: time, permission: 420 }); // 0644
+				if (this.alias) {
+					addEntry('.phar/alias.txt', this.alias, { timestamp: time, permission: 420 });
+				}
+				
+				for (var path in entries.directories) {
+					var directory = entries.directories[path];
+					addEntry(path + '/', '', {
+						timestamp: directory.getTimestamp(),
+						permission: directory.getPermission(),
+						metadata: directory.getMetadata()
+					});
 				}
 				
-				buffer.putString(manifest_buffer.buffer);
-				buffer.put(all_contents);
-				all_contents = null;
+				for (var i = 0; i < entries.files.length; i++) {
+					var file = entries.files[i];
+					addEntry(file.getName(), file.getContentsAsBytes(), {
+						compressed: file.getCompressedContentsAsBytes(),
+						crc32: file.getCRC32(),
+						compression_type: file.getCompressionType(),
+						timestamp: file.getTimestamp(),
+						permission: file.getPermission(),
+						metadata: file.getMetadata()
+					});
+				}
 				
-				switch (this.signature_type) {
-					case PharUtils.SIGNATURE_MD5:
-						var hasher = new Hashes.MD5({utf8: false});
-						break;
-					
-					case PharUtils.SIGNATURE_SHA1:
-						var hasher = new Hashes.SHA1({utf8: false});
-						break;
-					
-					case PharUtils.SIGNATURE_SHA256:
-						var hasher = new Hashes.SHA256({utf8: false});
-						break;
-					
-					case PharUtils.SIGNATURE_SHA512:
-						var hasher = new Hashes.SHA512({utf8: false});
-						break;
-					
-					default:
-						throw Error('Unknown signature type detected!');
+				this.signature = null;
+				if (this.signature_type != PharUtils.SIGNATURE_NONE) {
+					var signed_data = new PharUtils.BinaryBuffer();
+					signed_data.reserve(buffer.length + central.length);
+					signed_data.put(buffer.toUint8Array());
+					signed_data.put(central.toUint8Array());
+					var signature = createSignature(this.signature_type, signed_data.toUint8Array(), this.private_key);
+					signed_data = null;
+					var signature_data = PharUtils.Binary.writeLInt(this.signature_type) + PharUtils.Binary.writeLInt(signature.length) + signature;
+					addEntry('.phar/signature.bin', signature_data, { timestamp: time, permission: 420 });
+					this.signature = signatureInfo(this.signature_type, signature);
 				}
-				var hash = hasher.raw(buffer.buffer);
-				buffer.put(hash);
-				buffer.putLInt(this.signature_type, 4);
-				buffer.put(PharUtils.END_MAGIC);
+				
+				var central_pos = buffer.length;
+				buffer.put(central.toUint8Array());
+				buffer.put(ZIP_END_MAGIC);
+				buffer.putLShort(0); // disk number
+				buffer.putLShort(0); // disk with central directory
+				buffer.putLShort(entries_count);
+				buffer.putLShort(entries_count);
+				buffer.putLInt(central.length);
+				buffer.putLInt(central_pos);
+				buffer.putLShort(this.metadata.length);
+				buffer.put(this.metadata);
 				
 				if (as_u8a) {
-					return toUint8Array(buffer.buffer);
+					return buffer.toUint8Array();
 				} else {
 					return buffer.buffer;
 				}
@@ -573,13 +6689,17 @@
 			
 			options = options || { };
 			
-			this.alias = options.alias || '';
+			this.alias = toBinaryString(options.alias || '');
 			this.setStub(options.stub || '<?php ' + PharUtils.STUB_END);
-			this.setSignatureType(options.signature_type || PharUtils.SIGNATURE_SHA1);
-			this.metadata = options.metadata || '';
+			this.metadata = toBinaryString(options.metadata || '');
+			this.directories = Object.create(null);
 			this.setFiles(options.files || []);
-			this.flags = options.flags || 0x10000;
+			this.flags = options.flags || PHAR_HDR_SIGNATURE;
+			this.setSignatureType(typeof options.signature_type === 'number' ? options.signature_type : PharUtils.SIGNATURE_SHA1, options.private_key);
+			this.signature = null;
+			this.setArchiveCompression(options.archive_compression || PharUtils.COMPRESSION_NONE);
 			this.manifest_api = options.manifest_api || 17;
+			this.setReproducible(options.reproducible || false);
 			
 			return this;
 		},
@@ -590,13 +6710,14 @@
 		 * @class PharFile
 		 * @constructor
 		 * @property {string} name     - filename (path)
-		 * @property {string} contents - file contents
+		 * @property {(string|Uint8Array|ArrayBuffer)} contents - file contents (strings with characters above U+00FF are saved as UTF-8)
 		 * @property {object} options  - file options
-		 * @property {string} options.compression_type - compression type
-		 * @property {string} options.is_compressed    - is given contents already compressed
-		 * @property {number} options.timestamp        - timestamp of the file
-		 * @property {string} options.metadata         - file metadata
-		 * @property {number} options.permission       - file permission
+		 * @property {string} options.compression_type  - compression type
+		 * @property {number} options.compression_level - compression level (see setCompressionLevel())
+		 * @property {string} options.is_compressed     - is given contents already compressed
+		 * @property {number} options.timestamp         - timestamp of the file
+		 * @property {string} options.metadata          - file metadata
+		 * @property {number} options.permission        - file permission
 		 */
 		PharFile: function(name, contents, options) {
 			/**
@@ -612,23 +6733,115 @@
 			 * @property {string} name
 			 */
 			this.setName = function(name) {
+				name = toBinaryString(name);
+				if (name !== this.name) {
+					file_renames++;
+				}
 				this.name = name;
+				return this;
 			};
 			
 			/**
 			 * Get file contents
-			 * @returns {string}
+			 * @returns {string} - binary string (use getContentsAsBytes() to avoid conversion)
 			 */
 			this.getContents = function() {
+				return fromUint8Array(this.getContentsAsBytes());
+			};
+			
+			/**
+			 * Get file contents as bytes
+			 * @returns {Uint8Array}
+			 */
+			this.getContentsAsBytes = function() {
+				if (this.contents === null) {
+					var source = this.source;
+					var contents = source.buffer.subarray(source.offset, source.offset + source.length);
+					
+					try {
+						this.setContents(contents, true);
+						this.crc = crc32(this.contents);
+						if (this.crc != source.crc32) {
+							throw new PharUtils.PharEntryError('Phar is corrupted! (file corrupt: "' + this.name + '")', PharUtils.ERROR_CRC_MISMATCH, this.name);
+						}
+					} catch (error) {
+						// keep the source, so the error is raised again on next access
+						this.setContentsSource(source.buffer, source.offset, source.length, source.size, source.crc32);
+						throw error;
+					}
+				}
 				return this.contents;
 			};
 			
+			/**
+			 * Get file contents decoded from UTF-8 (contents that are not valid UTF-8 are decoded as Latin-1)
+			 * @returns {string}
+			 */
+			this.getContentsAsText = function() {
+				var bytes = this.getContentsAsBytes();
+				var text = decodeUTF8(bytes);
+				if (text.indexOf('\ufffd') != -1 && fromUint8Array(encodeUTF8(text)) !== fromUint8Array(bytes)) {
+					return fromUint8Array(bytes); // e.g. "José" passed as a binary string
+				}
+				return text;
+			};
+			
+			/**
+			 * Set file contents encoded as UTF-8 (any string, unlike setContents() which keeps Latin-1 strings as binary)
+			 * @property {string} text
+			 */
+			this.setContentsAsText = function(text) {
+				return this.setContents(encodeUTF8(text));
+			};
+			
+			/**
+			 * Set contents source, contents are read from it on first access
+			 * @property {Uint8Array} buffer - buffer with (compressed) contents
+			 * @property {number} offset - contents offset in the buffer
+			 * @property {number} length - contents length in the buffer
+			 * @property {number} size - uncompressed contents size
+			 * @property {number} crc - CRC32 of uncompressed contents
+			 */
+			this.setContentsSource = function(buffer, offset, length, size, crc) {
+				this.contents = null;
+				this.compressed = null;
+				this.crc = null;
+				this.source = {
+					buffer: buffer,
+					offset: offset,
+					length: length,
+					size: size,
+					crc32: crc
+				};
+				return this;
+			};
+			
+			/**
+			 * Are contents already read (false for lazily loaded files)
+			 * @returns {boolean}
+			 */
+			this.isLoaded = function() {
+				return this.contents !== null;
+			};
+			
 			/**
 			 * Set file contents
-			 * @property {string} contents
+			 * @property {(string|Uint8Array|ArrayBuffer|Blob)} contents - binary string, text (with characters above U+00FF, saved as UTF-8) or bytes (Uint8Array is used without copying)
 			 * @property {boolean} is_compressed - is given contents already compressed
+			 * @returns {(PharUtils.PharFile|Promise)} - Promise for Blob contents
 			 */
 			this.setContents = function(contents, is_compressed) {
+				if (isBlob(contents)) {
+					var file = this;
+					return readBlob(contents).then(function(bytes) {
+						return file.setContents(bytes, is_compressed);
+					});
+				}
+				this.source = null;
+				this.compressed = null;
+				this.crc = null;
+				contents = toUint8Array(contents);
+				
 				if (is_compressed) {
 					switch (this.compression_type) {
 						case PharUtils.COMPRESSION_NONE:
@@ -637,14 +6850,24 @@
 						
 						case PharUtils.COMPRESSION_GZ:
 							try {
-								this.contents = fromUint8Array((new Zlib.RawInflate(toUint8Array(contents))).decompress());
+								this.contents = rawInflate(contents);
+							} catch (error) {
+								throw new PharUtils.PharEntryError('Inflate error: ' + error + ' ("' + this.name + '")', PharUtils.ERROR_DECOMPRESSION_FAILED, this.name);
+							}
+							this.compressed = contents;
+							break;
+						
+						case PharUtils.COMPRESSION_BZIP2:
+							try {
+								this.contents = bzip2Decompress(contents);
 							} catch (error) {
-								throw Error('Zlib.RawInflate error: ' + error);
+								throw new PharUtils.PharEntryError('bzip2 decompression error: ' + error + ' ("' + this.name + '")', PharUtils.ERROR_DECOMPRESSION_FAILED, this.name);
 							}
+							this.compressed = contents;
 							break;
 						
 						default:
-							throw Error('Unsupported compression type detected!');
+							throw new PharUtils.PharEntryError('Unsupported compression type detected!', PharUtils.ERROR_UNSUPPORTED_COMPRESSION, this.name);
 					}
 				} else {
 					this.contents = contents;
@@ -655,20 +6878,53 @@
 			
 			/**
 			 * Get file compressed contents
-			 * @returns {string}
+			 * @returns {string} - binary string (use getCompressedContentsAsBytes() to avoid conversion)
 			 */
 			this.getCompressedContents = function() {
-				switch (this.compression_type) {
-					case PharUtils.COMPRESSION_GZ:
-						try {
-							return fromUint8Array((new Zlib.RawDeflate(toUint8Array(this.contents))).compress());
-						} catch (error) {
-							throw Error('Zlib.RawDeflate error: ' + error);
-						}
-					
-					default:
-						return this.contents;
+				return fromUint8Array(this.getCompressedContentsAsBytes());
+			};
+			
+			/**
+			 * Get file compressed contents as bytes (kept until contents, compression type or level change,
+			 * changes made directly in the Uint8Array given to setContents() are not noticed)
+			 * @returns {Uint8Array}
+			 */
+			this.getCompressedContentsAsBytes = function() {
+				if (this.compression_type == PharUtils.COMPRESSION_NONE) {
+					return this.getContentsAsBytes();
+				}
+				if (this.contents === null) {
+					// source is compressed with the current type
+					return this.source.buffer.subarray(this.source.offset, this.source.offset + this.source.length);
+				}
+				
+				if (this.compressed === null) {
+					switch (this.compression_type) {
+						case PharUtils.COMPRESSION_GZ:
+							try {
+								this.compressed = rawDeflate(this.contents, this.compression_level);
+							} catch (error) {
+								throw Error('Deflate error: ' + error);
+							}
+							break;
+						
+						case PharUtils.COMPRESSION_BZIP2:
+							this.compressed = bzip2Compress(this.contents, this.compression_level);
+							break;
+					}
+				}
+				return this.compressed;
+			};
+			
+			/**
+			 * Will the next save compress or checksum contents again (contents, compression type or level were changed)
+			 * @returns {boolean}
+			 */
+			this.isDirty = function() {
+				if (this.contents === null) {
+					return false;
 				}
+				return this.crc === null || (this.compression_type != PharUtils.COMPRESSION_NONE && this.compressed === null);
 			};
 			
 			/**
@@ -676,15 +6932,36 @@
 			 * @returns {number}
 			 */
 			this.getSize = function() {
-				return this.getContents().length;
+				return this.contents === null ? this.source.size : this.contents.length;
+			};
+			
+			/**
+			 * Get CRC32 of file contents
+			 * @returns {number}
+			 */
+			this.getCRC32 = function() {
+				if (this.contents === null) {
+					return this.source.crc32;
+				}
+				if (this.crc === null) {
+					this.crc = crc32(this.contents);
+				}
+				return this.crc;
 			};
 			
 			/**
 			 * Get file compressed size
-			 * @returns {string}
+			 * @returns {number}
+			 */
+			this.getCompressedSize = function() {
+				return this.contents === null ? this.source.length : this.getCompressedContentsAsBytes().length;
+			};
+			
+			/**
+			 * @deprecated misspelled, use getCompressedSize()
 			 */
 			this.getComressedSize = function() {
-				return this.getCompressedContents().length;
+				return this.getCompressedSize();
 			};
 			
 			/**
@@ -703,11 +6980,43 @@
 				if (PharUtils.SUPPORTED_COMPRESSION.indexOf(type) == -1) {
 					throw Error('(' + type + ') compression type is not supported!');
 				}
+				if (this.contents === null) {
+					this.getContentsAsBytes(); // source is compressed with the current type
+				}
 				
+				if (type != this.compression_type) {
+					this.compressed = null;
+				}
 				this.compression_type = type;
 				return this;
 			};
 			
+			/**
+			 * Get compression level
+			 * @returns {?number} - null means the default level
+			 */
+			this.getCompressionLevel = function() {
+				return this.compression_level;
+			};
+			
+			/**
+			 * Set compression level (gzip levels are used only in Node.js, bzip2 level is the block size in 100k)
+			 * @property {?number} level - 1 (fastest) to 9 (smallest), null for the default level
+			 */
+			this.setCompressionLevel = function(level) {
+				if (level !== null && (level !== (level | 0) || level < 1 || level > 9)) {
+					throw Error('Compression level must be from 1 to 9!');
+				}
+				if (level !== this.compression_level) {
+					if (this.contents === null) {
+						this.getContentsAsBytes(); // source is compressed with the old level
+					}
+					this.compressed = null;
+				}
+				this.compression_level = level;
+				return this;
+			};
+			
 			/**
 			 * Get file permission
 			 * @returns {number}
@@ -721,7 +7030,7 @@
 			 * @property {number} permission
 			 */
 			this.setPermission = function(permission) {
-				if (permission > 4095 || perm < 0) {
+				if (permission > 4095 || permission < 0) {
 					throw Error('Permission flag is incorrect!');
 				}
 				
@@ -750,8 +7059,8 @@
 			 * @property {number} timestamp
 			 */
 			this.setTimestamp = function(timestamp) {
-				if (time < 0) {
-					time = Date.now() / 1000 | 0;
+				if (timestamp < 0) {
+					timestamp = Date.now() / 1000 | 0;
 				}
 				
 				this.timestamp = timestamp;
@@ -771,24 +7080,96 @@
 			 * @property {string} metadata
 			 */
 			this.setMetadata = function(metadata) {
-				this.metadata = metadata;
+				this.metadata = toBinaryString(metadata);
+				return this;
+			};
+			
+			/**
+			 * Get file metadata as unserialized value
+			 * @property {boolean} binary - keep all strings as binary strings (UTF-8 text with characters above U+00FF is decoded by default)
+			 * @returns {*}
+			 */
+			this.getMetadataValue = function(binary) {
+				return this.metadata === '' ? null : PharUtils.PhpSerializer.unserialize(this.metadata, !binary);
+			};
+			
+			/**
+			 * Set file metadata from value (null removes metadata)
+			 * @property {*} value
+			 */
+			this.setMetadataValue = function(value) {
+				this.metadata = (value === null || value === undefined) ? '' : PharUtils.PhpSerializer.serialize(value);
 				return this;
 			};
 			
 			options = options || { };
 			
-			this.name = name || 'newfile';
+			if (isBlob(contents)) {
+				throw Error('Blob contents can be read only asynchronously, use setContents() (it returns a Promise)!');
+			}
+			
+			this.name = toBinaryString(name || 'newfile');
+			this.compressed = null; // compressed contents cache
+			this.crc = null; // CRC32 cache
 			this.setCompressionType(options.compression_type || PharUtils.COMPRESSION_NONE);
+			this.setCompressionLevel(options.compression_level || null);
 			this.setContents(contents || '', options.is_compressed || false);
 			this.setTimestamp(options.timestamp || -1);
 			this.setPermission(options.permission || 438); // 0666
-			this.metadata = options.metadata || '';
+			this.metadata = toBinaryString(options.metadata || '');
 			
 			return this;
 		}
 	};
 	
-	if (typeof Zlib.Zip !== 'undefined' || typeof Zlib.Unzip !== 'undefined') {
+	PharUtils.PharError.prototype = Object.create(Error.prototype);
+	PharUtils.PharError.prototype.constructor = PharUtils.PharError;
+	var error_classes = ['PharFormatError', 'PharSignatureError', 'PharEntryError'];
+	for (var i = 0; i < error_classes.length; i++) {
+		PharUtils[error_classes[i]].prototype = Object.create(PharUtils.PharError.prototype);
+		PharUtils[error_classes[i]].prototype.constructor = PharUtils[error_classes[i]];
+	}
+	
+	/**
+	 * Check signature of phar contents without loading the archive
+	 * @static
+	 * @property {(string|Uint8Array|ArrayBuffer)} buffer - phar contents (.phar.gz and .phar.bz2 are unwrapped)
+	 * @property {object} options - verify options
+	 * @property {string} options.public_key - PEM public key (for OpenSSL signature, without it "valid" is null)
+	 * @returns {?object} - {signature_type, hash_type, expected, actual, valid} (hashes as uppercase hex, for OpenSSL "expected" is the RSA signature), null for unsigned phars
+	 */
+	PharUtils.Phar.verifySignature = function(buffer, options) {
+		options = options || { };
+		buffer = decompressArchive(toUint8Array(buffer));
+		
+		var stub_pos = indexOfBytes(buffer, PharUtils.STUB_END);
+		if (stub_pos == -1) {
+			throw new PharUtils.PharFormatError('Stub not found!', PharUtils.ERROR_STUB_NOT_FOUND);
+		}
+		if (!isSignedPhar(buffer, stub_pos)) {
+			return null;
+		}
+		var signature = readPharSignature(buffer);
+		if (signature.error) {
+			throw signature.error;
+		}
+		
+		var digest = hashData(signatureAlgorithm(signature.type), buffer.subarray(0, signature.data_end));
+		if (signature.type & PharUtils.SIGNATURE_OPENSSL) {
+			var valid = options.public_key ? rsaVerify(options.public_key, digest, signature.hash) : null;
+		} else {
+			var valid = digest === signature.hash;
+		}
+		return {
+			signature_type: signature.type,
+			hash_type: SIGNATURE_HASH_TYPES[signature.type],
+			expected: toHex(signature.hash),
+			actual: toHex(digest),
+			valid: valid
+		};
+	};
+	
+	if (typeof Zlib !== 'undefined' && (typeof Zlib.Zip !== 'undefined' || typeof Zlib.Unzip !== 'undefined')) {
 		/**
 		 * Zip to Phar converter and vice versa
 		 * @member PharUtils
@@ -810,7 +7191,7 @@
 					var time = new Date();
 					time.setTime(files[i].getTimestamp() * 1000);
 					
-					zip.addFile(toUint8Array(files[i].getContents()), {
+					zip.addFile(files[i].getContentsAsBytes(), {
 						filename: toUint8Array(files[i].getName()),
 						date: time
 					});
@@ -831,7 +7212,7 @@
 				var files = zip.getFilenames();
 				try {
 					for (var i in files) {
-						phar.addFile(new PharUtils.PharFile(files[i], fromUint8Array(zip.decompress(files[i]))));
+						phar.addFile(new PharUtils.PharFile(files[i], zip.decompress(files[i])));
 					}
 				} catch (error) {
 					throw Error('Zlib.Unzip decompression error: ' + error);
@@ -842,5 +7223,5 @@
 		};
 	}
 	
-	window.PharUtils = PharUtils;
-}());
+	return PharUtils;
+}));
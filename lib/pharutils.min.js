@@ -4,4 +4,4 @@
  * @license PharUtils.js [The MIT License]
  * @copyright FaigerSYS 2018
  */
-!function(){function t(t){for(var e=window.PharUtils_crcTable||(window.PharUtils_crcTable=function(){for(var t,e=[],i=0;i<256;i++){t=i;for(var r=0;r<8;r++)t=1&t?3988292384^t>>>1:t>>>1;e[i]=t}return e}()),i=-1,r=0;r<t.length;r++)i=i>>>8^e[255&(i^t.charCodeAt(r))];return(-1^i)>>>0}function e(t){for(var e=new Uint8Array(t.length),i=0;i<t.length;i++)e[i]=t.charCodeAt(i);return e}function i(t){for(var e="",i=0;i<t.length;i++)e+=String.fromCharCode(t[i]);return e}var r=!1;if(void 0===Zlib.RawInflate&&(r=!0,console.error("Zlib.RawInflate not found!")),void 0===Zlib.RawDeflate&&(r=!0,console.error("Zlib.RawDeflate not found!")),"undefined"==typeof Hashes&&(r=!0,console.error("Hashes not found!")),r)throw Error("Required libraries are not installed!");var s={COMPRESSION_NONE:0,COMPRESSION_GZ:4096,COMPRESSION_BZIP2:8192,SUPPORTED_COMPRESSION:[0,4096],SIGNATURE_MD5:1,SIGNATURE_SHA1:2,SIGNATURE_SHA256:4,SIGNATURE_SHA512:8,END_MAGIC:"GBMB",STUB_END:"__HALT_COMPILER(); ?>\r\n",Binary:{readLInt:function(t){for(var e=0,i=0;i<4;i++)e|=t.charCodeAt(i)<<8*i;return e>>>0},writeLInt:function(t){for(var e="",i=0;i<4;i++)e+=String.fromCharCode(t>>8*i&255);return e},readLShort:function(t){for(var e=0,i=0;i<2;i++)e|=t.charCodeAt(i)<<8*i;return e},writeLShort:function(t){for(var e="",i=0;i<2;i++)e+=String.fromCharCode(t>>8*i&255);return e}},BinaryBuffer:function(t){return this.get=function(t){if(t<0&&(t=Math.max(0,this.buffer.length-this.offset)),0==t)return"";if((this.offset+=t)>this.buffer.length)throw Error("Buffer is accessed out of bounds!");return this.buffer.substring(this.offset-t,this.offset)},this.put=function(t){this.buffer+=t},this.getLInt=function(){return s.Binary.readLInt(this.get(4))},this.putLInt=function(t){this.put(s.Binary.writeLInt(t))},this.getLShort=function(){return s.Binary.readLShort(this.get(2))},this.putLShort=function(t){this.put(s.Binary.writeLShort(t))},this.getString=function(){return this.get(this.getLInt())},this.putString=function(t){this.putLInt(t.length),this.put(t)},this.buffer=t||"",this.offset=0,this},Phar:function(r){return this.getStub=function(){return this.stub},this.setStub=function(t){var e=t.toLowerCase().indexOf("__halt_compiler();");if(-1==e)throw Error("Stub is invalid!");this.stub=t.substring(0,e)+s.STUB_END},this.getAlias=function(){return this.alias},this.setAlias=function(t){return this.alias=alias,this},this.getSignatureType=function(){return this.signature_type},this.setSignatureType=function(t){if(t!=s.SIGNATURE_MD5&&t!=s.SIGNATURE_SHA1&&t!=s.SIGNATURE_SHA256&&t!=s.SIGNATURE_SHA512)throw Error("Unknown signature type given!");return this.signature_type=t,this},this.getMetadata=function(){return this.metadata},this.setMetadata=function(t){return this.metadata=t,this},this.addFile=function(t){return t instanceof s.PharFile&&(this.files[t.getName()]=t),this},this.getFile=function(t){if(this.files[t])return this.files[t]},this.removeFile=function(t){return delete this.files[t],this},this.getFiles=function(){return Object.assign({},this.files)},this.setFiles=function(t){this.files={};for(var e in t)this.addFile(t[e]);return this},this.getFilesCount=function(){return Object.keys(this.files).length},this.getFlags=function(){return this.flags},this.setFlags=function(t){return this.flags=t,this},this.getManifestApi=function(){return this.manifest_api},this.setManifestApi=function(t){return this.manifest_api=t,this},this.loadPharData=function(e){e instanceof Uint8Array&&(e=i(e));var r=e.length-4;if(e.substring(r)!=s.END_MAGIC)throw new Error("Phar is corrupted! (magic corrupt)");switch(r-=4,s.Binary.readLInt(e.substring(r,r+4))){case s.SIGNATURE_MD5:var n=16,a=new Hashes.MD5({utf8:!1});break;case s.SIGNATURE_SHA1:var n=20,a=new Hashes.SHA1({utf8:!1});break;case s.SIGNATURE_SHA256:var n=32,a=new Hashes.SHA256({utf8:!1});break;case s.SIGNATURE_SHA512:var n=64,a=new Hashes.SHA512({utf8:!1});break;default:throw Error("Unknown signature type detected!")}var o=e.substring(r-n,r);if(e=e.substring(0,r-n),a.raw(e)!=o)throw Error("Phar has a broken signature!");var h=e.indexOf(s.STUB_END);if(-1==h)throw Error("Stub not found!");h+=s.STUB_END.length,e=new s.BinaryBuffer(e),this.stub=e.get(h);var u=new s.BinaryBuffer(e.getString()),f=u.getLInt();this.manifest_api=u.getLShort(),this.flags=u.getLInt(),this.alias=u.getString(),this.metadata=u.getString(),this.files=[];for(var c=0;c<f;c++){var g={},l=u.getString();u.offset+=4,g.timestamp=u.getLInt();var p=u.getLInt(),S=u.getLInt(),m=u.getLInt();g.permission=4095&m,g.compression_type=61440&m,g.metadata=u.getString(),g.is_compressed=!0;var d=new s.PharFile(l,e.get(p),g);if(S!=t(d.getContents()))throw Error("Phar is corrupted! (file corrupt)");this.files[l]=d}return this},this.savePharData=function(i){if(!this.getFilesCount())throw Error("Phar must have at least one file!");var r=new s.BinaryBuffer,n=new s.BinaryBuffer;r.put(this.stub),n.putLInt(this.getFilesCount()),n.putLShort(this.manifest_api),n.putLInt(this.flags),n.putString(this.alias),n.putString(this.metadata);var a="";for(var o in this.files){var h=this.files[o],u=h.getCompressedContents();n.putString(h.getName()),n.putLInt(h.getSize()),n.putLInt(h.getTimestamp()),n.putLInt(u.length),n.putLInt(t(h.getContents())),n.putLInt(h.getPharFlags()),n.putString(h.getMetadata()),a+=u}switch(r.putString(n.buffer,4),r.put(a),a=null,this.signature_type){case s.SIGNATURE_MD5:f=new Hashes.MD5({utf8:!1});break;case s.SIGNATURE_SHA1:f=new Hashes.SHA1({utf8:!1});break;case s.SIGNATURE_SHA256:f=new Hashes.SHA256({utf8:!1});break;case s.SIGNATURE_SHA512:var f=new Hashes.SHA512({utf8:!1});break;default:throw Error("Unknown signature type detected!")}var c=f.raw(r.buffer);return r.put(c),r.putLInt(this.signature_type,4),r.put(s.END_MAGIC),i?e(r.buffer):r.buffer},r=r||{},this.alias=r.alias||"",this.setStub(r.stub||"<?php "+s.STUB_END),this.setSignatureType(r.signature_type||s.SIGNATURE_SHA1),this.metadata=r.metadata||"",this.setFiles(r.files||{}),this.flags=r.flags||65536,this.manifest_api=r.manifest_api||17,this},PharFile:function(t,r,n){return this.getName=function(){return this.name},this.setName=function(t){this.name=t},this.getContents=function(){return this.contents},this.setContents=function(t,r){if(r)switch(this.compression_type){case s.COMPRESSION_NONE:this.contents=t;break;case s.COMPRESSION_GZ:try{this.contents=i(new Zlib.RawInflate(e(t)).decompress())}catch(t){throw Error("Zlib error: "+t)}break;default:throw Error("Unsupported compression type detected!")}else this.contents=t;return this},this.getCompressedContents=function(){switch(this.compression_type){case s.COMPRESSION_GZ:try{return i(new Zlib.RawDeflate(e(this.contents)).compress())}catch(t){throw Error("Zlib error: "+t)}default:return this.contents}},this.getSize=function(){return this.getContents().length},this.getComressedSize=function(){return this.getCompressedContents().length},this.getCompressionType=function(){return this.compression_type},this.setCompressionType=function(t){if(-1==s.SUPPORTED_COMPRESSION.indexOf(t))throw Error("("+t+") compression type is not supported!");return this.compression_type=t,this},this.getPermission=function(){return this.permission},this.setPermission=function(t){if(t>4095||t<0)throw Error("Permission number is too "+(t<0?"small":"large")+"!");return this.permission=t,this},this.getPharFlags=function(){return this.permission|this.compression_type},this.getTimestamp=function(){return this.timestamp},this.setTimestamp=function(t){return t<0&&(t=Date.now()/1e3|0),this.timestamp=t,this},this.getMetadata=function(){return this.metadata},this.setMetadata=function(t){return this.metadata=t,this},n=n||{},this.name=t||"newfile",this.setCompressionType(n.compression_type||s.COMPRESSION_NONE),this.setContents(r||"",n.is_compressed||!1),this.setTimestamp(n.timestamp||-1),this.setPermission(n.permission||438),this.metadata=n.metadata||"",this}};void 0===Zlib.Zip&&void 0===Zlib.Unzip||(s.PharZipConverter={toZip:function(t){var i=new Zlib.Zip,r=t.getFiles();for(var s in r){var n=new Date;n.setTime(1e3*r[s].getTimestamp()),i.addFile(e(r[s].getContents()),{filename:e(r[s].getName()),date:n})}return i},toPhar:function(t,r){try{if(t instanceof Zlib.Unzip)n=t;else if(t instanceof Uint8Array)n=new Zlib.Unzip(t,{password:r});else var n=new Zlib.Unzip(e(t),{password:r})}catch(t){throw Error("Zlib.Unzip creation error: "+t)}var a=new s.Phar,o=n.getFilenames();try{for(var h in o)a.addFile(new s.PharFile(o[h],i(n.decompress(o[h]))))}catch(t){throw Error("Zlib.Unzip decompression error: "+t)}return a}}),window.PharUtils=s}();
\ No newline at end of file
+!function(e,t){if("function"==typeof define&&define.amd)define([],function(){return t()});else if("object"==typeof module&&module.exports){var r=null;try{r=require("worker_threads")}catch(e){}module.exports=t(require("zlib"),require("crypto"),require("fs"),require("path"),r,module.filename)}else e.PharUtils=t()}("undefined"!=typeof self?self:this,function(e,t,r,n,i,s){e=e&&e.inflateRawSync?e:null,t=t&&t.createHash?t:null,r=r&&r.readFileSync?r:null,n=n&&n.resolve?n:null,i=i&&i.Worker&&s?i:null;var a=!1;if(e||"undefined"!=typeof Zlib&&void 0!==Zlib.RawInflate||(a=!0,console.error("Zlib.RawInflate not found!")),e||"undefined"!=typeof Zlib&&void 0!==Zlib.RawDeflate||(a=!0,console.error("Zlib.RawDeflate not found!")),t||"undefined"!=typeof Hashes||(a=!0,console.error("Hashes not found!")),a)throw Error("Required libraries are not installed!");function o(t){if(e){var r=e.inflateRawSync(t);return new Uint8Array(r.buffer,r.byteOffset,r.length)}return new Zlib.RawInflate(t).decompress()}function u(t,r){if(e){var n=e.deflateRawSync(t,r?{level:r}:{});return new Uint8Array(n.buffer,n.byteOffset,n.length)}return new Zlib.RawDeflate(t).compress()}function f(e,r){if(t)return"string"==typeof r?t.createHash(e).update(p(r),"binary").digest("binary"):t.createHash(e).update(r).digest("binary");var n=E(r);switch(e){case"md5":return new Hashes.MD5({utf8:!1}).raw(n);case"sha1":return new Hashes.SHA1({utf8:!1}).raw(n);case"sha256":return new Hashes.SHA256({utf8:!1}).raw(n);case"sha512":return new Hashes.SHA512({utf8:!1}).raw(n)}}var h=null;function l(e){h=h||function(){for(var e,t=[],r=0;r<256;r++){e=r;for(var n=0;n<8;n++)e=1&e?3988292384^e>>>1:e>>>1;t[r]=e}return t}();var t=~0;if("string"==typeof e){e=p(e);for(var r=0;r<e.length;r++)t=t>>>8^h[255&(t^e.charCodeAt(r))]}else for(r=0;r<e.length;r++)t=t>>>8^h[255&(t^e[r])];return(-1^t)>>>0}function c(e){if(e instanceof Uint8Array)return e;if("undefined"!=typeof ArrayBuffer){if(e instanceof ArrayBuffer)return new Uint8Array(e);if(ArrayBuffer.isView(e))return new Uint8Array(e.buffer,e.byteOffset,e.byteLength)}if(g(e))throw Error("Blob can be read only asynchronously!");if("string"!=typeof e)throw Error("Binary data must be a string, Uint8Array, ArrayBuffer or Blob!");if(d(e))return v(e);for(var t=new Uint8Array(e.length),r=0;r<e.length;r++)t[r]=e.charCodeAt(r);return t}function p(e){return"string"!=typeof e||d(e)?E(c(e)):e}function d(e){return/[^\x00-\xff]/.test(e)}function g(e){return"undefined"!=typeof Blob&&e instanceof Blob}function m(e){return"function"==typeof e.arrayBuffer?e.arrayBuffer().then(function(e){return new Uint8Array(e)}):new Promise(function(t,r){var n=new FileReader;n.onload=function(){t(new Uint8Array(n.result))},n.onerror=function(){r(n.error)},n.readAsArrayBuffer(e)})}function v(e){if("undefined"!=typeof TextEncoder)return(new TextEncoder).encode(e);for(var t=[],r=0;r<e.length;r++){var n=e.charCodeAt(r);if(n>=55296&&n<56320&&r+1<e.length){var i=e.charCodeAt(r+1);i>=56320&&i<57344&&(n=65536+(n-55296<<10)+(i-56320),r++)}n>=55296&&n<57344&&(n=65533),n<128?t.push(n):n<2048?t.push(192|n>>6,128|63&n):n<65536?t.push(224|n>>12,128|n>>6&63,128|63&n):t.push(240|n>>18,128|n>>12&63,128|n>>6&63,128|63&n)}return new Uint8Array(t)}function y(e){if("undefined"!=typeof TextDecoder)return new TextDecoder("utf-8").decode(e);for(var t=[],r=0,n=0,i=0,s=128,a=191,o=0;o<e.length;o++){var u=e[o];0!=n?u<s||u>a?(r=n=i=0,s=128,a=191,t.push(65533),o--):(s=128,a=191,r=r<<6|63&u,++i==n&&(r>=65536?(r-=65536,t.push(55296+(r>>10),56320+(1023&r))):t.push(r),r=n=i=0)):u<128?t.push(u):u>=194&&u<=223?(n=1,r=31&u):u>=224&&u<=239?(s=224==u?160:128,a=237==u?159:191,n=2,r=15&u):u>=240&&u<=244?(s=240==u?144:128,a=244==u?143:191,n=3,r=7&u):t.push(65533)}n&&t.push(65533);var f="";for(o=0;o<t.length;o+=32768)f+=String.fromCharCode.apply(null,t.slice(o,o+32768));return f}function _(e,t){for(var r=t.charCodeAt(0),n=0;n<=e.length-t.length;n++)if(e[n]==r){for(var i=1;i<t.length&&e[n+i]==t.charCodeAt(i);i++);if(i==t.length)return n}return-1}function E(e){if("string"==typeof e)return e;for(var t=[],r=0;r<e.length;r+=32768)t.push(String.fromCharCode.apply(null,e.subarray(r,r+32768)));return t.join("")}function S(e){return"undefined"!=typeof Map&&e instanceof Map}var b=["if (@(isset($_SERVER['REQUEST_URI']) && isset($_SERVER['REQUEST_METHOD']) && ($_SERVER['REQUEST_METHOD'] == 'GET' || $_SERVER['REQUEST_METHOD'] == 'POST'))) {","Extract_Phar::go(true);","$mimes = array(","'phps' => 2,","'c' => 'text/plain',","'cc' => 'text/plain',","'cpp' => 'text/plain',","'c++' => 'text/plain',","'dtd' => 'text/plain',","'h' => 'text/plain',","'log' => 'text/plain',","'rng' => 'text/plain',","'txt' => 'text/plain',","'xsd' => 'text/plain',","'php' => 1,","'inc' => 1,","'avi' => 'video/avi',","'bmp' => 'image/bmp',","'css' => 'text/css',","'gif' => 'image/gif',","'htm' => 'text/html',","'html' => 'text/html',","'htmls' => 'text/html',","'ico' => 'image/x-ico',","'jpe' => 'image/jpeg',","'jpg' => 'image/jpeg',","'jpeg' => 'image/jpeg',","'js' => 'application/x-javascript',","'midi' => 'audio/midi',","'mid' => 'audio/midi',","'mod' => 'audio/mod',","'mov' => 'movie/quicktime',","'mp3' => 'audio/mp3',","'mpg' => 'video/mpeg',","'mpeg' => 'video/mpeg',","'pdf' => 'application/pdf',","'png' => 'image/png',","'swf' => 'application/shockwave-flash',","'tif' => 'image/tiff',","'tiff' => 'image/tiff',","'wav' => 'audio/wav',","'xbm' => 'image/xbm',","'xml' => 'text/xml',",");","",'header("Cache-Control: no-cache, must-revalidate");','header("Pragma: no-cache");',"","$basename = basename(__FILE__);","if (!strpos($_SERVER['REQUEST_URI'], $basename)) {","chdir(Extract_Phar::$temp);","include $web;","return;","}","$pt = substr($_SERVER['REQUEST_URI'], strpos($_SERVER['REQUEST_URI'], $basename) + strlen($basename));","if (!$pt || $pt == '/') {","$pt = $web;","header('HTTP/1.1 301 Moved Permanently');","header('Location: ' . $_SERVER['REQUEST_URI'] . '/' . $pt);","exit;","}","$a = realpath(Extract_Phar::$temp . DIRECTORY_SEPARATOR . $pt);","if (!$a || strlen(dirname($a)) < strlen(Extract_Phar::$temp)) {","header('HTTP/1.0 404 Not Found');",'echo "<html>\\n <head>\\n  <title>File Not Found<title>\\n </head>\\n <body>\\n  <h1>404 - File Not Found</h1>\\n </body>\\n</html>";',"exit;","}","$b = pathinfo($a);","if (!isset($b['extension'])) {","header('Content-Type: text/plain');","header('Content-Length: ' . filesize($a));","readfile($a);","exit;","}","if (isset($mimes[$b['extension']])) {","if ($mimes[$b['extension']] === 1) {","include $a;","exit;","}","if ($mimes[$b['extension']] === 2) {","highlight_file($a);","exit;","}","header('Content-Type: ' .$mimes[$b['extension']]);","header('Content-Length: ' . filesize($a));","readfile($a);","exit;","}","}"].join("\n"),R=["class Extract_Phar","{","static $temp;","static $origdir;","const GZ = 0x1000;","const BZ2 = 0x2000;","const MASK = 0x3000;","const START = '@INDEX@';","const LEN = @LEN@;","","static function go($return = false)","{","$fp = fopen(__FILE__, 'rb');","fseek($fp, self::LEN);","$L = unpack('V', $a = fread($fp, 4));","$m = '';","","do {","$read = 8192;","if ($L[1] - strlen($m) < 8192) {","$read = $L[1] - strlen($m);","}","$last = fread($fp, $read);","$m .= $last;","} while (strlen($last) && strlen($m) < $L[1]);","","if (strlen($m) < $L[1]) {","die('ERROR: manifest length read was \"' .","strlen($m) .'\" should be \"' .","$L[1] . '\"');","}","","$info = self::_unpack($m);","$f = $info['c'];","","if ($f & self::GZ) {","if (!function_exists('gzinflate')) {","die('Error: zlib extension is not enabled -' .","' gzinflate() function needed for zlib-compressed .phars');","}","}","","if ($f & self::BZ2) {","if (!function_exists('bzdecompress')) {","die('Error: bzip2 extension is not enabled -' .","' bzdecompress() function needed for bz2-compressed .phars');","}","}","","$temp = self::tmpdir();","","if (!$temp || !is_writable($temp)) {","$sessionpath = session_save_path();",'if (strpos ($sessionpath, ";") !== false)','$sessionpath = substr ($sessionpath, strpos ($sessionpath, ";")+1);',"if (!file_exists($sessionpath) || !is_dir($sessionpath)) {","die('Could not locate temporary directory to extract phar');","}","$temp = $sessionpath;","}","","$temp .= '/pharextract/'.basename(__FILE__, '.phar');","self::$temp = $temp;","self::$origdir = getcwd();","@mkdir($temp, 0777, true);","$temp = realpath($temp);","","if (!file_exists($temp . DIRECTORY_SEPARATOR . md5_file(__FILE__))) {","self::_removeTmpFiles($temp, getcwd());","@mkdir($temp, 0777, true);","@file_put_contents($temp . '/' . md5_file(__FILE__), '');","","foreach ($info['m'] as $path => $file) {","$a = !file_exists(dirname($temp . '/' . $path));","@mkdir(dirname($temp . '/' . $path), 0777, true);","clearstatcache();","","if ($path[strlen($path) - 1] == '/') {","@mkdir($temp . '/' . $path, 0777);","} else {","file_put_contents($temp . '/' . $path, self::extractFile($path, $file, $fp));","@chmod($temp . '/' . $path, 0666);","}","}","}","","chdir($temp);","","if (!$return) {","include self::START;","}","}","","static function tmpdir()","{","if (strpos(PHP_OS, 'WIN') !== false) {","if ($var = getenv('TMP') ? getenv('TMP') : getenv('TEMP')) {","return $var;","}","if (is_dir('/temp') || mkdir('/temp')) {","return realpath('/temp');","}","return false;","}","if ($var = getenv('TMPDIR')) {","return $var;","}","return realpath('/tmp');","}","","static function _unpack($m)","{","$info = unpack('V', substr($m, 0, 4));","$l = unpack('V', substr($m, 10, 4));","$m = substr($m, 14 + $l[1]);","$s = unpack('V', substr($m, 0, 4));","$o = 0;","$start = 4 + $s[1];","$ret['c'] = 0;","","for ($i = 0; $i < $info[1]; $i++) {","$len = unpack('V', substr($m, $start, 4));","$start += 4;","$savepath = substr($m, $start, $len[1]);","$start += $len[1];","$ret['m'][$savepath] = array_values(unpack('Va/Vb/Vc/Vd/Ve/Vf', substr($m, $start, 24)));","$ret['m'][$savepath][3] = sprintf('%u', $ret['m'][$savepath][3]","& 0xffffffff);","$ret['m'][$savepath][7] = $o;","$o += $ret['m'][$savepath][2];","$start += 24 + $ret['m'][$savepath][5];","$ret['c'] |= $ret['m'][$savepath][4] & self::MASK;","}","return $ret;","}","","static function extractFile($path, $entry, $fp)","{","$data = '';","$c = $entry[2];","","while ($c) {","if ($c < 8192) {","$data .= @fread($fp, $c);","$c = 0;","} else {","$c -= 8192;","$data .= @fread($fp, 8192);","}","}","","if ($entry[4] & self::GZ) {","$data = gzinflate($data);","} elseif ($entry[4] & self::BZ2) {","$data = bzdecompress($data);","}","","if (strlen($data) != $entry[0]) {",'die("Invalid internal .phar file (size error " . strlen($data) . " != " .','$entry[0] . ")");',"}","",'if ($entry[3] != sprintf("%u", crc32($data) & 0xffffffff)) {','die("Invalid internal .phar file (checksum error)");',"}","","return $data;","}","","static function _removeTmpFiles($temp, $origdir)","{","chdir($temp);","","foreach (glob('*') as $f) {","if (file_exists($f)) {","is_dir($f) ? @rmdir($f) : @unlink($f);","if (file_exists($f) && is_dir($f)) {","self::_removeTmpFiles($f, getcwd());","}","}","}","","@rmdir($temp);","clearstatcache();","chdir($origdir);","}","}","","Extract_Phar::go();"].join("\n"),w=0;function O(e){for(var t=p(String(e)).split("/"),r=[],n=0;n<t.length;n++)""!==t[n]&&"."!=t[n]&&(".."==t[n]?r.pop():r.push(t[n]));return r.join("/")}function A(e,t){var r=t.getName(),n=O(r);r in e||(e[r]=t),n in e||(e[n]=t)}function P(e){e.index=Object.create(null);for(var t=0;t<e.files.length;t++)A(e.index,e.files[t]);e.indexed_renames=w,e.tree=null}function N(e,t,r,n){var i=t.getName(),s=O(i);s in n?e.diagnostics.errors.push(new vt.PharEntryError('Entry "'+i+'" has the same path as "'+n[s]+'"',vt.ERROR_DUPLICATE_ENTRY,i)):n[s]=i,r?i in e.directories||(e.directories[i]=t):(e.files.push(t),A(e.index,t)),e.tree=null}function I(e,t){return new vt.PharFile(e.replace(/\/+$/,""),"",{timestamp:t.timestamp,permission:t.permission||493,metadata:t.metadata})}function x(e){for(var t="",r=0;r<e.length;r++){var n=e.charAt(r);switch(n){case"*":"*"!=e.charAt(r+1)?t+="[^/]*":"/"==e.charAt(r+2)?(t+="(?:.*/)?",r+=2):(t+=".*",r++);break;case"?":t+="[^/]";break;case"[":if(-1==(s=e.indexOf("]",r+2))){t+="\\[";break}var i=e.substring(r+1,s).replace(/\\/g,"\\\\");t+="["+("!"==i.charAt(0)?"^"+i.substring(1):i)+"]",r=s;break;case"{":var s;if(-1==(s=e.indexOf("}",r))){t+="\\{";break}for(var a=e.substring(r+1,s).split(","),o=0;o<a.length;o++)a[o]=x(a[o]).source.slice(1,-1);t+="(?:"+a.join("|")+")",r=s;break;default:t+=n.replace(/[.+^$()|\\\]]/g,"\\$&")}}return new RegExp("^"+t+"$")}function T(e){return null==e?null:(e=Array.isArray(e)?e:[e]).map(function(e){return e instanceof RegExp?e:x(O(e))})}function C(e,t){for(var r=0;r<e.length;r++)if(e[r].lastIndex=0,e[r].test(t))return!0;return!1}function $(e){var t=T(e.include),r=T(e.exclude)||[],n="string"==typeof e.pattern?new RegExp(e.pattern):e.pattern;return{directory:function(e){return!C(r,e)&&!C(r,e+"/")},file:function(e,i){return!(n&&(n.lastIndex=0,!n.test(i)))&&((!t||C(t,e))&&!C(r,e))}}}function U(e,t){if("number"==typeof e)return e;if(!e)return vt.COMPRESSION_NONE;var r=t.lastIndexOf("."),n=r>t.lastIndexOf("/")?t.substring(r+1).toLowerCase():"";return n in e?e[n]:e["*"]||vt.COMPRESSION_NONE}function L(e,t,n,i){var s=r.statSync(n);if(!s.isFile())throw Error('"'+n+'" is not a file!');t=O((i.prefix||"")+"/"+t);var a=r.readFileSync(n);return e.addFile(new vt.PharFile(t,new Uint8Array(a.buffer,a.byteOffset,a.length),{compression_type:U(i.compression,t),timestamp:s.mtime.getTime()/1e3|0,permission:511&s.mode})),t}function D(e){return""===e?"empty name":-1!=e.indexOf("\0")?"NUL character":/^[\/\\]/.test(e)||/^[a-zA-Z]:/.test(e)?"absolute path":-1!=e.split(/[\/\\]/).indexOf("..")?"path traversal":null}function k(e){return O(e.replace(/\0/g,"").replace(/\\/g,"/").replace(/^[a-zA-Z]:/,"").split("/").filter(function(e){return".."!=e}).join("/"))}function M(e,t){return t==e||0==t.indexOf(e.charAt(e.length-1)==n.sep?e:e+n.sep)}function B(e){try{return r.lstatSync(e)}catch(e){if("ENOENT"==e.code)return null;throw e}}function F(e){if(!r||!n)throw Error(e+"() is available only in Node.js!")}var z=[3227993,2511705],G=[1536581,3690640],j=null;function H(e,t){if(!j){j=new Uint32Array(256);for(var r=0;r<256;r++){for(var n=r<<24,i=0;i<8;i++)n=2147483648&n?n<<1^79764919:n<<1;j[r]=n>>>0}}return(e<<8^j[255&(e>>>24^t)])>>>0}function Z(e){for(var t=0,r=0,n=0,i=function(i){for(;n<i;){if(t>=e.length)throw Error("unexpected end of data");r=(r&(1<<n)-1)<<8|e[t++],n+=8}return r>>>(n-=i)&(1<<i)-1},s=new Uint8Array(Math.max(1024,4*e.length)),a=0,o=function(e){if(a==s.length){var t=new Uint8Array(2*s.length);t.set(s),s=t}s[a++]=e},u=0;t<e.length||n>=8;u++){if(66!=i(8)||90!=i(8)||104!=i(8)){if(u)break;throw Error("bad stream header")}var f=i(8)-48;if(f<1||f>9)throw Error("bad block size");for(var h=1e5*f,l=new Uint32Array(h),c=0;;){var p=i(24),d=i(24),g=(i(16)<<16|i(16))>>>0;if(p==G[0]&&d==G[1]){if(g!=c)throw Error("stream CRC mismatch");n-=n%8;break}if(p!=z[0]||d!=z[1])throw Error("bad block header");if(i(1))throw Error("randomised blocks are not supported");for(var m=i(24),v=[],y=i(16),_=0;_<16;_++)if(y&32768>>_)for(var E=i(16),S=0;S<16;S++)E&32768>>S&&v.push(16*_+S);if(!v.length)throw Error("no symbols in use");var b=v.length+2,R=i(3),w=i(15);if(R<2||R>6||!w)throw Error("bad huffman groups");var O=[];for(_=0;_<R;_++)O.push(_);var A=new Uint8Array(w);for(_=0;_<w;_++){for(S=0;i(1);)if(++S>=R)throw Error("bad selector");var P=O[S];O.splice(S,1),O.unshift(P),A[_]=P}for(var N=[],I=0;I<R;I++){var x=new Uint8Array(b),T=i(5);for(_=0;_<b;_++){for(;;){if(T<1||T>20)throw Error("bad code length");if(!i(1))break;T+=i(1)?-1:1}x[_]=T}var C=32,$=0;for(_=0;_<b;_++)C=Math.min(C,x[_]),$=Math.max($,x[_]);for(var U={min_len:C,perm:[],limit:[],base:[]},L=0,D=C;D<=$;D++){U.base[D]=L-U.perm.length;for(_=0;_<b;_++)x[_]==D&&(U.perm.push(_),L++);U.limit[D]=L-1,L<<=1}U.max_len=$,N.push(U)}for(var k=new Uint8Array(v),M=new Uint32Array(256),B=b-1,F=0,j=0,Z=(U=null,0),V=1,q=0;;){if(!j--){if(F>=w)throw Error("selectors overflow");U=N[A[F++]],j=49}for(L=i(T=U.min_len);L>U.limit[T];){if(++T>U.max_len)throw Error("bad huffman code");L=L<<1|i(1)}var K=U.perm[L-U.base[T]];if(K<=1){if(Z+=(K+1)*V,V<<=1,Z>h)throw Error("run overflow")}else{if(Z){if(q+Z>h)throw Error("block overflow");for(M[W=k[0]]+=Z;Z--;)l[q++]=W;Z=0,V=1}if(K==B)break;if(q>=h)throw Error("block overflow");var W=k[K-1];for(S=K-1;S>0;S--)k[S]=k[S-1];k[0]=W,M[W]++,l[q++]=W}}if(m>=q)throw Error("bad origin pointer");var Y=0;for(_=0;_<256;_++){var Q=M[_];M[_]=Y,Y+=Q}for(_=0;_<q;_++){l[M[W=255&l[_]]++]|=_<<8}var X=4294967295,J=l[m]>>>8,ee=-1,te=0;for(_=0;_<q;_++){W=255&(J=l[J]);if(J>>>=8,4!=te)W==ee?te++:(te=1,ee=W),o(W),X=H(X,W);else{for(S=0;S<W;S++)o(ee),X=H(X,ee);te=0,ee=-1}}if((X=~X>>>0)!=g)throw Error("block CRC mismatch");c=((c<<1|c>>>31)^X)>>>0;for(_=0;_<q;_++)l[_]=0}}return s.subarray(0,a)}function V(e,t){for(var r=e.push(t)-1;r>0;){var n=r-1>>1;if(e[n].weight<=t.weight)break;e[r]=e[n],r=n}e[r]=t}function q(e){var t=e[0],r=e.pop();if(e.length){for(var n=0;;){var i=2*n+1;if(i>=e.length)break;if(i+1<e.length&&e[i+1].weight<e[i].weight&&i++,e[i].weight>=r.weight)break;e[n]=e[i],n=i}e[n]=r}return t}function K(e,t){for(var r=[],n=0;n<t;n++)r[n]=Math.max(1,e[n]);for(;;){var i=[];for(n=0;n<t;n++)V(i,{weight:r[n],symbol:n});for(;i.length>1;){var s=q(i),a=q(i);V(i,{weight:s.weight+a.weight,left:s,right:a})}for(var o=new Uint8Array(t),u=!1,f=[[i[0],0]];f.length;){var h=f.pop();h[0].left?f.push([h[0].left,h[1]+1],[h[0].right,h[1]+1]):(o[h[0].symbol]=h[1],u=u||h[1]>17)}if(!u)return o;for(n=0;n<t;n++)r[n]=1+(r[n]>>1)}}function W(e,t){var r=1e5*(t=t||9)-19,n=new Uint8Array(Math.max(1024,64+(e.length>>1))),i=0,s=0,a=0,o=function(e,t){for(s=s<<e|t,a+=e;a>=8;){if(i==n.length){var r=new Uint8Array(2*n.length);r.set(n),n=r}a-=8,n[i++]=s>>>a&255}s&=(1<<a)-1},u=function(e){o(16,e>>>16&65535),o(16,65535&e)},f=new Uint8Array(r+5),h=0,l=function(e,t){for(var r=function(e,t){for(var r=new Int32Array(t),n=new Int32Array(t),i=new Int32Array(t),s=new Int32Array(Math.max(257,t+1)),a=0;a<t;a++)s[e[a]]++;for(a=1;a<256;a++)s[a]+=s[a-1];for(a=t-1;a>=0;a--)r[--s[e[a]]]=a;var o=0;for(a=0;a<t;a++)a&&e[r[a]]!=e[r[a-1]]&&o++,n[r[a]]=o;o++;for(var u=1;u<t&&o<t;u<<=1){for(a=0;a<t;a++)i[a]=(r[a]-u+t)%t;for(a=0;a<o;a++)s[a]=0;for(a=0;a<t;a++)s[n[a]]++;for(a=1;a<o;a++)s[a]+=s[a-1];for(a=t-1;a>=0;a--)r[--s[n[i[a]]]]=i[a];for(i[r[0]]=0,o=1,a=1;a<t;a++){var f=r[a],h=r[a-1];n[f]==n[h]&&n[(f+u)%t]==n[(h+u)%t]||o++,i[f]=o-1}var l=n;n=i,i=l}return r}(f,e),n=[],i=[],s=0;s<e;s++)n[f[s]]=!0;var a=0;for(s=0;s<256;s++)n[s]&&(i[s]=a++);var l=a+2,c=a+1,p=new Uint8Array(a);for(s=0;s<a;s++)p[s]=s;var d=new Uint16Array(e+1),g=0,m=new Uint32Array(l),v=0,y=function(){for(v--;;){var e=1&v;if(d[g++]=e,m[e]++,v<2)break;v=v-2>>1}v=0},_=0;for(s=0;s<e;s++){0==r[s]&&(_=s);var E=i[f[r[s]?r[s]-1:e-1]];if(p[0]!=E){v&&y();for(var S=1;p[S]!=E;)S++;for(var b=S;b>0;b--)p[b]=p[b-1];p[0]=E,d[g++]=S+1,m[S+1]++}else v++}v&&y(),d[g++]=c,m[c]++;for(var R=g<200?2:g<600?3:g<1200?4:g<2400?5:6,w=[],O=g,A=0,P=R;P>0;P--){for(var N=O/P,I=A-1,x=0;x<N&&I<l-1;)x+=m[++I];I>A&&P!=R&&1!=P&&(R-P)%2==1&&(x-=m[I--]);var T=new Uint8Array(l);for(s=0;s<l;s++)T[s]=s>=A&&s<=I?0:15;w[R-P]=T,A=I+1,O-=x}for(var C=Math.ceil(g/50),$=new Uint8Array(C),U=0;U<4;U++){var L=[];for(P=0;P<R;P++)L[P]=new Uint32Array(l);for(var D=0;D<C;D++){var k=50*D,M=Math.min(k+50,g),B=0,F=1/0;for(P=0;P<R;P++){var G=0;for(s=k;s<M;s++)G+=w[P][d[s]];G<F&&(F=G,B=P)}$[D]=B;for(s=k;s<M;s++)L[B][d[s]]++}for(P=0;P<R;P++)w[P]=K(L[P],l)}var j=[];for(P=0;P<R;P++){j[P]=new Uint32Array(l);for(var H=0,Z=1;Z<=17;Z++){for(s=0;s<l;s++)w[P][s]==Z&&(j[P][s]=H++);H<<=1}}o(24,z[0]),o(24,z[1]),u(t),o(1,0),o(24,_);var V=0;for(s=0;s<16;s++)for(S=0;S<16;S++)n[16*s+S]&&(V|=32768>>s);o(16,V);for(s=0;s<16;s++)if(V&32768>>s){var q=0;for(S=0;S<16;S++)n[16*s+S]&&(q|=32768>>S);o(16,q)}o(3,R),o(15,C);var W=[];for(P=0;P<R;P++)W.push(P);for(D=0;D<C;D++){S=W.indexOf($[D]);for(W.splice(S,1),W.unshift($[D]);S--;)o(1,1);o(1,0)}for(P=0;P<R;P++){var Y=w[P][0];o(5,Y);for(s=0;s<l;s++){for(;Y<w[P][s];)o(2,2),Y++;for(;Y>w[P][s];)o(2,3),Y--;o(1,0)}}for(s=0;s<g;s++){P=$[s/50|0];o(w[P][d[s]],j[P][d[s]])}h=((h<<1|h>>>31)^t)>>>0};o(8,66),o(8,90),o(8,104),o(8,48+t);for(var c=0,p=4294967295,d=0;d<e.length;){for(var g=e[d],m=1;m<255&&d+m<e.length&&e[d+m]==g;)m++;c+(m<4?m:5)>r&&(l(c,~p>>>0),c=0,p=4294967295);for(var v=0;v<m;v++)p=H(p,g),v<4&&(f[c++]=g);m>=4&&(f[c++]=m-4),d+=m}return c&&l(c,~p>>>0),o(24,G[0]),o(24,G[1]),u(h),a&&o(8-a,0),n.slice(0,i)}var Y={20:"3021300906052b0e03021a05000414",32:"3031300d060960864801650304020105000420",64:"3051300d060960864801650304020305000440"};function Q(e){for(var t="0x0",r=0;r<e.length;r++)t+=(256+e.charCodeAt(r)).toString(16).substring(1);return BigInt(t)}function X(e,t){var r=e.toString(16);if(r.length>2*t)return null;for(;r.length<2*t;)r="0"+r;for(var n="",i=0;i<r.length;i+=2)n+=String.fromCharCode(parseInt(r.substring(i,i+2),16));return n}function J(e,t,r){var n=BigInt(0),i=BigInt(1),s=BigInt(2),a=i;for(e%=r;t>n;)t%s==i&&(a=a*e%r),t/=s,e=e*e%r;return a}function ee(e,t){var r=e.charCodeAt(t),n=e.charCodeAt(t+1),i=t+2;if(128&n){var s=127&n;n=0;for(var a=0;a<s;a++)n=256*n+e.charCodeAt(i++)}if(isNaN(r)||i+n>e.length)throw Error("Key is corrupted!");return{tag:r,value:e.substring(i,i+n),end:i+n}}function te(e){var t=ee(e,0);if(48!=t.tag)throw Error("Key is corrupted!");for(var r=[],n=0;n<t.value.length;n=r[r.length-1].end)r.push(ee(t.value,n));return r}function re(e){if("undefined"==typeof BigInt)throw Error("OpenSSL signatures require BigInt support!");var t=/-----BEGIN ([A-Z ]+)-----([\s\S]*?)-----END \1-----/.exec(e);if(!t)throw Error("Key is not in PEM format!");if(/Proc-Type:.*ENCRYPTED/.test(t[2]))throw Error("Encrypted keys are not supported!");var r,n=function(e){for(var t="",r=0,n=0,i=0;i<e.length;i++){var s="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/".indexOf(e.charAt(i));-1!=s&&(r=16777215&(r<<6|s),(n+=6)>=8&&(n-=8,t+=String.fromCharCode(r>>n&255)))}return t}(t[2].replace(/^[\w-]+:.*$/gm,""));switch(t[1]){case"PUBLIC KEY":n=te(n)[1].value.substring(1);case"RSA PUBLIC KEY":return{n:Q((r=te(n))[0].value),e:Q(r[1].value)};case"PRIVATE KEY":n=te(n)[2].value;case"RSA PRIVATE KEY":r=te(n);for(var i={},s=["n","e","d","p","q","dp","dq","qi"],a=0;a<s.length;a++)i[s[a]]=Q(r[a+1].value);return i;default:throw Error("Unsupported key type: "+t[1])}}function ne(e,t){for(var r=Y[e.length],n="",i=0;i<r.length;i+=2)n+=String.fromCharCode(parseInt(r.substring(i,i+2),16));var s=t-(n+=e).length-3;if(s<8)throw Error("Key is too short for the signature algorithm!");return"\0"+new Array(s+1).join("ÿ")+"\0"+n}function ie(e,t,r){var n=re(e),i=Math.ceil(n.n.toString(16).length/2);if(r.length!=i)return!1;var s=Q(r);return!(s>=n.n)&&X(J(s,n.e,n.n),i)===ne(t,i)}function se(e,t,r,n,i){e.name=t,e.message=r,e.code=n,void 0!==i&&(e.entry=i),Error.captureStackTrace?Error.captureStackTrace(e,e.constructor):e.stack=Error(r).stack}function ae(e){switch(e){case vt.SIGNATURE_MD5:return"md5";case vt.SIGNATURE_SHA1:case vt.SIGNATURE_OPENSSL:return"sha1";case vt.SIGNATURE_SHA256:case vt.SIGNATURE_OPENSSL_SHA256:return"sha256";case vt.SIGNATURE_SHA512:case vt.SIGNATURE_OPENSSL_SHA512:return"sha512";default:throw new vt.PharSignatureError("Unknown signature type detected!",vt.ERROR_UNKNOWN_SIGNATURE)}}var oe={1:"MD5",2:"SHA-1",3:"SHA-256",4:"SHA-512",16:"OpenSSL",17:"OpenSSL_SHA256",18:"OpenSSL_SHA512"};function ue(e){for(var t="",r=0;r<e.length;r++)t+=(256+e.charCodeAt(r)).toString(16).substring(1);return t.toUpperCase()}function fe(e,t){return{hash:ue(t),hash_type:oe[e]}}function he(e,t,r){var n=f(ae(e),t);if(e&vt.SIGNATURE_OPENSSL){if(!r)throw new vt.PharSignatureError("Private key is required for OpenSSL signature!",vt.ERROR_MISSING_KEY);return function(e,t){var r=re(e);if(!r.d)throw Error("Private key is required to sign!");var n=Math.ceil(r.n.toString(16).length/2),i=Q(ne(t,n)),s=J(i,r.dp,r.p),a=J(i,r.dq,r.q);return X(a+r.qi*((s-a)%r.p+r.p)%r.p*r.q,n)}(r,n)}return n}function le(e,t,r,n){var i=f(ae(e),t);if(e&vt.SIGNATURE_OPENSSL){if(!n)throw new vt.PharSignatureError("Public key is required to verify OpenSSL signature!",vt.ERROR_MISSING_KEY);return ie(n,i,r)}return i===r}function ce(e){return 31==e[0]&&139==e[1]?vt.COMPRESSION_GZ:66==e[0]&&90==e[1]&&104==e[2]?vt.COMPRESSION_BZIP2:vt.COMPRESSION_NONE}function pe(e){switch(ce(e)){case vt.COMPRESSION_GZ:try{return function(e){if(31!=e[0]||139!=e[1]||8!=e[2])throw Error("Data is not gzip compressed!");var t=e[3],r=10;if(4&t&&(r+=2+(e[r]|e[r+1]<<8)),8&t)for(;e[r++];);if(16&t)for(;e[r++];);2&t&&(r+=2);var n=o(e.subarray(r));if(vt.Binary.readLInt(e,e.length-8)!=l(n))throw Error("gzip data is corrupted!");return n}(e)}catch(e){throw new vt.PharFormatError("Inflate error: "+e,vt.ERROR_DECOMPRESSION_FAILED)}case vt.COMPRESSION_BZIP2:try{return Z(e)}catch(e){throw new vt.PharFormatError("bzip2 decompression error: "+e,vt.ERROR_DECOMPRESSION_FAILED)}}return e}function de(e,t){switch(t){case vt.COMPRESSION_GZ:try{return function(e){var t=u(e),r=vt.Binary.writeLInt(l(e))+vt.Binary.writeLInt(e.length),n=new Uint8Array(10+t.length+8);return n.set([31,139,8,0,0,0,0,0,0,3]),n.set(t,10),n.set(c(r),10+t.length),n}(e)}catch(e){throw Error("Deflate error: "+e)}case vt.COMPRESSION_BZIP2:return W(e)}return e}var ge=512;function me(e,t,r){var n=e.substring(t,t+r),i=n.indexOf("\0");return-1==i?n:n.substring(0,i)}function ve(e,t,r){var n=me(e,t,r).replace(/^[ ]+|[ ]+$/g,"");return n.length?parseInt(n,8):0}function ye(e,t){for(var r=e.toString(8);r.length<t-1;)r="0"+r;return r+"\0"}function _e(e,t){for(;e.length<t;)e+="\0";return e}function Ee(e){for(var t=0,r=0;r<ge;r++)t+=r>=148&&r<156?32:e.charCodeAt(r);return t}function Se(e,t,r,n,i,s){var a="";if(t.length>100){var o=t.lastIndexOf("/",155);o>0&&t.length-o-1<=100&&t.length-o-1>0?(a=t.substring(0,o),t=t.substring(o+1)):(Se(e,"././@LongLink",t+"\0",0,0,"L"),t=t.substring(0,100))}var u=_e(t,100)+ye(n,8)+ye(0,8)+ye(0,8)+ye(r.length,12)+ye(i,12)+"        "+(s||"0")+_e("",100)+"ustar\x0000"+_e("",64)+ye(0,8)+ye(0,8)+_e(a,155);u=(u=_e(u,ge)).substring(0,148)+ye(Ee(u),7)+" "+u.substring(156),e.put(u),e.put(r),r.length%ge&&e.put(_e("",ge-r.length%ge))}var be="PK",Re="PK",we="PK";function Oe(e,t){return new Date(1980+(t>>9),(t>>5&15)-1,31&t,e>>11,e>>5&63,2*(31&e)).getTime()/1e3|0}function Ae(e){for(var t=new vt.BinaryBuffer(e);t.offset+4<=e.length;){var r=t.get(2),n=t.get(t.getLShort());if("nu"==r&&n.length>=6)return 4095&vt.Binary.readLShort(n.substring(4,6))}return null}var Pe=["var worker_threads = require('worker_threads');","var PharUtils = require(worker_threads.workerData);","worker_threads.parentPort.on('message', function(message) {","\tPharUtils.handleWorkerMessage(message, function(data, transfer) {","\t\tworker_threads.parentPort.postMessage(data, transfer);","\t});","});"].join("\n"),Ne=["onmessage = function(event) {","\tPharUtils.handleWorkerMessage(event.data, function(data, transfer) {","\t\tpostMessage(data, transfer || []);","\t});","};"].join("\n");function Ie(){var e=new vt.PharError("Operation was aborted!",vt.ERROR_ABORTED);return e.name="AbortError",e}function xe(e){var t=e.signal,r=Date.now();return{progress:function(t){e.onprogress&&e.onprogress(t)},step:function(){return t&&t.aborted?Promise.reject(Ie()):Date.now()-r<16?Promise.resolve():new Promise(function(e,n){setTimeout(function(){r=Date.now(),t&&t.aborted?n(Ie()):e()},0)})}}}function Te(e){var t=function(e){return{name:e.getName(),compression_type:e.getCompressionType(),compression_level:e.getCompressionLevel(),timestamp:e.getTimestamp(),permission:e.getPermission(),metadata:e.getMetadata()}};return{stub:e.stub,alias:e.alias,metadata:e.metadata,flags:e.flags,archive_compression:e.archive_compression,manifest_api:e.manifest_api,signature_type:e.signature_type,signature:e.signature,private_key:e.private_key,files:e.files.map(function(e){var r=t(e);if(e.isLoaded())r.contents=e.contents,r.compressed=e.compressed,r.crc32=e.crc;else{var n=e.source;r.source={buffer:n.buffer.subarray(n.offset,n.offset+n.length),size:n.size,crc32:n.crc32}}return r}),directories:Object.keys(e.directories).map(function(r){return t(e.directories[r])})}}function Ce(e,t){var r=function(e,t){return e.setTimestamp(t.timestamp).setPermission(t.permission).setMetadata(t.metadata)};t.stub=e.stub,t.alias=e.alias,t.metadata=e.metadata,t.flags=e.flags,t.archive_compression=e.archive_compression,t.manifest_api=e.manifest_api,t.signature_type=e.signature_type,t.signature=e.signature,t.private_key=e.private_key,t.files=e.files.map(function(e){var t=new vt.PharFile(e.name,e.source?"":e.contents,{compression_type:e.compression_type,compression_level:e.compression_level});return e.source?t.setContentsSource(e.source.buffer,0,e.source.buffer.length,e.source.size,e.source.crc32):(t.compressed=e.compressed,t.crc=e.crc32),r(t,e)}),P(t),t.directories=Object.create(null);for(var n=0;n<e.directories.length;n++)t.directories[e.directories[n].name]=r(new vt.PharFile(e.directories[n].name,""),e.directories[n]);return t}function $e(e){return{name:e.name,message:e.message,code:e.code,entry:e.entry}}function Ue(e){var t=vt[e.name];if("function"==typeof t&&(t===vt.PharError||t.prototype instanceof vt.PharError))return new t(e.message,e.code,e.entry);var r=Error(e.message);return r.name=e.name,r}function Le(e,t,r){return new Promise(function(n,a){var o=r.signal;if(o&&o.aborted)a(Ie());else{var u=null,f=!1,h=function(e,t){f||(f=!0,o&&o.removeEventListener("abort",l),u&&u.terminate(),e(t))},l=function(){h(a,Ie())};try{u=function(e,t,r){if(i)return(a=new i.Worker(Pe,{eval:!0,workerData:s})).on("message",t),a.on("error",r),{post:function(e,t){a.postMessage(e,t)},terminate:function(){a.terminate()}};if("undefined"==typeof Worker||"undefined"==typeof URL)throw Error("Workers are not supported in this environment!");var n=e.worker.scripts;if(!n)throw Error("URLs of the dependencies and pharutils.js are required (options.worker.scripts)!");var a,o="undefined"!=typeof location?location.href:void 0,u="importScripts("+n.map(function(e){return JSON.stringify(new URL(e,o).href)}).join(", ")+");\n"+Ne,f=URL.createObjectURL(new Blob([u],{type:"application/javascript"}));return(a=new Worker(f)).onmessage=function(e){t(e.data)},a.onerror=function(e){e.preventDefault(),r(Error(e.message))},{post:function(e,t){a.postMessage(e,t)},terminate:function(){a.terminate(),URL.revokeObjectURL(f)}}}(r,function(e){"progress"==e.type?r.onprogress&&r.onprogress(e.event):"error"==e.type?h(a,Ue(e.error)):h(n,e)},function(e){h(a,e)})}catch(e){return void h(a,e)}o&&o.addEventListener("abort",l),u.post(e,t)}})}var De=65536;function ke(e,t){var r=t+vt.STUB_END.length+10;return-1==t||r+4>e.length||!!(vt.Binary.readLInt(e,r)&De)}function Me(e){var t=e.length-4;if(t<0||E(e.subarray(t))!=vt.END_MAGIC)return{error:new vt.PharFormatError("Phar is corrupted! (magic corrupt)",vt.ERROR_BAD_MAGIC)};if((t-=4)<0)return{error:new vt.PharSignatureError("Phar is corrupted! (signature corrupt)",vt.ERROR_BAD_SIGNATURE)};var r=function(e,t,r){return 8==e?vt.SIGNATURE_SHA512:e==vt.SIGNATURE_SHA512&&r>=32&&f("sha256",t.subarray(0,r-32))==E(t.subarray(r-32,r))?vt.SIGNATURE_SHA256:e}(vt.Binary.readLInt(e,t),e,t);switch(r){case vt.SIGNATURE_MD5:var n=16;break;case vt.SIGNATURE_SHA1:n=20;break;case vt.SIGNATURE_SHA256:n=32;break;case vt.SIGNATURE_SHA512:n=64;break;case vt.SIGNATURE_OPENSSL:case vt.SIGNATURE_OPENSSL_SHA256:case vt.SIGNATURE_OPENSSL_SHA512:n=(t-=4)<0?t+1:vt.Binary.readLInt(e,t);break;default:return{error:new vt.PharSignatureError("Unknown signature type detected!",vt.ERROR_UNKNOWN_SIGNATURE)}}return n>t?{error:new vt.PharSignatureError("Phar is corrupted! (signature corrupt)",vt.ERROR_BAD_SIGNATURE)}:{type:r,data_end:t-n,hash:E(e.subarray(t-n,t))}}function Be(e,t,r,n,i){var s=new vt.BinaryBuffer,a=Object.keys(t.directories).length;s.putLInt(t.files.length+a),s.putLShort(a?4096|e.manifest_api:e.manifest_api);var o=e.signature_type!=vt.SIGNATURE_NONE;for(var u in s.putLInt((o?e.flags|De:-65537&e.flags)|i),s.putString(e.alias),s.putString(e.metadata),t.directories){var f=t.directories[u];s.putString(u+"/"),s.putLInt(0),s.putLInt(f.getTimestamp()),s.putLInt(0),s.putLInt(0),s.putLInt(f.getPermission()),s.putString(f.getMetadata())}for(var h=[],l=0,c=0;c<t.files.length;c++){var p=t.files[c],d=r[c];s.putString(p.getName()),s.putLInt(p.getSize()),s.putLInt(p.getTimestamp()),s.putLInt(d.length),s.putLInt(p.getCRC32()),s.putLInt(p.getPharFlags()),s.putString(p.getMetadata()),h.push(d),l+=d.length}var g=new vt.BinaryBuffer;g.reserve(e.stub.length+4+s.length+l+512),g.put(e.stub),g.putString(s.toUint8Array());for(c=0;c<h.length;c++)g.put(h[c]);if(h=null,!o)return e.signature=null,g;n({phase:"signature",entry:null,current:0,total:1});var m=he(e.signature_type,g.toUint8Array(),e.private_key);return e.signature=fe(e.signature_type,m),n({phase:"signature",entry:null,current:1,total:1}),g.put(m),e.signature_type&vt.SIGNATURE_OPENSSL&&g.putLInt(m.length),g.putLInt(e.signature_type),g.put(vt.END_MAGIC),g}function Fe(e,t,r){for(var n=T(t),i={files:[],size:0,compressed_size:0,ratio:1},s=0;s<e.files.length;s++){var a=e.files[s];if(!n||C(n,a.getName())){var o=r(a),u=a.getSize(),f=void 0===o.compressed_size?a.getCompressedSize():o.compressed_size;i.files.push({name:a.getName(),compression_type:a.getCompressionType(),size:u,compressed_size:f,ratio:u?f/u:1,skipped:o.skipped}),i.size+=u,i.compressed_size+=f}}return i.ratio=i.size?i.compressed_size/i.size:1,i}var ze=315532800;function Ge(){return"undefined"!=typeof process&&process.env&&/^\d+$/.test(process.env.SOURCE_DATE_EPOCH||"")?parseInt(process.env.SOURCE_DATE_EPOCH,10):null}function je(e,t,r){var n=(t=t||{}).timestamp;null==n&&(n=Ge()),null===n&&(n=ze);for(var i=function(e,t,i){var s=e;return r&&(s=Object.create(e),void 0!==i&&i!==e.getCompressionType()||["contents","source","compressed","crc"].forEach(function(t){Object.defineProperty(s,t,{get:function(){return e[t]},set:function(r){e[t]=r}})})),s.getTimestamp()>n&&s.setTimestamp(n),s.setPermission(t),void 0!==i&&s.getCompressionType()!==i&&s.setCompressionType(i),s},s=e.files.slice(0).sort(function(e,t){return Ze(e.getName(),t.getName())}).map(function(e){var r=void 0!==t.permission?t.permission:73&e.getPermission()?493:420;return i(e,r,t.compression_type)}),a=Object.keys(e.directories).sort(Ze),o=Object.create(null),u=0;u<a.length;u++)o[a[u]]=i(e.directories[a[u]],void 0!==t.directory_permission?t.directory_permission:493);return{timestamp:n,files:s,directories:o}}function He(e){var t=e.getReproducible();return t?je(e,t,!0):{timestamp:Date.now()/1e3|0,files:e.files,directories:e.directories}}function Ze(e,t){return e<t?-1:e>t?1:0}function Ve(e){return-1!=e.substring(0,8e3).indexOf("\0")}function qe(e){var t=e.split("\n");return""===t[t.length-1]?t.pop():t[t.length-1]+="\n\\ No newline at end of file",t}function Ke(e,t,r,n,i){for(var s=function(e,t){for(var r=0;r<e.length&&r<t.length&&e[r]===t[r];)r++;for(var n=e.length,i=t.length;n>r&&i>r&&e[n-1]===t[i-1];)n--,i--;var s=n-r,a=i-r,o=s+a+1,u=new Array(2*o+1);u[o+1]=0;for(var f=[],h=s+a==0,l=0;!h&&l<=s+a&&l<=4e3;l++){f.push(u.slice(o-l-1,o+l+2));for(var c=-l;c<=l;c+=2){for(var p=(g=c==-l||c!=l&&u[o+c-1]<u[o+c+1]?u[o+c+1]:u[o+c-1]+1)-c;g<s&&p<a&&e[r+g]===t[r+p];)g++,p++;if(u[o+c]=g,g>=s&&p>=a){h=!0;break}}}var d=[];if(h){var g=s;for(p=a,l=f.length-1;l>=0;l--){for(var m=f[l],v=(c=g-p)==-l||c!=l&&m[c-1+l+1]<m[c+1+l+1]?c+1:c-1,y=m[v+l+1],_=y-v;g>y&&p>_;)d.push([" ",e[r+--g]]),p--;l>0&&(g==y?d.push(["+",t[r+--p]]):d.push(["-",e[r+--g]]))}d.reverse()}else{for(var E=r;E<n;E++)d.push(["-",e[E]]);for(E=r;E<i;E++)d.push(["+",t[E]])}var S=[];for(E=0;E<r;E++)S.push([" ",e[E]]);for(S=S.concat(d),E=n;E<e.length;E++)S.push([" ",e[E]]);return S}(qe(e),qe(t)),a=[],o=0;o<s.length;)if(" "!=s[o][0]){for(var u=Math.max(0,o-i),f=o;f<s.length;){for(var h=f;h<s.length&&" "==s[h][0];)h++;if(h==s.length||h-f>2*i){f=Math.min(s.length,f+i);break}f=h+1}for(var l=1,c=1,p=0;p<u;p++)l+="+"!=s[p][0]?1:0,c+="-"!=s[p][0]?1:0;var d=0,g=0,m=[];for(p=u;p<f;p++)d+="+"!=s[p][0]?1:0,g+="-"!=s[p][0]?1:0,m.push(s[p][0]+s[p][1]);a.push("@@ -"+(d?l:l-1)+","+d+" +"+(g?c:c-1)+","+g+" @@"),a=a.concat(m),o=f}else o++;return 0==a.length?"":"--- "+r+"\n+++ "+n+"\n"+a.join("\n")+"\n"}var We=["high","medium","low","info"],Ye=[["PNG","PNG image"],["ÿØÿ","JPEG image"],["GIF87a","GIF image"],["GIF89a","GIF image"],["BM","BMP image"],["RIFF","RIFF file (WebP, WAV, AVI)"],["%PDF","PDF document"],["ELF","ELF executable"],["MZ","Windows executable"],["ÐÏà","MS Office document"],["<?xml","XML document"],["<svg","SVG image"]],Qe=/\b(?:eval|assert|system|exec|shell_exec|passthru|popen|proc_open|pcntl_exec|create_function|call_user_func(?:_array)?|base64_decode|str_rot13|gzinflate|gzuncompress|gzdecode|unserialize|fsockopen|curl_exec|file_put_contents|mail)\s*\(|\$_(?:GET|POST|REQUEST|COOKIE|FILES)\b|`[^`\r\n]*`/gi,Xe="__HALT_COMPILER();";function Je(e,t,r){var n=t+4>r?-1:vt.Binary.readLInt(e,t),i=t+4+n;if(-1==n||i>r)throw new vt.PharFormatError("Phar is corrupted! (manifest corrupt)",vt.ERROR_TRUNCATED_MANIFEST);var s=new vt.BinaryBuffer(e.subarray(t+4,i)),a={offset:t,length:n,files_count:s.getLInt(),manifest_api:s.getLShort(),flags:s.getLInt(),alias:s.getString(),metadata:s.getString(),entries:[],unused:0,data_end:i};if(24*a.files_count>n)throw new vt.PharFormatError("Phar is corrupted! (manifest corrupt)",vt.ERROR_TRUNCATED_MANIFEST);for(var o=0;o<a.files_count;o++){var u={name:s.getString(),size:s.getLInt(),timestamp:s.getLInt(),compressed_size:s.getLInt(),crc32:s.getLInt(),flags:s.getLInt(),metadata:s.getString(),offset:a.data_end};a.data_end+=u.compressed_size,a.entries.push(u)}return a.unused=n-s.offset,a}function et(e,t,r){if(e){for(var n,i=null===t?"Archive metadata":'Metadata of "'+t+'"',s=[],a=/[OC]:\d+:"([^"]*)":\d+:\{/g;n=a.exec(e);)-1==s.indexOf(n[1])&&s.push(n[1]);s.length&&r("high","SERIALIZED_OBJECT",i+" contains serialized objects ("+s.join(", ")+")",t);try{vt.PhpSerializer.unserialize(e)}catch(e){r("low","BAD_METADATA",i+" is not valid serialized data",t)}}}function tt(e,t){var r=vt.PharStub.parse(e);if(r.is_default){try{var n=vt.PharStub.createDefault(r.index,r.web_index,{alias:r.alias,intercept_file_funcs:r.intercept_file_funcs,shebang:r.shebang||!1})}catch(e){n=null}if(null!==n&&e.substring(0,e.indexOf(Xe))==n.substring(0,n.indexOf(Xe)))return}var i=e.indexOf(Xe),s=-1==i?e:e.substring(0,i);if(!/^(?:#![^\n]*\n)?\s*<\?(?:php)?\s*$/i.test(s)){t("info","CUSTOM_STUB","Stub is not the default loader stub, it runs custom code",null);var a,o=[];for(Qe.lastIndex=0;a=Qe.exec(s);){var u="`"==a[0].charAt(0)?"`...`":a[0].replace(/\s*\($/,"()");-1==o.indexOf(u)&&o.push(u)}o.length&&t("high","SUSPICIOUS_STUB","Stub contains suspicious code: "+o.join(", "),null)}}function rt(e,t){for(var r=Object.create(null),n=0;n<e.length;n++){var i=e[n].name,s=D(i);if(s)t("high",vt.ERROR_UNSAFE_PATH,"Entry name is unsafe ("+s+'): "'+i+'"',i);else{var a=O(i);if(a!=i.replace(/\/$/,"")&&t("low","UNNORMALIZED_PATH",'Entry name is not normalized: "'+i+'" is read as "'+a+'"',i),a in r){var o=r[a]==i?"is listed more than once":'has the same path as "'+r[a]+'"';t("high",vt.ERROR_DUPLICATE_ENTRY,'Entry "'+i+'" '+o+", only one of them is used",i)}else r[a]=i}}}function nt(e,t,r,n,i){var s=E(e.subarray(0,t.offset)),a=s.replace(/^#![^\n]*\n/,"");if(!/^\s*<\?/.test(a)){var o=function(e){for(var t=E(e.subarray(0,8)),r=0;r<Ye.length;r++)if(0==t.indexOf(Ye[r][0]))return Ye[r][1];return null}(e);i("high","POLYGLOT","Phar is hidden after "+(o?o+" data":"non-PHP data")+" (manifest at offset "+t.offset+")",null)}tt(s,i);var u=e.length,f=t.flags&De?Me(e):null;if(f)if(f.error)i(f.error.code==vt.ERROR_UNKNOWN_SIGNATURE?"medium":"high",f.error.code,f.error.message,null);else{u=f.data_end,r.signature_type=f.type;try{le(f.type,e.subarray(0,u),f.hash,n.public_key)||i("high",vt.ERROR_BAD_SIGNATURE,"Phar has a broken signature!",null)}catch(e){i("info",e.code,e.message,null)}"md5"!=ae(f.type)&&"sha1"!=ae(f.type)||i("low","WEAK_SIGNATURE","Signature uses "+ae(f.type).toUpperCase()+", which does not protect against forgery",null)}else i("low","UNSIGNED","Phar is not signed, its integrity can not be checked",null);t.unused>0&&i("medium","HIDDEN_DATA",t.unused+" bytes at the end of the manifest are not used",null),et(t.metadata,null,i),rt(t.entries,i);for(var h=0;h<t.entries.length;h++){var l=t.entries[h],c=61440&l.flags;if(et(l.metadata,l.name,i),"/"!=l.name.charAt(l.name.length-1))if(l.offset+l.compressed_size>u)i("high","OUT_OF_BOUNDS",'Contents of "'+l.name+'" are out of the archive data',l.name);else if(-1!=vt.SUPPORTED_COMPRESSION.indexOf(c))if(c!=vt.COMPRESSION_NONE||l.size==l.compressed_size)if(l.size>n.max_size||l.size>1048576&&l.size/Math.max(l.compressed_size,1)>100)i("medium","DECOMPRESSION_BOMB",'Entry "'+l.name+'" expands from '+l.compressed_size+" to "+l.size+" bytes",l.name);else{var p=new vt.PharFile(l.name,"",{compression_type:c});p.setContentsSource(e,l.offset,l.compressed_size,l.size,l.crc32);try{var d=p.getContentsAsBytes().length}catch(e){i("medium",e.code||vt.ERROR_DECOMPRESSION_FAILED,e.message,l.name);continue}d!=l.size&&i("medium","SIZE_MISMATCH",'Entry "'+l.name+'" has '+d+" bytes, but the manifest says "+l.size,l.name)}else i("medium","SIZE_MISMATCH",'Entry "'+l.name+'" is stored uncompressed, but its sizes differ ('+l.size+" and "+l.compressed_size+" bytes)",l.name);else i("medium",vt.ERROR_UNSUPPORTED_COMPRESSION,'Entry "'+l.name+'" has unknown compression flags 0x'+c.toString(16),l.name)}t.data_end<u&&i("medium","HIDDEN_DATA",u-t.data_end+" bytes after the last entry are not referenced by the manifest",null),r.entries=t.entries.length}function it(e,t,r,n,i){for(var s="tar"==t?function(e){for(var t=[],r=null,n=0;n+ge<=e.length;){var i=E(e.subarray(n,n+ge));if(/^\0*$/.test(i)||ve(i,148,8)!=Ee(i))break;var s=ve(i,124,12),a=i.charAt(156),o=me(i,0,100);"ustar\0"==i.substring(257,263)&&me(i,345,155)&&(o=me(i,345,155)+"/"+o);var u=E(e.subarray(n+ge,n+ge+s));if(n+=ge+Math.ceil(s/ge)*ge,"L"!=a)if("x"!=a)null!==r&&(o=r,r=null),t.push({name:o,type:a,link:me(i,157,100)});else{var f=/(?:^|\n)\d+ path=([^\n]*)\n/.exec(u);r=f?f[1]:null}else r=me(u,0,s)}return t}(e):function(e){var t=[],r=Math.max(0,e.length-65557),n=E(e.subarray(r)).lastIndexOf(we);if(-1==n)return t;try{var i=new vt.BinaryBuffer(e.subarray(r+n+4));i.offset+=6;for(var s=i.getLShort(),a=i.getLInt(),o=i.getLInt(),u=new vt.BinaryBuffer(e.subarray(o,o+a)),f=0;f<s&&u.get(4)==Re;f++){u.offset+=24;var h=u.getLShort(),l=u.getLShort()+u.getLShort();u.offset+=12,t.push({name:u.get(h)}),u.offset+=l}}catch(e){}return t}(e),a=[],o=!1,u=0;u<s.length;u++){var f=s[u].name;".phar/signature.bin"==f&&(o=!0),0!=f.indexOf(".phar/")&&(a.push(s[u]),"1"!=s[u].type&&"2"!=s[u].type||i("medium","LINK",'Entry "'+f+'" is a link to "'+s[u].link+'"',f))}rt(a,i),r.entries=a.length;var h=new vt.Phar;try{"tar"==t?h.loadTarData(e,{public_key:n.public_key}):h.loadZipData(e,{public_key:n.public_key})}catch(e){return void i(e.code==vt.ERROR_MISSING_KEY?"info":e.code==vt.ERROR_UNKNOWN_SIGNATURE?"medium":"high",e.code||vt.ERROR_CORRUPTED_ARCHIVE,e.message,e.entry)}if(o){r.signature_type=h.getSignatureType();var l=ae(r.signature_type);"md5"!=l&&"sha1"!=l||i("low","WEAK_SIGNATURE","Signature uses "+l.toUpperCase()+", which does not protect against forgery",null)}else i("low","UNSIGNED","Phar is not signed, its integrity can not be checked",null);tt(h.getStub(),i),et(h.getMetadata(),null,i);var c=h.getFiles();for(u=0;u<c.length;u++)et(c[u].getMetadata(),c[u].getName(),i)}var st=["class","interface","trait","enum"],at=new RegExp(["(\\s+)","(\\?>)","((?:#(?!\\[)|\\/\\/)[^\\n]*?(?=\\?>|\\n|$)|\\/\\*[\\s\\S]*?(?:\\*\\/|$))","('(?:[^'\\\\]|\\\\[\\s\\S])*'?|\"(?:[^\"\\\\]|\\\\[\\s\\S])*\"?|`(?:[^`\\\\]|\\\\[\\s\\S])*`?)","(<<<[ \\t]*([\"']?)([A-Za-z_\\x80-\\xff][\\w\\x80-\\xff]*)\\6\\r?\\n)","(\\$+[A-Za-z_\\x80-\\xff][\\w\\x80-\\xff]*)","(\\\\?[A-Za-z_\\x80-\\xff][\\w\\x80-\\xff]*(?:\\\\[A-Za-z_\\x80-\\xff][\\w\\x80-\\xff]*)*)","(::|\\?->|->|#\\[|[\\s\\S])"].join("|"),"g");function ot(e){for(var t=function(e){for(var t=[],r=0;r<e.length;){var n,i=e.indexOf("<?",r);if(-1==i)break;for(r=i+("php"==e.substr(i+2,3).toLowerCase()?5:"="==e.charAt(i+2)?3:2),at.lastIndex=r;n=at.exec(e);){if(r=at.lastIndex,n[2]){t.push({type:"punct",value:";",offset:n.index});break}if(n[4])t.push({type:"string",value:n[4],offset:n.index});else if(n[5]){var s=new RegExp("\\n[ \\t]*"+n[7]+"(?![\\w\\x80-\\xff])","g");s.lastIndex=r-1,r=s.exec(e)?s.lastIndex:e.length,t.push({type:"string",value:e.substring(n.index,r),offset:n.index}),at.lastIndex=r}else n[8]?t.push({type:"variable",value:n[8],offset:n.index}):n[9]?t.push({type:"name",value:n[9],offset:n.index}):n[10]&&t.push({type:"punct",value:n[10],offset:n.index});if(r>=e.length)break}if(!n)break}return t}(e),r=[],n="",i=0,s=-1,a=1,o=0,u=0;u<t.length;u++){var f=t[u];if("punct"!=f.type){if("name"==f.type){var h=f.value.toLowerCase(),l=t[u-1],c=t[u+1];if(!l||"::"!=l.value&&"->"!=l.value&&"?->"!=l.value){if("__halt_compiler"==h)break;if("namespace"!=h||!c||"name"!=c.type&&"{"!=c.value){if(-1!=st.indexOf(h)&&c&&"name"==c.type&&-1==c.value.indexOf("\\")&&(!l||"name"!=l.type||!/^(?:new|function|const|use|insteadof)$/i.test(l.value))){if("enum"==h){var p=t[u+2];if(!p||"{"!=p.value&&":"!=p.value&&"implements"!=p.value.toLowerCase())continue}for(;o<f.offset;){var d=e.indexOf("\n",o);if(-1==d||d>=f.offset)break;a++,o=d+1}r.push({name:(n?n+"\\":"")+c.value,type:h,line:a}),u++}}else n="name"==c.type?c.value.replace(/^\\/,""):"","name"==c.type&&(c=t[1+ ++u]),c&&"{"==c.value&&(s=i)}}}else"{"==f.value?i++:"}"==f.value&&--i==s&&(n="",s=-1)}return r}function ut(e){return"'"+e.replace(/\\/g,"\\\\").replace(/'/g,"\\'")+"'"}var ft=["op","isop","operator","isoperator","admin","isadmin","!op","notop","!operator","notoperator","!admin","notadmin","true","false"],ht={name:void 0,version:void 0,main:void 0,api:void 0,depend:"",description:"",authors:"",website:""};function lt(e){for(var t=null,r=0;r<e.length;r++){var n=e.charAt(r);if(t)"\\"==n&&'"'==t?r++:n==t&&(t=null);else if('"'!=n&&"'"!=n||0!=r&&!/[\s\[{,:]/.test(e.charAt(r-1))){if("#"==n&&(0==r||/\s/.test(e.charAt(r-1))))return e.substring(0,r).replace(/\s+$/,"")}else t=n}return e.replace(/\s+$/,"")}function ct(e,t){if('"'==e.charAt(0))try{return JSON.parse(e.replace(/\t/g,"\\t"))}catch(e){t("bad double-quoted string")}return"'"==e.charAt(0)?(/^'(?:[^']|'')*'$/.test(e)||t("bad single-quoted string"),e.slice(1,-1).replace(/''/g,"'")):/^(?:~|null|Null|NULL)?$/.test(e)?null:!!/^(?:true|True|TRUE|yes|Yes|YES|on|On|ON)$/.test(e)||!/^(?:false|False|FALSE|no|No|NO|off|Off|OFF)$/.test(e)&&(/^[-+]?(?:0|[1-9][0-9]*)$/.test(e)||/^0x[0-9a-fA-F]+$/.test(e)?Number(e):/^[-+]?(?:[0-9]+\.[0-9]*|\.[0-9]+)(?:[eE][-+]?[0-9]+)?$/.test(e)?parseFloat(e):e)}function pt(e){var t=e.replace(/^(?:\xef\xbb\xbf|\ufeff)/,"").split(/\r\n|\r|\n/),r=0,n=function(e){throw Error("YAML error on line "+(r+1)+": "+e+"!")},i=function(e){r--,n(e)},s=function(e){return/^ */.exec(e)[0].length},a=function(){for(;r<t.length&&(/^\s*(?:#.*)?$/.test(t[r])||/^(?:---|\.\.\.)\s*$/.test(t[r]));)r++;r<t.length&&/^ *\t/.test(t[r])&&n("tabs can not be used for indentation")},o=function(e){return/^-(?:\s|$)/.test(e)},u=function(e,n){if(""===e){if(a(),r<t.length){var u=s(t[r]);if(u>n||u==n&&o(t[r].substring(u)))return f(u)}return null}return/^[|>][-+]?$/.test(e)?function(e,n){for(var i=[],a=null;r<t.length;){if(/^\s*$/.test(t[r]))i.push("");else{var o=s(t[r]);if(o<=n||null!==a&&o<a)break;null===a&&(a=o),i.push(t[r].substring(a))}r++}for(var u="";i.length&&""===i[i.length-1];)i.pop(),u+="\n";for(var f="",h=0;h<i.length;h++)"|"==e.charAt(0)?f+=(h?"\n":"")+i[h]:""===i[h]?f+="\n":f+=(h&&""!==i[h-1]?" ":"")+i[h];return"+"==e.charAt(1)?f+(i.length?"\n":"")+u:f+("-"!=e.charAt(1)&&i.length?"\n":"")}(e,n):"["==e.charAt(0)||"{"==e.charAt(0)?function(e,t){var r=0,n=function(){for(;/\s/.test(e.charAt(r));)r++},i=function(s){n();var a=e.charAt(r);if("["==a||"{"==a){var o="{"==a,u=o?{}:[];for(r++,n();e.charAt(r)!=(o?"}":"]");){if(r>=e.length&&t("unterminated flow collection"),o){var f=i(!0);n(),":"!=e.charAt(r)&&t('":" expected in flow mapping'),r++,u[f]=i(!1)}else u.push(i(!1));n(),","==e.charAt(r)?(r++,n()):e.charAt(r)!=(o?"}":"]")&&t(r>=e.length?"unterminated flow collection":'"," expected in flow collection')}return r++,u}var h='"'==a?/"(?:[^"\\]|\\.)*"/g:"'"==a?/'(?:[^']|'')*'/g:s?/[^,:\[\]{}]*/g:/[^,\[\]{}]*/g;h.lastIndex=r;var l=h.exec(e)[0];return r+=l.length,ct(l.replace(/\s+$/,""),t)},s=i(!1);return n(),r!=e.length&&t('unexpected "'+e.charAt(r)+'" after flow collection'),s}(e,i):ct(e,i)},f=function(e){a();for(var i=o(t[r].substring(e)),h=i?[]:{};a(),!(r>=t.length||s(t[r])<e);){s(t[r])>e&&n("bad indentation");var l=lt(t[r].substring(e));if(i){if(!o(l))break;var c=l.substring(1).replace(/^\s+/,""),p=e+l.length-c.length;/^[^\s'"\[{#][^:]*:(?:\s|$)|^(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:(?:\s|$)/.test(c)?(t[r]=new Array(p+1).join(" ")+c,h.push(f(p))):(r++,h.push(u(c,e)))}else{var d=/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"\[{#-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/.exec(l);d||n(o(l)?"sequence item in a mapping":"mapping entry expected"),r++,h[/^["']/.test(d[1])?ct(d[1],n):d[1]]=u(d[2]||"",e)}}return h};if(a(),r>=t.length)return null;var h=f(s(t[r]));return a(),r<t.length&&n("unexpected content"),h}function dt(e){return null==e||""===e?[]:Array.isArray(e)?e:[e]}function gt(e){if("string"==typeof e)return E(v(e));if(e&&"object"==typeof e){var t=Array.isArray(e)?[]:{};for(var r in e)t[r]=gt(e[r]);return t}return e}function mt(e){var t=[],r=function(e,r){t.push({field:e,message:r})};if(!e||"object"!=typeof e||Array.isArray(e))return r(null,"plugin.yml must be a mapping"),t;if(["name","version","main","api"].forEach(function(t){void 0!==e[t]&&null!==e[t]&&""!==e[t]||r(t,'"'+t+'" is missing')}),"string"!=typeof e.name||/^[A-Za-z0-9 _.-]+$/.test(e.name)||r("name",'Name "'+e.name+'" contains characters other than A-Z, a-z, 0-9, space, "_", "." and "-"'),void 0!==e.main&&null!==e.main&&("string"==typeof e.main&&/^\\?[A-Za-z_\x80-\uffff][\w\x80-\uffff]*(?:\\[A-Za-z_\x80-\uffff][\w\x80-\uffff]*)*$/.test(e.main)?0==e.main.toLowerCase().replace(/^\\/,"").indexOf("pocketmine\\")&&r("main","Main class can not be in the pocketmine namespace"):r("main",'Main "'+e.main+'" is not a class name')),dt(e.api).forEach(function(e){/^\d+\.\d+\.\d+(?:-\S+)?$/.test(String(e))||r("api",'API version "'+e+'" is not in the "major.minor.patch" format')}),["depend","softdepend","loadbefore","authors"].forEach(function(t){dt(e[t]).forEach(function(e){"string"!=typeof e&&r(t,'"'+t+'" must be a name or a list of names')})}),void 0===e.load||null===e.load||/^(?:STARTUP|POSTWORLD)$/i.test(String(e.load))||r("load",'Load order "'+e.load+'" is not STARTUP or POSTWORLD'),void 0!==e.commands&&null!==e.commands)if("object"!=typeof e.commands||Array.isArray(e.commands))r("commands",'"commands" must be a mapping');else for(var n in e.commands){var i=e.commands[n]||{};-1!=n.indexOf(":")&&r("commands",'Command name "'+n+'" can not contain ":"'),"object"!=typeof i||Array.isArray(i)?r("commands",'Command "'+n+'" must be a mapping'):dt(i.aliases).forEach(function(e){-1!=String(e).indexOf(":")&&r("commands",'Alias "'+e+'" of command "'+n+'" can not contain ":"')})}var s=function(e){if("object"!=typeof e||Array.isArray(e))r("permissions",'"permissions" must be a mapping');else for(var t in e){var n=e[t];"boolean"!=typeof n&&(n&&"object"==typeof n&&!Array.isArray(n)?(void 0!==n.default&&"boolean"!=typeof n.default&&-1==ft.indexOf(String(n.default).toLowerCase())&&r("permissions",'Default "'+n.default+'" of permission "'+t+'" is not one of '+ft.join(", ")),void 0!==n.children&&null!==n.children&&s(n.children)):r("permissions",'Permission "'+t+'" must be a mapping'))}};return void 0!==e.permissions&&null!==e.permissions&&s(e.permissions),t}var vt={COMPRESSION_NONE:0,COMPRESSION_GZ:4096,COMPRESSION_BZIP2:8192,SUPPORTED_COMPRESSION:[0,4096,8192],SIGNATURE_NONE:0,SIGNATURE_MD5:1,SIGNATURE_SHA1:2,SIGNATURE_SHA256:3,SIGNATURE_SHA512:4,SIGNATURE_OPENSSL:16,SIGNATURE_OPENSSL_SHA256:17,SIGNATURE_OPENSSL_SHA512:18,SUPPORTED_SIGNATURES:[1,2,3,4,16,17,18],END_MAGIC:"GBMB",STUB_END:"__HALT_COMPILER(); ?>\r\n",ERROR_BAD_MAGIC:"BAD_MAGIC",ERROR_UNKNOWN_SIGNATURE:"UNKNOWN_SIGNATURE",ERROR_BAD_SIGNATURE:"BAD_SIGNATURE",ERROR_MISSING_KEY:"MISSING_KEY",ERROR_STUB_NOT_FOUND:"STUB_NOT_FOUND",ERROR_TRUNCATED_MANIFEST:"TRUNCATED_MANIFEST",ERROR_TRUNCATED_DATA:"TRUNCATED_DATA",ERROR_CRC_MISMATCH:"CRC_MISMATCH",ERROR_DECOMPRESSION_FAILED:"DECOMPRESSION_FAILED",ERROR_UNSUPPORTED_COMPRESSION:"UNSUPPORTED_COMPRESSION",ERROR_CORRUPTED_ARCHIVE:"CORRUPTED_ARCHIVE",ERROR_UNSAFE_PATH:"UNSAFE_PATH",ERROR_DUPLICATE_ENTRY:"DUPLICATE_ENTRY",ERROR_FILE_EXISTS:"FILE_EXISTS",ERROR_ABORTED:"ABORTED",PharError:function(e,t,r){se(this,"PharError",e,t,r)},PharFormatError:function(e,t,r){se(this,"PharFormatError",e,t,r)},PharSignatureError:function(e,t,r){se(this,"PharSignatureError",e,t,r)},PharEntryError:function(e,t,r){se(this,"PharEntryError",e,t,r)},Binary:{readLInt:function(e,t){t=t||0;for(var r=0,n=0;n<4;n++)r|=("string"==typeof e?e.charCodeAt(t+n):e[t+n])<<8*n;return r>>>0},writeLInt:function(e){for(var t="",r=0;r<4;r++)t+=String.fromCharCode(e>>8*r&255);return t},readLShort:function(e,t){t=t||0;for(var r=0,n=0;n<2;n++)r|=("string"==typeof e?e.charCodeAt(t+n):e[t+n])<<8*n;return r},writeLShort:function(e){for(var t="",r=0;r<2;r++)t+=String.fromCharCode(e>>8*r&255);return t}},BinaryBuffer:function(e){return this.get=function(e){return E(this.getBytes(e))},this.getBytes=function(e){if(e<0&&(e=Math.max(0,this.length-this.offset)),(this.offset+=e)>this.length)throw Error("Buffer is accessed out of bounds!");return this.bytes.subarray(this.offset-e,this.offset)},this.reserve=function(e){if(this.length+e>this.bytes.length){var t=new Uint8Array(Math.max(this.length+e,2*this.bytes.length,256));t.set(this.bytes.subarray(0,this.length)),this.bytes=t,this.view=new DataView(t.buffer)}return this},this.put=function(e){if(e="string"==typeof e?p(e):e,this.reserve(e.length),"string"==typeof e)for(var t=0;t<e.length;t++)this.bytes[this.length+t]=e.charCodeAt(t);else this.bytes.set(e,this.length);return this.length+=e.length,this},this.getLInt=function(){return this.getBytes(4),this.view.getUint32(this.offset-4,!0)},this.putLInt=function(e){return this.reserve(4),this.view.setUint32(this.length,e,!0),this.length+=4,this},this.getLShort=function(){return this.getBytes(2),this.view.getUint16(this.offset-2,!0)},this.putLShort=function(e){return this.reserve(2),this.view.setUint16(this.length,e,!0),this.length+=2,this},this.getString=function(){return this.get(this.getLInt())},this.putString=function(e){return e="string"==typeof e?p(e):e,this.putLInt(e.length),this.put(e)},this.toUint8Array=function(){return this.bytes.subarray(0,this.length)},Object.defineProperty(this,"buffer",{get:function(){return E(this.toUint8Array())},set:function(e){this.bytes=c(e||""),this.view=new DataView(this.bytes.buffer,this.bytes.byteOffset,this.bytes.byteLength),this.length=this.bytes.length}}),this.buffer=e,this.offset=0,this},PhpObject:function(e,t,r){return this.class_name=e,this.properties=t||{},void 0!==r&&(this.serialized=r),this},PhpSerializer:{serialize:function(e){var t=function(e){return/^(0|-?[1-9][0-9]{0,15})$/.test(e)?"i:"+e+";":"s:"+(e=p(e)).length+':"'+e+'";'},r=function(e){var r=[];S(e)?e.forEach(function(e,t){r.push([String(t),e])}):Object.keys(e).forEach(function(t){r.push([t,e[t]])});for(var n=r.length+":{",i=0;i<r.length;i++)n+=t(r[i][0])+vt.PhpSerializer.serialize(r[i][1]);return n+"}"};if(null==e)return"N;";switch(typeof e){case"boolean":return"b:"+(e?1:0)+";";case"number":if(e%1==0&&Math.abs(e)<=9007199254740991)return"i:"+e+";";if(isNaN(e))return"d:NAN;";if(!isFinite(e))return"d:"+(e<0?"-":"")+"INF;";var n=String(e).split("e");return 2==n.length?"d:"+(-1==n[0].indexOf(".")?n[0]+".0":n[0])+"E"+n[1]+";":"d:"+n[0]+";";case"string":return"s:"+(e=p(e)).length+':"'+e+'";';case"object":if(e instanceof vt.PhpObject){var i=p(e.class_name);return void 0!==e.serialized?"C:"+i.length+':"'+i+'":'+e.serialized.length+":{"+e.serialized+"}":"O:"+i.length+':"'+i+'":'+r(e.properties)}return"a:"+r(e)}throw Error('Value of type "'+typeof e+'" can not be serialized!')},unserialize:function(e,t){var r=0,n=[],i=function(){throw Error("Unserialization failed at offset "+r+"!")},s=function(t){e.substring(r,r+t.length)!==t&&i(),r+=t.length},a=function(t){var n=e.indexOf(t,r);-1==n&&i();var s=e.substring(r,n);return r=n+1,s},o=function(e){var t=a(e);return/^[0-9]+$/.test(t)||i(),parseInt(t,10)},u=function(){var n=o(":");s('"');var a=e.substring(r,r+n);return a.length!=n&&i(),r+=n,s('"'),t?function(e){if(!/[\x80-\xff]/.test(e))return e;var t=y(c(e));return d(t)&&p(t)===e?t:e}(a):a},f=function(){var e=o(":");s("{");for(var t=[],r=0;r<e;r++){"string"!=typeof(u=h(!0))&&"number"!=typeof u&&i(),t.push([u,h()])}s("}");var n=-1,a=!0;for(r=0;r<t.length&&a;r++){var u=String(t[r][0]);/^(0|[1-9][0-9]*)$/.test(u)&&+u<4294967295&&(a=0==r||n==r-1&&+u>+t[n][0],n=r)}var f=a||"undefined"==typeof Map?{}:new Map;for(r=0;r<t.length;r++)a?f[t[r][0]]=t[r][1]:f.set(t[r][0],t[r][1]);return f},h=function(t){var h=e.charAt(r);if("N"!=h&&s(h+":"),!t&&"R"!=h){var l=n.length;n.push(null)}switch(h){case"N":s("N;");var c=null;break;case"b":"0"!==(c=a(";"))&&"1"!==c&&i(),c="1"===c;break;case"i":c=a(";");/^[+-]?[0-9]+$/.test(c)||i(),c=parseInt(c,10);break;case"d":"NAN"==(c=a(";"))?c=NaN:"INF"==c||"-INF"==c?c="INF"==c?1/0:-1/0:isNaN(c=parseFloat(c))&&i();break;case"s":c=u();s(";");break;case"a":if(S(c=f()))break;for(var p=Object.keys(c),d=!0,g=0;g<p.length;g++)if(p[g]!==String(g)){d=!1;break}if(d){var m=[];for(g=0;g<p.length;g++)m.push(c[g]);c=m}break;case"O":c=new vt.PhpObject(u());s(":"),n[l]=c,c.properties=f();break;case"C":var v=u();s(":");var y=o(":");s("{");c=new vt.PhpObject(v,{},e.substring(r,r+y));r+=y,s("}");break;case"r":case"R":var _=a(";");(!/^[0-9]+$/.test(_)||_<1||_>n.length)&&i();c=n[_-1];break;default:i()}return void 0!==l&&(n[l]=c),c},l=h();return r!=e.length&&i(),l}},PharStub:{createDefault:function(e,t,r){var n=function(e){return"'"+e.replace(/\\/g,"\\\\").replace(/'/g,"\\'")+"'"};if(r=r||{},e=e||"index.php",void 0===t&&(t=e),e.length>400||t&&t.length>400)throw Error("Index file name is too long (400 characters at most)!");var i="";r.shebang&&(i+=(!0===r.shebang?"#!/usr/bin/env php":r.shebang)+"\n"),i+="<?php\n\n",t&&(i+="$web = "+n(t)+";\n\n"),i+="if (in_array('phar', stream_get_wrappers()) && class_exists('Phar', 0)) {\n",r.alias&&(i+="Phar::mapPhar("+n(r.alias)+");\n"),!1!==r.intercept_file_funcs&&(i+="Phar::interceptFileFuncs();\n"),i+="set_include_path('phar://' . __FILE__ . PATH_SEPARATOR . get_include_path());\n",t&&(i+="Phar::webPhar(null, $web);\n"),i+="include 'phar://' . __FILE__ . '/' . Extract_Phar::START;\n",i+="return;\n",i+="}\n\n",t&&(i+=b+"\n\n");for(var s=(i+=R.replace("@INDEX@",function(){return n(e).slice(1,-1)})+"\n"+vt.STUB_END).length-5,a=String(s);String(s+a.length)!=a;)a=String(s+a.length);return i.replace("@LEN@",a)},parse:function(e){var t=function(e){return'"'==e.charAt(0)?e.slice(1,-1).replace(/\\(["\\$])/g,"$1"):e.slice(1,-1).replace(/\\(['\\])/g,"$1")},r="('(?:[^'\\\\]|\\\\.)*'|\"(?:[^\"\\\\]|\\\\.)*\")",n=e.toLowerCase().indexOf("__halt_compiler"),i=-1==n?e:e.substring(0,n),s={shebang:null,alias:null,is_default:!1,index:null,web_index:null,intercept_file_funcs:/Phar::interceptFileFuncs\s*\(/i.test(i),index_files:[]},a=/^#![^\r\n]*/.exec(i);a&&(s.shebang=a[0]),(a=new RegExp("Phar::mapPhar\\s*\\(\\s*"+r,"i").exec(i))&&(s.alias=t(a[1]));var o=new RegExp("const\\s+START\\s*=\\s*"+r).exec(i),u=new RegExp("\\$web\\s*=\\s*"+r).exec(i);s.is_default=!!o&&/class\s+Extract_Phar\b/.test(i)&&/Extract_Phar::go\s*\(\s*\)/.test(i),o&&(s.index=t(o[1])),u&&/Phar::webPhar\s*\(/i.test(i)&&(s.web_index=t(u[1]));for(var f=new RegExp("(?:include|require)(?:_once)?\\s*\\(?\\s*(?:"+r+"\\s*\\.\\s*__FILE__\\s*\\.\\s*"+r+"|"+r+")","gi");a=f.exec(i);){if(void 0!==a[1]){if(!/^phar:\/\/$/i.test(t(a[1])))continue;var h=t(a[2]).replace(/^\/+/,"")}else{var l=/^phar:\/\/[^\/]*\/(.+)$/i.exec(t(a[3]));if(!l)continue;h=l[1]}h&&(s.index=s.index||h,-1==s.index_files.indexOf(h)&&s.index_files.push(h))}(a=new RegExp("Phar::webPhar\\s*\\(\\s*[^,]*,\\s*"+r,"i").exec(i))&&(s.web_index=t(a[1]));for(var c=[s.index,s.web_index],p=0;p<c.length;p++)c[p]&&-1==s.index_files.indexOf(c[p])&&s.index_files.push(c[p]);return s}},PharAutoloader:{findClasses:function(e){return ot(p(e))},createClassmap:function(e,t){for(var r=T(void 0===(t=t||{}).match?"**/*.php":t.match),n=T(t.exclude)||[],i={classmap:{},classes:[],duplicates:[]},s=Object.create(null),a=e.getFiles(),o=0;o<a.length;o++){var u=a[o].getName();if(C(r,u)&&!C(n,u))for(var f=ot(a[o].getContents()),h=0;h<f.length;h++){var l=f[h].name.toLowerCase();i.classes.push({name:f[h].name,type:f[h].type,file:u,line:f[h].line}),s[l]?-1==s[l].files.indexOf(u)&&(s[l].files.push(u),2==s[l].files.length&&i.duplicates.push(s[l])):(s[l]={name:f[h].name,files:[u]},i.classmap[f[h].name]=u)}}return i},createAutoloader:function(e,t){for(var r=O((t=t||{}).path||"autoload.php").split("/").length-1,n="__DIR__",i=0;i<r;i++)n="dirname("+n+")";var s=Object.keys(e).sort(),a="<?php\n\n";a+="// classmap autoloader generated by PharUtils.js ("+s.length+" classes)\n\n",a+="spl_autoload_register(function ($class) {\n",a+="\tstatic $classmap = array(\n";for(i=0;i<s.length;i++)a+="\t\t"+ut(s[i].toLowerCase())+" => "+ut("/"+O(e[s[i]]))+",\n";return a+="\t);\n",a+="\t$class = strtolower(ltrim($class, '\\\\'));\n",a+="\tif (isset($classmap[$class])) {\n",a+="\t\trequire "+n+" . $classmap[$class];\n",a+="\t}\n",a+="}, true, "+(t.prepend?"true":"false")+");\n"},createStub:function(e,t){var r="";return(t=t||{}).shebang&&(r+=(!0===t.shebang?"#!/usr/bin/env php":t.shebang)+"\n"),r+="<?php\n\n",t.alias&&(r+="Phar::mapPhar("+ut(t.alias)+");\n"),r+="require 'phar://' . __FILE__ . "+ut("/"+O(e||"autoload.php"))+";\n",t.index&&(r+="require 'phar://' . __FILE__ . "+ut("/"+O(t.index))+";\n"),r+"\n"+vt.STUB_END}},PluginDescription:{parseYaml:function(e){return pt("string"==typeof e?e:y(c(e)))},validate:function(e){return mt(e)},normalize:function(e){var t=function(e){return null==e?"":String(e)},r=t((e=e||{}).name).replace(/ /g,"_");return{name:r,version:t(e.version),main:t(e.main).replace(/^\\/,""),api:dt(e.api).map(String),depend:dt(e.depend),softdepend:dt(e.softdepend),loadbefore:dt(e.loadbefore),description:t(e.description),authors:dt(e.author).concat(dt(e.authors)),website:t(e.website),prefix:t(e.prefix)||r,load:(t(e.load)||"POSTWORLD").toUpperCase(),src_namespace_prefix:t(e["src-namespace-prefix"]),commands:e.commands||{},permissions:e.permissions||{}}},toMetadata:function(e,t){var r={};for(var n in ht){var i=e[n];r[n]=null==i?ht[n]:i}return r.creationDate=void 0===t?Date.now()/1e3|0:t,r}},handleWorkerMessage:function(e,t){try{var r=function(e){t({type:"progress",event:e})},n=new vt.Phar;switch(e.task){case"load":var i=e.options;n.loadPharData(e.buffer,{public_key:i.public_key,verify_signature:i.verify_signature,lenient:i.lenient,allow_broken_signature:i.allow_broken_signature,onprogress:r});var s=Te(n);s.type="result",s.diagnostics={errors:n.getDiagnostics().errors.map($e),broken_entries:n.getDiagnostics().broken_entries},t(s);break;case"save":Ce(e.phar,n),n.reproducible=e.reproducible;var a=n.savePharData(!0,{onprogress:r,compression:e.compression});t({type:"result",result:a,signature:n.signature},[a.buffer]);break;default:throw Error('Unknown worker task "'+e.task+'"!')}}catch(e){t({type:"error",error:$e(e)})}},diff:function(e,t,r){var n=void 0===(r=r||{}).context?3:r.context,i=!1!==r.text_diff,s=r.max_text_size||1048576,a={identical:!0,archive:[],added:[],removed:[],modified:[]},o={stub:"getStub",alias:"getAlias",flags:"getFlags",archive_compression:"getArchiveCompression",manifest_api:"getManifestApi",signature_type:"getSignatureType",metadata:"getMetadata"};for(var u in o){if((S=e[o[u]]())!==(b=t[o[u]]())){var f={field:u,old:S,new:b};"stub"==u&&i&&(f.diff=Ke(S,b,"a/.phar/stub.php","b/.phar/stub.php",n)),a.archive.push(f)}}var h=function(e){for(var t=e.getFiles().concat(e.getDirectories()),r=Object.create(null),n=0;n<t.length;n++)r[t[n].getName()]=t[n];return r},l=function(e,t,r){return{name:e,is_directory:r,size:t.getSize(),crc32:t.getCRC32()}},c=h(e),p=h(t),d=e.getDirectories().map(function(e){return e.getName()}),g=t.getDirectories().map(function(e){return e.getName()});for(var m in c)m in p||a.removed.push(l(m,c[m],-1!=d.indexOf(m)));for(var m in p)if(m in c){var v=c[m],y=p[m],_=[],E={size:"getSize",crc32:"getCRC32",permission:"getPermission",compression_type:"getCompressionType",timestamp:"getTimestamp",metadata:"getMetadata"};for(var u in E){var S,b;(S=v[E[u]]())!==(b=y[E[u]]())&&_.push({field:u,old:S,new:b})}if(0!=_.length){var R={name:m,changes:_,binary:!1,diff:null},w=_.some(function(e){return"size"==e.field||"crc32"==e.field});if(w&&i)if(v.getSize()>s||y.getSize()>s)R.binary=null;else{var O=v.getContents(),A=y.getContents();R.binary=Ve(O)||Ve(A),R.binary||(R.diff=Ke(O,A,"a/"+m,"b/"+m,n))}a.modified.push(R)}}else a.added.push(l(m,p[m],-1!=g.indexOf(m)));var P=function(e,t){return e.name<t.name?-1:e.name>t.name?1:0};return a.added.sort(P),a.removed.sort(P),a.modified.sort(P),a.identical=a.archive.length+a.added.length+a.removed.length+a.modified.length==0,a},formatDiff:function(e){for(var t=function(e,t){return"string"==typeof t?t.length>60||/[\x00-\x1f]/.test(t)?"("+t.length+" bytes)":JSON.stringify(t):"permission"==e?"0"+t.toString(8):"flags"==e||"compression_type"==e||"archive_compression"==e||"signature_type"==e||"manifest_api"==e?"0x"+t.toString(16):"timestamp"==e?new Date(1e3*t).toISOString():String(t)},r=[],n=0;n<e.archive.length;n++){var i=e.archive[n];r.push("archive "+i.field+": "+t(i.field,i.old)+" -> "+t(i.field,i.new))}for(n=0;n<e.removed.length;n++)r.push("removed: "+e.removed[n].name+(e.removed[n].is_directory?"/":""));for(n=0;n<e.added.length;n++)r.push("added: "+e.added[n].name+(e.added[n].is_directory?"/":""));for(n=0;n<e.modified.length;n++){var s=e.modified[n],a=s.changes.map(function(e){return e.field+" "+t(e.field,e.old)+" -> "+t(e.field,e.new)});r.push("modified: "+s.name+" ("+a.join(", ")+")"+(s.binary?" [binary]":""))}var o=r.join("\n")+(r.length?"\n":"");for(n=0;n<e.archive.length;n++)o+=e.archive[n].diff?"\n"+e.archive[n].diff:"";for(n=0;n<e.modified.length;n++)o+=e.modified[n].diff?"\n"+e.modified[n].diff:"";return o},inspect:function(e,t){t={public_key:t&&t.public_key,max_size:t&&t.max_size||67108864};var r={format:null,compressed:null,offset:0,signature_type:null,entries:0,severity:"none",findings:[]},n=function(e,t,n,i){r.findings.push({severity:e,code:t,message:n,entry:void 0===i?null:i})};e=c(e),r.compressed={0:null,4096:"gz",8192:"bz2"}[ce(e)];try{e=pe(e)}catch(t){n("high",t.code,"Archive can not be decompressed: "+t.message,null),e=null}var i=e?function(e){for(var t=[],r=0;;){var n=_(e.subarray(r),Xe);if(-1==n)return t;var i=r+=n+18;" ?>"==E(e.subarray(i,i+3))&&(i+=3),13==e[i]&&10==e[i+1]?i+=2:10==e[i]&&(i+=1),t.push(i)}}(e):[];if(e)if(E(e.subarray(0,4))==be)r.format="zip",it(e,"zip",r,t,n);else if(e.length>=ge&&ve(E(e.subarray(0,ge)),148,8)==Ee(E(e.subarray(0,ge))))r.format="tar",it(e,"tar",r,t,n);else if(i.length){r.format="phar",r.offset=i[0];try{var s=Je(e,i[0],e.length)}catch(e){n("high",vt.ERROR_TRUNCATED_MANIFEST,"Phar is corrupted! (manifest corrupt)",null)}s&&nt(e,s,r,t,n),i.shift()}else n("info","NOT_AN_ARCHIVE","No phar, tar or zip structure found",null);else;for(var a=0;a<i.length;a++){try{var o=Je(e,i[a],e.length)}catch(e){continue}if(o.files_count){for(var u=null,f=0;s&&f<s.entries.length;f++){var h=s.entries[f];if(i[a]>=h.offset&&i[a]<h.offset+h.compressed_size){u=h.name;break}}null!==u?n("medium","EMBEDDED_PHAR",'Entry "'+u+'" contains a phar with '+o.files_count+" entries",u):n("high","EMBEDDED_PHAR","Phar with "+o.files_count+" entries is embedded at offset "+i[a],null)}}var l=r.findings;r.findings=[];for(a=0;a<We.length;a++)r.findings=r.findings.concat(l.filter(function(e){return e.severity==We[a]}));return r.findings.length&&(r.severity=r.findings[0].severity),r},Phar:function(e){return this.getStub=function(){return this.stub},this.setStub=function(e){var t=(e=p(e)).toLowerCase().indexOf("__halt_compiler();");if(-1==t)throw Error("Stub is invalid!");this.stub=e.substring(0,t)+vt.STUB_END},this.getAlias=function(){return this.alias},this.setAlias=function(e){return this.alias=p(e),this},this.getSignatureType=function(){return this.signature_type},this.setSignatureType=function(e,t){if(e!==vt.SIGNATURE_NONE&&-1==vt.SUPPORTED_SIGNATURES.indexOf(e))throw Error("Unknown signature type given!");if(e&vt.SIGNATURE_OPENSSL){if(!(t=t||this.private_key))throw Error("Private key is required for OpenSSL signature!");if(!re(t).d)throw Error("Given key is not a private key!");this.private_key=t}return this.signature_type=e,this.flags=e==vt.SIGNATURE_NONE?-65537&this.flags:this.flags|De,this},this.getSignature=function(){return this.signature},this.getMetadata=function(){return this.metadata},this.setMetadata=function(e){return this.metadata=p(e),this},this.getMetadataValue=function(e){return""===this.metadata?null:vt.PhpSerializer.unserialize(this.metadata,!e)},this.setMetadataValue=function(e){return this.metadata=null==e?"":vt.PhpSerializer.serialize(e),this},this.addFile=function(e){return e instanceof vt.PharFile&&(e.name=O(e.getName()),this.removeFile(e.getName()),this.files.push(e),this.index[e.getName()]=e,this.tree=null),this},this.getFile=function(e){var t=e in this.index?e:O(e),r=this.index[t];return r&&(r.getName()===t||O(r.getName())===t)||this.indexed_renames===w||(P(this),t=e in this.index?e:O(e),r=this.index[t]),r},this.removeFile=function(e){var t=this.getFile(e);if(t){var r=O(t.getName());this.files.splice(this.files.indexOf(t),1),delete this.index[t.getName()],delete this.index[r];for(var n=0;n<this.files.length;n++)this.files[n].getName()!==t.getName()&&O(this.files[n].getName())!==r||A(this.index,this.files[n]);this.tree=null}return this},this.getFiles=function(){return this.files.slice(0)},this.setFiles=function(e){for(var t in e=e.slice(0),this.files=[],this.index=Object.create(null),this.tree=null,e)this.addFile(e[t]);return this},this.getFilesCount=function(){return this.files.length},this.addDirectory=function(e,t){if(""===(e=O(e)))throw Error("Directory name is empty!");if(this.index[e])throw Error('File "'+e+'" already exists!');return t=t||{},this.directories[e]=new vt.PharFile(e,"",{timestamp:t.timestamp,permission:t.permission||493,metadata:t.metadata}),this.tree=null,this},this.getDirectories=function(){var e=[];for(var t in this.directories)e.push(this.directories[t]);return e},this.exists=function(e){return!!this.getFile(e)||this.isDirectory(e)},this.isDirectory=function(e){return this.tree=this.tree||function(e,t){var r=Object.create(null);r[""]=Object.create(null);var n=function(e,t,n){for(var i=e.split("/"),s="",a=0;a<i.length;a++){var o=""===s?i[a]:s+"/"+i[a],u=a==i.length-1,f=r[s];u&&!n?f[i[a]]={name:i[a],path:o,is_directory:!1,file:t}:(r[o]||(r[o]=Object.create(null)),f[i[a]]&&!u||(f[i[a]]={name:i[a],path:o,is_directory:!0,file:u?t:null})),s=o}};for(var i in t)n(O(i),t[i],!0);for(var s=0;s<e.length;s++)n(O(e[s].getName()),e[s],!1);return r}(this.files,this.directories),!!this.tree[O(e)]},this.listDirectory=function(e){if(e=O(e||""),!this.isDirectory(e))throw Error('Directory "'+e+'" not found!');var t=this.tree[e],r=[];for(var n in t)r.push(t[n]);return r.sort(function(e,t){return e.name<t.name?-1:e.name>t.name?1:0})},this.walk=function(e,t){for(var r=this.listDirectory(e),n=0;n<r.length;n++){if(!1===t(r[n]))return!1;if(r[n].is_directory&&!1===this.walk(r[n].path,t))return!1}return this},this.glob=function(e){for(var t=x(O(e)),r=[],n=0;n<this.files.length;n++)t.test(O(this.files[n].getName()))&&r.push(this.files[n]);return r},this.rename=function(e,t){if((e=O(e))===(t=O(t)))return this;if(""===t)throw Error("Target name is empty!");if(this.exists(t))throw Error('"'+t+'" already exists!');var r=this.getFile(e);if(r)delete this.index[r.getName()],r.setName(t),this.index[t]=r;else{if(""===e||!this.isDirectory(e))throw Error('"'+e+'" not found!');if(0==t.indexOf(e+"/"))throw Error("Directory can not be moved into itself!");for(var n=e+"/",i=0;i<this.files.length;i++){0==(a=O(this.files[i].getName())).indexOf(n)&&this.files[i].setName(t+"/"+a.substring(n.length))}P(this);var s=Object.create(null);for(var a in this.directories){var o=O(a);if(o==e||0==o.indexOf(n)){var u=t+o.substring(e.length);s[u]=this.directories[a].setName(u)}else s[a]=this.directories[a]}this.directories=s}return this.tree=null,this},this.move=function(e,t){return this.rename(e,t)},this.removeDirectory=function(e){if(""===(e=O(e))||!this.isDirectory(e))throw Error('Directory "'+e+'" not found!');for(var t=e+"/",r=[],n=0;n<this.files.length;n++)0!=O(this.files[n].getName()).indexOf(t)&&r.push(this.files[n]);for(var i in this.files=r,P(this),this.directories){var s=O(i);s!=e&&0!=s.indexOf(t)||delete this.directories[i]}return this.tree=null,this},this.buildFromDirectory=function(e,t){F("buildFromDirectory"),t=t instanceof RegExp?{pattern:t}:t||{};var i=n.resolve(e);if(!r.statSync(i).isDirectory())throw Error('"'+e+'" is not a directory!');var s=$(t),a={},o=this,u=function(e,i){for(var f=r.readdirSync(e).sort(),h=0;h<f.length;h++){var l=n.join(e,f[h]),c=""===i?f[h]:i+"/"+f[h],p=r.lstatSync(l);if(p.isSymbolicLink()){try{p=r.statSync(l)}catch(e){continue}if(p.isDirectory())continue}p.isDirectory()?s.directory(c)&&u(l,c):p.isFile()&&s.file(c,l)&&(a[L(o,c,l,t)]=l)}};return u(i,""),a},this.buildFromIterator=function(e,t,r){F("buildFromIterator"),"object"==typeof t&&null!==t&&(r=t,t=void 0),r=r||{};var i=[];if(Array.isArray(e)||"undefined"!=typeof Symbol&&e&&"function"==typeof e[Symbol.iterator])for(var s=Array.isArray(e)?e:Array.from(e),a=0;a<s.length;a++)i.push(Array.isArray(s[a])?s[a]:[null,s[a]]);else for(var o in e)i.push([o,e[o]]);var u=void 0===t?null:n.resolve(t),f=$(r),h={};for(a=0;a<i.length;a++){var l=n.resolve(String(i[a][1]));if(null===(o=i[a][0])){if(null===u)throw Error('Base directory is required for "'+i[a][1]+'"!');if(""===(o=n.relative(u,l))||".."==o.split(n.sep)[0]||n.isAbsolute(o))throw Error('File "'+l+'" is not in the base directory!');o=o.split(n.sep).join("/")}f.file(O(o),l)&&(h[L(this,o,l,r)]=l)}return h},this.extractTo=function(e,t){F("extractTo");var i=(t=t||{}).unsafe||"error";if(-1==["error","skip","sanitize"].indexOf(i))throw Error('Unknown unsafe entries mode "'+i+'"!');for(var s=[],a=0;a<this.files.length;a++)s.push({name:this.files[a].getName(),file:this.files[a],is_directory:!1});for(var o in this.directories)s.push({name:o,file:this.directories[o],is_directory:!0});if(void 0!==t.files){var u=[].concat(t.files).map(O);for(a=0;a<u.length;a++)if(!this.exists(u[a]))throw Error('File "'+u[a]+'" not found in the archive!');s=s.filter(function(e){var t=O(e.name);return u.some(function(e){return t==e||0==t.indexOf(e+"/")})})}var f={written:[],directories:[],skipped:[]},h=function(e,t,r){if("error"==i)throw new vt.PharEntryError('Can not extract "'+e.name+'": '+t+"!",r,e.name);f.skipped.push({name:e.name,reason:t})},l=n.resolve(e),c=B(l);if(c&&!r.statSync(l).isDirectory())throw Error('"'+e+'" is not a directory!');var p=c?r.realpathSync(l):l,d=Object.create(null),g=[];for(a=0;a<s.length;a++){var m=s[a],v=m.name,y=D(v);y&&"sanitize"==i&&(y=""===(v=k(v))?"empty name":null),y?h(m,y,vt.ERROR_UNSAFE_PATH):(v=O(v))in d?m.is_directory&&d[v].is_directory||h(m,'duplicate of "'+d[v].name+'"',vt.ERROR_DUPLICATE_ENTRY):(d[v]=m,g.push({entry:m,relative:v,target:n.join(l,v)}))}g=g.filter(function(e){for(var i=e.relative.split("/"),s=1;s<i.length;s++){var a=d[i.slice(0,s).join("/")];if(a&&!a.is_directory)return h(e.entry,'parent "'+a.name+'" is a file',vt.ERROR_DUPLICATE_ENTRY),!1}var o=l;for(s=0;s<i.length;s++){var u=B(o=n.join(o,i[s]));if(!u)return!0;var f=s==i.length-1;if(u.isSymbolicLink()&&(!f||e.entry.is_directory)){var c=null;try{c=r.realpathSync(o)}catch(e){}if(null===c||!M(p,c))return h(e.entry,'symlink "'+o+'" points outside of the target directory',vt.ERROR_UNSAFE_PATH),!1;u=r.statSync(o)}if(!f&&!u.isDirectory())return h(e.entry,'"'+o+'" is not a directory',vt.ERROR_FILE_EXISTS),!1}if(e.entry.is_directory){if(!u.isDirectory())return h(e.entry,'"'+e.target+'" already exists and is not a directory',vt.ERROR_FILE_EXISTS),!1}else{if(u.isDirectory())return h(e.entry,'"'+e.target+'" is a directory',vt.ERROR_FILE_EXISTS),!1;if(!t.overwrite)return h(e.entry,'"'+e.target+'" already exists',vt.ERROR_FILE_EXISTS),!1}return!0});var _=function(e){var t=l,i=""===e?[]:e.split("/");B(l)||(r.mkdirSync(l,{recursive:!0}),f.directories.push(l));for(var s=0;s<i.length;s++)B(t=n.join(t,i[s]))||(r.mkdirSync(t,493),f.directories.push(t))},E=function(e,n){!1!==t.permissions&&r.chmodSync(e,511&n.getPermission()),!1!==t.timestamps&&r.utimesSync(e,n.getTimestamp(),n.getTimestamp())},S=[];for(a=0;a<g.length;a++){var b=g[a];if(b.entry.is_directory)_(b.relative),S.push(b);else{_(b.relative.split("/").slice(0,-1).join("/")),B(b.target)&&r.unlinkSync(b.target);var R=b.entry.file.getContentsAsBytes();r.writeFileSync(b.target,R,{flag:"wx"}),E(b.target,b.entry.file),f.written.push({name:b.entry.name,path:b.target,size:R.length})}}S.sort(function(e,t){return t.relative.split("/").length-e.relative.split("/").length});for(a=0;a<S.length;a++)E(S[a].target,S[a].entry.file);return f},this.getReproducible=function(){return this.reproducible},this.setReproducible=function(e){if(!e)return this.reproducible=null,this;var t=(e=!0===e?{}:e).timestamp;return null==t&&(t=Ge()),this.reproducible={timestamp:null===t?ze:t,permission:e.permission,directory_permission:e.directory_permission,compression_type:e.compression_type},this},this.normalize=function(e){var t=je(this,e,!1);return this.files=t.files,this.directories=t.directories,P(this),this},this.getFlags=function(){return this.flags},this.setFlags=function(e){return this.flags=e,this},this.getArchiveCompression=function(){return this.archive_compression},this.setArchiveCompression=function(e){if(-1==vt.SUPPORTED_COMPRESSION.indexOf(e))throw Error("("+e+") compression type is not supported!");return this.archive_compression=e,this},this.compressFiles=function(e,t){if(e!=vt.COMPRESSION_GZ&&e!=vt.COMPRESSION_BZIP2)throw Error("("+e+") compression type is not supported!");var r=(t=t||{}).min_size||0,n=void 0===t.level?null:t.level;return Fe(this,t.match,function(i){if(i.getSize()<r)return{skipped:"min_size"};i.setCompressionType(e).setCompressionLevel(n);var s=i.getCompressedSize();return t.skip_if_larger&&s>=i.getSize()?(i.setCompressionType(vt.COMPRESSION_NONE),{skipped:"larger"}):{skipped:null,compressed_size:s}})},this.decompressFiles=function(e){return Fe(this,(e||{}).match,function(e){return e.setCompressionType(vt.COMPRESSION_NONE),{skipped:null}})},this.generateAutoloader=function(e){var t=O((e=e||{}).path||"autoload.php"),r=T(e.exclude)||[],n=vt.PharAutoloader.createClassmap(this,{match:e.match,exclude:r.concat(x(t))});return n.path=t,this.addFile(new vt.PharFile(t,vt.PharAutoloader.createAutoloader(n.classmap,{path:t,prepend:e.prepend}))),!1!==e.stub&&this.setStub(vt.PharAutoloader.createStub(t,{index:e.index,alias:this.alias||void 0,shebang:vt.PharStub.parse(this.stub).shebang||void 0})),n},this.getPluginDescription=function(){var e=this.getFile("plugin.yml");return e?vt.PluginDescription.normalize(pt(e.getContentsAsText())):null},this.getPluginMetadata=function(){var e=this.getMetadataValue();return!e||"object"!=typeof e||Array.isArray(e)||e instanceof vt.PhpObject||void 0===e.name||void 0===e.main?null:e},this.checkPlugin=function(){var e={valid:!1,description:null,errors:[],warnings:[]},t=this.getFile("plugin.yml");if(!t)return e.errors.push({field:null,message:"plugin.yml is missing"}),e;try{var r=pt(t.getContentsAsText())}catch(t){return e.errors.push({field:null,message:t.message}),e}if(e.errors=mt(r),e.errors.length&&null===e.errors[0].field)return e;e.description=vt.PluginDescription.normalize(r);var n=e.errors.filter(function(e){return"main"==e.field});if(!n.length&&r.main){var i=function(e){var t=String(e.main).replace(/^\\/,""),r=e["src-namespace-prefix"]?String(e["src-namespace-prefix"]).replace(/^\\+|\\+$/g,"")+"\\":"";return r&&0==t.indexOf(r)&&(t=t.substring(r.length)),"src/"+t.replace(/\\/g,"/")+".php"}(r),s=this.getFile(i),a=gt(e.description.main).toLowerCase();s?ot(s.getContents()).some(function(e){return e.name.toLowerCase()==a})||e.errors.push({field:"main",message:'Main class "'+e.description.main+'" is not declared in "'+i+'"'}):e.errors.push({field:"main",message:'Main class file "'+i+'" does not exist'})}try{var o=this.getPluginMetadata()}catch(e){o=null}if(null===o)e.warnings.push({field:"metadata",message:"Metadata does not describe the plugin"});else{var u=this.getMetadataValue(!0),f=gt(vt.PluginDescription.toMetadata(r));for(var h in ht)JSON.stringify(u[h])!==JSON.stringify(f[h])&&e.warnings.push({field:"metadata",message:'Metadata field "'+h+'" does not match plugin.yml'})}return e.valid=!e.errors.length,e},this.syncPluginMetadata=function(e){e=e||{};var t=this.checkPlugin();if(!t.valid)throw Error("Plugin is not valid: "+t.errors.map(function(e){return e.message}).join("; ")+"!");var r=e.creation_date;void 0===r&&(r=this.reproducible?this.reproducible.timestamp:Date.now()/1e3|0);var n=vt.PluginDescription.toMetadata(pt(this.getFile("plugin.yml").getContentsAsText()),r);return this.setMetadataValue(gt(n)),n},this.getManifestApi=function(){return this.manifest_api},this.setManifestApi=function(e){return this.manifest_api=e,this},this.loadPharData=function(e,t){if(g(e)){var r=this;return m(e).then(function(e){return r.loadPharData(e,t)})}var n=!!(t=t||{}).lazy,i=t.onprogress||function(){},s=this.diagnostics={errors:[],broken_entries:[]},a=function(e){if(!t.lenient)throw e;s.errors.push(e),void 0!==e.entry&&s.broken_entries.push(e.entry)};e=c(e),this.archive_compression=ce(e);var o=_(e=pe(e),vt.STUB_END),u=e.length,f=ke(e,o)?Me(e):null;if(this.signature=null,f){if(f.error)a(f.error);else if(u=f.data_end,this.signature_type=f.type,this.signature=fe(f.type,f.hash),t.verify_signature||!n&&void 0===t.verify_signature){i({phase:"signature",entry:null,current:0,total:1});try{var h=null;le(f.type,e.subarray(0,u),f.hash,t.public_key)||(h=new vt.PharSignatureError("Phar has a broken signature!",vt.ERROR_BAD_SIGNATURE))}catch(e){h=e}h&&t.allow_broken_signature&&h.code==vt.ERROR_BAD_SIGNATURE?s.errors.push(h):h&&a(h),i({phase:"signature",entry:null,current:1,total:1})}}else this.signature_type=vt.SIGNATURE_NONE;if(-1==o||o>u)throw new vt.PharFormatError("Stub not found!",vt.ERROR_STUB_NOT_FOUND);var l=o+vt.STUB_END.length;this.stub=E(e.subarray(0,l)),this.setFiles([]),this.directories=Object.create(null);var p=Object.create(null),d=l+4>u?-1:vt.Binary.readLInt(e,l),v=l+4+d;(-1==d||v>u)&&(a(new vt.PharFormatError("Phar is corrupted! (manifest corrupt)",vt.ERROR_TRUNCATED_MANIFEST)),v=u);var y=new vt.BinaryBuffer(e.subarray(l+4,v));try{var S=y.getLInt();this.manifest_api=y.getLShort(),this.flags=y.getLInt()&~this.archive_compression,this.alias=y.getString(),this.metadata=y.getString()}catch(e){return a(new vt.PharFormatError("Phar is corrupted! (manifest corrupt)",vt.ERROR_TRUNCATED_MANIFEST)),this}for(var b=0;b<S;b++){var R={};try{var w=y.getString(),O=y.getLInt();R.timestamp=y.getLInt();var A=y.getLInt(),P=y.getLInt(),x=y.getLInt();R.permission=4095&x,R.compression_type=61440&x,R.metadata=y.getString()}catch(e){a(new vt.PharFormatError("Phar is corrupted! (manifest corrupt)",vt.ERROR_TRUNCATED_MANIFEST));break}var T=v;if(v+=A,"/"!=w.charAt(w.length-1))if(v>u)a(new vt.PharEntryError('Phar is corrupted! (unexpected end of file in "'+w+'")',vt.ERROR_TRUNCATED_DATA,w));else if(-1!=vt.SUPPORTED_COMPRESSION.indexOf(R.compression_type)){var C=new vt.PharFile(w,"",R);if(C.setContentsSource(e,T,A,O,P),!n)try{C.getContentsAsBytes()}catch(e){a(e);continue}finally{i({phase:"entry",entry:w,current:b+1,total:S})}N(this,C,!1,p)}else a(new vt.PharEntryError('Unsupported compression type detected! ("'+w+'")',vt.ERROR_UNSUPPORTED_COMPRESSION,w));else N(this,I(w,R),!0,p),n||i({phase:"entry",entry:w,current:b+1,total:S})}return this},this.loadPharDataAsync=function(e,t){var r=this,n=!!(t=t||{}).lazy;return(g(e)?m(e):Promise.resolve(e)).then(function(e){if(t.worker&&!n)return Le({task:"load",buffer:c(e),options:{public_key:t.public_key,verify_signature:t.verify_signature,lenient:t.lenient,allow_broken_signature:t.allow_broken_signature}},[],t).then(function(e){return Ce(e,r),r.diagnostics={errors:e.diagnostics.errors.map(Ue),broken_entries:e.diagnostics.broken_entries},r});var i=xe(t);return i.step().then(function(){if(r.loadPharData(e,{lazy:!0,verify_signature:void 0===t.verify_signature?!n:t.verify_signature,public_key:t.public_key,lenient:t.lenient,allow_broken_signature:t.allow_broken_signature,onprogress:i.progress}),n)return r;for(var s=r.getFiles(),a=Object.keys(r.directories),o=a.length+s.length,u=0;u<a.length;u++)i.progress({phase:"entry",entry:a[u]+"/",current:u+1,total:o});u=0;var f=function(){return u>=s.length?r:i.step().then(function(){var e=s[u++];try{e.getContentsAsBytes()}catch(n){if(!t.lenient)throw n;r.files.splice(r.files.indexOf(e),1),P(r),r.diagnostics.errors.push(n),r.diagnostics.broken_entries.push(e.getName())}return i.progress({phase:"entry",entry:e.getName(),current:a.length+u,total:o}),f()})};return f()})})},this.savePharDataAsync=function(e){var t=this,r=void 0===(e=e||{}).compression?this.archive_compression:e.compression,n=function(t){return e.as_u8a?t:E(t)};return Promise.resolve().then(function(){if(!t.getFilesCount())throw Error("Phar must have at least one file!");if(e.worker)return Le({task:"save",phar:Te(t),reproducible:t.getReproducible(),compression:r},[],e).then(function(e){return t.signature=e.signature,n(e.result)});var i=He(t),s=xe(e),a=[],o=function(){return s.step().then(function(){if(a.length==i.files.length){var e=Be(t,i,a,s.progress,r).toUint8Array();return r==vt.COMPRESSION_NONE?n(e):s.step().then(function(){return n(de(e,r))})}var u=i.files[a.length];return a.push(u.getCompressedContentsAsBytes()),s.progress({phase:"entry",entry:u.getName(),current:a.length,total:i.files.length}),o()})};return o()})},this.getDiagnostics=function(){return this.diagnostics},this.savePharData=function(e,t){if(!this.getFilesCount())throw Error("Phar must have at least one file!");for(var r=He(this),n=void 0===(t=t||{}).compression?this.archive_compression:t.compression,i=t.onprogress||function(){},s=[],a=0;a<r.files.length;a++)s.push(r.files[a].getCompressedContentsAsBytes()),i({phase:"entry",entry:r.files[a].getName(),current:a+1,total:r.files.length});var o=Be(this,r,s,i,n);if(n!=vt.COMPRESSION_NONE){var u=de(o.toUint8Array(),n);return e?u:E(u)}return e?o.toUint8Array():o.buffer},this.loadTarData=function(e,t){if(g(e)){var r=this;return m(e).then(function(e){return r.loadTarData(e,t)})}t=t||{},e=pe(c(e)),this.stub="<?php "+vt.STUB_END,this.alias="",this.metadata="";for(var n=[],i=[],s={},a=null,o=null,u=0;u+ge<=e.length;){var f=u,h=E(e.subarray(u,u+ge));if(/^\0*$/.test(h))break;if(ve(h,148,8)!=Ee(h))throw new vt.PharFormatError("Tar is corrupted! (header checksum)",vt.ERROR_CORRUPTED_ARCHIVE);var l=ve(h,124,12),p=h.charAt(156),d=me(h,0,100);if("ustar\0"==h.substring(257,263)){var v=me(h,345,155);v&&(d=v+"/"+d)}u+=ge;var y=e.subarray(u,u+l);if(y.length!=l)throw new vt.PharFormatError("Tar is corrupted! (unexpected end of file)",vt.ERROR_CORRUPTED_ARCHIVE);if(u+=Math.ceil(l/ge)*ge,"L"!=p)if("x"!=p)null!==a&&(d=a,a=null),"5"!=p?"0"!=p&&"\0"!=p&&"7"!=p||(".phar/signature.bin"==d?o={type:vt.Binary.readLInt(y,0),hash:E(y.subarray(8,8+vt.Binary.readLInt(y,4))),data:e.subarray(0,f)}:".phar/stub.php"==d?this.stub=E(y):".phar/alias.txt"==d?this.alias=E(y):".phar/.metadata.bin"==d?this.metadata=E(y):0==d.indexOf(".phar/.metadata/")&&"/.metadata.bin"==d.substring(d.length-14)?s[d.substring(16,d.length-14)]=E(y):0!=d.indexOf(".phar/")&&n.push(new vt.PharFile(d,y,{timestamp:ve(h,136,12),permission:4095&ve(h,100,8)}))):i.push({name:d,timestamp:ve(h,136,12),permission:4095&ve(h,100,8)});else{var _=/(?:^|\n)\d+ path=([^\n]*)\n/.exec(E(y));a=_?_[1]:null}else a=me(E(y),0,l)}if(o){if(-1==vt.SUPPORTED_SIGNATURES.indexOf(o.type))throw new vt.PharSignatureError("Unknown signature type detected!",vt.ERROR_UNKNOWN_SIGNATURE);if(!le(o.type,o.data,o.hash,t.public_key))throw new vt.PharSignatureError("Phar has a broken signature!",vt.ERROR_BAD_SIGNATURE);this.signature_type=o.type,this.signature=fe(o.type,o.hash)}else this.signature_type=vt.SIGNATURE_NONE,this.signature=null;this.diagnostics={errors:[],broken_entries:[]},this.setFiles([]),this.directories=Object.create(null);for(var S=Object.create(null),b=0;b<n.length;b++)n[b].setMetadata(s[n[b].getName()]||""),N(this,n[b],!1,S);for(b=0;b<i.length;b++){var R=I(i[b].name,i[b]);""!==R.getName()&&(R.setMetadata(s[R.getName()]||""),N(this,R,!0,S))}return this},this.saveTarData=function(e,t){var r=He(this),n=r.timestamp,i=new vt.BinaryBuffer;for(var s in Se(i,".phar/stub.php",this.stub,420,n),this.alias&&Se(i,".phar/alias.txt",this.alias,420,n),this.metadata&&Se(i,".phar/.metadata.bin",this.metadata,420,n),r.directories){var a=r.directories[s];Se(i,s+"/","",a.getPermission(),a.getTimestamp(),"5"),a.getMetadata()&&Se(i,".phar/.metadata/"+s+"/.metadata.bin",a.getMetadata(),420,n)}for(var o=0;o<r.files.length;o++){var u=r.files[o];Se(i,u.getName(),u.getContentsAsBytes(),u.getPermission(),u.getTimestamp()),u.getMetadata()&&Se(i,".phar/.metadata/"+u.getName()+"/.metadata.bin",u.getMetadata(),420,n)}if(this.signature=null,this.signature_type!=vt.SIGNATURE_NONE){var f=he(this.signature_type,i.toUint8Array(),this.private_key);Se(i,".phar/signature.bin",vt.Binary.writeLInt(this.signature_type)+vt.Binary.writeLInt(f.length)+f,420,n),this.signature=fe(this.signature_type,f)}i.put(_e("",1024));var h=de(i.toUint8Array(),t);return e?h:E(h)},this.loadZipData=function(e,t){if(g(e)){var r=this;return m(e).then(function(e){return r.loadZipData(e,t)})}t=t||{},e=c(e);var n=Math.max(0,e.length-65557),i=E(e.subarray(n)).lastIndexOf(we);if(-1==i)throw new vt.PharFormatError("Zip is corrupted! (end of central directory not found)",vt.ERROR_CORRUPTED_ARCHIVE);i+=n;var s=new vt.BinaryBuffer(e.subarray(i+4));s.offset+=6;var a=s.getLShort(),o=s.getLInt(),u=s.getLInt(),f=s.get(s.getLShort());if(u+o>i)throw new vt.PharFormatError("Zip is corrupted! (central directory is out of bounds)",vt.ERROR_CORRUPTED_ARCHIVE);this.stub="<?php "+vt.STUB_END,this.alias="",this.metadata=f;for(var h=[],p=[],d=null,v=new vt.BinaryBuffer(e.subarray(u,u+o)),y=0;y<a;y++){var _=v.offset;if(v.get(4)!=Re)throw new vt.PharFormatError("Zip is corrupted! (central directory entry)",vt.ERROR_CORRUPTED_ARCHIVE);v.offset+=6;var S=v.getLShort(),b=v.getLShort(),R=v.getLShort(),w=v.getLInt(),O=v.getLInt();v.offset+=4;var A=v.getLShort(),P=v.getLShort(),x=v.getLShort();v.offset+=8;var T=v.getLInt(),C=v.get(A),$=v.get(P),U=v.get(x),L=new vt.BinaryBuffer(e.subarray(T,T+30));if(30!=L.length||L.get(4)!=be)throw new vt.PharFormatError("Zip is corrupted! (local file header)",vt.ERROR_CORRUPTED_ARCHIVE);L.offset=26;var D=T+30+L.getLShort()+L.getLShort(),k=e.subarray(D,D+O);if(k.length!=O)throw new vt.PharFormatError("Zip is corrupted! (unexpected end of file)",vt.ERROR_CORRUPTED_ARCHIVE);if(".phar/signature.bin"!=C)if("/"!=C.charAt(C.length-1)){switch(S){case 0:var M=vt.COMPRESSION_NONE;break;case 8:M=vt.COMPRESSION_GZ;break;case 12:M=vt.COMPRESSION_BZIP2;break;default:throw new vt.PharEntryError("Unsupported compression type detected!",vt.ERROR_UNSUPPORTED_COMPRESSION,C)}F=Ae($);var B=new vt.PharFile(C,k,{compression_type:M,is_compressed:!0,timestamp:Oe(b,R),permission:null===F?438:F,metadata:U});if(w!=l(B.getContentsAsBytes()))throw new vt.PharEntryError('Zip is corrupted! (file corrupt: "'+C+'")',vt.ERROR_CRC_MISMATCH,C);".phar/stub.php"==C?this.stub=B.getContents():".phar/alias.txt"==C?this.alias=B.getContents():0!=C.indexOf(".phar/")&&h.push(B)}else{var F=Ae($);p.push({name:C,timestamp:Oe(b,R),permission:null===F?493:F,metadata:U})}else{var z=vt.Binary.readLInt(k,0);if(-1==vt.SUPPORTED_SIGNATURES.indexOf(z))throw new vt.PharSignatureError("Unknown signature type detected!",vt.ERROR_UNKNOWN_SIGNATURE);var G=E(k.subarray(8,8+vt.Binary.readLInt(k,4))),j=new vt.BinaryBuffer;if(j.reserve(T+_),j.put(e.subarray(0,T)),j.put(e.subarray(u,u+_)),!le(z,j.toUint8Array(),G,t.public_key))throw new vt.PharSignatureError("Phar has a broken signature!",vt.ERROR_BAD_SIGNATURE);d=fe(z,G),this.signature_type=z}}this.signature_type=d?this.signature_type:vt.SIGNATURE_NONE,this.signature=d,this.diagnostics={errors:[],broken_entries:[]},this.setFiles([]),this.directories=Object.create(null);var H=Object.create(null);for(y=0;y<h.length;y++)N(this,h[y],!1,H);for(y=0;y<p.length;y++){var Z=I(p[y].name,p[y]);""!==Z.getName()&&N(this,Z,!0,H)}return this},this.saveZipData=function(e){if(this.metadata.length>65535)throw Error("Metadata is too large for zip-based phar!");var t=He(this),r=t.timestamp,n=!!this.reproducible,i=new vt.BinaryBuffer,s=new vt.BinaryBuffer,a=0,o=function(e,t,r){var o,u,f=void 0===r.compressed?t:r.compressed,h={0:0,4096:8,8192:12}[r.compression_type||0],c=12==h?46:20,p=(o=r.permission,u=vt.Binary.writeLShort(o),"nu"+vt.Binary.writeLShort(14)+vt.Binary.writeLInt(l(u))+u+_e("",8)),d=r.metadata||"";if(d.length>65535)throw Error('Metadata of "'+e+'" is too large for zip-based phar!');var g=vt.Binary.writeLShort(c)+vt.Binary.writeLShort(0)+vt.Binary.writeLShort(h)+function(e,t){var r=new Date(1e3*e),n=t?[r.getUTCFullYear(),r.getUTCMonth(),r.getUTCDate(),r.getUTCHours(),r.getUTCMinutes(),r.getUTCSeconds()]:[r.getFullYear(),r.getMonth(),r.getDate(),r.getHours(),r.getMinutes(),r.getSeconds()];n[0]<1980&&(n=[1980,0,1,0,0,0]);var i=n[3]<<11|n[4]<<5|n[5]>>1,s=n[0]-1980<<9|n[1]+1<<5|n[2];return vt.Binary.writeLShort(i)+vt.Binary.writeLShort(s)}(r.timestamp,n)+vt.Binary.writeLInt(void 0===r.crc32?l(t):r.crc32)+vt.Binary.writeLInt(f.length)+vt.Binary.writeLInt(t.length)+vt.Binary.writeLShort(e.length)+vt.Binary.writeLShort(p.length);s.put(Re),s.putLShort(20),s.put(g),s.putLShort(d.length),s.putLShort(0),s.putLShort(0),s.putLInt(0),s.putLInt(i.length),s.put(e+p+d),i.put(be+g+e+p),i.put(f),a++};for(var u in o(".phar/stub.php",this.stub,{timestamp:r,permission:420}),this.alias&&o(".phar/alias.txt",this.alias,{timestamp:r,permission:420}),t.directories){var f=t.directories[u];o(u+"/","",{timestamp:f.getTimestamp(),permission:f.getPermission(),metadata:f.getMetadata()})}for(var h=0;h<t.files.length;h++){var c=t.files[h];o(c.getName(),c.getContentsAsBytes(),{compressed:c.getCompressedContentsAsBytes(),crc32:c.getCRC32(),compression_type:c.getCompressionType(),timestamp:c.getTimestamp(),permission:c.getPermission(),metadata:c.getMetadata()})}if(this.signature=null,this.signature_type!=vt.SIGNATURE_NONE){var p=new vt.BinaryBuffer;p.reserve(i.length+s.length),p.put(i.toUint8Array()),p.put(s.toUint8Array());var d=he(this.signature_type,p.toUint8Array(),this.private_key);p=null,o(".phar/signature.bin",vt.Binary.writeLInt(this.signature_type)+vt.Binary.writeLInt(d.length)+d,{timestamp:r,permission:420}),this.signature=fe(this.signature_type,d)}var g=i.length;return i.put(s.toUint8Array()),i.put(we),i.putLShort(0),i.putLShort(0),i.putLShort(a),i.putLShort(a),i.putLInt(s.length),i.putLInt(g),i.putLShort(this.metadata.length),i.put(this.metadata),e?i.toUint8Array():i.buffer},e=e||{},this.alias=p(e.alias||""),this.setStub(e.stub||"<?php "+vt.STUB_END),this.metadata=p(e.metadata||""),this.directories=Object.create(null),this.setFiles(e.files||[]),this.flags=e.flags||De,this.setSignatureType("number"==typeof e.signature_type?e.signature_type:vt.SIGNATURE_SHA1,e.private_key),this.signature=null,this.setArchiveCompression(e.archive_compression||vt.COMPRESSION_NONE),this.manifest_api=e.manifest_api||17,this.setReproducible(e.reproducible||!1),this},PharFile:function(e,t,r){if(this.getName=function(){return this.name},this.setName=function(e){return(e=p(e))!==this.name&&w++,this.name=e,this},this.getContents=function(){return E(this.getContentsAsBytes())},this.getContentsAsBytes=function(){if(null===this.contents){var e=this.source,t=e.buffer.subarray(e.offset,e.offset+e.length);try{if(this.setContents(t,!0),this.crc=l(this.contents),this.crc!=e.crc32)throw new vt.PharEntryError('Phar is corrupted! (file corrupt: "'+this.name+'")',vt.ERROR_CRC_MISMATCH,this.name)}catch(t){throw this.setContentsSource(e.buffer,e.offset,e.length,e.size,e.crc32),t}}return this.contents},this.getContentsAsText=function(){var e=this.getContentsAsBytes(),t=y(e);return-1!=t.indexOf("�")&&E(v(t))!==E(e)?E(e):t},this.setContentsAsText=function(e){return this.setContents(v(e))},this.setContentsSource=function(e,t,r,n,i){return this.contents=null,this.compressed=null,this.crc=null,this.source={buffer:e,offset:t,length:r,size:n,crc32:i},this},this.isLoaded=function(){return null!==this.contents},this.setContents=function(e,t){if(g(e)){var r=this;return m(e).then(function(e){return r.setContents(e,t)})}if(this.source=null,this.compressed=null,this.crc=null,e=c(e),t)switch(this.compression_type){case vt.COMPRESSION_NONE:this.contents=e;break;case vt.COMPRESSION_GZ:try{this.contents=o(e)}catch(e){throw new vt.PharEntryError("Inflate error: "+e+' ("'+this.name+'")',vt.ERROR_DECOMPRESSION_FAILED,this.name)}this.compressed=e;break;case vt.COMPRESSION_BZIP2:try{this.contents=Z(e)}catch(e){throw new vt.PharEntryError("bzip2 decompression error: "+e+' ("'+this.name+'")',vt.ERROR_DECOMPRESSION_FAILED,this.name)}this.compressed=e;break;default:throw new vt.PharEntryError("Unsupported compression type detected!",vt.ERROR_UNSUPPORTED_COMPRESSION,this.name)}else this.contents=e;return this},this.getCompressedContents=function(){return E(this.getCompressedContentsAsBytes())},this.getCompressedContentsAsBytes=function(){if(this.compression_type==vt.COMPRESSION_NONE)return this.getContentsAsBytes();if(null===this.contents)return this.source.buffer.subarray(this.source.offset,this.source.offset+this.source.length);if(null===this.compressed)switch(this.compression_type){case vt.COMPRESSION_GZ:try{this.compressed=u(this.contents,this.compression_level)}catch(e){throw Error("Deflate error: "+e)}break;case vt.COMPRESSION_BZIP2:this.compressed=W(this.contents,this.compression_level)}return this.compressed},this.isDirty=function(){return null!==this.contents&&(null===this.crc||this.compression_type!=vt.COMPRESSION_NONE&&null===this.compressed)},this.getSize=function(){return null===this.contents?this.source.size:this.contents.length},this.getCRC32=function(){return null===this.contents?this.source.crc32:(null===this.crc&&(this.crc=l(this.contents)),this.crc)},this.getCompressedSize=function(){return null===this.contents?this.source.length:this.getCompressedContentsAsBytes().length},this.getComressedSize=function(){return this.getCompressedSize()},this.getCompressionType=function(){return this.compression_type},this.setCompressionType=function(e){if(-1==vt.SUPPORTED_COMPRESSION.indexOf(e))throw Error("("+e+") compression type is not supported!");return null===this.contents&&this.getContentsAsBytes(),e!=this.compression_type&&(this.compressed=null),this.compression_type=e,this},this.getCompressionLevel=function(){return this.compression_level},this.setCompressionLevel=function(e){if(null!==e&&(e!==(0|e)||e<1||e>9))throw Error("Compression level must be from 1 to 9!");return e!==this.compression_level&&(null===this.contents&&this.getContentsAsBytes(),this.compressed=null),this.compression_level=e,this},this.getPermission=function(){return this.permission},this.setPermission=function(e){if(e>4095||e<0)throw Error("Permission flag is incorrect!");return this.permission=e,this},this.getPharFlags=function(){return this.permission|this.compression_type},this.getTimestamp=function(){return this.timestamp},this.setTimestamp=function(e){return e<0&&(e=Date.now()/1e3|0),this.timestamp=e,this},this.getMetadata=function(){return this.metadata},this.setMetadata=function(e){return this.metadata=p(e),this},this.getMetadataValue=function(e){return""===this.metadata?null:vt.PhpSerializer.unserialize(this.metadata,!e)},this.setMetadataValue=function(e){return this.metadata=null==e?"":vt.PhpSerializer.serialize(e),this},r=r||{},g(t))throw Error("Blob contents can be read only asynchronously, use setContents() (it returns a Promise)!");return this.name=p(e||"newfile"),this.compressed=null,this.crc=null,this.setCompressionType(r.compression_type||vt.COMPRESSION_NONE),this.setCompressionLevel(r.compression_level||null),this.setContents(t||"",r.is_compressed||!1),this.setTimestamp(r.timestamp||-1),this.setPermission(r.permission||438),this.metadata=p(r.metadata||""),this}};vt.PharError.prototype=Object.create(Error.prototype),vt.PharError.prototype.constructor=vt.PharError;for(var yt=["PharFormatError","PharSignatureError","PharEntryError"],_t=0;_t<yt.length;_t++)vt[yt[_t]].prototype=Object.create(vt.PharError.prototype),vt[yt[_t]].prototype.constructor=vt[yt[_t]];return vt.Phar.verifySignature=function(e,t){t=t||{};var r=_(e=pe(c(e)),vt.STUB_END);if(-1==r)throw new vt.PharFormatError("Stub not found!",vt.ERROR_STUB_NOT_FOUND);if(!ke(e,r))return null;var n=Me(e);if(n.error)throw n.error;var i=f(ae(n.type),e.subarray(0,n.data_end));if(n.type&vt.SIGNATURE_OPENSSL)var s=t.public_key?ie(t.public_key,i,n.hash):null;else s=i===n.hash;return{signature_type:n.type,hash_type:oe[n.type],expected:ue(n.hash),actual:ue(i),valid:s}},"undefined"==typeof Zlib||void 0===Zlib.Zip&&void 0===Zlib.Unzip||(vt.PharZipConverter={toZip:function(e){var t=new Zlib.Zip,r=e.getFiles();for(var n in r){var i=new Date;i.setTime(1e3*r[n].getTimestamp()),t.addFile(r[n].getContentsAsBytes(),{filename:c(r[n].getName()),date:i})}return t},toPhar:function(e){var t=new vt.Phar,r=e.getFilenames();try{for(var n in r)t.addFile(new vt.PharFile(r[n],e.decompress(r[n])))}catch(e){throw Error("Zlib.Unzip decompression error: "+e)}return t}}),vt});
\ No newline at end of file
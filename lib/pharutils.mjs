@@ -0,0 +1,27 @@
+/**
+ * Utilities for working with Phar archives (ES module entry point)
+ * https://github.com/FaigerSYS/PharUtils.js
+ * @license PharUtils.js [The MIT License]
+ * @copyright FaigerSYS 2018
+ */
+
+import PharUtils from './pharutils.js';
+
+export default PharUtils;
+export var Phar = PharUtils.Phar;
+export var PharFile = PharUtils.PharFile;
+export var PhpObject = PharUtils.PhpObject;
+export var PhpSerializer = PharUtils.PhpSerializer;
+export var PharStub = PharUtils.PharStub;
+export var PharAutoloader = PharUtils.PharAutoloader;
+export var PluginDescription = PharUtils.PluginDescription;
+export var diff = PharUtils.diff;
+export var formatDiff = PharUtils.formatDiff;
+export var inspect = PharUtils.inspect;
+export var Binary = PharUtils.Binary;
+export var BinaryBuffer = PharUtils.BinaryBuffer;
+export var PharError = PharUtils.PharError;
+export var PharFormatError = PharUtils.PharFormatError;
+export var PharSignatureError = PharUtils.PharSignatureError;
+export var PharEntryError = PharUtils.PharEntryError;
+export var PharZipConverter = PharUtils.PharZipConverter;
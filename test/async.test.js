@@ -0,0 +1,175 @@
+/**
+ * loadPharDataAsync() and savePharDataAsync(): steps, workers, progress and cancellation
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var PharUtils = require('../lib/pharutils.js');
+
+var LONG = new Array(200).join('<?php echo "async";\n');
+
+function createPhar() {
+	var phar = new PharUtils.Phar({ stub: '<?php echo 1; __HALT_COMPILER();' });
+	phar.addFile(new PharUtils.PharFile('a.txt', 'contents of a', { timestamp: 1600000000 }));
+	phar.addFile(new PharUtils.PharFile('gz.php', LONG, { compression_type: PharUtils.COMPRESSION_GZ, timestamp: 1600000000 }));
+	phar.addFile(new PharUtils.PharFile('bz2.php', LONG, { compression_type: PharUtils.COMPRESSION_BZIP2, timestamp: 1600000000 }));
+	phar.addDirectory('empty', { timestamp: 1600000000, permission: 448 });
+	phar.setMetadataValue({ name: 'Привет' });
+	return phar;
+}
+
+function replace(data, search, replacement) {
+	var pos = data.indexOf(search);
+	assert.notStrictEqual(pos, -1);
+	return data.substring(0, pos) + replacement + data.substring(pos + search.length);
+}
+
+function describe(phar) {
+	return {
+		stub: phar.getStub(),
+		metadata: phar.getMetadataValue(),
+		files: phar.getFiles().concat(phar.getDirectories()).map(function(file) {
+			return [file.getName(), file.getContents(), file.getCompressionType(), file.getTimestamp(), file.getPermission()];
+		})
+	};
+}
+
+[false, true].forEach(function(worker) {
+	var mode = worker ? 'in a worker' : 'in steps';
+	
+	test('loads ' + mode + ' with progress', async function() {
+		var data = createPhar().savePharData(true);
+		var events = [];
+		var phar = await new PharUtils.Phar().loadPharDataAsync(data, {
+			worker: worker,
+			onprogress: function(event) {
+				events.push(event.phase + ' ' + event.entry + ' ' + event.current + '/' + event.total);
+			}
+		});
+		
+		assert.deepStrictEqual(describe(phar), describe(new PharUtils.Phar().loadPharData(data)));
+		assert.ok(phar.isDirectory('empty'));
+		assert.deepStrictEqual(events, [
+			'signature null 0/1',
+			'signature null 1/1',
+			'entry empty/ 1/4',
+			'entry a.txt 2/4',
+			'entry gz.php 3/4',
+			'entry bz2.php 4/4'
+		]);
+	});
+	
+	test('saves ' + mode + ' with progress', async function() {
+		var phar = createPhar();
+		var events = [];
+		var data = await phar.savePharDataAsync({
+			worker: worker,
+			onprogress: function(event) {
+				events.push(event.phase + ' ' + event.entry);
+			}
+		});
+		assert.strictEqual(data, phar.savePharData());
+		assert.deepStrictEqual(events, ['entry a.txt', 'entry gz.php', 'entry bz2.php', 'signature null', 'signature null']);
+		assert.deepStrictEqual(await phar.savePharDataAsync({ worker: worker, as_u8a: true }), phar.savePharData(true));
+		
+		await assert.rejects(new PharUtils.Phar().savePharDataAsync({ worker: worker }), /at least one file/);
+	});
+	
+	test('saves lazily loaded and reproducible archives ' + mode, async function() {
+		var phar = new PharUtils.Phar().loadPharData(createPhar().savePharData(true), { lazy: true });
+		var data = await phar.savePharDataAsync({ worker: worker });
+		assert.strictEqual(data, createPhar().savePharData());
+		if (worker) {
+			assert.ok(phar.getFiles().every(function(file) {
+				return !file.isLoaded();
+			}), 'contents are decompressed by the worker');
+		}
+		
+		phar.setReproducible({ permission: 384 }); // 0600
+		var before = describe(phar);
+		data = await phar.savePharDataAsync({ worker: worker });
+		assert.strictEqual(data, phar.savePharData());
+		assert.deepStrictEqual(describe(phar), before);
+		assert.strictEqual(new PharUtils.Phar().loadPharData(data).getFile('a.txt').getPermission(), 384);
+	});
+	
+	test('rejects broken archives ' + mode + ' with the same errors', async function() {
+		var data = replace(createPhar().savePharData(), 'contents of a', 'contents of A');
+		await assert.rejects(new PharUtils.Phar().loadPharDataAsync(data, { worker: worker }), function(error) {
+			assert.ok(error instanceof PharUtils.PharSignatureError);
+			assert.strictEqual(error.code, PharUtils.ERROR_BAD_SIGNATURE);
+			return true;
+		});
+		await assert.rejects(new PharUtils.Phar().loadPharDataAsync(data, { worker: worker, verify_signature: false }), function(error) {
+			assert.ok(error instanceof PharUtils.PharEntryError);
+			assert.strictEqual(error.code, PharUtils.ERROR_CRC_MISMATCH);
+			assert.strictEqual(error.entry, 'a.txt');
+			return true;
+		});
+		
+		var phar = await new PharUtils.Phar().loadPharDataAsync(data, { worker: worker, lenient: true });
+		assert.deepStrictEqual(phar.getFiles().map(function(file) {
+			return file.getName();
+		}), ['gz.php', 'bz2.php']);
+		assert.strictEqual(phar.getFile('a.txt'), undefined);
+		assert.deepStrictEqual(phar.getDiagnostics().broken_entries, ['a.txt']);
+		assert.deepStrictEqual(phar.getDiagnostics().errors.map(function(error) {
+			return error.code;
+		}), [PharUtils.ERROR_BAD_SIGNATURE, PharUtils.ERROR_CRC_MISMATCH]);
+		assert.ok(phar.getDiagnostics().errors[1] instanceof PharUtils.PharEntryError);
+	});
+	
+	test('is cancelled by an AbortSignal ' + mode, async function() {
+		var data = createPhar().savePharData(true);
+		var isAbort = function(error) {
+			assert.strictEqual(error.name, 'AbortError');
+			assert.strictEqual(error.code, PharUtils.ERROR_ABORTED);
+			return true;
+		};
+		
+		var controller = new AbortController();
+		controller.abort();
+		await assert.rejects(new PharUtils.Phar().loadPharDataAsync(data, { worker: worker, signal: controller.signal }), isAbort);
+		await assert.rejects(createPhar().savePharDataAsync({ worker: worker, signal: controller.signal }), isAbort);
+		
+		controller = new AbortController();
+		await assert.rejects(new PharUtils.Phar().loadPharDataAsync(data, {
+			worker: worker,
+			signal: controller.signal,
+			onprogress: function(event) {
+				if (event.phase == 'entry') {
+					controller.abort();
+				}
+			}
+		}), isAbort);
+	});
+});
+
+test('keeps stored names of entries loaded in a worker', async function() {
+	var phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('a.txt', 'first'));
+	var file = new PharUtils.PharFile('tmp', 'second');
+	phar.addFile(file);
+	file.setName('./a.txt');
+	
+	var loaded = await new PharUtils.Phar().loadPharDataAsync(phar.savePharData(true), { worker: true });
+	assert.deepStrictEqual(loaded.getFiles().map(function(file) {
+		return file.getName();
+	}), ['a.txt', './a.txt']);
+	assert.strictEqual(loaded.getFile('a.txt').getContents(), 'first');
+	assert.deepStrictEqual(loaded.getDiagnostics().errors.map(function(error) {
+		return error.code;
+	}), [PharUtils.ERROR_DUPLICATE_ENTRY]);
+});
+
+test('loads Blobs and lazily without a worker', async function() {
+	var data = createPhar().savePharData(true);
+	var phar = await new PharUtils.Phar().loadPharDataAsync(new Blob([data]), { worker: true });
+	assert.strictEqual(phar.getFile('gz.php').getContents(), LONG);
+	
+	phar = await new PharUtils.Phar().loadPharDataAsync(data, { worker: true, lazy: true });
+	assert.strictEqual(phar.getFile('gz.php').isLoaded(), false);
+	assert.strictEqual(phar.getFile('gz.php').getContents(), LONG);
+});
@@ -0,0 +1,221 @@
+/**
+ * PharAutoloader: PHP declarations, classmaps, generated autoloader and stub
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var child_process = require('child_process');
+var PharUtils = require('../lib/pharutils.js');
+
+var SAMPLES = {
+	'src/Plugin/Main.php': [
+		'<?php',
+		'',
+		'declare(strict_types=1);',
+		'',
+		'namespace Vendor\\Plugin;',
+		'',
+		'use pocketmine\\plugin\\PluginBase;',
+		'use Vendor\\Plugin\\{Command, Listener};',
+		'',
+		'#[\\Attribute]',
+		'final class Main extends PluginBase implements Listener {',
+		'	public function onEnable(): void {',
+		'		$this->getLogger()->info(self::class . " " . static::class . " " . Command::class);',
+		'		$handler = new class($this) implements Listener {};',
+		'		$this->class = "class Fake {}";',
+		'		$sql = <<<SQL',
+		'class NotAClass {}',
+		'SQL;',
+		'		// class Commented {}',
+		'		/* interface Commented {} */',
+		'	}',
+		'',
+		'	public function enum(): int { return 1; }',
+		'	const class = 1;',
+		'}',
+		'',
+		'abstract class Base {}',
+		''
+	].join('\n'),
+	'src/Plugin/Types.php': [
+		'<?php',
+		'namespace Vendor\\Plugin;',
+		'',
+		'enum Suit: string {',
+		'	case Hearts = \'H\';',
+		'	public function label(): string { return self::class; }',
+		'}',
+		'enum Status implements HasLabel { case On; }',
+		'enum Plain { case A; }',
+		'interface HasLabel {}',
+		'trait Labels {}',
+		'$enum = enum(1);',
+		'function enum($x) { return $x; }',
+		''
+	].join('\n'),
+	'src/blocks.php': [
+		'<?php',
+		'namespace First {',
+		'	class A {}',
+		'}',
+		'namespace Second\\Level {',
+		'	class B { function f() { if (true) { return B::class; } } }',
+		'}',
+		'namespace {',
+		'	class GlobalClass {}',
+		'}',
+		''
+	].join('\n'),
+	'templates/page.php': '<h1>class Title</h1>\n<?php class Page {} ?>\n<p>interface Html</p>\n<?= "x" ?>\n',
+	'lib/old.php': '<?php\nclass vendor_plugin_old {}\n__halt_compiler();\nclass AfterHalt {}\n',
+	'lib/copy.php': '<?php\nnamespace vendor\\plugin;\nclass MAIN {}\n',
+	'README.md': 'class NotPhp {}'
+};
+
+function createPhar() {
+	var phar = new PharUtils.Phar();
+	for (var name in SAMPLES) {
+		phar.addFile(new PharUtils.PharFile(name, SAMPLES[name]));
+	}
+	return phar;
+}
+
+function declarations(code) {
+	return PharUtils.PharAutoloader.findClasses(code).map(function(item) {
+		return item.type + ' ' + item.name + ':' + item.line;
+	});
+}
+
+test('finds classes, interfaces, traits and enums with their namespaces', function() {
+	assert.deepStrictEqual(declarations(SAMPLES['src/Plugin/Main.php']), [
+		'class Vendor\\Plugin\\Main:11',
+		'class Vendor\\Plugin\\Base:27'
+	]);
+	assert.deepStrictEqual(declarations(SAMPLES['src/Plugin/Types.php']), [
+		'enum Vendor\\Plugin\\Suit:4',
+		'enum Vendor\\Plugin\\Status:8',
+		'enum Vendor\\Plugin\\Plain:9',
+		'interface Vendor\\Plugin\\HasLabel:10',
+		'trait Vendor\\Plugin\\Labels:11'
+	]);
+	assert.deepStrictEqual(declarations(SAMPLES['src/blocks.php']), [
+		'class First\\A:3',
+		'class Second\\Level\\B:6',
+		'class GlobalClass:9'
+	]);
+	assert.deepStrictEqual(declarations(SAMPLES['templates/page.php']), ['class Page:2']);
+	assert.deepStrictEqual(declarations(SAMPLES['lib/old.php']), ['class vendor_plugin_old:2']);
+	assert.deepStrictEqual(declarations('no php here, class X {}'), []);
+	
+	// contents are binary strings, so UTF-8 names are matched byte by byte
+	var utf8 = Buffer.from('<?php\nnamespace Плагин;\nclass Главный {}').toString('latin1');
+	assert.deepStrictEqual(declarations(utf8), [Buffer.from('class Плагин\\Главный:3').toString('latin1')]);
+});
+
+test('builds a classmap and reports duplicate classes', function() {
+	var report = PharUtils.PharAutoloader.createClassmap(createPhar());
+	assert.deepStrictEqual(report.classmap, {
+		'Vendor\\Plugin\\Main': 'src/Plugin/Main.php',
+		'Vendor\\Plugin\\Base': 'src/Plugin/Main.php',
+		'Vendor\\Plugin\\Suit': 'src/Plugin/Types.php',
+		'Vendor\\Plugin\\Status': 'src/Plugin/Types.php',
+		'Vendor\\Plugin\\Plain': 'src/Plugin/Types.php',
+		'Vendor\\Plugin\\HasLabel': 'src/Plugin/Types.php',
+		'Vendor\\Plugin\\Labels': 'src/Plugin/Types.php',
+		'First\\A': 'src/blocks.php',
+		'Second\\Level\\B': 'src/blocks.php',
+		'GlobalClass': 'src/blocks.php',
+		'Page': 'templates/page.php',
+		'vendor_plugin_old': 'lib/old.php'
+	});
+	assert.deepStrictEqual(report.duplicates, [{ name: 'Vendor\\Plugin\\Main', files: ['src/Plugin/Main.php', 'lib/copy.php'] }]);
+	assert.deepStrictEqual(report.classes[report.classes.length - 1], { name: 'vendor\\plugin\\MAIN', type: 'class', file: 'lib/copy.php', line: 3 });
+	
+	report = PharUtils.PharAutoloader.createClassmap(createPhar(), { match: 'src/**', exclude: /Types/ });
+	assert.deepStrictEqual(Object.keys(report.classmap), ['Vendor\\Plugin\\Main', 'Vendor\\Plugin\\Base', 'First\\A', 'Second\\Level\\B', 'GlobalClass']);
+	assert.deepStrictEqual(report.duplicates, []);
+});
+
+test('creates autoloader code and stub', function() {
+	var code = PharUtils.PharAutoloader.createAutoloader({ 'Vendor\\Main': 'src/Main.php', 'A': 'a\'b.php' }, { path: 'vendor/composer/autoload.php', prepend: true });
+	assert.strictEqual(code, [
+		'<?php',
+		'',
+		'// classmap autoloader generated by PharUtils.js (2 classes)',
+		'',
+		'spl_autoload_register(function ($class) {',
+		'	static $classmap = array(',
+		'		\'a\' => \'/a\\\'b.php\',',
+		'		\'vendor\\\\main\' => \'/src/Main.php\',',
+		'	);',
+		'	$class = strtolower(ltrim($class, \'\\\\\'));',
+		'	if (isset($classmap[$class])) {',
+		'		require dirname(dirname(__DIR__)) . $classmap[$class];',
+		'	}',
+		'}, true, true);',
+		''
+	].join('\n'));
+	
+	assert.strictEqual(PharUtils.PharAutoloader.createStub('lib/autoload.php', { index: './bin/run.php', alias: 'app.phar', shebang: true }), [
+		'#!/usr/bin/env php',
+		'<?php',
+		'',
+		'Phar::mapPhar(\'app.phar\');',
+		'require \'phar://\' . __FILE__ . \'/lib/autoload.php\';',
+		'require \'phar://\' . __FILE__ . \'/bin/run.php\';',
+		'',
+		'__HALT_COMPILER(); ?>\r\n'
+	].join('\n'));
+});
+
+test('generateAutoloader() adds the autoloader and replaces the stub', function() {
+	var phar = createPhar();
+	phar.setAlias('plugin.phar');
+	phar.setStub('#!/usr/bin/php\n<?php __HALT_COMPILER();');
+	var report = phar.generateAutoloader({ exclude: 'lib/**', index: 'src/Plugin/Main.php' });
+	
+	assert.strictEqual(report.path, 'autoload.php');
+	assert.strictEqual(Object.keys(report.classmap).length, 11);
+	assert.ok(phar.getFile('autoload.php').getContents().indexOf('\'vendor\\\\plugin\\\\suit\' => \'/src/Plugin/Types.php\',') != -1);
+	assert.strictEqual(phar.getStub(), PharUtils.PharAutoloader.createStub('autoload.php', { index: 'src/Plugin/Main.php', alias: 'plugin.phar', shebang: '#!/usr/bin/php' }));
+	
+	// generated again, the previous autoloader is not scanned
+	phar.getFile('autoload.php').setContents('<?php class Stale {}');
+	report = phar.generateAutoloader({ exclude: 'lib/**', stub: false });
+	assert.ok(!('Stale' in report.classmap));
+	assert.strictEqual(phar.getFilesCount(), Object.keys(SAMPLES).length + 1);
+	
+	var loaded = new PharUtils.Phar().loadPharData(phar.savePharData());
+	assert.strictEqual(loaded.getFile('autoload.php').getContents(), phar.getFile('autoload.php').getContents());
+});
+
+test('autoload command writes the autoloader and warns about duplicates', function() {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-autoload-'));
+	try {
+		fs.writeFileSync(path.join(dir, 'app.phar'), createPhar().savePharData(true));
+		var run = function(args) {
+			return child_process.spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'pharutils.js'), 'autoload', 'app.phar'].concat(args), { cwd: dir, encoding: 'latin1' });
+		};
+		
+		var result = run(['src/Plugin/Main.php', '--autoloader', 'vendor/autoload.php']);
+		assert.strictEqual(result.status, 0, result.stderr);
+		assert.strictEqual(result.stdout, 'vendor/autoload.php: 12 classes\n');
+		assert.strictEqual(result.stderr, 'warning: Vendor\\Plugin\\Main is defined in src/Plugin/Main.php, lib/copy.php (src/Plugin/Main.php is used)\n');
+		var phar = new PharUtils.Phar().loadPharData(fs.readFileSync(path.join(dir, 'app.phar')));
+		assert.ok(phar.getFile('vendor/autoload.php').getContents().indexOf('require dirname(__DIR__) . $classmap[$class];') != -1);
+		assert.ok(phar.getStub().indexOf('/vendor/autoload.php') != -1);
+		
+		result = run(['--include', 'src/**', '--keep-stub', '--json', '-o', 'out.phar']);
+		assert.strictEqual(result.status, 0, result.stderr);
+		assert.deepStrictEqual(JSON.parse(result.stdout).duplicates, []);
+		assert.strictEqual(new PharUtils.Phar().loadPharData(fs.readFileSync(path.join(dir, 'out.phar'))).getStub(), phar.getStub());
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+});
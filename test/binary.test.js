@@ -0,0 +1,83 @@
+/**
+ * Binary utils, BinaryBuffer and byte access to contents
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var PharUtils = require('../lib/pharutils.js');
+
+test('Binary reads and writes little-endian numbers', function() {
+	assert.strictEqual(PharUtils.Binary.writeLInt(0x12345678), '\x78\x56\x34\x12');
+	assert.strictEqual(PharUtils.Binary.writeLShort(0xabcd), '\xcd\xab');
+	assert.strictEqual(PharUtils.Binary.readLInt('\xff\xff\xff\xff'), 0xffffffff);
+	assert.strictEqual(PharUtils.Binary.readLInt(new Uint8Array([0, 1, 0, 0, 0]), 1), 1);
+	assert.strictEqual(PharUtils.Binary.readLShort('xx\x01\x02', 2), 0x0201);
+	assert.strictEqual(PharUtils.Binary.readLShort(new Uint8Array([0xcd, 0xab])), 0xabcd);
+});
+
+test('BinaryBuffer grows and reads back what was put', function() {
+	var buffer = new PharUtils.BinaryBuffer();
+	var chunk = new Uint8Array(1000);
+	for (var i = 0; i < chunk.length; i++) {
+		chunk[i] = i & 0xff;
+	}
+	for (var i = 0; i < 100; i++) {
+		buffer.putLInt(i).putLShort(0xffff - i).putString('name ' + i).put(chunk);
+	}
+	assert.strictEqual(buffer.length, 100 * (4 + 2 + 4 + 1000) + 10 * 6 + 90 * 7); // 'name 0' to 'name 99'
+	
+	var copy = new PharUtils.BinaryBuffer(buffer.toUint8Array());
+	for (var i = 0; i < 100; i++) {
+		assert.strictEqual(copy.getLInt(), i);
+		assert.strictEqual(copy.getLShort(), 0xffff - i);
+		assert.strictEqual(copy.getString(), 'name ' + i);
+		assert.deepStrictEqual(copy.getBytes(1000), chunk);
+	}
+	assert.throws(function() {
+		copy.getLInt();
+	}, /out of bounds/);
+	assert.strictEqual(new PharUtils.BinaryBuffer('\x01\x02').get(-1), '\x01\x02');
+});
+
+test('BinaryBuffer keeps the binary string access', function() {
+	var buffer = new PharUtils.BinaryBuffer('ab');
+	buffer.put('\xff').put(new Uint8Array([0]));
+	assert.strictEqual(buffer.buffer, 'ab\xff\x00');
+	buffer.buffer = 'xyz';
+	assert.strictEqual(buffer.length, 3);
+	assert.strictEqual(buffer.get(3), 'xyz');
+});
+
+test('contents are available as bytes and binary strings', function() {
+	var bytes = new Uint8Array([0x00, 0x80, 0xff, 0x41]);
+	var file = new PharUtils.PharFile('a.bin', bytes);
+	assert.ok(file.getContentsAsBytes() instanceof Uint8Array);
+	assert.deepStrictEqual(file.getContentsAsBytes(), bytes);
+	assert.strictEqual(file.getContents(), '\x00\x80\xff\x41');
+	assert.strictEqual(file.getSize(), 4);
+	
+	file.setContents('\x01\x02');
+	assert.deepStrictEqual(file.getContentsAsBytes(), new Uint8Array([1, 2]));
+});
+
+test('saves phars as bytes and binary strings', function() {
+	var phar = new PharUtils.Phar();
+	var big = new Uint8Array(3 * 1024 * 1024);
+	for (var i = 0; i < big.length; i += 4096) {
+		big[i] = i & 0xff;
+	}
+	phar.addFile(new PharUtils.PharFile('big.bin', big, { timestamp: 1500000000 }));
+	phar.addFile(new PharUtils.PharFile('gz.bin', big, { timestamp: 1500000000, compression_type: PharUtils.COMPRESSION_GZ }));
+	
+	var bytes = phar.savePharData(true);
+	assert.ok(bytes instanceof Uint8Array);
+	assert.ok(bytes.length > big.length);
+	assert.strictEqual(phar.savePharData().length, bytes.length);
+	
+	var loaded = new PharUtils.Phar().loadPharData(bytes);
+	assert.deepStrictEqual(loaded.getFile('big.bin').getContentsAsBytes(), big);
+	assert.deepStrictEqual(loaded.getFile('gz.bin').getContentsAsBytes(), big);
+	assert.ok(loaded.getFile('gz.bin').getComressedSize() < big.length / 10);
+});
@@ -0,0 +1,44 @@
+/**
+ * Loads a build of the library like a browser <script> tag does, with the zlib.js and
+ * jsHashes globals it needs there backed by the Node.js zlib and crypto modules
+ */
+
+'use strict';
+
+var fs = require('fs');
+var zlib = require('zlib');
+var crypto = require('crypto');
+
+function hasher(algorithm) {
+	return function() {
+		this.raw = function(str) {
+			return crypto.createHash(algorithm).update(str, 'latin1').digest('latin1');
+		};
+	};
+}
+
+var Zlib = {
+	RawInflate: function(data) {
+		this.decompress = function() {
+			return new Uint8Array(zlib.inflateRawSync(Buffer.from(data)));
+		};
+	},
+	RawDeflate: function(data) {
+		this.compress = function() {
+			return new Uint8Array(zlib.deflateRawSync(Buffer.from(data)));
+		};
+	}
+};
+
+var Hashes = {
+	MD5: hasher('md5'),
+	SHA1: hasher('sha1'),
+	SHA256: hasher('sha256'),
+	SHA512: hasher('sha512')
+};
+
+module.exports = function(file) {
+	var window = { };
+	new Function('Zlib', 'Hashes', fs.readFileSync(file, 'utf8')).call(window, Zlib, Hashes);
+	return window.PharUtils;
+};
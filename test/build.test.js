@@ -0,0 +1,158 @@
+/**
+ * buildFromDirectory() and buildFromIterator()
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var child_process = require('child_process');
+var loadBrowser = require('./browser.js');
+var PharUtils = require('../lib/pharutils.js');
+
+function tempDir() {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-build-'));
+	test.after(function() {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+	return dir;
+}
+
+function createTree(dir) {
+	var files = {
+		'plugin.yml': 'name: Test',
+		'src/Main.php': '<?php class Main {}',
+		'src/lib/Util.php': '<?php class Util {}',
+		'src/lib/data.json': '{}',
+		'tests/MainTest.php': '<?php',
+		'README.md': 'readme',
+		'src/NOTES.md': 'notes'
+	};
+	for (var name in files) {
+		fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+		fs.writeFileSync(path.join(dir, name), files[name]);
+	}
+	fs.chmodSync(path.join(dir, 'src', 'Main.php'), 493); // 0755
+	fs.utimesSync(path.join(dir, 'plugin.yml'), 1600000000, 1600000000);
+	return dir;
+}
+
+function names(phar) {
+	return phar.getFiles().map(function(file) {
+		return file.getName();
+	});
+}
+
+test('adds all files of a directory tree', function() {
+	var dir = createTree(tempDir());
+	var phar = new PharUtils.Phar();
+	var result = phar.buildFromDirectory(dir);
+	
+	assert.deepStrictEqual(names(phar), ['README.md', 'plugin.yml', 'src/Main.php', 'src/NOTES.md', 'src/lib/Util.php', 'src/lib/data.json', 'tests/MainTest.php']);
+	assert.strictEqual(result['src/lib/Util.php'], path.join(dir, 'src', 'lib', 'Util.php'));
+	assert.strictEqual(phar.getFile('plugin.yml').getContents(), 'name: Test');
+	assert.strictEqual(phar.getFile('plugin.yml').getTimestamp(), 1600000000);
+	assert.strictEqual(phar.getFile('src/Main.php').getPermission(), 493);
+	assert.throws(function() {
+		phar.buildFromDirectory(path.join(dir, 'plugin.yml'));
+	}, /not a directory/);
+});
+
+test('filters by include and exclude globs, RegExps and PHP pattern', function() {
+	var dir = createTree(tempDir());
+	
+	var phar = new PharUtils.Phar();
+	phar.buildFromDirectory(dir, { exclude: ['tests', '**/*.md'] });
+	assert.deepStrictEqual(names(phar), ['plugin.yml', 'src/Main.php', 'src/lib/Util.php', 'src/lib/data.json']);
+	
+	phar = new PharUtils.Phar();
+	phar.buildFromDirectory(dir, { include: ['src/**/*.php', 'plugin.yml'], exclude: /Util/ });
+	assert.deepStrictEqual(names(phar), ['plugin.yml', 'src/Main.php']);
+	
+	phar = new PharUtils.Phar();
+	phar.buildFromDirectory(dir, /\.php$/);
+	assert.deepStrictEqual(names(phar), ['src/Main.php', 'src/lib/Util.php', 'tests/MainTest.php']);
+	
+	phar = new PharUtils.Phar();
+	phar.buildFromDirectory(dir, { include: '*.yml', pattern: '\\.yml$' });
+	assert.deepStrictEqual(names(phar), ['plugin.yml']);
+});
+
+test('sets compression by extension and adds under a prefix', function() {
+	var dir = createTree(tempDir());
+	var phar = new PharUtils.Phar();
+	var result = phar.buildFromDirectory(path.join(dir, 'src'), {
+		compression: { php: PharUtils.COMPRESSION_GZ, json: PharUtils.COMPRESSION_BZIP2, '*': PharUtils.COMPRESSION_NONE },
+		prefix: 'lib/vendor'
+	});
+	assert.deepStrictEqual(Object.keys(result).sort(), ['lib/vendor/Main.php', 'lib/vendor/NOTES.md', 'lib/vendor/lib/Util.php', 'lib/vendor/lib/data.json']);
+	assert.strictEqual(phar.getFile('lib/vendor/Main.php').getCompressionType(), PharUtils.COMPRESSION_GZ);
+	assert.strictEqual(phar.getFile('lib/vendor/lib/data.json').getCompressionType(), PharUtils.COMPRESSION_BZIP2);
+	assert.strictEqual(phar.getFile('lib/vendor/NOTES.md').getCompressionType(), PharUtils.COMPRESSION_NONE);
+	
+	var loaded = new PharUtils.Phar().loadPharData(phar.savePharData());
+	assert.strictEqual(loaded.getFile('lib/vendor/lib/Util.php').getContents(), '<?php class Util {}');
+});
+
+test('symlinked directories are skipped, symlinked files are added', function() {
+	var dir = tempDir();
+	fs.mkdirSync(path.join(dir, 'src'));
+	fs.writeFileSync(path.join(dir, 'src', 'a.php'), '<?php');
+	fs.symlinkSync('..', path.join(dir, 'src', 'parent'));
+	fs.symlinkSync('a.php', path.join(dir, 'src', 'b.php'));
+	fs.symlinkSync('missing', path.join(dir, 'src', 'dangling'));
+	
+	var phar = new PharUtils.Phar();
+	var result = phar.buildFromDirectory(dir);
+	assert.deepStrictEqual(Object.keys(result).sort(), ['src/a.php', 'src/b.php']);
+	assert.strictEqual(phar.getFile('src/b.php').getContents(), '<?php');
+});
+
+test('adds files from objects, arrays and iterables', function() {
+	var dir = createTree(tempDir());
+	
+	var phar = new PharUtils.Phar();
+	phar.buildFromIterator({ 'meta/plugin.yml': path.join(dir, 'plugin.yml') });
+	assert.deepStrictEqual(names(phar), ['meta/plugin.yml']);
+	
+	phar = new PharUtils.Phar();
+	phar.buildFromIterator([path.join(dir, 'src', 'Main.php'), ['docs/readme.txt', path.join(dir, 'README.md')]], dir);
+	assert.deepStrictEqual(names(phar), ['src/Main.php', 'docs/readme.txt']);
+	
+	phar = new PharUtils.Phar();
+	phar.buildFromIterator(new Map([['a.php', path.join(dir, 'src', 'Main.php')], ['b.md', path.join(dir, 'README.md')]]), { exclude: '*.md', prefix: 'x' });
+	assert.deepStrictEqual(names(phar), ['x/a.php']);
+	
+	assert.throws(function() {
+		new PharUtils.Phar().buildFromIterator([path.join(dir, 'plugin.yml')]);
+	}, /Base directory is required/);
+	assert.throws(function() {
+		new PharUtils.Phar().buildFromIterator([path.join(dir, 'plugin.yml')], path.join(dir, 'src'));
+	}, /not in the base directory/);
+	assert.throws(function() {
+		new PharUtils.Phar().buildFromIterator({ src: path.join(dir, 'src') });
+	}, /not a file/);
+});
+
+test('is available only in Node.js', function() {
+	var lib = loadBrowser(__dirname + '/../lib/pharutils.js');
+	assert.throws(function() {
+		new lib.Phar().buildFromDirectory('.');
+	}, /only in Node\.js/);
+});
+
+test('create command filters with --include and --exclude', function() {
+	var dir = createTree(tempDir());
+	var result = child_process.spawnSync(process.execPath, [
+		path.join(__dirname, '..', 'bin', 'pharutils.js'), 'create', 'out.phar', '.',
+		'--exclude', 'tests', '--exclude', '*.md', '--include', '**/*.php', '--compress', 'gz'
+	], { cwd: dir, encoding: 'utf8' });
+	assert.strictEqual(result.status, 0, result.stderr);
+	
+	var phar = new PharUtils.Phar().loadPharData(new Uint8Array(fs.readFileSync(path.join(dir, 'out.phar'))));
+	assert.deepStrictEqual(names(phar), ['src/Main.php', 'src/lib/Util.php']);
+	assert.strictEqual(phar.getFile('src/Main.php').getCompressionType(), PharUtils.COMPRESSION_GZ);
+});
@@ -0,0 +1,106 @@
+/**
+ * bzip2 codec of COMPRESSION_BZIP2 entries
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var child_process = require('child_process');
+var PharUtils = require('../lib/pharutils.js');
+
+var has_bzip2 = !child_process.spawnSync('bzip2', ['--help']).error;
+
+function fixture(name) {
+	return fs.readFileSync(__dirname + '/fixtures/' + name).toString('latin1');
+}
+
+function compress(contents) {
+	return new PharUtils.PharFile('a', contents, { compression_type: PharUtils.COMPRESSION_BZIP2 }).getCompressedContents();
+}
+
+function decompress(compressed) {
+	return new PharUtils.PharFile('a', compressed, { compression_type: PharUtils.COMPRESSION_BZIP2, is_compressed: true }).getContents();
+}
+
+function lines(count) {
+	var str = '';
+	for (var i = 0; i < count; i++) {
+		str += 'line ' + i + '\n';
+	}
+	return str;
+}
+
+function noise(length) {
+	var str = '', seed = 1;
+	for (var i = 0; i < length; i++) {
+		seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+		str += String.fromCharCode((seed >> 16) & 0xff);
+	}
+	return str;
+}
+
+function runs() {
+	var str = '';
+	for (var i = 0; i < 3000; i++) {
+		str += String.fromCharCode(i < 1000 ? 0x61 : i < 2000 ? (i * 7) & 0xff : 0);
+	}
+	return str;
+}
+
+test('round-trips data through compress and decompress', function() {
+	[
+		'',
+		'a',
+		'abracadabra',
+		runs(),
+		noise(5000),
+		lines(20000)
+	].forEach(function(contents) {
+		var compressed = compress(contents);
+		assert.strictEqual(compressed.slice(0, 3), 'BZh');
+		assert.strictEqual(decompress(compressed), contents);
+	});
+});
+
+test('round-trips input larger than one block', function() {
+	var contents = lines(100000) + noise(100000);
+	assert.ok(contents.length > 900000);
+	assert.strictEqual(decompress(compress(contents)), contents);
+});
+
+test('decompresses streams written by the bzip2 tool', function() {
+	assert.strictEqual(decompress(fixture('empty.bz2')), '');
+	assert.strictEqual(decompress(fixture('runs.bin.bz2')), runs());
+	assert.strictEqual(decompress(fixture('lines.txt.bz2')), lines(15000)); // two blocks at -1
+});
+
+test('writes streams the bzip2 tool can read', { skip: !has_bzip2 && 'bzip2 is not installed' }, function() {
+	[ '', runs(), lines(20000) ].forEach(function(contents) {
+		var result = child_process.spawnSync('bzip2', ['-dc'], { input: Buffer.from(compress(contents), 'latin1') });
+		assert.strictEqual(result.status, 0);
+		assert.strictEqual(result.stdout.toString('latin1'), contents);
+	});
+});
+
+test('rejects corrupted streams', function() {
+	var compressed = compress(lines(1000));
+	var corrupted = compressed.slice(0, 40) + String.fromCharCode(compressed.charCodeAt(40) ^ 0xff) + compressed.slice(41);
+	assert.throws(function() {
+		decompress(corrupted);
+	});
+	assert.throws(function() {
+		decompress('not bzip2');
+	});
+});
+
+test('keeps bzip2 compressed entries of a phar', function() {
+	var phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('a.txt', lines(100), { compression_type: PharUtils.COMPRESSION_BZIP2 }));
+	
+	var loaded = new PharUtils.Phar().loadPharData(phar.savePharData());
+	var file = loaded.getFile('a.txt');
+	assert.strictEqual(file.getCompressionType(), PharUtils.COMPRESSION_BZIP2);
+	assert.strictEqual(file.getContents(), lines(100));
+});
@@ -0,0 +1,118 @@
+/**
+ * Compressed contents and CRC32 caches of PharFile, dirty tracking on save
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var zlib = require('zlib');
+var PharUtils = require('../lib/pharutils.js');
+
+var TEXT = new Array(300).join('<?php echo "cache";\n');
+
+// deflated with other settings than a save would use, so kept payloads can be told apart from compressed again ones
+var FOREIGN = new Uint8Array(zlib.deflateRawSync(TEXT, { level: 1, memLevel: 1, strategy: zlib.constants.Z_FIXED }));
+
+function createPhar() {
+	var phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('foreign.php', FOREIGN, { compression_type: PharUtils.COMPRESSION_GZ, is_compressed: true }));
+	phar.addFile(new PharUtils.PharFile('gz.php', TEXT, { compression_type: PharUtils.COMPRESSION_GZ }));
+	phar.addFile(new PharUtils.PharFile('bz2.php', TEXT, { compression_type: PharUtils.COMPRESSION_BZIP2 }));
+	phar.addFile(new PharUtils.PharFile('plain.txt', 'plain'));
+	return phar;
+}
+
+function keepsForeignPayload(data) {
+	return Buffer.from(data).indexOf(Buffer.from(FOREIGN)) != -1;
+}
+
+function dirty(phar) {
+	return phar.getFiles().filter(function(file) {
+		return file.isDirty();
+	}).map(function(file) {
+		return file.getName();
+	});
+}
+
+test('compressed contents are kept until the file changes', function() {
+	assert.notDeepStrictEqual(FOREIGN, new PharUtils.PharFile('a', TEXT, { compression_type: PharUtils.COMPRESSION_GZ }).getCompressedContentsAsBytes());
+	
+	var phar = createPhar();
+	assert.deepStrictEqual(dirty(phar), ['foreign.php', 'gz.php', 'bz2.php', 'plain.txt'], 'CRC32 is computed on the first save');
+	var data = phar.savePharData(true);
+	assert.ok(keepsForeignPayload(data), 'compressed contents given to setContents() are written as they are');
+	assert.deepStrictEqual(dirty(phar), []);
+	
+	var file = phar.getFile('gz.php');
+	var compressed = file.getCompressedContentsAsBytes();
+	assert.strictEqual(file.getCompressedContentsAsBytes(), compressed, 'the same bytes are returned');
+	
+	file.setContents(TEXT + '// changed');
+	assert.deepStrictEqual(dirty(phar), ['gz.php']);
+	assert.strictEqual(file.getCRC32(), new PharUtils.PharFile('a', TEXT + '// changed').getCRC32());
+	assert.notStrictEqual(file.getCompressedContentsAsBytes(), compressed);
+	
+	var foreign = phar.getFile('foreign.php');
+	foreign.setCompressionLevel(9);
+	assert.ok(foreign.isDirty(), 'level change compresses again');
+	assert.ok(!keepsForeignPayload(phar.savePharData(true)));
+	foreign.setCompressionType(PharUtils.COMPRESSION_BZIP2);
+	assert.ok(foreign.isDirty());
+	assert.strictEqual(foreign.getCompressedContents().substring(0, 4), 'BZh9');
+	foreign.setCompressionType(PharUtils.COMPRESSION_BZIP2);
+	assert.ok(!foreign.isDirty(), 'setting the same type keeps the cache');
+});
+
+test('loaded archives are saved without compressing again', function() {
+	var data = createPhar().savePharData(true);
+	var phar = new PharUtils.Phar().loadPharData(data);
+	assert.deepStrictEqual(dirty(phar), []);
+	assert.deepStrictEqual(phar.savePharData(true), data);
+	
+	phar = new PharUtils.Phar().loadPharData(data, { lazy: true });
+	var file = phar.getFile('foreign.php');
+	assert.deepStrictEqual(file.getCompressedContentsAsBytes(), FOREIGN);
+	assert.strictEqual(file.isLoaded(), false, 'compressed contents are read from the source');
+	assert.deepStrictEqual(phar.savePharData(true), data);
+	
+	phar.getFile('plain.txt').setContents('changed');
+	assert.deepStrictEqual(dirty(phar), ['plain.txt']);
+	var saved = new PharUtils.Phar().loadPharData(phar.savePharData());
+	assert.strictEqual(saved.getFile('plain.txt').getContents(), 'changed');
+	assert.strictEqual(saved.getFile('gz.php').getContents(), TEXT);
+	
+	var zip = new PharUtils.Phar().loadZipData(createPhar().saveZipData(true));
+	assert.ok(keepsForeignPayload(zip.saveZipData(true)));
+	var tar = new PharUtils.Phar().loadTarData(createPhar().saveTarData(true));
+	assert.strictEqual(tar.saveTarData(), createPhar().saveTarData());
+});
+
+test('reproducible saves keep the caches of the entries', function() {
+	var phar = createPhar();
+	phar.setReproducible(true);
+	var data = phar.savePharData(true);
+	assert.ok(keepsForeignPayload(data));
+	assert.deepStrictEqual(dirty(phar), [], 'copies written by the save fill the caches of the entries');
+	
+	phar.setReproducible({ compression_type: PharUtils.COMPRESSION_BZIP2 });
+	assert.ok(!keepsForeignPayload(phar.savePharData(true)));
+	assert.strictEqual(phar.getFile('foreign.php').getCompressionType(), PharUtils.COMPRESSION_GZ);
+	assert.deepStrictEqual(phar.getFile('foreign.php').getCompressedContentsAsBytes(), FOREIGN);
+});
+
+[false, true].forEach(function(worker) {
+	var mode = worker ? 'in a worker' : 'in steps';
+	
+	test('caches are used when saving ' + mode, async function() {
+		var phar = createPhar();
+		var data = await phar.savePharDataAsync({ worker: worker, as_u8a: true });
+		assert.ok(keepsForeignPayload(data));
+		assert.deepStrictEqual(data, phar.savePharData(true));
+		
+		var loaded = await new PharUtils.Phar().loadPharDataAsync(data, { worker: worker });
+		assert.deepStrictEqual(dirty(loaded), []);
+		assert.deepStrictEqual(loaded.getFile('foreign.php').getCompressedContentsAsBytes(), FOREIGN);
+		assert.deepStrictEqual(await loaded.savePharDataAsync({ worker: worker, as_u8a: true }), data);
+	});
+});
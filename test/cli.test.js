@@ -0,0 +1,245 @@
+/**
+ * The pharutils command-line tool
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+var child_process = require('child_process');
+var PharUtils = require('../lib/pharutils.js');
+
+var BIN = path.join(__dirname, '..', 'bin', 'pharutils.js');
+
+function tempDir() {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-cli-'));
+	test.after(function() {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+	return dir;
+}
+
+function run(cwd, args, input) {
+	var result = child_process.spawnSync(process.execPath, [BIN].concat(args), { cwd: cwd, input: input, encoding: 'latin1' });
+	return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function pharutils(cwd, args, input) {
+	var result = run(cwd, args, input);
+	assert.strictEqual(result.status, 0, result.stderr);
+	return result.stdout;
+}
+
+function load(file) {
+	return new PharUtils.Phar().loadPharData(new Uint8Array(fs.readFileSync(file)));
+}
+
+function createSources(dir) {
+	fs.mkdirSync(path.join(dir, 'src', 'lib'), { recursive: true });
+	fs.writeFileSync(path.join(dir, 'src', 'index.php'), '<?php require "lib/a.php";\n');
+	fs.writeFileSync(path.join(dir, 'src', 'lib', 'a.php'), new Array(100).join('<?php echo "a";\n'));
+	fs.writeFileSync(path.join(dir, 'src', 'data.bin'), Buffer.from([0, 0x80, 0xff]));
+	fs.chmodSync(path.join(dir, 'src', 'data.bin'), 420); // 0644
+}
+
+test('prints help', function() {
+	var dir = tempDir();
+	assert.ok(/^Usage: pharutils/.test(pharutils(dir, ['--help'])));
+	assert.ok(/^Usage: pharutils/.test(pharutils(dir, [])));
+	
+	var result = run(dir, ['unknown']);
+	assert.strictEqual(result.status, 1);
+	assert.ok(/Unknown command "unknown"/.test(result.stderr));
+});
+
+test('creates, lists and extracts archives', function() {
+	var dir = tempDir();
+	createSources(dir);
+	fs.writeFileSync(path.join(dir, 'stub.php'), '<?php echo "stub"; __HALT_COMPILER();');
+	pharutils(dir, ['create', 'app.phar', 'src', '--compress', 'gz', '--alias', 'app', '--stub', 'stub.php', '--signature', 'sha256']);
+	
+	var phar = load(path.join(dir, 'app.phar'));
+	assert.strictEqual(phar.getAlias(), 'app');
+	assert.ok(phar.getStub().indexOf('echo "stub"') != -1);
+	assert.strictEqual(phar.getSignatureType(), PharUtils.SIGNATURE_SHA256);
+	assert.deepStrictEqual(phar.getFiles().map(function(file) {
+		return file.getName();
+	}), ['data.bin', 'index.php', 'lib/a.php']);
+	assert.strictEqual(phar.getFile('lib/a.php').getCompressionType(), PharUtils.COMPRESSION_GZ);
+	assert.strictEqual(phar.getFile('data.bin').getPermission(), 420);
+	
+	var lines = pharutils(dir, ['list', 'app.phar']).trim().split('\n');
+	assert.strictEqual(lines.length, 3);
+	assert.ok(/^-rw-r--r-- +3 +\d+ \d{4}-\d\d-\d\d \d\d:\d\d:\d\d [0-9a-f]{8} data\.bin$/.test(lines[0]), lines[0]);
+	assert.ok(/ lib\/a\.php$/.test(lines[2]));
+	
+	pharutils(dir, ['extract', 'app.phar', 'out']);
+	assert.deepStrictEqual(fs.readFileSync(path.join(dir, 'out', 'data.bin')), Buffer.from([0, 0x80, 0xff]));
+	assert.strictEqual(fs.readFileSync(path.join(dir, 'out', 'lib', 'a.php'), 'utf8'), new Array(100).join('<?php echo "a";\n'));
+	
+	pharutils(dir, ['extract', 'app.phar', 'only', 'index.php']);
+	assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'only')), ['index.php']);
+	assert.strictEqual(run(dir, ['extract', 'app.phar', 'only', 'missing.php']).status, 1);
+});
+
+test('does not extract outside of the target directory', function() {
+	var dir = tempDir();
+	var phar = new PharUtils.Phar();
+	var file = new PharUtils.PharFile('evil.txt', 'evil');
+	phar.addFile(file);
+	file.setName('../evil.txt'); // added names are normalized, loaded ones are not
+	fs.writeFileSync(path.join(dir, 'evil.phar'), phar.savePharData(true));
+	
+	var result = run(dir, ['extract', 'evil.phar', 'out']);
+	assert.strictEqual(result.status, 1);
+	assert.ok(/path traversal/.test(result.stderr));
+	assert.ok(!fs.existsSync(path.join(dir, 'evil.txt')));
+});
+
+test('adds and removes files', function() {
+	var dir = tempDir();
+	createSources(dir);
+	pharutils(dir, ['create', 'app.phar', 'src']);
+	fs.writeFileSync(path.join(dir, 'new.txt'), 'new file');
+	
+	pharutils(dir, ['add', 'app.phar', 'new.txt', '--compress', 'bz2']);
+	pharutils(dir, ['add', 'app.phar', 'new.txt', '--as', 'docs/readme.txt']);
+	var phar = load(path.join(dir, 'app.phar'));
+	assert.strictEqual(phar.getFile('new.txt').getCompressionType(), PharUtils.COMPRESSION_BZIP2);
+	assert.strictEqual(phar.getFile('docs/readme.txt').getContents(), 'new file');
+	
+	pharutils(dir, ['remove', 'app.phar', 'new.txt', 'index.php', '-o', 'removed.phar']);
+	assert.strictEqual(load(path.join(dir, 'app.phar')).getFilesCount(), 5);
+	assert.deepStrictEqual(load(path.join(dir, 'removed.phar')).getFiles().map(function(file) {
+		return file.getName();
+	}), ['data.bin', 'lib/a.php', 'docs/readme.txt']);
+	assert.strictEqual(run(dir, ['remove', 'app.phar', 'missing.txt']).status, 1);
+});
+
+test('gets and sets the stub', function() {
+	var dir = tempDir();
+	createSources(dir);
+	pharutils(dir, ['create', 'app.phar', 'src']);
+	
+	pharutils(dir, ['stub', 'set', 'app.phar', '-'], '<?php echo "from stdin"; __HALT_COMPILER();');
+	assert.ok(pharutils(dir, ['stub', 'get', 'app.phar']).indexOf('echo "from stdin"') != -1);
+	assert.strictEqual(load(path.join(dir, 'app.phar')).getFile('index.php').getContents(), '<?php require "lib/a.php";\n');
+	
+	pharutils(dir, ['stub', 'default', 'app.phar', 'index.php', '-']);
+	var info = JSON.parse(pharutils(dir, ['stub', 'info', 'app.phar']));
+	assert.strictEqual(info.is_default, true);
+	assert.strictEqual(info.index, 'index.php');
+	assert.strictEqual(info.web_index, null);
+	assert.strictEqual(load(path.join(dir, 'app.phar')).getStub(), PharUtils.PharStub.createDefault('index.php', null));
+});
+
+test('keeps the bytes of UTF-8 stubs and metadata', function() {
+	var dir = tempDir();
+	createSources(dir);
+	var stub = Buffer.from('<?php echo "é Привет"; __HALT_COMPILER(); ?>\r\n');
+	fs.writeFileSync(path.join(dir, 'stub.php'), stub);
+	
+	pharutils(dir, ['create', 'app.phar', 'src', '--stub', 'stub.php']);
+	assert.deepStrictEqual(Buffer.from(load(path.join(dir, 'app.phar')).getStub(), 'latin1'), stub);
+	assert.deepStrictEqual(Buffer.from(pharutils(dir, ['stub', 'get', 'app.phar']), 'latin1'), stub);
+	pharutils(dir, ['stub', 'set', 'app.phar', 'stub.php']);
+	assert.deepStrictEqual(Buffer.from(load(path.join(dir, 'app.phar')).getStub(), 'latin1'), stub);
+	
+	pharutils(dir, ['meta', 'set', 'app.phar', 's:12:"Привет";', '--raw']);
+	assert.strictEqual(load(path.join(dir, 'app.phar')).getMetadataValue(), 'Привет');
+	pharutils(dir, ['meta', 'set', 'app.phar', '{"author": "José"}']);
+	assert.deepStrictEqual(load(path.join(dir, 'app.phar')).getMetadataValue(), { author: 'José' });
+});
+
+test('gets and sets metadata as JSON and PHP serialized string', function() {
+	var dir = tempDir();
+	createSources(dir);
+	pharutils(dir, ['create', 'app.phar', 'src']);
+	
+	pharutils(dir, ['meta', 'set', 'app.phar', '{"name": "App", "list": {"__entries": [[1, "b"], [0, "a"]]}, "object": {"__class": "Foo", "x": 1}}']);
+	var metadata = load(path.join(dir, 'app.phar')).getMetadataValue();
+	assert.strictEqual(metadata.name, 'App');
+	assert.deepStrictEqual(Array.from(metadata.list), [[1, 'b'], [0, 'a']]);
+	assert.strictEqual(metadata.object.class_name, 'Foo');
+	assert.strictEqual(metadata.object.properties.x, 1);
+	assert.deepStrictEqual(JSON.parse(pharutils(dir, ['meta', 'get', 'app.phar'])), {
+		name: 'App',
+		list: { __entries: [[1, 'b'], [0, 'a']] },
+		object: { __class: 'Foo', x: 1 }
+	});
+	
+	pharutils(dir, ['meta', 'set', 'app.phar', 'a:1:{i:0;s:1:"x";}', '--raw', '--entry', 'index.php']);
+	assert.strictEqual(pharutils(dir, ['meta', 'get', 'app.phar', '--raw', '--entry', 'index.php']), 'a:1:{i:0;s:1:"x";}');
+	assert.strictEqual(run(dir, ['meta', 'set', 'app.phar', 'a:1:{', '--raw']).status, 1);
+	
+	pharutils(dir, ['meta', 'set', 'app.phar', 'null']);
+	assert.strictEqual(pharutils(dir, ['meta', 'get', 'app.phar']).trim(), 'null');
+});
+
+test('verifies archives', function() {
+	var dir = tempDir();
+	createSources(dir);
+	pharutils(dir, ['create', 'app.phar', 'src']);
+	assert.ok(/^OK: sha1 signature [0-9A-F]{40}, 3 files\n$/.test(pharutils(dir, ['verify', 'app.phar'])));
+	
+	var data = fs.readFileSync(path.join(dir, 'app.phar'), 'latin1');
+	fs.writeFileSync(path.join(dir, 'app.phar'), data.replace('require', 'REQUIRE'), 'latin1');
+	var result = run(dir, ['verify', 'app.phar']);
+	assert.strictEqual(result.status, 1);
+	assert.ok(/BAD_SIGNATURE/.test(result.stdout));
+	assert.ok(/CRC_MISMATCH/.test(result.stdout));
+});
+
+test('signs with OpenSSL and verifies with the public key next to the archive', function() {
+	var dir = tempDir();
+	createSources(dir);
+	var keys = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+	fs.writeFileSync(path.join(dir, 'private.pem'), keys.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+	fs.writeFileSync(path.join(dir, 'public.pem'), keys.publicKey.export({ type: 'spki', format: 'pem' }));
+	
+	pharutils(dir, ['create', 'app.phar', 'src']);
+	pharutils(dir, ['sign', 'app.phar', 'openssl_sha256', '--private-key', 'private.pem']);
+	
+	var result = run(dir, ['verify', 'app.phar']);
+	assert.strictEqual(result.status, 1);
+	assert.ok(/MISSING_KEY/.test(result.stdout));
+	assert.ok(/^OK: openssl_sha256 signature [0-9A-F]{256}, 3 files\n$/.test(pharutils(dir, ['verify', 'app.phar', '--public-key', 'public.pem'])));
+	
+	fs.copyFileSync(path.join(dir, 'public.pem'), path.join(dir, 'app.phar.pubkey'));
+	assert.ok(/^OK: openssl_sha256 signature [0-9A-F]{256}, 3 files\n$/.test(pharutils(dir, ['verify', 'app.phar'])));
+	assert.strictEqual(pharutils(dir, ['list', 'app.phar']).trim().split('\n').length, 3);
+	
+	// the signature is kept with the private key when the archive is changed
+	pharutils(dir, ['remove', 'app.phar', 'data.bin', '--private-key', 'private.pem']);
+	assert.ok(/^OK: openssl_sha256 signature [0-9A-F]{256}, 2 files\n$/.test(pharutils(dir, ['verify', 'app.phar'])));
+	
+	var other = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).publicKey.export({ type: 'spki', format: 'pem' });
+	fs.writeFileSync(path.join(dir, 'app.phar.pubkey'), other);
+	result = run(dir, ['verify', 'app.phar']);
+	assert.strictEqual(result.status, 1);
+	assert.ok(/BAD_SIGNATURE/.test(result.stdout));
+});
+
+test('converts between formats', function() {
+	var dir = tempDir();
+	createSources(dir);
+	pharutils(dir, ['create', 'app.phar', 'src', '--compress', 'gz']);
+	pharutils(dir, ['meta', 'set', 'app.phar', '{"name": "App"}']);
+	
+	['app.zip', 'app.tar', 'app.tar.gz', 'app.tar.bz2'].forEach(function(name) {
+		pharutils(dir, ['convert', 'app.phar', name]);
+		assert.ok(/^OK: sha1 signature [0-9A-F]{40}, 3 files\n$/.test(pharutils(dir, ['verify', name])), name);
+		
+		pharutils(dir, ['convert', name, 'back.phar']);
+		var phar = load(path.join(dir, 'back.phar'));
+		assert.strictEqual(phar.getMetadataValue().name, 'App');
+		assert.strictEqual(phar.getFile('lib/a.php').getContents(), new Array(100).join('<?php echo "a";\n'));
+		assert.deepStrictEqual(phar.getFile('data.bin').getContentsAsBytes(), new Uint8Array([0, 0x80, 0xff]));
+	});
+	assert.strictEqual(fs.readFileSync(path.join(dir, 'app.zip'), 'latin1').substring(0, 4), 'PK\x03\x04');
+	assert.strictEqual(fs.readFileSync(path.join(dir, 'app.tar.bz2'), 'latin1').substring(0, 3), 'BZh');
+});
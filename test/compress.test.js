@@ -0,0 +1,136 @@
+/**
+ * Whole-archive compressed phars (.phar.gz, .phar.bz2)
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var zlib = require('zlib');
+var child_process = require('child_process');
+var PharUtils = require('../lib/pharutils.js');
+
+var STUB = '<?php echo 1; __HALT_COMPILER(); ?>\r\n';
+
+function createPhar() {
+	var phar = new PharUtils.Phar({ stub: STUB });
+	phar.addFile(new PharUtils.PharFile('a.txt', 'contents of a', { timestamp: 1600000000 }));
+	phar.addFile(new PharUtils.PharFile('b.php', '<?php echo "b";', { compression_type: PharUtils.COMPRESSION_GZ, timestamp: 1600000000 }));
+	return phar;
+}
+
+// global flags of the uncompressed phar
+function globalFlags(data) {
+	data = Buffer.from(data).toString('latin1');
+	return PharUtils.Binary.readLInt(data, STUB.length + 4 + 4 + 2);
+}
+
+function tempDir() {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-compress-'));
+	test.after(function() {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+	return dir;
+}
+
+test('saves and loads .phar.gz and .phar.bz2', function() {
+	var plain = createPhar().savePharData(true);
+	
+	var gz = createPhar().savePharData(true, { compression: PharUtils.COMPRESSION_GZ });
+	assert.deepStrictEqual(Array.from(gz.subarray(0, 2)), [0x1f, 0x8b]);
+	var inner = zlib.gunzipSync(gz);
+	assert.strictEqual(globalFlags(inner), globalFlags(plain) | PharUtils.COMPRESSION_GZ, 'PHP marks compressed phars in the global flags');
+	
+	var bz2 = createPhar().savePharData(false, { compression: PharUtils.COMPRESSION_BZIP2 });
+	assert.strictEqual(bz2.substring(0, 3), 'BZh');
+	
+	[[gz, PharUtils.COMPRESSION_GZ], [new Uint8Array(Buffer.from(bz2, 'latin1')), PharUtils.COMPRESSION_BZIP2], [plain, PharUtils.COMPRESSION_NONE]].forEach(function(item) {
+		var phar = new PharUtils.Phar().loadPharData(item[0]);
+		assert.strictEqual(phar.getArchiveCompression(), item[1]);
+		assert.strictEqual(phar.getStub(), STUB);
+		assert.strictEqual(phar.getFile('b.php').getContents(), '<?php echo "b";');
+		assert.strictEqual(phar.getFlags(), createPhar().getFlags(), 'compression bit is not kept in the flags');
+		
+		// saved again with the same compression, uncompressed on request
+		assert.deepStrictEqual(phar.savePharData(true), item[0]);
+		assert.deepStrictEqual(phar.savePharData(true, { compression: PharUtils.COMPRESSION_NONE }), plain);
+	});
+});
+
+test('sets archive compression in the constructor and setter', function() {
+	var phar = createPhar().setArchiveCompression(PharUtils.COMPRESSION_GZ);
+	assert.strictEqual(new PharUtils.Phar().loadPharData(phar.savePharData()).getArchiveCompression(), PharUtils.COMPRESSION_GZ);
+	assert.strictEqual(new PharUtils.Phar({ archive_compression: PharUtils.COMPRESSION_BZIP2 }).getArchiveCompression(), PharUtils.COMPRESSION_BZIP2);
+	assert.strictEqual(new PharUtils.Phar().getArchiveCompression(), PharUtils.COMPRESSION_NONE);
+	assert.throws(function() {
+		phar.setArchiveCompression(0x3000);
+	}, /not supported/);
+});
+
+test('unwraps phars compressed by other tools', function() {
+	var plain = createPhar().savePharData(true);
+	var phar = new PharUtils.Phar().loadPharData(zlib.gzipSync(plain, { level: 1 }));
+	assert.strictEqual(phar.getArchiveCompression(), PharUtils.COMPRESSION_GZ);
+	assert.strictEqual(phar.getFile('a.txt').getContents(), 'contents of a');
+	
+	var dir = tempDir();
+	fs.writeFileSync(path.join(dir, 'app.phar'), plain);
+	child_process.execFileSync('bzip2', ['app.phar'], { cwd: dir });
+	phar = new PharUtils.Phar().loadPharData(fs.readFileSync(path.join(dir, 'app.phar.bz2')));
+	assert.strictEqual(phar.getArchiveCompression(), PharUtils.COMPRESSION_BZIP2);
+	assert.deepStrictEqual(phar.savePharData(true, { compression: PharUtils.COMPRESSION_NONE }), plain);
+	
+	assert.throws(function() {
+		new PharUtils.Phar().loadPharData(zlib.gzipSync(plain).subarray(0, 40));
+	}, function(error) {
+		return error instanceof PharUtils.PharFormatError && error.code == PharUtils.ERROR_DECOMPRESSION_FAILED;
+	});
+});
+
+[false, true].forEach(function(worker) {
+	var mode = worker ? 'in a worker' : 'in steps';
+	
+	test('loads and saves compressed phars ' + mode, async function() {
+		var phar = createPhar().setArchiveCompression(PharUtils.COMPRESSION_GZ);
+		var gz = await phar.savePharDataAsync({ worker: worker, as_u8a: true });
+		assert.deepStrictEqual(gz, phar.savePharData(true));
+		var bz2 = await phar.savePharDataAsync({ worker: worker, compression: PharUtils.COMPRESSION_BZIP2 });
+		assert.strictEqual(bz2, phar.savePharData(false, { compression: PharUtils.COMPRESSION_BZIP2 }));
+		
+		var loaded = await new PharUtils.Phar().loadPharDataAsync(bz2, { worker: worker });
+		assert.strictEqual(loaded.getArchiveCompression(), PharUtils.COMPRESSION_BZIP2);
+		assert.strictEqual(loaded.getFile('b.php').getContents(), '<?php echo "b";');
+	});
+});
+
+test('convert command writes compressed phars by extension', function() {
+	var dir = tempDir();
+	fs.writeFileSync(path.join(dir, 'app.phar'), createPhar().savePharData(true));
+	var run = function(args) {
+		return child_process.spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'pharutils.js')].concat(args), { cwd: dir, encoding: 'latin1' });
+	};
+	
+	var result = run(['convert', 'app.phar', 'app.phar.gz']);
+	assert.strictEqual(result.status, 0, result.stderr);
+	var data = fs.readFileSync(path.join(dir, 'app.phar.gz'));
+	assert.deepStrictEqual(Array.from(data.subarray(0, 2)), [0x1f, 0x8b]);
+	var phar = new PharUtils.Phar().loadPharData(data);
+	assert.strictEqual(phar.getArchiveCompression(), PharUtils.COMPRESSION_GZ);
+	assert.deepStrictEqual(phar.savePharData(true, { compression: PharUtils.COMPRESSION_NONE }), createPhar().savePharData(true));
+	
+	result = run(['convert', 'app.phar.gz', 'app.phar.bz2']);
+	assert.strictEqual(result.status, 0, result.stderr);
+	phar = new PharUtils.Phar().loadPharData(fs.readFileSync(path.join(dir, 'app.phar.bz2')));
+	assert.strictEqual(phar.getArchiveCompression(), PharUtils.COMPRESSION_BZIP2);
+	
+	result = run(['list', 'app.phar.bz2']);
+	assert.strictEqual(result.status, 0, result.stderr);
+	assert.ok(result.stdout.indexOf('b.php') != -1);
+	
+	result = run(['convert', 'app.phar.bz2', 'app.tar.gz']);
+	assert.strictEqual(result.status, 0, result.stderr);
+	assert.strictEqual(new PharUtils.Phar().loadTarData(fs.readFileSync(path.join(dir, 'app.tar.gz'))).getFile('a.txt').getContents(), 'contents of a');
+});
@@ -0,0 +1,190 @@
+/**
+ * compressFiles() and decompressFiles(): size report, filters and compression levels
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var child_process = require('child_process');
+var PharUtils = require('../lib/pharutils.js');
+
+var TEXT = new Array(500).join('<?php echo "compress"; ?>\n');
+
+// bytes that deflate and bzip2 can not make smaller (like PNG or zip contents)
+function noise(length) {
+	var bytes = new Uint8Array(length);
+	var seed = 12345;
+	for (var i = 0; i < length; i++) {
+		seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+		bytes[i] = seed >> 16;
+	}
+	return bytes;
+}
+
+function createPhar() {
+	var phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('src/a.php', TEXT));
+	phar.addFile(new PharUtils.PharFile('src/b.json', TEXT));
+	phar.addFile(new PharUtils.PharFile('icon.png', noise(2000)));
+	phar.addFile(new PharUtils.PharFile('tiny.txt', 'tiny'));
+	return phar;
+}
+
+function types(phar) {
+	var result = {};
+	phar.getFiles().forEach(function(file) {
+		result[file.getName()] = file.getCompressionType();
+	});
+	return result;
+}
+
+test('compresses all files and reports their sizes', function() {
+	var phar = createPhar();
+	var report = phar.compressFiles(PharUtils.COMPRESSION_GZ);
+	
+	assert.deepStrictEqual(report.files.map(function(file) {
+		return [file.name, file.compression_type, file.size, file.skipped];
+	}), [
+		['src/a.php', PharUtils.COMPRESSION_GZ, TEXT.length, null],
+		['src/b.json', PharUtils.COMPRESSION_GZ, TEXT.length, null],
+		['icon.png', PharUtils.COMPRESSION_GZ, 2000, null],
+		['tiny.txt', PharUtils.COMPRESSION_GZ, 4, null]
+	]);
+	report.files.forEach(function(file) {
+		assert.strictEqual(file.compressed_size, phar.getFile(file.name).getCompressedSize());
+		assert.strictEqual(file.ratio, file.compressed_size / file.size);
+	});
+	assert.ok(report.files[0].ratio < 0.1);
+	assert.ok(report.files[2].ratio > 1, 'noise grows when compressed');
+	assert.strictEqual(report.size, TEXT.length * 2 + 2004);
+	assert.strictEqual(report.compressed_size, report.files.reduce(function(sum, file) {
+		return sum + file.compressed_size;
+	}, 0));
+	assert.strictEqual(report.ratio, report.compressed_size / report.size);
+	
+	var loaded = new PharUtils.Phar().loadPharData(phar.savePharData());
+	assert.deepStrictEqual(types(loaded), types(phar));
+	assert.strictEqual(loaded.getFile('src/a.php').getContents(), TEXT);
+	assert.deepStrictEqual(loaded.getFile('icon.png').getContentsAsBytes(), noise(2000));
+});
+
+test('skips small files and files that compression makes larger', function() {
+	var phar = createPhar();
+	var report = phar.compressFiles(PharUtils.COMPRESSION_BZIP2, { min_size: 100, skip_if_larger: true });
+	assert.deepStrictEqual(report.files.map(function(file) {
+		return [file.name, file.skipped];
+	}), [['src/a.php', null], ['src/b.json', null], ['icon.png', 'larger'], ['tiny.txt', 'min_size']]);
+	assert.deepStrictEqual(types(phar), {
+		'src/a.php': PharUtils.COMPRESSION_BZIP2,
+		'src/b.json': PharUtils.COMPRESSION_BZIP2,
+		'icon.png': PharUtils.COMPRESSION_NONE,
+		'tiny.txt': PharUtils.COMPRESSION_NONE
+	});
+	assert.strictEqual(report.files[2].compressed_size, 2000, 'skipped files are reported with their stored size');
+	assert.strictEqual(report.files[2].ratio, 1);
+});
+
+test('compresses and decompresses only matching files', function() {
+	var phar = createPhar();
+	var report = phar.compressFiles(PharUtils.COMPRESSION_GZ, { match: ['src/**', /\.txt$/] });
+	assert.deepStrictEqual(report.files.map(function(file) {
+		return file.name;
+	}), ['src/a.php', 'src/b.json', 'tiny.txt']);
+	assert.strictEqual(phar.getFile('icon.png').getCompressionType(), PharUtils.COMPRESSION_NONE);
+	
+	report = phar.decompressFiles({ match: '**/*.json' });
+	assert.deepStrictEqual(report.files, [{
+		name: 'src/b.json',
+		compression_type: PharUtils.COMPRESSION_NONE,
+		size: TEXT.length,
+		compressed_size: TEXT.length,
+		ratio: 1,
+		skipped: null
+	}]);
+	assert.strictEqual(phar.getFile('src/a.php').getCompressionType(), PharUtils.COMPRESSION_GZ);
+	
+	phar.decompressFiles();
+	assert.ok(phar.getFiles().every(function(file) {
+		return file.getCompressionType() == PharUtils.COMPRESSION_NONE;
+	}));
+	
+	assert.throws(function() {
+		phar.compressFiles(PharUtils.COMPRESSION_NONE);
+	}, /not supported/);
+});
+
+test('changes compression of lazily loaded files', function() {
+	var phar = createPhar();
+	phar.compressFiles(PharUtils.COMPRESSION_GZ);
+	var data = phar.savePharData();
+	
+	phar = new PharUtils.Phar().loadPharData(data, { lazy: true });
+	var report = phar.compressFiles(PharUtils.COMPRESSION_BZIP2, { match: 'src/*' });
+	assert.strictEqual(report.files[0].compressed_size, phar.getFile('src/a.php').getCompressedSize());
+	assert.strictEqual(report.files[0].compressed_size, new PharUtils.PharFile('a', TEXT, { compression_type: PharUtils.COMPRESSION_BZIP2 }).getCompressedSize());
+	report = phar.decompressFiles({ match: 'icon.png' });
+	assert.strictEqual(report.files[0].compressed_size, 2000);
+	
+	var loaded = new PharUtils.Phar().loadPharData(phar.savePharData());
+	assert.strictEqual(loaded.getFile('src/b.json').getCompressionType(), PharUtils.COMPRESSION_BZIP2);
+	assert.strictEqual(loaded.getFile('src/b.json').getContents(), TEXT);
+	assert.strictEqual(loaded.getFile('tiny.txt').getCompressionType(), PharUtils.COMPRESSION_GZ);
+});
+
+test('sets compression levels', function() {
+	var phar = createPhar();
+	var fast = phar.compressFiles(PharUtils.COMPRESSION_GZ, { match: 'src/a.php', level: 1 }).files[0];
+	assert.strictEqual(phar.getFile('src/a.php').getCompressionLevel(), 1);
+	var best = phar.compressFiles(PharUtils.COMPRESSION_GZ, { match: 'src/a.php', level: 9 }).files[0];
+	assert.ok(best.compressed_size < fast.compressed_size);
+	phar.compressFiles(PharUtils.COMPRESSION_GZ, { match: 'src/a.php' });
+	assert.strictEqual(phar.getFile('src/a.php').getCompressionLevel(), null);
+	
+	var file = new PharUtils.PharFile('a.txt', TEXT, { compression_type: PharUtils.COMPRESSION_BZIP2, compression_level: 1 });
+	assert.strictEqual(file.getCompressionLevel(), 1);
+	assert.strictEqual(new PharUtils.PharFile('b.txt', file.getCompressedContents(), { compression_type: PharUtils.COMPRESSION_NONE }).getContents().substring(0, 4), 'BZh1');
+	
+	[0, 10, 2.5, '9'].forEach(function(level) {
+		assert.throws(function() {
+			file.setCompressionLevel(level);
+		}, /from 1 to 9/);
+	});
+});
+
+test('compress command changes compression and prints sizes', function() {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-compressfiles-'));
+	try {
+		fs.writeFileSync(path.join(dir, 'app.phar'), createPhar().savePharData(true));
+		var run = function(args) {
+			return child_process.spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'pharutils.js'), 'compress', 'app.phar'].concat(args), { cwd: dir, encoding: 'latin1' });
+		};
+		
+		var result = run(['gz', '--skip-larger', '--min-size', '100', '--level', '9']);
+		assert.strictEqual(result.status, 0, result.stderr);
+		var lines = result.stdout.trim().split('\n');
+		assert.strictEqual(lines.length, 5);
+		assert.ok(/icon\.png \(skipped: larger\)$/.test(lines[2]), lines[2]);
+		assert.ok(/tiny\.txt \(skipped: min_size\)$/.test(lines[3]), lines[3]);
+		assert.ok(/ total$/.test(lines[4]));
+		
+		var phar = new PharUtils.Phar().loadPharData(fs.readFileSync(path.join(dir, 'app.phar')));
+		assert.deepStrictEqual(types(phar), {
+			'src/a.php': PharUtils.COMPRESSION_GZ,
+			'src/b.json': PharUtils.COMPRESSION_GZ,
+			'icon.png': PharUtils.COMPRESSION_NONE,
+			'tiny.txt': PharUtils.COMPRESSION_NONE
+		});
+		
+		result = run(['none', '--include', '**/*.json']);
+		assert.strictEqual(result.status, 0, result.stderr);
+		phar = new PharUtils.Phar().loadPharData(fs.readFileSync(path.join(dir, 'app.phar')));
+		assert.strictEqual(phar.getFile('src/b.json').getCompressionType(), PharUtils.COMPRESSION_NONE);
+		assert.strictEqual(phar.getFile('src/a.php').getCompressionType(), PharUtils.COMPRESSION_GZ);
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+});
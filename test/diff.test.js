@@ -0,0 +1,177 @@
+/**
+ * Structured diff between two phar archives
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var child_process = require('child_process');
+var PharUtils = require('../lib/pharutils.js');
+
+function createPhar(files) {
+	var phar = new PharUtils.Phar();
+	for (var name in files) {
+		phar.addFile(new PharUtils.PharFile(name, files[name], { timestamp: 1500000000 }));
+	}
+	return phar;
+}
+
+function lines(count, change) {
+	var result = [];
+	for (var i = 1; i <= count; i++) {
+		result.push(change && change(i) !== undefined ? change(i) : 'line ' + i);
+	}
+	return result.filter(function(line) {
+		return line !== null;
+	}).join('\n') + '\n';
+}
+
+function systemDiff(old_text, new_text) {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-diff-'));
+	try {
+		fs.writeFileSync(path.join(dir, 'old'), old_text, 'latin1');
+		fs.writeFileSync(path.join(dir, 'new'), new_text, 'latin1');
+		var result = child_process.spawnSync('diff', ['-u', 'old', 'new'], { cwd: dir, encoding: 'latin1' });
+		return result.stdout.split('\n').slice(2).join('\n'); // without the file header lines
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+}
+
+function hunks(diff) {
+	return diff.split('\n').slice(2).join('\n');
+}
+
+test('identical archives have no differences', function() {
+	var diff = PharUtils.diff(createPhar({ 'a.php': 'a' }), createPhar({ 'a.php': 'a' }));
+	assert.deepStrictEqual(diff, { identical: true, archive: [], added: [], removed: [], modified: [] });
+	assert.strictEqual(PharUtils.formatDiff(diff), '');
+});
+
+test('finds added, removed and modified entries', function() {
+	var a = createPhar({ 'a.php': 'same', 'b.php': 'old\n', 'removed.php': 'x' });
+	var b = createPhar({ 'a.php': 'same', 'b.php': 'new\n', 'added.php': 'xyz' });
+	b.addDirectory('empty');
+	b.getFile('a.php').setPermission(493); // 0755
+	
+	var diff = PharUtils.diff(a, b);
+	assert.strictEqual(diff.identical, false);
+	assert.deepStrictEqual(diff.removed, [{ name: 'removed.php', is_directory: false, size: 1, crc32: a.getFile('removed.php').getCRC32() }]);
+	assert.deepStrictEqual(diff.added.map(function(entry) {
+		return [entry.name, entry.is_directory, entry.size];
+	}), [['added.php', false, 3], ['empty', true, 0]]);
+	assert.deepStrictEqual(diff.modified.map(function(entry) {
+		return [entry.name, entry.changes.map(function(change) {
+			return change.field;
+		}), entry.binary];
+	}), [['a.php', ['permission'], false], ['b.php', ['crc32'], false]]);
+	assert.strictEqual(diff.modified[0].diff, null);
+	assert.strictEqual(diff.modified[1].diff, '--- a/b.php\n+++ b/b.php\n@@ -1,1 +1,1 @@\n-old\n+new\n');
+	
+	assert.strictEqual(PharUtils.formatDiff(diff), [
+		'removed: removed.php',
+		'added: added.php',
+		'added: empty/',
+		'modified: a.php (permission 0666 -> 0755)',
+		'modified: b.php (crc32 ' + a.getFile('b.php').getCRC32() + ' -> ' + b.getFile('b.php').getCRC32() + ')',
+		'',
+		'--- a/b.php',
+		'+++ b/b.php',
+		'@@ -1,1 +1,1 @@',
+		'-old',
+		'+new',
+		''
+	].join('\n'));
+});
+
+test('finds changed archive properties', function() {
+	var a = createPhar({ 'a.php': 'a' });
+	var b = createPhar({ 'a.php': 'a' });
+	b.setAlias('app.phar');
+	b.setStub('<?php echo "new"; __HALT_COMPILER();');
+	b.setSignatureType(PharUtils.SIGNATURE_SHA256);
+	b.setMetadataValue({ name: 'App' });
+	
+	var diff = PharUtils.diff(a, b);
+	assert.deepStrictEqual(diff.archive.map(function(change) {
+		return change.field;
+	}), ['stub', 'alias', 'signature_type', 'metadata']);
+	assert.ok(/^--- a\/\.phar\/stub\.php\n\+\+\+ b\/\.phar\/stub\.php\n@@ /.test(diff.archive[0].diff));
+	assert.ok(PharUtils.formatDiff(diff).indexOf('archive signature_type: 0x2 -> 0x3\n') != -1);
+	assert.ok(PharUtils.formatDiff(diff).indexOf('archive alias: "" -> "app.phar"\n') != -1);
+});
+
+test('makes unified diffs like diff -u', function() {
+	var old_text = lines(60);
+	[
+		lines(60, function(i) {
+			return i == 30 ? 'changed' : undefined;
+		}),
+		lines(60, function(i) {
+			return i == 2 || i == 5 || i == 40 ? null : (i == 58 ? 'changed' : undefined);
+		}),
+		'first\n' + lines(60) + 'last\n',
+		lines(60).replace(/\n$/, ''), // no newline at end of file
+		'',
+		lines(20, function(i) {
+			return 'other ' + i;
+		})
+	].forEach(function(new_text) {
+		var diff = createPhar({ 'a.txt': new_text });
+		diff = PharUtils.diff(createPhar({ 'a.txt': old_text }), diff).modified[0].diff;
+		assert.strictEqual(hunks(diff), systemDiff(old_text, new_text).replace(/^@@ -(\d+) /gm, '@@ -$1,1 ').replace(/ \+(\d+) @@/gm, ' +$1,1 @@'));
+	});
+});
+
+test('skips binary, large and unwanted text diffs', function() {
+	var a = createPhar({ 'a.bin': 'a\0b', 'big.txt': lines(10), 'c.txt': 'old\n' });
+	var b = createPhar({ 'a.bin': 'a\0c', 'big.txt': lines(11), 'c.txt': 'new\n' });
+	
+	var diff = PharUtils.diff(a, b, { max_text_size: 60 });
+	assert.deepStrictEqual(diff.modified.map(function(entry) {
+		return [entry.name, entry.binary, entry.diff === null];
+	}), [['a.bin', true, true], ['big.txt', null, true], ['c.txt', false, false]]);
+	assert.ok(PharUtils.formatDiff(diff).indexOf('modified: a.bin (crc32 ') == 0);
+	assert.ok(/\[binary\]\n/.test(PharUtils.formatDiff(diff)));
+	
+	diff = PharUtils.diff(a, b, { text_diff: false });
+	assert.ok(diff.modified.every(function(entry) {
+		return entry.diff === null;
+	}));
+});
+
+test('uses the given context', function() {
+	var diff = PharUtils.diff(createPhar({ 'a.txt': lines(9) }), createPhar({ 'a.txt': lines(9, function(i) {
+		return i == 5 ? 'five' : undefined;
+	}) }), { context: 1 });
+	assert.strictEqual(diff.modified[0].diff, '--- a/a.txt\n+++ b/a.txt\n@@ -4,3 +4,3 @@\n line 4\n-line 5\n+five\n line 6\n');
+});
+
+test('diff command prints the difference and exits with 1 like diff(1)', function() {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-diff-'));
+	try {
+		fs.writeFileSync(path.join(dir, 'a.phar'), createPhar({ 'a.php': 'old\n' }).savePharData(true));
+		fs.writeFileSync(path.join(dir, 'b.phar'), createPhar({ 'a.php': 'new\n' }).savePharData(true));
+		var run = function(args) {
+			return child_process.spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'pharutils.js'), 'diff'].concat(args), { cwd: dir, encoding: 'latin1' });
+		};
+		
+		var result = run(['a.phar', 'a.phar']);
+		assert.strictEqual(result.status, 0);
+		assert.strictEqual(result.stdout, '');
+		
+		result = run(['a.phar', 'b.phar']);
+		assert.strictEqual(result.status, 1);
+		assert.ok(result.stdout.indexOf('\n--- a/a.php\n+++ b/a.php\n@@ -1,1 +1,1 @@\n-old\n+new\n') != -1);
+		
+		result = run(['a.phar', 'b.phar', '--json']);
+		assert.strictEqual(result.status, 1);
+		assert.strictEqual(JSON.parse(result.stdout).modified[0].name, 'a.php');
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+});
@@ -0,0 +1,172 @@
+/**
+ * Directory-aware file index: listing, walking, glob, rename and loaded entry names
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var PharUtils = require('../lib/pharutils.js');
+
+function createPhar() {
+	var phar = new PharUtils.Phar();
+	['src/Main.php', 'src/lib/A.php', 'src/lib/B.php', 'src/lib/util/C.inc', 'resources/config.yml', 'README.md'].forEach(function(name) {
+		phar.addFile(new PharUtils.PharFile(name, 'contents of ' + name));
+	});
+	phar.addDirectory('resources/empty');
+	return phar;
+}
+
+function names(files) {
+	return files.map(function(file) {
+		return file.getName();
+	});
+}
+
+test('normalizes paths of added files', function() {
+	var phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('./src//a/../Main.php', 'old'));
+	phar.addFile(new PharUtils.PharFile('/src/Main.php', 'new'));
+	assert.deepStrictEqual(names(phar.getFiles()), ['src/Main.php']);
+	assert.strictEqual(phar.getFile('./src/Main.php').getContents(), 'new');
+	assert.strictEqual(phar.getFile('src/other.php'), undefined);
+});
+
+test('lists and walks directories', function() {
+	var phar = createPhar();
+	assert.ok(phar.isDirectory('src/lib'));
+	assert.ok(phar.isDirectory('resources/empty'));
+	assert.ok(!phar.isDirectory('src/Main.php'));
+	assert.ok(phar.exists('src/Main.php') && phar.exists('src') && !phar.exists('missing'));
+	
+	assert.deepStrictEqual(phar.listDirectory('').map(function(entry) {
+		return [entry.name, entry.is_directory];
+	}), [['README.md', false], ['resources', true], ['src', true]]);
+	var entry = phar.listDirectory('src/lib')[0];
+	assert.strictEqual(entry.path, 'src/lib/A.php');
+	assert.strictEqual(entry.file, phar.getFile('src/lib/A.php'));
+	assert.throws(function() {
+		phar.listDirectory('missing');
+	}, /not found/);
+	
+	var paths = [];
+	phar.walk('src', function(entry) {
+		paths.push(entry.path);
+	});
+	assert.deepStrictEqual(paths, ['src/Main.php', 'src/lib', 'src/lib/A.php', 'src/lib/B.php', 'src/lib/util', 'src/lib/util/C.inc']);
+	
+	paths = [];
+	phar.walk('', function(entry) {
+		paths.push(entry.path);
+		return entry.path != 'resources/config.yml';
+	});
+	assert.deepStrictEqual(paths, ['README.md', 'resources', 'resources/config.yml']);
+});
+
+test('finds files by glob patterns', function() {
+	var phar = createPhar();
+	assert.deepStrictEqual(names(phar.glob('src/*.php')), ['src/Main.php']);
+	assert.deepStrictEqual(names(phar.glob('src/**/*.php')), ['src/Main.php', 'src/lib/A.php', 'src/lib/B.php']);
+	assert.deepStrictEqual(names(phar.glob('**/*.{inc,yml}')), ['src/lib/util/C.inc', 'resources/config.yml']);
+	assert.deepStrictEqual(names(phar.glob('src/lib/[AC].php')), ['src/lib/A.php']);
+	assert.deepStrictEqual(names(phar.glob('src/lib/?.php')), ['src/lib/A.php', 'src/lib/B.php']);
+	assert.deepStrictEqual(names(phar.glob('*.md')), ['README.md']);
+});
+
+test('renames files and directories', function() {
+	var phar = createPhar();
+	phar.rename('README.md', 'docs/README.md');
+	assert.strictEqual(phar.getFile('README.md'), undefined);
+	assert.strictEqual(phar.getFile('docs/README.md').getContents(), 'contents of README.md');
+	
+	phar.rename('src/lib', 'lib');
+	assert.ok(!phar.isDirectory('src/lib'));
+	assert.deepStrictEqual(names(phar.glob('lib/**')), ['lib/A.php', 'lib/B.php', 'lib/util/C.inc']);
+	assert.strictEqual(phar.getFile('lib/util/C.inc').getContents(), 'contents of src/lib/util/C.inc');
+	
+	phar.move('resources', 'res');
+	assert.deepStrictEqual(names(phar.getDirectories()), ['res/empty']);
+	
+	assert.throws(function() {
+		phar.rename('lib', 'lib/inner');
+	}, /into itself/);
+	assert.throws(function() {
+		phar.rename('lib/A.php', 'lib/B.php');
+	}, /already exists/);
+	assert.throws(function() {
+		phar.rename('missing', 'other');
+	}, /not found/);
+});
+
+test('reindexes files renamed by PharFile.setName()', function() {
+	var phar = createPhar();
+	phar.getFile('src/Main.php').setName('src/App.php');
+	assert.strictEqual(phar.getFile('src/App.php').getContents(), 'contents of src/Main.php');
+	assert.strictEqual(phar.getFile('src/Main.php'), undefined);
+	assert.deepStrictEqual(names(phar.glob('src/*.php')), ['src/App.php']);
+});
+
+test('adds and removes directories', function() {
+	var phar = createPhar();
+	assert.throws(function() {
+		phar.addDirectory('README.md');
+	}, /already exists/);
+	assert.throws(function() {
+		phar.addDirectory('./');
+	}, /empty/);
+	
+	phar.removeDirectory('src/lib');
+	assert.deepStrictEqual(names(phar.glob('src/**')), ['src/Main.php']);
+	assert.strictEqual(phar.getFile('src/lib/A.php'), undefined);
+	phar.removeDirectory('resources');
+	assert.deepStrictEqual(phar.getDirectories(), []);
+	assert.throws(function() {
+		phar.removeDirectory('resources');
+	}, /not found/);
+});
+
+test('keeps explicit directories in all formats', function() {
+	var phar = createPhar();
+	phar.addDirectory('resources/empty', { permission: 448 }); // 0700
+	[
+		new PharUtils.Phar().loadPharData(phar.savePharData()),
+		new PharUtils.Phar().loadTarData(phar.saveTarData()),
+		new PharUtils.Phar().loadZipData(phar.saveZipData())
+	].forEach(function(loaded) {
+		assert.deepStrictEqual(names(loaded.getDirectories()), ['resources/empty']);
+		assert.ok(loaded.isDirectory('resources/empty'));
+		assert.deepStrictEqual(names(loaded.getFiles()), names(phar.getFiles()));
+	});
+	assert.strictEqual(new PharUtils.Phar().loadPharData(phar.savePharData()).getDirectories()[0].getPermission(), 448);
+});
+
+test('keeps stored names of loaded entries and reports duplicates', function() {
+	var phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('src/a.php', 'first'));
+	var file = new PharUtils.PharFile('tmp', 'second');
+	phar.addFile(file);
+	file.setName('./src/a.php'); // not normalized, like in archives made by other tools
+	
+	[
+		new PharUtils.Phar().loadPharData(phar.savePharData()),
+		new PharUtils.Phar().loadTarData(phar.saveTarData()),
+		new PharUtils.Phar().loadZipData(phar.saveZipData())
+	].forEach(function(loaded) {
+		assert.deepStrictEqual(names(loaded.getFiles()), ['src/a.php', './src/a.php']);
+		assert.deepStrictEqual(loaded.getDiagnostics().errors.map(function(error) {
+			return [error.code, error.entry];
+		}), [[PharUtils.ERROR_DUPLICATE_ENTRY, './src/a.php']]);
+		assert.strictEqual(loaded.getFile('src/a.php').getContents(), 'first');
+		assert.strictEqual(loaded.getFile('./src/a.php').getContents(), 'second');
+		assert.deepStrictEqual(names(loaded.glob('src/*.php')), ['src/a.php', './src/a.php']);
+		
+		loaded.removeFile('src/a.php');
+		assert.strictEqual(loaded.getFile('src/a.php').getContents(), 'second');
+		assert.deepStrictEqual(loaded.listDirectory('src').map(function(entry) {
+			return entry.path;
+		}), ['src/a.php']);
+		
+		loaded.rename('src', 'lib');
+		assert.deepStrictEqual(names(loaded.getFiles()), ['lib/a.php']);
+	});
+});
@@ -0,0 +1,82 @@
+/**
+ * lib/pharutils.min.js and lib/pharutils.mjs must stay in line with lib/pharutils.js
+ * (the min build is made by `npm run build`)
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var loadBrowser = require('./browser.js');
+var PharUtils = require('../lib/pharutils.js');
+
+var INTERNAL_MEMBERS = ['handleWorkerMessage']; // used by worker scripts
+var OPTIONAL_MEMBERS = ['PharZipConverter']; // only defined when Zlib.Zip and Zlib.Unzip are loaded
+
+function describe(value, depth) {
+	if (typeof value === 'function') {
+		return 'function';
+	}
+	if (value === null || typeof value !== 'object') {
+		return value;
+	}
+	if (Array.isArray(value) || depth == 0) {
+		return Array.isArray(value) ? value.map(describe) : 'object';
+	}
+	var result = { };
+	Object.keys(value).sort().forEach(function(key) {
+		result[key] = describe(value[key], depth - 1);
+	});
+	return result;
+}
+
+function describeApi(lib) {
+	return {
+		members: describe(lib, 2),
+		phar: describe(new lib.Phar(), 1),
+		file: describe(new lib.PharFile('a', 'b'), 1)
+	};
+}
+
+function savePhar(lib) {
+	var phar = new lib.Phar({ alias: 'app.phar', signature_type: lib.SIGNATURE_SHA256 });
+	phar.setMetadataValue({ name: 'app', list: [1, 2.5, true, null] });
+	phar.addFile(new lib.PharFile('a.txt', 'contents of a', { timestamp: 1500000000 }));
+	phar.addFile(new lib.PharFile('gz.txt', new Array(50).join('gz '), { timestamp: 1500000000, compression_type: lib.COMPRESSION_GZ }));
+	phar.addFile(new lib.PharFile('bz2.txt', new Array(50).join('bz2 '), { timestamp: 1500000000, compression_type: lib.COMPRESSION_BZIP2 }));
+	var data = phar.savePharData();
+	assert.strictEqual(new lib.Phar().loadPharData(data).getFile('bz2.txt').getContents(), new Array(50).join('bz2 '));
+	return data;
+}
+
+test('the min build has the API and output of the source', function() {
+	var min = require('../lib/pharutils.min.js');
+	assert.notStrictEqual(min, PharUtils);
+	assert.deepStrictEqual(describeApi(min), describeApi(PharUtils));
+	assert.strictEqual(savePhar(min), savePhar(PharUtils));
+});
+
+test('the source and the min build work as browser scripts', function() {
+	[ __dirname + '/../lib/pharutils.js', __dirname + '/../lib/pharutils.min.js' ].forEach(function(file) {
+		var lib = loadBrowser(file);
+		assert.deepStrictEqual(describeApi(lib), describeApi(PharUtils));
+		assert.strictEqual(savePhar(lib), savePhar(PharUtils));
+	});
+});
+
+test('the ES module exports every public member by name', function() {
+	return import('../lib/pharutils.mjs').then(function(module) {
+		assert.strictEqual(module.default, PharUtils);
+		
+		var expected = Object.keys(PharUtils).filter(function(key) {
+			return !/^[A-Z0-9_]+$/.test(key) && INTERNAL_MEMBERS.indexOf(key) == -1 && OPTIONAL_MEMBERS.indexOf(key) == -1; // constants are used through the default export
+		}).concat(OPTIONAL_MEMBERS);
+		var exported = Object.keys(module).filter(function(key) {
+			return key != 'default';
+		});
+		assert.deepStrictEqual(exported.sort(), expected.sort());
+		exported.forEach(function(key) {
+			assert.strictEqual(module[key], PharUtils[key], key);
+		});
+	});
+});
@@ -0,0 +1,129 @@
+/**
+ * PharError types, error codes and the lenient load mode
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var crypto = require('crypto');
+var PharUtils = require('../lib/pharutils.js');
+
+function createPhar() {
+	var phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('a.txt', 'contents of a'));
+	phar.addFile(new PharUtils.PharFile('b.txt', 'contents of b'));
+	phar.addFile(new PharUtils.PharFile('c.php', new Array(50).join('<?php echo 1;\n'), { compression_type: PharUtils.COMPRESSION_GZ }));
+	return phar;
+}
+
+function replace(data, search, replacement) {
+	var pos = data.indexOf(search);
+	assert.notStrictEqual(pos, -1);
+	return data.substring(0, pos) + replacement + data.substring(pos + search.length);
+}
+
+function assertError(callback, type, code, entry) {
+	assert.throws(callback, function(error) {
+		assert.ok(error instanceof type, error.name);
+		assert.ok(error instanceof PharUtils.PharError);
+		assert.ok(error instanceof Error);
+		assert.strictEqual(error.code, code);
+		assert.strictEqual(error.entry, entry);
+		return true;
+	});
+}
+
+test('errors carry a name, code, entry and stack', function() {
+	var error = new PharUtils.PharEntryError('Broken!', PharUtils.ERROR_CRC_MISMATCH, 'a.txt');
+	assert.ok(error instanceof PharUtils.PharError);
+	assert.ok(error instanceof Error);
+	assert.strictEqual(error.name, 'PharEntryError');
+	assert.strictEqual(error.message, 'Broken!');
+	assert.strictEqual(error.code, 'CRC_MISMATCH');
+	assert.strictEqual(error.entry, 'a.txt');
+	assert.ok(/Broken!/.test(error.stack));
+	assert.ok(!(new PharUtils.PharFormatError('x') instanceof PharUtils.PharEntryError));
+});
+
+test('loading reports what is broken', function() {
+	var data = createPhar().savePharData();
+	var load = function(data, options) {
+		return function() {
+			new PharUtils.Phar().loadPharData(data, options);
+		};
+	};
+	
+	assertError(load(data.substring(0, data.length - 1)), PharUtils.PharFormatError, PharUtils.ERROR_BAD_MAGIC);
+	assertError(load(replace(data, 'contents of a', 'contents of A')), PharUtils.PharSignatureError, PharUtils.ERROR_BAD_SIGNATURE);
+	assertError(load(replace(data, 'contents of a', 'contents of A'), { verify_signature: false }), PharUtils.PharEntryError, PharUtils.ERROR_CRC_MISMATCH, 'a.txt');
+	assertError(load(data.substring(0, data.length - 8) + PharUtils.Binary.writeLInt(0x77) + 'GBMB'), PharUtils.PharSignatureError, PharUtils.ERROR_UNKNOWN_SIGNATURE);
+	assertError(load(replace(data, PharUtils.STUB_END, '__HALT_COMPILER();\n'), { verify_signature: false }), PharUtils.PharFormatError, PharUtils.ERROR_STUB_NOT_FOUND);
+	
+	var key = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).privateKey.export({ type: 'pkcs1', format: 'pem' });
+	var signed = createPhar().setSignatureType(PharUtils.SIGNATURE_OPENSSL, key).savePharData();
+	assertError(load(signed), PharUtils.PharSignatureError, PharUtils.ERROR_MISSING_KEY);
+});
+
+test('lenient mode keeps every readable file', function() {
+	var data = replace(createPhar().savePharData(), 'contents of b', 'contents of B');
+	var phar = new PharUtils.Phar().loadPharData(data, { lenient: true });
+	
+	assert.deepStrictEqual(phar.getFiles().map(function(file) {
+		return file.getName();
+	}), ['a.txt', 'c.php']);
+	assert.strictEqual(phar.getFile('c.php').getContents(), new Array(50).join('<?php echo 1;\n'));
+	
+	var diagnostics = phar.getDiagnostics();
+	assert.deepStrictEqual(diagnostics.broken_entries, ['b.txt']);
+	assert.deepStrictEqual(diagnostics.errors.map(function(error) {
+		return error.code;
+	}), [PharUtils.ERROR_BAD_SIGNATURE, PharUtils.ERROR_CRC_MISMATCH]);
+});
+
+test('lenient mode reads archives without magic and with cut data', function() {
+	var data = createPhar().savePharData();
+	var phar = new PharUtils.Phar().loadPharData(data.substring(0, data.length - 10), { lenient: true });
+	assert.strictEqual(phar.getFile('a.txt').getContents(), 'contents of a');
+	assert.strictEqual(phar.getDiagnostics().errors[0].code, PharUtils.ERROR_BAD_MAGIC);
+	
+	var pos = data.indexOf('contents of b');
+	phar = new PharUtils.Phar().loadPharData(data.substring(0, pos + 5), { lenient: true });
+	assert.deepStrictEqual(phar.getFiles().map(function(file) {
+		return file.getName();
+	}), ['a.txt']);
+	assert.deepStrictEqual(phar.getDiagnostics().broken_entries, ['b.txt', 'c.php']);
+	assert.ok(phar.getDiagnostics().errors.some(function(error) {
+		return error.code == PharUtils.ERROR_TRUNCATED_DATA;
+	}));
+});
+
+test('broken compressed contents are reported for the entry', function() {
+	var phar = createPhar();
+	var data = phar.savePharData();
+	var compressed = phar.getFile('c.php').getCompressedContents();
+	var broken = replace(data, compressed, compressed.substring(0, 4) + '\xff\xff\xff\xff' + compressed.substring(8));
+	assert.throws(function() {
+		new PharUtils.Phar().loadPharData(broken, { verify_signature: false });
+	}, function(error) {
+		assert.ok(error instanceof PharUtils.PharEntryError);
+		assert.ok([PharUtils.ERROR_DECOMPRESSION_FAILED, PharUtils.ERROR_CRC_MISMATCH].indexOf(error.code) != -1, error.code);
+		assert.strictEqual(error.entry, 'c.php');
+		return true;
+	});
+});
+
+test('tar and zip structure errors have codes', function() {
+	var tar = createPhar().saveTarData();
+	assertError(function() {
+		new PharUtils.Phar().loadTarData('x' + tar.substring(1));
+	}, PharUtils.PharFormatError, PharUtils.ERROR_CORRUPTED_ARCHIVE);
+	assertError(function() {
+		new PharUtils.Phar().loadZipData('not a zip');
+	}, PharUtils.PharFormatError, PharUtils.ERROR_CORRUPTED_ARCHIVE);
+	
+	var zip = createPhar().saveZipData();
+	assertError(function() {
+		new PharUtils.Phar().loadZipData(replace(zip, 'contents of a', 'contents of A'));
+	}, PharUtils.PharEntryError, PharUtils.ERROR_CRC_MISMATCH, 'a.txt');
+});
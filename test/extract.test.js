@@ -0,0 +1,218 @@
+/**
+ * extractTo(): unsafe and duplicate names, existing files, symlinks and restored attributes
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var child_process = require('child_process');
+var PharUtils = require('../lib/pharutils.js');
+
+// names are written as they are stored, PharFile.setName() does not normalize them
+function craft(names, save) {
+	var phar = new PharUtils.Phar();
+	for (var i = 0; i < names.length; i++) {
+		var file = new PharUtils.PharFile('file' + i, 'contents ' + i);
+		phar.addFile(file);
+		file.setName(names[i]);
+	}
+	return phar[save](true);
+}
+
+function tempDir() {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-extract-'));
+	test.after(function() {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+	return dir;
+}
+
+function createPhar() {
+	var phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('src/a.php', '<?php echo "a";', { timestamp: 1600000000, permission: 493 }));
+	phar.addFile(new PharUtils.PharFile('src/lib/b.php', '<?php echo "b";', { timestamp: 1500000000, permission: 416 }));
+	phar.addFile(new PharUtils.PharFile('README.md', 'readme'));
+	phar.addDirectory('cache', { timestamp: 1400000000, permission: 448 });
+	return phar;
+}
+
+function names(items) {
+	return items.map(function(item) {
+		return item.name;
+	});
+}
+
+var formats = { savePharData: 'loadPharData', saveTarData: 'loadTarData', saveZipData: 'loadZipData' };
+
+Object.keys(formats).forEach(function(save) {
+	var load = formats[save];
+	
+	test(load + ': traversal is rejected with ERROR_UNSAFE_PATH', function() {
+		var phar = new PharUtils.Phar()[load](craft(['good.txt', '../x.txt'], save));
+		assert.deepStrictEqual(phar.getFiles().map(function(file) { return file.getName(); }), ['good.txt', '../x.txt']);
+		
+		var dir = tempDir();
+		assert.throws(function() {
+			phar.extractTo(path.join(dir, 'out'));
+		}, function(error) {
+			return error.code == PharUtils.ERROR_UNSAFE_PATH && error.entry == '../x.txt';
+		});
+		assert.ok(!fs.existsSync(path.join(dir, 'x.txt')));
+		assert.ok(!fs.existsSync(path.join(dir, 'out')));
+	});
+	
+	test(load + ': absolute path is rejected with ERROR_UNSAFE_PATH', function() {
+		var phar = new PharUtils.Phar()[load](craft(['/etc/x.txt'], save));
+		assert.throws(function() {
+			phar.extractTo(tempDir());
+		}, function(error) {
+			return error.code == PharUtils.ERROR_UNSAFE_PATH;
+		});
+	});
+	
+	test(load + ': duplicate names are reported and rejected with ERROR_DUPLICATE_ENTRY', function() {
+		var phar = new PharUtils.Phar()[load](craft(['good.txt', 'good.txt', './a.txt', 'a.txt'], save));
+		assert.strictEqual(phar.getFilesCount(), 4);
+		assert.strictEqual(phar.getFile('good.txt').getContents(), 'contents 0');
+		assert.deepStrictEqual(phar.getDiagnostics().errors.map(function(error) { return [error.code, error.entry]; }), [
+			[PharUtils.ERROR_DUPLICATE_ENTRY, 'good.txt'],
+			[PharUtils.ERROR_DUPLICATE_ENTRY, 'a.txt']
+		]);
+		
+		var dir = tempDir();
+		assert.throws(function() {
+			phar.extractTo(dir);
+		}, function(error) {
+			return error.code == PharUtils.ERROR_DUPLICATE_ENTRY;
+		});
+		
+		var report = phar.extractTo(dir, { unsafe: 'skip' });
+		assert.deepStrictEqual(names(report.written), ['good.txt', './a.txt']);
+		assert.deepStrictEqual(names(report.skipped), ['good.txt', 'a.txt']);
+		assert.strictEqual(fs.readFileSync(path.join(dir, 'good.txt'), 'latin1'), 'contents 0');
+	});
+});
+
+test('extracts files and directories with their permissions and times', function() {
+	var dir = path.join(tempDir(), 'out');
+	var report = createPhar().extractTo(dir);
+	
+	assert.deepStrictEqual(names(report.written), ['src/a.php', 'src/lib/b.php', 'README.md']);
+	assert.deepStrictEqual(report.written[0], { name: 'src/a.php', path: path.join(dir, 'src', 'a.php'), size: 15 });
+	assert.deepStrictEqual(report.directories, [dir, path.join(dir, 'src'), path.join(dir, 'src', 'lib'), path.join(dir, 'cache')]);
+	assert.deepStrictEqual(report.skipped, []);
+	
+	assert.strictEqual(fs.readFileSync(path.join(dir, 'src', 'lib', 'b.php'), 'latin1'), '<?php echo "b";');
+	assert.strictEqual(fs.statSync(path.join(dir, 'src', 'a.php')).mode & 511, 493);
+	assert.strictEqual(fs.statSync(path.join(dir, 'src', 'lib', 'b.php')).mode & 511, 416);
+	assert.strictEqual(fs.statSync(path.join(dir, 'src', 'a.php')).mtime.getTime(), 1600000000000);
+	assert.strictEqual(fs.statSync(path.join(dir, 'cache')).mode & 511, 448);
+	assert.strictEqual(fs.statSync(path.join(dir, 'cache')).mtime.getTime(), 1400000000000);
+	
+	var plain = path.join(tempDir(), 'plain');
+	createPhar().extractTo(plain, { permissions: false, timestamps: false });
+	assert.notStrictEqual(fs.statSync(path.join(plain, 'src', 'a.php')).mtime.getTime(), 1600000000000);
+});
+
+test('extracts only the selected files and directories', function() {
+	var dir = tempDir();
+	var report = createPhar().extractTo(dir, { files: ['src/lib', './README.md'] });
+	assert.deepStrictEqual(names(report.written), ['src/lib/b.php', 'README.md']);
+	assert.ok(!fs.existsSync(path.join(dir, 'src', 'a.php')));
+	assert.ok(!fs.existsSync(path.join(dir, 'cache')));
+	
+	assert.throws(function() {
+		createPhar().extractTo(dir, { files: 'missing.php' });
+	}, /not found/);
+});
+
+test('existing files are kept unless overwrite is set', function() {
+	var dir = tempDir();
+	fs.mkdirSync(path.join(dir, 'src'));
+	fs.writeFileSync(path.join(dir, 'src', 'a.php'), 'old');
+	fs.writeFileSync(path.join(dir, 'README.md'), 'old');
+	
+	assert.throws(function() {
+		createPhar().extractTo(dir);
+	}, function(error) {
+		return error.code == PharUtils.ERROR_FILE_EXISTS && error.entry == 'src/a.php';
+	});
+	assert.ok(!fs.existsSync(path.join(dir, 'src', 'lib')), 'nothing is written when a check fails');
+	assert.strictEqual(fs.readFileSync(path.join(dir, 'README.md'), 'latin1'), 'old');
+	
+	var report = createPhar().extractTo(dir, { unsafe: 'skip' });
+	assert.deepStrictEqual(names(report.written), ['src/lib/b.php']);
+	assert.deepStrictEqual(names(report.skipped), ['src/a.php', 'README.md']);
+	
+	createPhar().extractTo(dir, { overwrite: true });
+	assert.strictEqual(fs.readFileSync(path.join(dir, 'README.md'), 'latin1'), 'readme');
+	
+	fs.mkdirSync(path.join(dir, 'dir.php'));
+	var phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('dir.php', 'x'));
+	assert.throws(function() {
+		phar.extractTo(dir, { overwrite: true });
+	}, /is a directory/);
+});
+
+test('does not follow symlinks out of the target directory', function() {
+	var outside = tempDir();
+	var dir = tempDir();
+	fs.symlinkSync(outside, path.join(dir, 'src'));
+	fs.symlinkSync(path.join(outside, 'target.txt'), path.join(dir, 'README.md'));
+	
+	assert.throws(function() {
+		createPhar().extractTo(dir, { overwrite: true });
+	}, function(error) {
+		return error.code == PharUtils.ERROR_UNSAFE_PATH && /points outside/.test(error.message);
+	});
+	
+	var report = createPhar().extractTo(dir, { overwrite: true, unsafe: 'skip' });
+	assert.deepStrictEqual(names(report.skipped), ['src/a.php', 'src/lib/b.php']);
+	assert.deepStrictEqual(fs.readdirSync(outside), []);
+	assert.ok(!fs.lstatSync(path.join(dir, 'README.md')).isSymbolicLink(), 'the link itself is replaced');
+	assert.strictEqual(fs.readFileSync(path.join(dir, 'README.md'), 'latin1'), 'readme');
+});
+
+test('sanitizes unsafe names on request', function() {
+	var phar = new PharUtils.Phar().loadPharData(craft(['../../x.txt', '/abs/y.txt', 'C:\\win\\z.txt', '..'], 'savePharData'));
+	var dir = tempDir();
+	var report = phar.extractTo(dir, { unsafe: 'sanitize' });
+	assert.deepStrictEqual(report.written.map(function(item) {
+		return path.relative(dir, item.path).split(path.sep).join('/');
+	}), ['x.txt', 'abs/y.txt', 'win/z.txt']);
+	assert.deepStrictEqual(report.skipped, [{ name: '..', reason: 'empty name' }]);
+	
+	assert.throws(function() {
+		phar.extractTo(dir, { unsafe: 'ignore' });
+	}, /Unknown unsafe entries mode/);
+});
+
+test('extract command passes --overwrite and --unsafe', function() {
+	var dir = tempDir();
+	fs.writeFileSync(path.join(dir, 'app.phar'), craft(['a.txt', '../evil.txt'], 'savePharData'), 'latin1');
+	var run = function(args) {
+		return child_process.spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'pharutils.js'), 'extract', 'app.phar', 'out'].concat(args), { cwd: dir, encoding: 'latin1' });
+	};
+	
+	var result = run([]);
+	assert.notStrictEqual(result.status, 0);
+	assert.ok(!fs.existsSync(path.join(dir, 'out')));
+	
+	result = run(['--unsafe', 'skip']);
+	assert.strictEqual(result.status, 0, result.stderr);
+	assert.strictEqual(fs.readFileSync(path.join(dir, 'out', 'a.txt'), 'latin1'), 'contents 0');
+	assert.ok(!fs.existsSync(path.join(dir, 'evil.txt')));
+	
+	fs.writeFileSync(path.join(dir, 'out', 'a.txt'), 'changed');
+	assert.strictEqual(run(['--unsafe', 'skip']).status, 0);
+	assert.strictEqual(fs.readFileSync(path.join(dir, 'out', 'a.txt'), 'latin1'), 'changed');
+	result = run(['--unsafe', 'sanitize', '--overwrite']);
+	assert.strictEqual(result.status, 0, result.stderr);
+	assert.strictEqual(fs.readFileSync(path.join(dir, 'out', 'a.txt'), 'latin1'), 'contents 0');
+	assert.strictEqual(fs.readFileSync(path.join(dir, 'out', 'evil.txt'), 'latin1'), 'contents 1');
+});
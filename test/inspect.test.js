@@ -0,0 +1,234 @@
+/**
+ * PharUtils.inspect() on crafted hostile archives
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var zlib = require('zlib');
+var child_process = require('child_process');
+var PharUtils = require('../lib/pharutils.js');
+
+var LONG = new Array(200).join('<?php echo "inspect";\n');
+
+function createPhar(options) {
+	var phar = new PharUtils.Phar(options);
+	phar.setSignatureType(PharUtils.SIGNATURE_SHA256);
+	phar.addFile(new PharUtils.PharFile('a.txt', 'contents of a'));
+	phar.addFile(new PharUtils.PharFile('gz.php', LONG, { compression_type: PharUtils.COMPRESSION_GZ }));
+	return phar;
+}
+
+// names are written as they are stored, PharFile.setName() does not normalize them
+function rename(phar, from, to) {
+	phar.getFile(from).setName(to);
+	return phar;
+}
+
+function codes(report) {
+	return report.findings.map(function(finding) {
+		return finding.severity + ' ' + finding.code + (finding.entry !== null ? ' ' + finding.entry : '');
+	});
+}
+
+function manifestEntry(data, name) {
+	// position of the fields after the name of the entry in the manifest
+	var pos = data.indexOf(PharUtils.Binary.writeLInt(name.length) + name);
+	assert.notStrictEqual(pos, -1);
+	return pos + 4 + name.length;
+}
+
+function patch(data, pos, value) {
+	return data.substring(0, pos) + PharUtils.Binary.writeLInt(value) + data.substring(pos + 4);
+}
+
+test('finds nothing in a clean archive', function() {
+	var data = createPhar().savePharData(true);
+	var report = PharUtils.inspect(data);
+	assert.deepStrictEqual(report, {
+		format: 'phar',
+		compressed: null,
+		offset: createPhar().getStub().length,
+		signature_type: PharUtils.SIGNATURE_SHA256,
+		entries: 2,
+		severity: 'none',
+		findings: []
+	});
+	assert.strictEqual(PharUtils.inspect(data.slice().buffer).severity, 'none');
+	
+	var phar = new PharUtils.Phar({ stub: PharUtils.PharStub.createDefault('index.php') });
+	phar.addFile(new PharUtils.PharFile('index.php', '<?php'));
+	phar.setSignatureType(PharUtils.SIGNATURE_SHA512);
+	assert.strictEqual(PharUtils.inspect(phar.savePharData()).severity, 'none');
+});
+
+test('flags serialized objects in metadata', function() {
+	var phar = createPhar();
+	phar.setMetadataValue({ logger: new PharUtils.PhpObject('Monolog\\Handler\\SyslogUdpHandler', { socket: null }) });
+	phar.getFile('a.txt').setMetadata('a:1:{i:0;C:11:"ArrayObject":5:{x:i:0}}');
+	phar.getFile('gz.php').setMetadata('a:1:{i:0;');
+	assert.deepStrictEqual(codes(PharUtils.inspect(phar.savePharData())), [
+		'high SERIALIZED_OBJECT',
+		'high SERIALIZED_OBJECT a.txt',
+		'low BAD_METADATA gz.php'
+	]);
+	assert.ok(/Monolog\\Handler\\SyslogUdpHandler/.test(PharUtils.inspect(phar.savePharData()).findings[0].message));
+});
+
+test('flags custom stubs and suspicious stub code', function() {
+	var report = PharUtils.inspect(createPhar({ stub: '<?php @eval(base64_decode($_POST["x"])); `id`; __HALT_COMPILER();' }).savePharData());
+	assert.deepStrictEqual(codes(report), ['high SUSPICIOUS_STUB', 'info CUSTOM_STUB']);
+	assert.strictEqual(report.findings[0].message, 'Stub contains suspicious code: eval(), base64_decode(), $_POST, `...`');
+	
+	report = PharUtils.inspect(createPhar({ stub: '<?php echo "hello"; __HALT_COMPILER();' }).savePharData());
+	assert.deepStrictEqual(codes(report), ['info CUSTOM_STUB']);
+	
+	// default stub with a changed body
+	var stub = PharUtils.PharStub.createDefault().replace('Phar::interceptFileFuncs();', 'system($argv[1]);');
+	report = PharUtils.inspect(createPhar({ stub: stub }).savePharData());
+	assert.deepStrictEqual(codes(report), ['high SUSPICIOUS_STUB', 'info CUSTOM_STUB']);
+});
+
+test('flags unsafe, duplicate and unnormalized entry names', function() {
+	var phar = createPhar();
+	phar.addFile(new PharUtils.PharFile('b.txt', 'b'));
+	phar.addFile(new PharUtils.PharFile('c.txt', 'c'));
+	phar.addFile(new PharUtils.PharFile('d.txt', 'd'));
+	rename(phar, 'b.txt', '../../etc/cron.d/x');
+	rename(phar, 'c.txt', './a.txt');
+	rename(phar, 'd.txt', 'C:\\evil.txt');
+	
+	['savePharData', 'saveTarData', 'saveZipData'].forEach(function(save) {
+		assert.deepStrictEqual(codes(PharUtils.inspect(phar[save](true))).filter(function(code) {
+			return !/SIGNATURE/.test(code);
+		}), [
+			'high UNSAFE_PATH ../../etc/cron.d/x',
+			'high DUPLICATE_ENTRY ./a.txt',
+			'high UNSAFE_PATH C:\\evil.txt',
+			'low UNNORMALIZED_PATH ./a.txt'
+		], save);
+	});
+});
+
+test('flags manifest and size inconsistencies', function() {
+	var data = createPhar().savePharData();
+	var pos = manifestEntry(data, 'a.txt');
+	
+	var report = PharUtils.inspect(patch(data, pos, 20)); // uncompressed size
+	assert.deepStrictEqual(codes(report), ['high BAD_SIGNATURE', 'medium SIZE_MISMATCH a.txt']);
+	
+	report = PharUtils.inspect(patch(data, pos + 8, 0x7fffffff)); // compressed size
+	assert.deepStrictEqual(codes(report), ['high BAD_SIGNATURE', 'high OUT_OF_BOUNDS a.txt', 'high OUT_OF_BOUNDS gz.php']);
+	
+	report = PharUtils.inspect(patch(data, manifestEntry(data, 'gz.php'), 0x10000000));
+	assert.deepStrictEqual(codes(report), ['high BAD_SIGNATURE', 'medium DECOMPRESSION_BOMB gz.php']);
+	report = PharUtils.inspect(data, { max_size: 100 });
+	assert.deepStrictEqual(codes(report), ['medium DECOMPRESSION_BOMB gz.php']);
+	
+	report = PharUtils.inspect(patch(data, manifestEntry(data, 'gz.php') + 16, 0xf000)); // flags
+	assert.deepStrictEqual(codes(report), ['high BAD_SIGNATURE', 'medium UNSUPPORTED_COMPRESSION gz.php']);
+	
+	report = PharUtils.inspect(patch(data, pos + 12, 1234)); // CRC32
+	assert.deepStrictEqual(codes(report), ['high BAD_SIGNATURE', 'medium CRC_MISMATCH a.txt']);
+});
+
+test('flags data hidden in the manifest and after the entries', function() {
+	var phar = createPhar();
+	var data = phar.savePharData();
+	var stub_end = phar.getStub().length;
+	var manifest_len = PharUtils.Binary.readLInt(data.substring(stub_end, stub_end + 4));
+	var manifest_end = stub_end + 4 + manifest_len;
+	var hidden = patch(data, stub_end, manifest_len + 6).substring(0, manifest_end) + 'hidden' + data.substring(manifest_end);
+	assert.deepStrictEqual(codes(PharUtils.inspect(hidden)), ['high BAD_SIGNATURE', 'medium HIDDEN_DATA']);
+	
+	var signature_pos = data.length - 8 - 32;
+	hidden = data.substring(0, signature_pos) + 'hidden' + data.substring(signature_pos);
+	var report = PharUtils.inspect(hidden);
+	assert.deepStrictEqual(codes(report), ['high BAD_SIGNATURE', 'medium HIDDEN_DATA']);
+	assert.strictEqual(report.findings[1].message, '6 bytes after the last entry are not referenced by the manifest');
+});
+
+test('finds phars hidden after image headers and embedded in other data', function() {
+	var png = '\x89PNG\r\n\x1a\n\0\0\0\rIHDR';
+	var report = PharUtils.inspect(createPhar({ stub: png + '<?php __HALT_COMPILER(); ?>\r\n' }).savePharData());
+	assert.deepStrictEqual(codes(report), ['high POLYGLOT', 'info CUSTOM_STUB']);
+	assert.strictEqual(report.findings[0].message, 'Phar is hidden after PNG image data (manifest at offset ' + report.offset + ')');
+	
+	var inner = createPhar().savePharData();
+	var phar = createPhar();
+	phar.addFile(new PharUtils.PharFile('vendor/inner.phar', inner));
+	assert.deepStrictEqual(codes(PharUtils.inspect(phar.savePharData())), ['medium EMBEDDED_PHAR vendor/inner.phar']);
+	
+	phar = createPhar();
+	phar.setMetadataValue(inner);
+	assert.deepStrictEqual(codes(PharUtils.inspect(phar.savePharData())), ['high EMBEDDED_PHAR']);
+	
+	report = PharUtils.inspect('GIF89a' + new Array(100).join('\0'));
+	assert.deepStrictEqual(codes(report), ['info NOT_AN_ARCHIVE']);
+	assert.strictEqual(report.format, null);
+});
+
+test('inspects compressed, tar and zip archives', function() {
+	var data = createPhar().savePharData(true);
+	var report = PharUtils.inspect(zlib.gzipSync(data));
+	assert.strictEqual(report.compressed, 'gz');
+	assert.strictEqual(report.format, 'phar');
+	assert.strictEqual(report.severity, 'none');
+	assert.strictEqual(PharUtils.inspect(zlib.gzipSync(data).subarray(0, 50)).findings[0].code, PharUtils.ERROR_DECOMPRESSION_FAILED);
+	
+	var phar = createPhar();
+	phar.setMetadataValue(new PharUtils.PhpObject('Evil'));
+	report = PharUtils.inspect(phar.saveTarData(true));
+	assert.strictEqual(report.format, 'tar');
+	assert.strictEqual(report.entries, 2);
+	assert.strictEqual(report.signature_type, PharUtils.SIGNATURE_SHA256);
+	assert.deepStrictEqual(codes(report), ['high SERIALIZED_OBJECT']);
+	assert.strictEqual(PharUtils.inspect(phar.saveZipData(true)).format, 'zip');
+	assert.deepStrictEqual(codes(PharUtils.inspect(phar.saveZipData(true))), ['high SERIALIZED_OBJECT']);
+	
+	phar.setSignatureType(PharUtils.SIGNATURE_MD5);
+	assert.deepStrictEqual(codes(PharUtils.inspect(phar.saveTarData(true))), ['high SERIALIZED_OBJECT', 'low WEAK_SIGNATURE']);
+});
+
+test('flags links and unsigned tar archives', function() {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-inspect-'));
+	try {
+		fs.writeFileSync(path.join(dir, 'a.txt'), 'a');
+		fs.symlinkSync('/etc/passwd', path.join(dir, 'passwd'));
+		child_process.execFileSync('tar', ['-cf', 'out.tar', 'a.txt', 'passwd'], { cwd: dir });
+		var report = PharUtils.inspect(fs.readFileSync(path.join(dir, 'out.tar')));
+		assert.strictEqual(report.format, 'tar');
+		assert.deepStrictEqual(codes(report), ['medium LINK passwd', 'low UNSIGNED']);
+		assert.strictEqual(report.findings[0].message, 'Entry "passwd" is a link to "/etc/passwd"');
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+});
+
+test('inspect command exits with 1 for high severity findings', function() {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-inspect-'));
+	try {
+		fs.writeFileSync(path.join(dir, 'clean.phar'), createPhar().savePharData(true));
+		fs.writeFileSync(path.join(dir, 'upload.jpg'), createPhar({ stub: '\xff\xd8\xff\xe0<?php __HALT_COMPILER();' }).savePharData(true));
+		var run = function(args) {
+			return child_process.spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'pharutils.js'), 'inspect'].concat(args), { cwd: dir, encoding: 'latin1' });
+		};
+		
+		var result = run(['clean.phar']);
+		assert.strictEqual(result.status, 0, result.stderr);
+		assert.strictEqual(result.stdout, 'clean.phar: phar, 2 entries, sha256 signature\nNo problems found\n');
+		
+		result = run(['upload.jpg']);
+		assert.strictEqual(result.status, 1);
+		assert.ok(result.stdout.indexOf('[high] POLYGLOT: Phar is hidden after JPEG image data') != -1);
+		result = run(['upload.jpg', '--json']);
+		assert.strictEqual(result.status, 1);
+		assert.strictEqual(JSON.parse(result.stdout).severity, 'high');
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+});
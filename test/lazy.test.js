@@ -0,0 +1,95 @@
+/**
+ * Lazy, manifest-only loading of phars
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var PharUtils = require('../lib/pharutils.js');
+
+var LONG = new Array(200).join('<?php echo "lazy";\n');
+
+function createPhar() {
+	var phar = new PharUtils.Phar({ stub: '<?php echo 1; __HALT_COMPILER();' });
+	phar.addFile(new PharUtils.PharFile('a.txt', 'contents of a'));
+	phar.addFile(new PharUtils.PharFile('gz.php', LONG, { compression_type: PharUtils.COMPRESSION_GZ }));
+	phar.addFile(new PharUtils.PharFile('bz2.php', LONG, { compression_type: PharUtils.COMPRESSION_BZIP2 }));
+	return phar;
+}
+
+function replace(data, search, replacement) {
+	var pos = data.indexOf(search);
+	assert.notStrictEqual(pos, -1);
+	return data.substring(0, pos) + replacement + data.substring(pos + search.length);
+}
+
+test('reads contents on first access only', function() {
+	var data = createPhar().savePharData();
+	[ data, createPhar().savePharData(true) ].forEach(function(buffer) {
+		var phar = new PharUtils.Phar().loadPharData(buffer, { lazy: true });
+		var files = phar.getFiles();
+		assert.deepStrictEqual(files.map(function(file) {
+			return file.isLoaded();
+		}), [false, false, false]);
+		
+		var file = phar.getFile('gz.php');
+		assert.strictEqual(file.getSize(), LONG.length);
+		assert.ok(file.getComressedSize() < LONG.length);
+		assert.strictEqual(file.isLoaded(), false);
+		
+		assert.strictEqual(file.getContents(), LONG);
+		assert.strictEqual(file.isLoaded(), true);
+		assert.strictEqual(phar.getFile('bz2.php').isLoaded(), false);
+		assert.strictEqual(phar.getFile('bz2.php').getContents(), LONG);
+		assert.strictEqual(phar.savePharData(), data);
+	});
+});
+
+test('loads all contents when not lazy', function() {
+	var phar = new PharUtils.Phar().loadPharData(createPhar().savePharData(true));
+	phar.getFiles().forEach(function(file) {
+		assert.strictEqual(file.isLoaded(), true);
+	});
+});
+
+test('reports corrupted contents on access', function() {
+	var data = replace(createPhar().savePharData(), 'contents of a', 'contents of A');
+	var options = { lazy: true, verify_signature: false };
+	assert.throws(function() {
+		new PharUtils.Phar().loadPharData(data, { verify_signature: false });
+	}, /file corrupt/);
+	
+	var phar = new PharUtils.Phar().loadPharData(data, options);
+	var file = phar.getFile('a.txt');
+	assert.throws(function() {
+		file.getContents();
+	}, /file corrupt/);
+	assert.throws(function() {
+		file.getContents(); // again, not the broken contents
+	}, /file corrupt/);
+	assert.strictEqual(file.isLoaded(), false);
+	assert.strictEqual(phar.getFile('gz.php').getContents(), LONG);
+});
+
+test('verifies the signature only when asked to', function() {
+	var data = replace(createPhar().savePharData(), 'echo 1', 'echo 2'); // the stub is not covered by CRCs
+	assert.ok(new PharUtils.Phar().loadPharData(data, { lazy: true }).getStub().indexOf('echo 2') != -1);
+	assert.throws(function() {
+		new PharUtils.Phar().loadPharData(data, { lazy: true, verify_signature: true });
+	}, /broken signature/);
+	assert.throws(function() {
+		new PharUtils.Phar().loadPharData(data);
+	}, /broken signature/);
+	assert.ok(new PharUtils.Phar().loadPharData(data, { verify_signature: false }));
+});
+
+test('rejects manifests pointing past the end of the data', function() {
+	var data = createPhar().savePharData();
+	var stub_end = data.indexOf(PharUtils.STUB_END) + PharUtils.STUB_END.length;
+	var manifest_len = PharUtils.Binary.readLInt(data.substring(stub_end, stub_end + 4));
+	var broken = data.substring(0, stub_end) + PharUtils.Binary.writeLInt(manifest_len + 100000) + data.substring(stub_end + 4);
+	assert.throws(function() {
+		new PharUtils.Phar().loadPharData(broken, { lazy: true });
+	}, /manifest corrupt/);
+});
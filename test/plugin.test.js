@@ -0,0 +1,259 @@
+/**
+ * PocketMine-MP plugins: plugin.yml parsing and validation, checkPlugin() and syncPluginMetadata()
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var child_process = require('child_process');
+var PharUtils = require('../lib/pharutils.js');
+
+var PLUGIN_YML = [
+	'# plugin description',
+	'name: My Plugin',
+	'version: 1.0.0',
+	'main: Vendor\\MyPlugin\\Main',
+	'src-namespace-prefix: Vendor\\MyPlugin',
+	'api: [5.0.0, "5.1.0"]',
+	'author: José Müller',
+	'authors:',
+	'  - Лена',
+	'  - "Chen \\u9648"',
+	'description: >',
+	'  Plugin with a folded',
+	'  description 🙂',
+	'website: https://example.com/#plugin',
+	'depend: EconomyAPI',
+	'load: startup',
+	'commands:',
+	'  hello:',
+	'    description: Says hello',
+	'    aliases: [hi, "hey"]',
+	'    usage: "/hello <player>"',
+	'permissions:',
+	'  myplugin.hello:',
+	'    default: op',
+	'    children:',
+	'      myplugin.hello.other: true',
+	''
+].join('\n');
+
+var MAIN_PHP = '<?php\n\nnamespace Vendor\\MyPlugin;\n\nclass Main extends \\pocketmine\\plugin\\PluginBase {}\n';
+
+function createPlugin(yml) {
+	var phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('plugin.yml', Buffer.from(yml === undefined ? PLUGIN_YML : yml)));
+	phar.addFile(new PharUtils.PharFile('src/Main.php', MAIN_PHP));
+	return phar;
+}
+
+function messages(problems) {
+	return problems.map(function(problem) {
+		return problem.field + ': ' + problem.message;
+	});
+}
+
+test('parses YAML as PHP\'s yaml extension does', function() {
+	var parse = PharUtils.PluginDescription.parseYaml;
+	assert.deepStrictEqual(parse(PLUGIN_YML), {
+		'name': 'My Plugin',
+		'version': '1.0.0',
+		'main': 'Vendor\\MyPlugin\\Main',
+		'src-namespace-prefix': 'Vendor\\MyPlugin',
+		'api': ['5.0.0', '5.1.0'],
+		'author': 'José Müller',
+		'authors': ['Лена', 'Chen 陈'],
+		'description': 'Plugin with a folded description 🙂\n',
+		'website': 'https://example.com/#plugin',
+		'depend': 'EconomyAPI',
+		'load': 'startup',
+		'commands': { hello: { description: 'Says hello', aliases: ['hi', 'hey'], usage: '/hello <player>' } },
+		'permissions': { 'myplugin.hello': { 'default': 'op', 'children': { 'myplugin.hello.other': true } } }
+	});
+	assert.deepStrictEqual(parse(Buffer.from('\ufeffname: Лена')), { name: 'Лена' }, 'bytes are decoded from UTF-8');
+	
+	assert.deepStrictEqual(parse([
+		'plain: [yes, No, ~, 0x1F, -3, 1.5, .5e1, 1.0.0]',
+		'quoted: [\'it\'\'s\', "tab\\t"]',
+		'literal: |',
+		'  line 1',
+		'',
+		'  line 2',
+		'',
+		'strip: |-',
+		'  text',
+		'keep: |+',
+		'  text',
+		'',
+		'list:',
+		'- a',
+		'- key: value',
+		'  other: 2',
+		'empty:',
+		'"quoted key": {a: 1, b: [x]}',
+		'---'
+	].join('\r\n')), {
+		'plain': [true, false, null, 31, -3, 1.5, 5, '1.0.0'],
+		'quoted': ['it\'s', 'tab\t'],
+		'literal': 'line 1\n\nline 2\n',
+		'strip': 'text',
+		'keep': 'text\n\n',
+		'list': ['a', { key: 'value', other: 2 }],
+		'empty': null,
+		'quoted key': { a: 1, b: ['x'] }
+	});
+	assert.strictEqual(parse('# only a comment\n'), null);
+	
+	[
+		['a: 1\n\tb: 2', /line 2: tabs can not be used for indentation/],
+		['a: 1\n   b: 2', /line 2: bad indentation/],
+		['a:\n  - 1\n  b: 2', /line 3: bad indentation/],
+		['a: [1, 2', /line 1: unterminated flow collection/],
+		['a: "open', /line 1: bad double-quoted string/],
+		['just text', /line 1: mapping entry expected|line 1: unexpected content/]
+	].forEach(function(item) {
+		assert.throws(function() {
+			parse(item[0]);
+		}, item[1], item[0]);
+	});
+});
+
+test('validates and normalizes plugin.yml fields', function() {
+	var data = PharUtils.PluginDescription.parseYaml(PLUGIN_YML);
+	assert.deepStrictEqual(PharUtils.PluginDescription.validate(data), []);
+	
+	var description = PharUtils.PluginDescription.normalize(data);
+	assert.strictEqual(description.name, 'My_Plugin');
+	assert.deepStrictEqual(description.authors, ['José Müller', 'Лена', 'Chen 陈']);
+	assert.deepStrictEqual(description.depend, ['EconomyAPI']);
+	assert.strictEqual(description.load, 'STARTUP');
+	assert.strictEqual(description.prefix, 'My_Plugin');
+	
+	assert.deepStrictEqual(messages(PharUtils.PluginDescription.validate({
+		name: 'Bad/Name',
+		main: 'pocketmine\\Main',
+		api: ['5', 5.1],
+		depend: [{ a: 1 }],
+		load: 'LATER',
+		commands: { 'a:b': { aliases: ['x:y'] } },
+		permissions: { 'p.one': { 'default': 'sometimes' }, 'p.two': 'yes' }
+	})), [
+		'version: "version" is missing',
+		'name: Name "Bad/Name" contains characters other than A-Z, a-z, 0-9, space, "_", "." and "-"',
+		'main: Main class can not be in the pocketmine namespace',
+		'api: API version "5" is not in the "major.minor.patch" format',
+		'api: API version "5.1" is not in the "major.minor.patch" format',
+		'depend: "depend" must be a name or a list of names',
+		'load: Load order "LATER" is not STARTUP or POSTWORLD',
+		'commands: Command name "a:b" can not contain ":"',
+		'commands: Alias "x:y" of command "a:b" can not contain ":"',
+		'permissions: Default "sometimes" of permission "p.one" is not one of ' + 'op, isop, operator, isoperator, admin, isadmin, !op, notop, !operator, notoperator, !admin, notadmin, true, false',
+		'permissions: Permission "p.two" must be a mapping'
+	]);
+	assert.deepStrictEqual(messages(PharUtils.PluginDescription.validate({ name: 'a', version: 1, main: 'Плагин\\Главный', api: '5.0.0' })), []);
+	assert.deepStrictEqual(messages(PharUtils.PluginDescription.validate(['a'])), ['null: plugin.yml must be a mapping']);
+});
+
+test('checkPlugin() checks plugin.yml, the main class and metadata', function() {
+	var phar = createPlugin();
+	var report = phar.checkPlugin();
+	assert.strictEqual(report.valid, true);
+	assert.deepStrictEqual(report.errors, []);
+	assert.deepStrictEqual(messages(report.warnings), ['metadata: Metadata does not describe the plugin']);
+	assert.strictEqual(report.description.description, 'Plugin with a folded description 🙂\n');
+	assert.deepStrictEqual(phar.getPluginDescription(), report.description);
+	
+	phar.getFile('src/Main.php').setContents('<?php\nnamespace Vendor\\MyPlugin;\n$x = Main::class;\n');
+	assert.deepStrictEqual(messages(phar.checkPlugin().errors), ['main: Main class "Vendor\\MyPlugin\\Main" is not declared in "src/Main.php"']);
+	phar.removeFile('src/Main.php');
+	assert.deepStrictEqual(messages(phar.checkPlugin().errors), ['main: Main class file "src/Main.php" does not exist']);
+	
+	assert.deepStrictEqual(messages(createPlugin('name: [').checkPlugin().errors), ['null: YAML error on line 1: unterminated flow collection!']);
+	assert.deepStrictEqual(messages(new PharUtils.Phar().checkPlugin().errors), ['null: plugin.yml is missing']);
+	assert.strictEqual(new PharUtils.Phar().getPluginDescription(), null);
+	
+	// UTF-8 namespaces of the main class are matched with the class declared in the file
+	phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('plugin.yml', Buffer.from('name: P\nversion: 1\nmain: Плагин\\Главный\napi: 5.0.0\n')));
+	phar.addFile(new PharUtils.PharFile('src/Плагин/Главный.php', Buffer.from('<?php\nnamespace Плагин;\nclass Главный {}\n')));
+	assert.deepStrictEqual(phar.checkPlugin().errors, []);
+});
+
+test('syncPluginMetadata() writes plugin.yml fields as DevTools does', function() {
+	var phar = createPlugin();
+	var metadata = phar.syncPluginMetadata({ creation_date: 1700000000 });
+	assert.deepStrictEqual(metadata, {
+		name: 'My Plugin',
+		version: '1.0.0',
+		main: 'Vendor\\MyPlugin\\Main',
+		api: ['5.0.0', '5.1.0'],
+		depend: 'EconomyAPI',
+		description: 'Plugin with a folded description 🙂\n',
+		authors: ['Лена', 'Chen 陈'],
+		website: 'https://example.com/#plugin',
+		creationDate: 1700000000
+	});
+	
+	// strings are stored as the UTF-8 bytes PHP reads from plugin.yml, Latin-1 characters included
+	var utf8 = function(text) {
+		return Buffer.from(text).toString('latin1');
+	};
+	var stored = phar.getMetadataValue(true);
+	assert.strictEqual(stored.description, utf8('Plugin with a folded description 🙂\n'));
+	assert.deepStrictEqual(stored.authors, [utf8('Лена'), utf8('Chen 陈')]);
+	assert.ok(phar.getMetadata().indexOf('s:8:"' + utf8('Лена') + '"') != -1);
+	assert.deepStrictEqual(phar.getPluginMetadata(), metadata);
+	
+	var report = phar.checkPlugin();
+	assert.deepStrictEqual(report.warnings, [], 'synced metadata matches plugin.yml');
+	
+	phar.getFile('plugin.yml').setContentsAsText(PLUGIN_YML.replace('author: José Müller\nauthors:\n  - Лена\n  - "Chen \\u9648"', 'authors: [José]'));
+	assert.deepStrictEqual(messages(phar.checkPlugin().warnings), ['metadata: Metadata field "authors" does not match plugin.yml']);
+	phar.syncPluginMetadata({ creation_date: 1700000000 });
+	assert.strictEqual(phar.getMetadataValue(true).authors[0], utf8('José'));
+	assert.deepStrictEqual(phar.checkPlugin().warnings, []);
+	
+	phar.setReproducible({ timestamp: 1600000000 });
+	assert.strictEqual(phar.syncPluginMetadata().creationDate, 1600000000);
+	
+	phar.getFile('plugin.yml').setContents('name: Bad/Name\nversion: 1\nmain: A\\B\napi: 5.0.0\n');
+	assert.throws(function() {
+		phar.syncPluginMetadata();
+	}, /Plugin is not valid: Name "Bad\/Name" contains characters/);
+});
+
+test('plugin commands check, sync and print the plugin', function() {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-plugin-'));
+	try {
+		fs.writeFileSync(path.join(dir, 'plugin.phar'), createPlugin().savePharData(true));
+		var run = function(args) {
+			return child_process.spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'pharutils.js'), 'plugin'].concat(args, 'plugin.phar'), { cwd: dir, encoding: 'utf8' });
+		};
+		
+		var result = run(['check']);
+		assert.strictEqual(result.status, 0, result.stderr);
+		assert.strictEqual(result.stdout, 'My_Plugin v1.0.0 (API 5.0.0, 5.1.0)\nwarning (metadata): Metadata does not describe the plugin\n');
+		
+		result = run(['sync']);
+		assert.strictEqual(result.status, 0, result.stderr);
+		result = run(['check']);
+		assert.strictEqual(result.stdout, 'My_Plugin v1.0.0 (API 5.0.0, 5.1.0)\nNo problems found\n');
+		
+		result = run(['info']);
+		assert.strictEqual(result.status, 0, result.stderr);
+		assert.deepStrictEqual(JSON.parse(result.stdout).authors, ['José Müller', 'Лена', 'Chen 陈']);
+		
+		var phar = createPlugin();
+		phar.removeFile('src/Main.php');
+		fs.writeFileSync(path.join(dir, 'plugin.phar'), phar.savePharData(true));
+		result = run(['check', '--json']);
+		assert.strictEqual(result.status, 1);
+		assert.strictEqual(JSON.parse(result.stdout).errors[0].field, 'main');
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+});
@@ -0,0 +1,132 @@
+/**
+ * Reproducible save mode
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var child_process = require('child_process');
+var PharUtils = require('../lib/pharutils.js');
+
+var FILES = [
+	['src/b.php', '<?php echo "b";', 1600000000, 420],
+	['src/a.php', new Array(100).join('<?php echo "a";\n'), 1700000000, 511],
+	['README.md', 'readme', 1500000000, 384]
+];
+
+function createPhar(order, time_shift) {
+	var phar = new PharUtils.Phar({ reproducible: true });
+	order.forEach(function(i) {
+		phar.addFile(new PharUtils.PharFile(FILES[i][0], FILES[i][1], {
+			timestamp: FILES[i][2] + time_shift,
+			permission: FILES[i][3],
+			compression_type: i == 1 ? PharUtils.COMPRESSION_GZ : PharUtils.COMPRESSION_NONE
+		}));
+	});
+	phar.addDirectory('empty', { timestamp: 1800000000 + time_shift, permission: 448 });
+	return phar;
+}
+
+function describe(phar) {
+	return phar.getFiles().concat(phar.getDirectories()).map(function(file) {
+		return [file.getName(), file.getTimestamp(), file.getPermission(), file.getCompressionType()];
+	});
+}
+
+test('same files give the same bytes in every format', function() {
+	var a = createPhar([0, 1, 2], 0);
+	var b = createPhar([2, 0, 1], 1000);
+	assert.strictEqual(a.savePharData(), b.savePharData());
+	assert.strictEqual(a.saveTarData(), b.saveTarData());
+	assert.strictEqual(a.saveZipData(), b.saveZipData());
+	
+	var loaded = new PharUtils.Phar().loadPharData(a.savePharData());
+	assert.deepStrictEqual(describe(loaded), [
+		['README.md', 315532800, 420, PharUtils.COMPRESSION_NONE],
+		['src/a.php', 315532800, 493, PharUtils.COMPRESSION_GZ],
+		['src/b.php', 315532800, 420, PharUtils.COMPRESSION_NONE],
+		['empty', 315532800, 493, PharUtils.COMPRESSION_NONE]
+	]);
+});
+
+test('does not change the archive in memory', function() {
+	var phar = createPhar([0, 1, 2], 0);
+	var before = describe(phar);
+	phar.setReproducible({ compression_type: PharUtils.COMPRESSION_BZIP2 });
+	var data = phar.savePharData();
+	phar.saveTarData();
+	phar.saveZipData();
+	assert.deepStrictEqual(describe(phar), before);
+	
+	var loaded = new PharUtils.Phar().loadPharData(data);
+	assert.ok(loaded.getFiles().every(function(file) {
+		return file.getCompressionType() == PharUtils.COMPRESSION_BZIP2;
+	}));
+	assert.strictEqual(loaded.getFile('src/a.php').getContents(), FILES[1][1]);
+});
+
+test('normalize() applies the same to the archive', function() {
+	var phar = createPhar([0, 1, 2], 0);
+	var data = phar.savePharData();
+	phar.setReproducible(false);
+	phar.normalize({ permission: 416, directory_permission: 488, timestamp: 1550000000 }); // 0640, 0750
+	assert.deepStrictEqual(describe(phar), [
+		['README.md', 1500000000, 416, PharUtils.COMPRESSION_NONE],
+		['src/a.php', 1550000000, 416, PharUtils.COMPRESSION_GZ],
+		['src/b.php', 1550000000, 416, PharUtils.COMPRESSION_NONE],
+		['empty', 1550000000, 488, PharUtils.COMPRESSION_NONE]
+	]);
+	assert.strictEqual(phar.getFile('src/a.php').getContents(), FILES[1][1]);
+	
+	phar = createPhar([0, 1, 2], 0).normalize();
+	assert.strictEqual(phar.setReproducible(false).savePharData(), data); // phar entries have no times of their own
+});
+
+test('clamps timestamps to SOURCE_DATE_EPOCH', function() {
+	var previous = process.env.SOURCE_DATE_EPOCH;
+	process.env.SOURCE_DATE_EPOCH = '1650000000';
+	try {
+		var phar = createPhar([0, 1, 2], 0);
+		var loaded = new PharUtils.Phar().loadTarData(phar.saveTarData());
+		assert.deepStrictEqual(loaded.getFiles().map(function(file) {
+			return file.getTimestamp();
+		}), [1500000000, 1650000000, 1600000000]);
+		assert.strictEqual(phar.getReproducible().timestamp, 1650000000);
+	} finally {
+		if (previous === undefined) {
+			delete process.env.SOURCE_DATE_EPOCH;
+		} else {
+			process.env.SOURCE_DATE_EPOCH = previous;
+		}
+	}
+});
+
+test('keeps lazily loaded files readable', function() {
+	var data = createPhar([0, 1, 2], 0).savePharData();
+	var phar = new PharUtils.Phar().loadPharData(data, { lazy: true });
+	phar.setReproducible(true);
+	assert.strictEqual(phar.savePharData(), data);
+	assert.strictEqual(phar.getFile('src/a.php').getContents(), FILES[1][1]);
+	assert.strictEqual(phar.getFile('src/a.php').getTimestamp(), 315532800);
+});
+
+test('--reproducible makes the command-line tool output reproducible', function() {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-reproducible-'));
+	try {
+		fs.mkdirSync(path.join(dir, 'src'));
+		fs.writeFileSync(path.join(dir, 'src', 'a.php'), '<?php echo 1;');
+		var create = function(name, time) {
+			fs.utimesSync(path.join(dir, 'src', 'a.php'), time, time);
+			var result = child_process.spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'pharutils.js'), 'create', name, 'src', '--reproducible'], { cwd: dir, encoding: 'utf8' });
+			assert.strictEqual(result.status, 0, result.stderr);
+			return fs.readFileSync(path.join(dir, name));
+		};
+		assert.deepStrictEqual(create('a.zip', 1600000000), create('b.zip', 1700000000));
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+});
@@ -0,0 +1,88 @@
+/**
+ * PhpSerializer and the metadata value accessors
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var PharUtils = require('../lib/pharutils.js');
+
+test('serializes scalars like PHP', function() {
+	var serialize = PharUtils.PhpSerializer.serialize;
+	assert.strictEqual(serialize(null), 'N;');
+	assert.strictEqual(serialize(true), 'b:1;');
+	assert.strictEqual(serialize(-12), 'i:-12;');
+	assert.strictEqual(serialize(1.5), 'd:1.5;');
+	assert.strictEqual(serialize('a"b\x00'), 's:4:"a"b\x00";');
+	assert.strictEqual(serialize(['a', 'b']), 'a:2:{i:0;s:1:"a";i:1;s:1:"b";}');
+	assert.strictEqual(serialize({ name: 'x', 7: true }), 'a:2:{i:7;b:1;s:4:"name";s:1:"x";}');
+});
+
+test('round-trips values', function() {
+	[
+		null,
+		false,
+		0,
+		-2147483649,
+		0.25,
+		'',
+		'\xff\x00binary',
+		[],
+		[1, [2, [3]]],
+		{ name: 'MyPlugin', authors: ['FaigerSYS'], api: { min: 3 } },
+		new PharUtils.PhpObject('My\\Plugin', { '\x00*\x00id': 5, name: 'plugin' })
+	].forEach(function(value) {
+		var data = PharUtils.PhpSerializer.serialize(value);
+		assert.deepStrictEqual(PharUtils.PhpSerializer.unserialize(data), value, data);
+		assert.strictEqual(PharUtils.PhpSerializer.serialize(PharUtils.PhpSerializer.unserialize(data)), data);
+	});
+});
+
+test('reads PHP specific values', function() {
+	var unserialize = PharUtils.PhpSerializer.unserialize;
+	assert.ok(isNaN(unserialize('d:NAN;')));
+	assert.strictEqual(unserialize('d:-INF;'), -Infinity);
+	assert.deepStrictEqual(unserialize('a:2:{i:0;s:1:"a";i:2;s:1:"b";}'), { 0: 'a', 2: 'b' });
+	
+	var object = unserialize('C:5:"Money":8:{12345678}');
+	assert.strictEqual(object.class_name, 'Money');
+	assert.strictEqual(object.serialized, '12345678');
+	assert.strictEqual(PharUtils.PhpSerializer.serialize(object), 'C:5:"Money":8:{12345678}');
+	
+	var list = unserialize('a:2:{i:0;O:8:"stdClass":0:{}i:1;r:2;}');
+	assert.strictEqual(list[0], list[1]);
+});
+
+test('rejects malformed data', function() {
+	[ '', 'x:1;', 'i:1', 'i:a;', 's:5:"abc";', 'a:1:{i:0;}', 'b:2;', 'N;N;', 'a:1:{i:0;r:9;}' ].forEach(function(data) {
+		assert.throws(function() {
+			PharUtils.PhpSerializer.unserialize(data);
+		}, /Unserialization failed/, data);
+	});
+});
+
+test('key order of PHP arrays is kept', function() {
+	var data = 'a:2:{s:1:"b";i:1;i:5;i:2;}';
+	var value = PharUtils.PhpSerializer.unserialize(data);
+	assert.ok(value instanceof Map);
+	assert.deepStrictEqual(Array.from(value.keys()), ['b', 5]);
+	assert.strictEqual(PharUtils.PhpSerializer.serialize(value), data);
+	assert.deepStrictEqual(PharUtils.PhpSerializer.unserialize('a:2:{i:5;i:2;s:1:"b";i:1;}'), { 5: 2, b: 1 });
+	
+	var phar = new PharUtils.Phar().setMetadata(data);
+	assert.strictEqual(phar.setMetadataValue(phar.getMetadataValue()).getMetadata(), data);
+});
+
+test('metadata values of phars and files are saved', function() {
+	var value = { name: 'MyPlugin', authors: ['FaigerSYS'] };
+	var phar = new PharUtils.Phar().setMetadataValue(value);
+	phar.addFile(new PharUtils.PharFile('a.txt', 'a').setMetadataValue(['file']));
+	assert.strictEqual(phar.getMetadata(), PharUtils.PhpSerializer.serialize(value));
+	
+	var loaded = new PharUtils.Phar().loadPharData(phar.savePharData());
+	assert.deepStrictEqual(loaded.getMetadataValue(), value);
+	assert.deepStrictEqual(loaded.getFile('a.txt').getMetadataValue(), ['file']);
+	assert.strictEqual(loaded.setMetadataValue(null).getMetadata(), '');
+	assert.strictEqual(loaded.getMetadataValue(), null);
+});
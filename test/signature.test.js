@@ -0,0 +1,136 @@
+/**
+ * Hash and OpenSSL signatures of phar archives
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var crypto = require('crypto');
+var PharUtils = require('../lib/pharutils.js');
+
+var pair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+var keys = {
+	'PKCS#1': {
+		private_key: pair.privateKey.export({ type: 'pkcs1', format: 'pem' }),
+		public_key: pair.publicKey.export({ type: 'pkcs1', format: 'pem' })
+	},
+	'PKCS#8/SPKI': {
+		private_key: pair.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+		public_key: pair.publicKey.export({ type: 'spki', format: 'pem' })
+	}
+};
+var openssl_types = {
+	OPENSSL: 'sha1',
+	OPENSSL_SHA256: 'sha256',
+	OPENSSL_SHA512: 'sha512'
+};
+
+function createPhar() {
+	var phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('a.txt', 'contents of a'));
+	phar.addFile(new PharUtils.PharFile('b.txt', 'contents of b'));
+	return phar;
+}
+
+function tamper(data) {
+	var pos = data.indexOf('contents of a');
+	return data.substring(0, pos) + 'C' + data.substring(pos + 1);
+}
+
+function setFlags(data, flags) {
+	return data.substring(0, data.length - 8) + PharUtils.Binary.writeLInt(flags) + data.substring(data.length - 4);
+}
+
+test('writes the signature flags used by PHP', function() {
+	var flags = {
+		SIGNATURE_MD5: 0x01,
+		SIGNATURE_SHA1: 0x02,
+		SIGNATURE_SHA256: 0x03,
+		SIGNATURE_SHA512: 0x04,
+		SIGNATURE_OPENSSL: 0x10,
+		SIGNATURE_OPENSSL_SHA256: 0x11,
+		SIGNATURE_OPENSSL_SHA512: 0x12
+	};
+	for (var name in flags) {
+		assert.strictEqual(PharUtils[name], flags[name], name);
+	}
+});
+
+test('signs and verifies hash signatures', function() {
+	[ 'SIGNATURE_MD5', 'SIGNATURE_SHA1', 'SIGNATURE_SHA256', 'SIGNATURE_SHA512' ].forEach(function(name) {
+		var data = createPhar().setSignatureType(PharUtils[name]).savePharData();
+		var phar = new PharUtils.Phar().loadPharData(data);
+		assert.strictEqual(phar.getSignatureType(), PharUtils[name]);
+		assert.strictEqual(phar.getFile('a.txt').getContents(), 'contents of a');
+		assert.throws(function() {
+			new PharUtils.Phar().loadPharData(tamper(data));
+		}, /broken signature/);
+	});
+});
+
+Object.keys(keys).forEach(function(format) {
+	var key = keys[format];
+	Object.keys(openssl_types).forEach(function(name) {
+		test('signs, verifies and detects tampering with ' + name + ' and ' + format + ' keys', function() {
+			var type = PharUtils['SIGNATURE_' + name];
+			var data = createPhar().setSignatureType(type, key.private_key).savePharData();
+			
+			// the signature is checked by OpenSSL as PHP does
+			var length = PharUtils.Binary.readLInt(data.substring(data.length - 12, data.length - 8));
+			var signature = Buffer.from(data.substring(data.length - 12 - length, data.length - 12), 'latin1');
+			var signed = Buffer.from(data.substring(0, data.length - 12 - length), 'latin1');
+			assert.ok(crypto.verify(openssl_types[name], signed, pair.publicKey, signature));
+			
+			var phar = new PharUtils.Phar().loadPharData(data, { public_key: key.public_key });
+			assert.strictEqual(phar.getSignatureType(), type);
+			assert.strictEqual(phar.getFile('b.txt').getContents(), 'contents of b');
+			
+			assert.throws(function() {
+				new PharUtils.Phar().loadPharData(tamper(data), { public_key: key.public_key });
+			}, /broken signature/);
+			assert.throws(function() {
+				new PharUtils.Phar().loadPharData(data);
+			}, /Public key is required/);
+		});
+	});
+});
+
+test('verifies OpenSSL signatures made by OpenSSL', function() {
+	var data = createPhar().savePharData();
+	data = data.substring(0, data.length - 28); // drop the SHA1 signature
+	var signature = crypto.sign('sha256', Buffer.from(data, 'latin1'), pair.privateKey).toString('latin1');
+	data += signature + PharUtils.Binary.writeLInt(signature.length) + PharUtils.Binary.writeLInt(PharUtils.SIGNATURE_OPENSSL_SHA256) + PharUtils.END_MAGIC;
+	
+	var phar = new PharUtils.Phar().loadPharData(data, { public_key: keys['PKCS#8/SPKI'].public_key });
+	assert.strictEqual(phar.getSignatureType(), PharUtils.SIGNATURE_OPENSSL_SHA256);
+});
+
+test('rejects public keys and keys of another pair for signing', function() {
+	assert.throws(function() {
+		createPhar().setSignatureType(PharUtils.SIGNATURE_OPENSSL, keys['PKCS#8/SPKI'].public_key);
+	}, /not a private key/);
+	
+	var other = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+	var data = createPhar().setSignatureType(PharUtils.SIGNATURE_OPENSSL, keys['PKCS#1'].private_key).savePharData();
+	assert.throws(function() {
+		new PharUtils.Phar().loadPharData(data, { public_key: other.publicKey.export({ type: 'spki', format: 'pem' }) });
+	}, /broken signature/);
+});
+
+test('loads SHA-256 and SHA-512 signatures with the flags of earlier versions', function() {
+	var sha256 = setFlags(createPhar().setSignatureType(PharUtils.SIGNATURE_SHA256).savePharData(), 0x04);
+	var phar = new PharUtils.Phar().loadPharData(sha256);
+	assert.strictEqual(phar.getSignatureType(), PharUtils.SIGNATURE_SHA256);
+	assert.strictEqual(phar.savePharData().substr(-8, 4), PharUtils.Binary.writeLInt(0x03));
+	assert.strictEqual(new PharUtils.Phar().loadPharData(sha256, { lazy: true }).getSignatureType(), PharUtils.SIGNATURE_SHA256);
+	
+	var sha512 = setFlags(createPhar().setSignatureType(PharUtils.SIGNATURE_SHA512).savePharData(), 0x08);
+	phar = new PharUtils.Phar().loadPharData(sha512);
+	assert.strictEqual(phar.getSignatureType(), PharUtils.SIGNATURE_SHA512);
+	assert.strictEqual(phar.savePharData().substr(-8, 4), PharUtils.Binary.writeLInt(0x04));
+	
+	assert.throws(function() {
+		new PharUtils.Phar().loadPharData(tamper(sha256));
+	}, /broken signature/);
+});
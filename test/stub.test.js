@@ -0,0 +1,109 @@
+/**
+ * Default stub generator and stub parser
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var PharUtils = require('../lib/pharutils.js');
+
+function constLen(stub) {
+	return Number(/const LEN = (\d+);/.exec(stub)[1]);
+}
+
+test('creates the default stub', function() {
+	var stub = PharUtils.PharStub.createDefault();
+	assert.ok(stub.indexOf('<?php\n\n$web = \'index.php\';\n') == 0);
+	assert.ok(stub.indexOf('const START = \'index.php\';') != -1);
+	assert.ok(stub.indexOf('Phar::interceptFileFuncs();') != -1);
+	assert.ok(stub.indexOf('Phar::webPhar(null, $web);') != -1);
+	assert.ok(stub.indexOf('Phar::mapPhar(') == -1);
+	assert.strictEqual(stub.substring(stub.length - PharUtils.STUB_END.length), PharUtils.STUB_END);
+});
+
+test('LEN of the default stub is the offset of the manifest', function() {
+	// the number of digits changes the length itself
+	['a.php', new Array(100).join('x'), new Array(400).join('y')].forEach(function(index) {
+		var stub = PharUtils.PharStub.createDefault(index, null);
+		assert.strictEqual(constLen(stub), stub.length);
+		
+		var phar = new PharUtils.Phar({ stub: stub });
+		phar.addFile(new PharUtils.PharFile(index, '<?php echo 1;'));
+		var data = phar.savePharData();
+		assert.strictEqual(data.indexOf(stub), 0);
+		assert.strictEqual(PharUtils.Binary.readLInt(data.substring(constLen(stub), constLen(stub) + 4)) > 0, true);
+	});
+});
+
+test('creates stubs with options', function() {
+	var stub = PharUtils.PharStub.createDefault('cli.php', null, { alias: 'app.phar', shebang: true, intercept_file_funcs: false });
+	assert.ok(stub.indexOf('#!/usr/bin/env php\n<?php\n\nif (in_array') == 0);
+	assert.ok(stub.indexOf('Phar::mapPhar(\'app.phar\');') != -1);
+	assert.ok(stub.indexOf('interceptFileFuncs') == -1);
+	assert.ok(stub.indexOf('$web') == -1 && stub.indexOf('webPhar') == -1);
+	
+	assert.ok(PharUtils.PharStub.createDefault('a.php', 'b.php', { shebang: '#!/opt/php/bin/php' }).indexOf('#!/opt/php/bin/php\n') == 0);
+	assert.throws(function() {
+		PharUtils.PharStub.createDefault(new Array(402).join('x'));
+	}, /too long/);
+	assert.throws(function() {
+		PharUtils.PharStub.createDefault('a.php', new Array(402).join('x'));
+	}, /too long/);
+});
+
+test('escapes names and does not expand replacement patterns', function() {
+	var index = 'it\'s $& $\' $` $1 \\dir\\index.php';
+	var stub = PharUtils.PharStub.createDefault(index, index, { alias: 'o\'brien$&.phar' });
+	assert.ok(stub.indexOf('const START = \'it\\\'s $& $\\\' $` $1 \\\\dir\\\\index.php\';') != -1);
+	assert.ok(stub.indexOf('$web = \'it\\\'s $& $\\\' $` $1 \\\\dir\\\\index.php\';') != -1);
+	assert.ok(stub.indexOf('Phar::mapPhar(\'o\\\'brien$&.phar\');') != -1);
+	assert.strictEqual(constLen(stub), stub.length);
+});
+
+test('parses generated stubs back', function() {
+	[
+		['index.php', undefined, { }],
+		['cli.php', 'web.php', { alias: 'app.phar', shebang: true }],
+		['bin/run.php', null, { intercept_file_funcs: false }],
+		['it\'s $& \\ "q".php', '$web\'s.php', { alias: 'a\'\\b$&' }]
+	].forEach(function(args) {
+		var info = PharUtils.PharStub.parse(PharUtils.PharStub.createDefault(args[0], args[1], args[2]));
+		var web_index = args[1] === undefined ? args[0] : args[1];
+		assert.strictEqual(info.is_default, true);
+		assert.strictEqual(info.index, args[0]);
+		assert.strictEqual(info.web_index, web_index);
+		assert.strictEqual(info.alias, args[2].alias || null);
+		assert.strictEqual(info.shebang, args[2].shebang ? '#!/usr/bin/env php' : null);
+		assert.strictEqual(info.intercept_file_funcs, args[2].intercept_file_funcs !== false);
+		assert.deepStrictEqual(info.index_files, web_index && web_index != args[0] ? [args[0], web_index] : [args[0]]);
+	});
+});
+
+test('parses custom stubs', function() {
+	var info = PharUtils.PharStub.parse([
+		'#!/usr/bin/php',
+		'<?php',
+		'Phar::mapPhar("my\\"app.phar");',
+		'Phar::webPhar(null, \'public/index.php\');',
+		'require_once \'phar://\' . __FILE__ . \'/src/bootstrap.php\';',
+		'include("phar://my.phar/src/other.php");',
+		'include "http://example.com/not-a-phar.php";',
+		'__HALT_COMPILER(); ?>',
+		'include \'phar://\' . __FILE__ . \'/after-halt.php\';'
+	].join('\n'));
+	assert.deepStrictEqual(info, {
+		shebang: '#!/usr/bin/php',
+		alias: 'my"app.phar',
+		is_default: false,
+		index: 'src/bootstrap.php',
+		web_index: 'public/index.php',
+		intercept_file_funcs: false,
+		index_files: ['src/bootstrap.php', 'src/other.php', 'public/index.php']
+	});
+	
+	info = PharUtils.PharStub.parse('<?php echo "no phar"; __HALT_COMPILER();');
+	assert.strictEqual(info.index, null);
+	assert.strictEqual(info.alias, null);
+	assert.deepStrictEqual(info.index_files, []);
+});
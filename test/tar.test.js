@@ -0,0 +1,101 @@
+/**
+ * Loading and saving of tar-based phars
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var child_process = require('child_process');
+var PharUtils = require('../lib/pharutils.js');
+
+var has_tar = !child_process.spawnSync('tar', ['--version']).error;
+var long_name = 'src/' + new Array(30).join('directory/') + 'Main.php';
+
+function createPhar() {
+	var phar = new PharUtils.Phar({ alias: 'app.phar', stub: '<?php echo 1; __HALT_COMPILER(); ?>' });
+	phar.setMetadataValue({ name: 'app' });
+	phar.addFile(new PharUtils.PharFile('a.txt', 'contents of a', { timestamp: 1500000000, permission: 0o755 }));
+	phar.addFile(new PharUtils.PharFile(long_name, '<?php\n', { timestamp: 1500000000 }).setMetadataValue(['file']));
+	phar.addFile(new PharUtils.PharFile('bin.dat', '\x00\xff\x80', { timestamp: 1500000000 }));
+	return phar;
+}
+
+function assertPhar(phar) {
+	assert.strictEqual(phar.getStub(), createPhar().getStub());
+	assert.strictEqual(phar.getAlias(), 'app.phar');
+	assert.deepStrictEqual(phar.getMetadataValue(), { name: 'app' });
+	assert.deepStrictEqual(phar.getFiles().map(function(file) {
+		return file.getName();
+	}), ['a.txt', long_name, 'bin.dat']);
+	
+	var file = phar.getFile('a.txt');
+	assert.strictEqual(file.getContents(), 'contents of a');
+	assert.strictEqual(file.getTimestamp(), 1500000000);
+	assert.strictEqual(file.getPermission(), 0o755);
+	assert.deepStrictEqual(phar.getFile(long_name).getMetadataValue(), ['file']);
+	assert.strictEqual(phar.getFile('bin.dat').getContents(), '\x00\xff\x80');
+}
+
+test('round-trips a phar through tar', function() {
+	var data = createPhar().saveTarData();
+	assert.strictEqual(data.length % 512, 0);
+	assertPhar(new PharUtils.Phar().loadTarData(data));
+	assertPhar(new PharUtils.Phar().loadTarData(createPhar().saveTarData(true)));
+});
+
+test('round-trips gzip and bzip2 compressed tars', function() {
+	var gz = createPhar().saveTarData(false, PharUtils.COMPRESSION_GZ);
+	assert.strictEqual(gz.substring(0, 2), '\x1f\x8b');
+	assertPhar(new PharUtils.Phar().loadTarData(gz));
+	
+	var bz2 = createPhar().saveTarData(false, PharUtils.COMPRESSION_BZIP2);
+	assert.strictEqual(bz2.substring(0, 3), 'BZh');
+	assertPhar(new PharUtils.Phar().loadTarData(bz2));
+});
+
+test('verifies the signature of tars', function() {
+	var data = createPhar().setSignatureType(PharUtils.SIGNATURE_SHA256).saveTarData();
+	assert.strictEqual(new PharUtils.Phar().loadTarData(data).getSignatureType(), PharUtils.SIGNATURE_SHA256);
+	
+	var pos = data.indexOf('contents of a');
+	var tampered = data.substring(0, pos) + 'C' + data.substring(pos + 1);
+	assert.throws(function() {
+		new PharUtils.Phar().loadTarData(tampered);
+	}, /broken signature/);
+});
+
+test('rejects corrupted tars', function() {
+	var data = createPhar().saveTarData();
+	assert.throws(function() {
+		new PharUtils.Phar().loadTarData('x' + data.substring(1));
+	}, /header checksum/);
+	assert.throws(function() {
+		new PharUtils.Phar().loadTarData(data.substring(0, data.indexOf('contents of a') + 5));
+	}, /unexpected end of file/);
+});
+
+test('loads tars written by the tar tool', { skip: !has_tar && 'tar is not installed' }, function() {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-'));
+	try {
+		fs.mkdirSync(path.join(dir, path.dirname(long_name)), { recursive: true });
+		fs.writeFileSync(path.join(dir, long_name), '<?php\n');
+		fs.writeFileSync(path.join(dir, 'a.txt'), 'contents of a');
+		[ 'gnu', 'ustar', 'pax' ].forEach(function(format) {
+			var names = format == 'ustar' ? ['a.txt'] : ['a.txt', long_name];
+			var result = child_process.spawnSync('tar', ['-c', '--format=' + format, '-C', dir].concat(names));
+			assert.strictEqual(result.status, 0, result.stderr.toString());
+			
+			var phar = new PharUtils.Phar().loadTarData(new Uint8Array(result.stdout));
+			assert.deepStrictEqual(phar.getFiles().map(function(file) {
+				return file.getName();
+			}), names, format);
+			assert.strictEqual(phar.getFile('a.txt').getContents(), 'contents of a');
+		});
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+});
@@ -0,0 +1,118 @@
+/**
+ * Binary strings, Unicode text and other binary inputs (ArrayBuffer, Buffer, Blob)
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var PharUtils = require('../lib/pharutils.js');
+
+function reload(phar) {
+	return new PharUtils.Phar().loadPharData(phar.savePharData(true));
+}
+
+function bytes(data) {
+	return Array.from(data);
+}
+
+test('strings with characters above U+00FF are saved as UTF-8', function() {
+	var phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('плагин.yml', 'name: Плагин'));
+	phar = reload(phar);
+	
+	var file = phar.getFiles()[0];
+	assert.strictEqual(file.getName(), '\xd0\xbf\xd0\xbb\xd0\xb0\xd0\xb3\xd0\xb8\xd0\xbd.yml');
+	assert.strictEqual(file.getSize(), 18);
+	assert.strictEqual(file.getContentsAsText(), 'name: Плагин');
+	assert.strictEqual(file.getCRC32(), new PharUtils.PharFile('a', Buffer.from('name: Плагин')).getCRC32());
+	assert.strictEqual(phar.getFile('плагин.yml'), file);
+	assert.strictEqual(phar.getFile(file.getName()), file);
+});
+
+test('binary strings returned by getters round-trip through setters', function() {
+	var file = new PharUtils.PharFile('a', new Uint8Array([0xe9, 0xff]));
+	var copy = new PharUtils.PharFile('b', file.getContents());
+	assert.strictEqual(copy.getSize(), 2);
+	assert.deepStrictEqual(bytes(copy.getContentsAsBytes()), [0xe9, 0xff]);
+	
+	copy.setName(new PharUtils.PharFile('плагин.yml').getName());
+	assert.strictEqual(copy.getName(), '\xd0\xbf\xd0\xbb\xd0\xb0\xd0\xb3\xd0\xb8\xd0\xbd.yml');
+	
+	var phar = new PharUtils.Phar({ stub: '<?php echo "é"; __HALT_COMPILER();' });
+	phar.setStub(phar.getStub());
+	assert.ok(phar.getStub().indexOf('"\xe9"') != -1);
+});
+
+test('getContentsAsText() decodes UTF-8 and falls back to Latin-1', function() {
+	assert.strictEqual(new PharUtils.PharFile('a.yml', 'author: José').getContentsAsText(), 'author: José');
+	assert.strictEqual(new PharUtils.PharFile('a.yml', Buffer.from('author: José')).getContentsAsText(), 'author: José');
+	assert.strictEqual(new PharUtils.PharFile('a.yml', Buffer.from('�')).getContentsAsText(), '�');
+	
+	var file = new PharUtils.PharFile('a.yml').setContentsAsText('author: José');
+	assert.strictEqual(file.getContents(), 'author: Jos\xc3\xa9');
+	assert.strictEqual(file.getContentsAsText(), 'author: José');
+});
+
+test('metadata round-trips', function() {
+	var value = { name: 'Привет', author: 'José', 'ключ': ['ü', new PharUtils.PhpObject('Ä', { 'ö': 'ß' })] };
+	var phar = new PharUtils.Phar();
+	phar.setMetadataValue(value);
+	var file = new PharUtils.PharFile('a.txt', 'a');
+	file.setMetadataValue(value);
+	phar.addFile(file);
+	phar = reload(phar);
+	
+	assert.deepStrictEqual(phar.getMetadataValue(), value);
+	assert.deepStrictEqual(phar.getFile('a.txt').getMetadataValue(), value);
+	assert.strictEqual(phar.getMetadataValue(true).name, '\xd0\x9f\xd1\x80\xd0\xb8\xd0\xb2\xd0\xb5\xd1\x82');
+	assert.strictEqual(phar.getMetadataValue(true).author, 'Jos\xe9');
+	
+	var copy = new PharUtils.Phar();
+	copy.setMetadata(phar.getMetadata());
+	assert.strictEqual(copy.getMetadata(), phar.getMetadata());
+	copy.setMetadataValue(phar.getMetadataValue());
+	assert.strictEqual(copy.getMetadata(), phar.getMetadata());
+	
+	copy.setMetadataValue({ x: 'é' });
+	assert.strictEqual(copy.getMetadata(), 'a:1:{s:1:"x";s:1:"\xe9";}');
+	file.setMetadata(copy.getMetadata());
+	assert.deepStrictEqual(file.getMetadataValue(), { x: 'é' });
+});
+
+test('accepts ArrayBuffer, typed array views and Buffer', function() {
+	var data = new PharUtils.PharFile('a', new Uint8Array([1, 2, 3, 4]).buffer).getContentsAsBytes();
+	assert.deepStrictEqual(bytes(data), [1, 2, 3, 4]);
+	data = new PharUtils.PharFile('a', new DataView(new Uint8Array([1, 2, 3, 4]).buffer, 1, 2)).getContentsAsBytes();
+	assert.deepStrictEqual(bytes(data), [2, 3]);
+	data = new PharUtils.PharFile('a', Buffer.from([5, 6])).getContentsAsBytes();
+	assert.deepStrictEqual(bytes(data), [5, 6]);
+	
+	var phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('a.php', '<?php'));
+	var saved = phar.savePharData(true);
+	assert.strictEqual(new PharUtils.Phar().loadPharData(saved.slice().buffer).getFile('a.php').getContents(), '<?php');
+	assert.strictEqual(new PharUtils.Phar().loadPharData(Buffer.from(saved)).getFile('a.php').getContents(), '<?php');
+	
+	assert.throws(function() {
+		new PharUtils.PharFile('a', 42);
+	}, /must be a string/);
+});
+
+test('reads Blob contents asynchronously', async function() {
+	var phar = new PharUtils.Phar();
+	phar.addFile(new PharUtils.PharFile('a.php', '<?php'));
+	var blob = new Blob([phar.savePharData(true)]);
+	
+	var loaded = await new PharUtils.Phar().loadPharData(blob);
+	assert.strictEqual(loaded.getFile('a.php').getContents(), '<?php');
+	loaded = await new PharUtils.Phar().loadTarData(new Blob([phar.saveTarData(true)]));
+	assert.strictEqual(loaded.getFile('a.php').getContents(), '<?php');
+	
+	var file = new PharUtils.PharFile('b.txt');
+	assert.strictEqual(await file.setContents(new Blob(['текст'])), file);
+	assert.strictEqual(file.getContentsAsText(), 'текст');
+	assert.throws(function() {
+		new PharUtils.PharFile('b.txt', blob);
+	}, /only asynchronously/);
+});
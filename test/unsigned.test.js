@@ -0,0 +1,194 @@
+/**
+ * Unsigned phars, getSignature(), Phar.verifySignature() and loading with a broken signature
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var zlib = require('zlib');
+var child_process = require('child_process');
+var PharUtils = require('../lib/pharutils.js');
+
+var STUB = '<?php echo "stub"; __HALT_COMPILER(); ?>\r\n';
+var PHAR_HDR_SIGNATURE = 0x10000;
+
+function createPhar(signature_type) {
+	var phar = new PharUtils.Phar({ stub: STUB });
+	phar.addFile(new PharUtils.PharFile('a.txt', 'contents of a'));
+	phar.addFile(new PharUtils.PharFile('b.txt', 'contents of b'));
+	if (signature_type !== undefined) {
+		phar.setSignatureType(signature_type);
+	}
+	return phar;
+}
+
+function globalFlags(data) {
+	return PharUtils.Binary.readLInt(data, STUB.length + 4 + 4 + 2);
+}
+
+// changes the stub only, so all entries stay readable
+function tamper(data) {
+	return data.replace('echo "stub"', 'echo "evil"');
+}
+
+function sha256(data) {
+	return crypto.createHash('sha256').update(Buffer.from(data, 'latin1')).digest('hex').toUpperCase();
+}
+
+test('saves and loads unsigned phars', function() {
+	var data = createPhar(PharUtils.SIGNATURE_NONE).savePharData();
+	assert.strictEqual(globalFlags(data) & PHAR_HDR_SIGNATURE, 0);
+	assert.notStrictEqual(data.substring(data.length - 4), PharUtils.END_MAGIC);
+	assert.ok(data.substring(data.length - 13) == 'contents of b', 'the archive ends with the last entry');
+	
+	var phar = new PharUtils.Phar().loadPharData(data);
+	assert.strictEqual(phar.getSignatureType(), PharUtils.SIGNATURE_NONE);
+	assert.strictEqual(phar.getSignature(), null);
+	assert.strictEqual(phar.getFile('b.txt').getContents(), 'contents of b');
+	assert.strictEqual(phar.savePharData(), data);
+	
+	phar.setSignatureType(PharUtils.SIGNATURE_SHA256);
+	data = phar.savePharData();
+	assert.strictEqual(globalFlags(data) & PHAR_HDR_SIGNATURE, PHAR_HDR_SIGNATURE);
+	assert.strictEqual(new PharUtils.Phar().loadPharData(data).getSignatureType(), PharUtils.SIGNATURE_SHA256);
+});
+
+test('saves unsigned tar and zip archives without signature.bin', function() {
+	var phar = createPhar(PharUtils.SIGNATURE_NONE);
+	var tar = new PharUtils.Phar().loadTarData(phar.saveTarData());
+	assert.strictEqual(tar.getSignatureType(), PharUtils.SIGNATURE_NONE);
+	assert.strictEqual(tar.getSignature(), null);
+	assert.strictEqual(phar.saveTarData().indexOf('.phar/signature.bin'), -1);
+	
+	var zip = new PharUtils.Phar().loadZipData(phar.saveZipData());
+	assert.strictEqual(zip.getSignatureType(), PharUtils.SIGNATURE_NONE);
+	assert.strictEqual(phar.saveZipData().indexOf('.phar/signature.bin'), -1);
+});
+
+test('getSignature() returns the hash of the last loaded or saved contents', function() {
+	var phar = createPhar(PharUtils.SIGNATURE_SHA256);
+	assert.strictEqual(phar.getSignature(), null, 'nothing was saved yet');
+	var data = phar.savePharData();
+	var expected = { hash: sha256(data.substring(0, data.length - 8 - 32)), hash_type: 'SHA-256' };
+	assert.deepStrictEqual(phar.getSignature(), expected);
+	assert.deepStrictEqual(new PharUtils.Phar().loadPharData(data).getSignature(), expected);
+	assert.deepStrictEqual(new PharUtils.Phar().loadPharData(data, { lazy: true }).getSignature(), expected);
+	
+	phar.setSignatureType(PharUtils.SIGNATURE_MD5);
+	phar.savePharData();
+	assert.strictEqual(phar.getSignature().hash_type, 'MD5');
+	assert.strictEqual(phar.getSignature().hash.length, 32);
+	
+	phar.saveTarData();
+	assert.strictEqual(phar.getSignature().hash_type, 'MD5');
+	phar.setSignatureType(PharUtils.SIGNATURE_NONE);
+	phar.savePharData();
+	assert.strictEqual(phar.getSignature(), null);
+});
+
+test('verifySignature() checks contents without loading them', function() {
+	var data = createPhar(PharUtils.SIGNATURE_SHA512).savePharData();
+	var result = PharUtils.Phar.verifySignature(data);
+	assert.strictEqual(result.signature_type, PharUtils.SIGNATURE_SHA512);
+	assert.strictEqual(result.hash_type, 'SHA-512');
+	assert.strictEqual(result.expected, result.actual);
+	assert.strictEqual(result.valid, true);
+	
+	result = PharUtils.Phar.verifySignature(tamper(data));
+	assert.strictEqual(result.valid, false);
+	assert.strictEqual(result.expected, PharUtils.Phar.verifySignature(data).expected);
+	assert.notStrictEqual(result.actual, result.expected);
+	
+	assert.strictEqual(PharUtils.Phar.verifySignature(zlib.gzipSync(Buffer.from(data, 'latin1'))).valid, true);
+	assert.strictEqual(PharUtils.Phar.verifySignature(createPhar(PharUtils.SIGNATURE_NONE).savePharData()), null);
+	assert.throws(function() {
+		PharUtils.Phar.verifySignature('not a phar');
+	}, function(error) {
+		return error.code == PharUtils.ERROR_STUB_NOT_FOUND;
+	});
+	
+	var pair = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+	var phar = createPhar();
+	phar.setSignatureType(PharUtils.SIGNATURE_OPENSSL_SHA256, pair.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+	data = phar.savePharData();
+	var public_key = pair.publicKey.export({ type: 'spki', format: 'pem' });
+	assert.strictEqual(PharUtils.Phar.verifySignature(data).valid, null, 'OpenSSL signatures need the public key');
+	assert.strictEqual(PharUtils.Phar.verifySignature(data, { public_key: public_key }).valid, true);
+	assert.strictEqual(PharUtils.Phar.verifySignature(tamper(data), { public_key: public_key }).valid, false);
+});
+
+test('loads archives with a broken signature on request', function() {
+	var data = tamper(createPhar(PharUtils.SIGNATURE_SHA256).savePharData());
+	assert.throws(function() {
+		new PharUtils.Phar().loadPharData(data);
+	}, function(error) {
+		return error instanceof PharUtils.PharSignatureError && error.code == PharUtils.ERROR_BAD_SIGNATURE;
+	});
+	
+	var phar = new PharUtils.Phar().loadPharData(data, { allow_broken_signature: true });
+	assert.strictEqual(phar.getStub(), STUB.replace('echo "stub"', 'echo "evil"'));
+	assert.strictEqual(phar.getFile('a.txt').getContents(), 'contents of a');
+	assert.deepStrictEqual(phar.getDiagnostics().errors.map(function(error) {
+		return error.code;
+	}), [PharUtils.ERROR_BAD_SIGNATURE]);
+	assert.deepStrictEqual(phar.getDiagnostics().broken_entries, []);
+	assert.strictEqual(phar.getSignature().hash, PharUtils.Phar.verifySignature(data).expected, 'the stored hash is reported');
+	
+	// other errors are still thrown
+	var pos = data.indexOf('contents of a');
+	var corrupted = data.substring(0, pos) + 'C' + data.substring(pos + 1);
+	assert.throws(function() {
+		new PharUtils.Phar().loadPharData(corrupted, { allow_broken_signature: true });
+	}, function(error) {
+		return error.code == PharUtils.ERROR_CRC_MISMATCH;
+	});
+});
+
+[false, true].forEach(function(worker) {
+	var mode = worker ? 'in a worker' : 'in steps';
+	
+	test('handles signatures ' + mode, async function() {
+		var data = tamper(createPhar(PharUtils.SIGNATURE_SHA256).savePharData());
+		await assert.rejects(new PharUtils.Phar().loadPharDataAsync(data, { worker: worker }), /broken signature/);
+		var phar = await new PharUtils.Phar().loadPharDataAsync(data, { worker: worker, allow_broken_signature: true });
+		assert.strictEqual(phar.getDiagnostics().errors[0].code, PharUtils.ERROR_BAD_SIGNATURE);
+		assert.strictEqual(phar.getSignature().hash_type, 'SHA-256');
+		
+		phar = createPhar(PharUtils.SIGNATURE_SHA1);
+		var saved = await phar.savePharDataAsync({ worker: worker });
+		assert.deepStrictEqual(phar.getSignature(), new PharUtils.Phar().loadPharData(saved).getSignature());
+		
+		phar = await new PharUtils.Phar().loadPharDataAsync(createPhar(PharUtils.SIGNATURE_NONE).savePharData(), { worker: worker });
+		assert.strictEqual(phar.getSignatureType(), PharUtils.SIGNATURE_NONE);
+		assert.strictEqual(await phar.savePharDataAsync({ worker: worker }), createPhar(PharUtils.SIGNATURE_NONE).savePharData());
+		assert.strictEqual(phar.getSignature(), null);
+	});
+});
+
+test('sign and verify commands handle unsigned phars', function() {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-unsigned-'));
+	try {
+		fs.writeFileSync(path.join(dir, 'app.phar'), createPhar(PharUtils.SIGNATURE_SHA256).savePharData(), 'latin1');
+		var run = function(args) {
+			return child_process.spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'pharutils.js')].concat(args), { cwd: dir, encoding: 'latin1' });
+		};
+		
+		var result = run(['verify', 'app.phar']);
+		assert.strictEqual(result.status, 0, result.stderr);
+		assert.strictEqual(result.stdout, 'OK: sha256 signature ' + new PharUtils.Phar().loadPharData(fs.readFileSync(path.join(dir, 'app.phar'))).getSignature().hash + ', 2 files\n');
+		
+		result = run(['sign', 'app.phar', 'none']);
+		assert.strictEqual(result.status, 0, result.stderr);
+		assert.strictEqual(PharUtils.Phar.verifySignature(fs.readFileSync(path.join(dir, 'app.phar'))), null);
+		result = run(['verify', 'app.phar']);
+		assert.strictEqual(result.status, 0, result.stderr);
+		assert.strictEqual(result.stdout, 'OK: unsigned, 2 files\n');
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+});
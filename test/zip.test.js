@@ -0,0 +1,124 @@
+/**
+ * Loading and saving of zip-based phars
+ */
+
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var child_process = require('child_process');
+var PharUtils = require('../lib/pharutils.js');
+
+var has_zip = !child_process.spawnSync('zip', ['-v']).error && !child_process.spawnSync('unzip', ['-v']).error;
+
+function createPhar(bzip2) {
+	var phar = new PharUtils.Phar({ alias: 'app.phar', stub: '<?php echo 1; __HALT_COMPILER();' });
+	phar.setMetadataValue({ name: 'app' });
+	phar.addFile(new PharUtils.PharFile('a.txt', 'contents of a', { timestamp: 1500000000, permission: 0o755 }));
+	phar.addFile(new PharUtils.PharFile('src/gz.php', new Array(100).join('<?php echo 1;\n'), {
+		compression_type: PharUtils.COMPRESSION_GZ,
+		timestamp: 1500000000
+	}).setMetadataValue(['file']));
+	if (bzip2) {
+		phar.addFile(new PharUtils.PharFile('src/bz2.php', new Array(100).join('<?php echo 2;\n'), {
+			compression_type: PharUtils.COMPRESSION_BZIP2,
+			timestamp: 1500000000
+		}));
+	}
+	return phar;
+}
+
+function withDirectory(callback) {
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharutils-'));
+	try {
+		callback(dir);
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+}
+
+test('round-trips a phar through zip', function() {
+	var source = createPhar(true);
+	[ source.saveZipData(), source.saveZipData(true) ].forEach(function(data) {
+		var phar = new PharUtils.Phar().loadZipData(data);
+		assert.strictEqual(phar.getStub(), source.getStub());
+		assert.strictEqual(phar.getAlias(), 'app.phar');
+		assert.deepStrictEqual(phar.getMetadataValue(), { name: 'app' });
+		assert.strictEqual(phar.getFiles().length, 3);
+		
+		var file = phar.getFile('a.txt');
+		assert.strictEqual(file.getContents(), 'contents of a');
+		assert.strictEqual(file.getTimestamp(), 1500000000);
+		assert.strictEqual(file.getPermission(), 0o755);
+		assert.strictEqual(file.getCompressionType(), PharUtils.COMPRESSION_NONE);
+		
+		file = phar.getFile('src/gz.php');
+		assert.strictEqual(file.getContents(), source.getFile('src/gz.php').getContents());
+		assert.strictEqual(file.getCompressionType(), PharUtils.COMPRESSION_GZ);
+		assert.deepStrictEqual(file.getMetadataValue(), ['file']);
+		
+		file = phar.getFile('src/bz2.php');
+		assert.strictEqual(file.getContents(), source.getFile('src/bz2.php').getContents());
+		assert.strictEqual(file.getCompressionType(), PharUtils.COMPRESSION_BZIP2);
+	});
+});
+
+test('verifies the signature of zips', function() {
+	var data = createPhar().setSignatureType(PharUtils.SIGNATURE_SHA512).saveZipData();
+	assert.strictEqual(new PharUtils.Phar().loadZipData(data).getSignatureType(), PharUtils.SIGNATURE_SHA512);
+	
+	var pos = data.indexOf('s:4:"file"'); // file metadata is kept in the central directory, outside of CRCs
+	var tampered = data.substring(0, pos) + 's:4:"File"' + data.substring(pos + 10);
+	assert.throws(function() {
+		new PharUtils.Phar().loadZipData(tampered);
+	}, /broken signature/);
+	
+	pos = data.indexOf('contents of a');
+	tampered = data.substring(0, pos) + 'C' + data.substring(pos + 1);
+	assert.throws(function() {
+		new PharUtils.Phar().loadZipData(tampered);
+	}, /file corrupt/);
+});
+
+test('rejects corrupted zips', function() {
+	var data = createPhar().setSignatureType(PharUtils.SIGNATURE_MD5).saveZipData();
+	assert.throws(function() {
+		new PharUtils.Phar().loadZipData('not a zip');
+	}, /end of central directory not found/);
+	assert.throws(function() {
+		new PharUtils.Phar().loadZipData(data.substring(100));
+	}, /Zip is corrupted/);
+});
+
+test('writes zips the unzip tool can read', { skip: !has_zip && 'zip is not installed' }, function() {
+	withDirectory(function(dir) {
+		var file = path.join(dir, 'app.zip');
+		fs.writeFileSync(file, createPhar().saveZipData(true));
+		
+		var result = child_process.spawnSync('unzip', ['-t', file]);
+		assert.strictEqual(result.status, 0, result.stdout.toString());
+		result = child_process.spawnSync('unzip', ['-p', file, 'a.txt']);
+		assert.strictEqual(result.stdout.toString(), 'contents of a');
+	});
+});
+
+test('loads zips written by the zip tool', { skip: !has_zip && 'zip is not installed' }, function() {
+	withDirectory(function(dir) {
+		fs.mkdirSync(path.join(dir, 'src'));
+		fs.writeFileSync(path.join(dir, 'a.txt'), 'contents of a');
+		fs.writeFileSync(path.join(dir, 'src', 'b.php'), new Array(100).join('<?php echo 1;\n'));
+		var result = child_process.spawnSync('zip', ['-r', '-', 'a.txt', 'src'], { cwd: dir });
+		assert.strictEqual(result.status, 0, result.stderr.toString());
+		
+		var phar = new PharUtils.Phar().loadZipData(new Uint8Array(result.stdout));
+		assert.deepStrictEqual(phar.getFiles().map(function(file) {
+			return file.getName();
+		}), ['a.txt', 'src/b.php']);
+		assert.strictEqual(phar.getFile('a.txt').getContents(), 'contents of a');
+		assert.strictEqual(phar.getFile('src/b.php').getCompressionType(), PharUtils.COMPRESSION_GZ);
+		assert.strictEqual(phar.getFile('src/b.php').getContents(), new Array(100).join('<?php echo 1;\n'));
+	});
+});